@@ -0,0 +1,514 @@
+#!/usr/bin/env node
+// ============================================
+// HACKNOTE - Command-line tool
+// Uses the running server's API when there is one, otherwise works on
+// hacknote.db directly
+// ============================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archive = require('../lib/archive');
+const instance = require('../lib/instance');
+const migrations = require('../js/migrations');
+const { ZipError } = require('../js/zip');
+const { HttpError, CARD_STATUSES } = require('../lib/validate');
+
+const USAGE = `Usage: hacknote <command> [options]
+
+Commands:
+  workspaces                       List workspaces
+  pages [workspace]                List pages, in every workspace or one
+  todo <page> <text...>            Add a todo to a todo page
+  move <page> <card> <status>      Move a card to backlog, in-progress, review or done
+  show <page>                      Print a page as markdown
+  export [file]                    Write all your data as JSON (to stdout without a file)
+  import <file>                    Merge an export into your data
+  publish <workspace> <target>     Write a workspace as a static website, to a folder
+                                   or to a .zip
+  login <username>                 Sign in to the running server and remember the session
+  logout                           Sign out and forget the session
+
+Pages, workspaces and cards are named by id or title.
+
+Options:
+  --workspace <name>    Look for the page in this workspace only
+  --conflicts <choice>  import: skip (default), copy or overwrite items whose id exists
+  --dry-run             import: only report what would happen
+  --user <username>     Act as this user when working on the database directly
+                        (default: the first admin)
+  --json                Print JSON instead of text
+
+Environment:
+  HACKNOTE_URL          Use the server at this URL instead of finding it
+  HACKNOTE_TOKEN        Session token to send to the server (instead of logging in)
+  HACKNOTE_PASSWORD     Password for \`login\` (instead of asking)`;
+
+// `hacknote login` keeps the session token here for later commands
+const SESSION_FILE = process.env.HACKNOTE_SESSION_FILE || path.join(os.homedir(), '.hacknote-session');
+
+const ASSET_PATTERN = /\/api\/assets\/([a-f0-9]{64})/g;
+
+const OPTIONS = {
+  'workspace': 'value',
+  'conflicts': 'value',
+  'user': 'value',
+  'dry-run': 'flag',
+  'json': 'flag',
+  'help': 'flag'
+};
+
+// Errors meant for the user: printed without a stack trace
+class CliError extends Error {}
+
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      args.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === '-h') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    const name = equals < 0 ? arg.slice(2) : arg.slice(2, equals);
+    if (!OPTIONS[name]) throw new CliError(`Unknown option --${name}`);
+    if (OPTIONS[name] === 'flag') {
+      options[name] = true;
+    } else if (equals >= 0) {
+      options[name] = arg.slice(equals + 1);
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new CliError(`--${name} needs a value`);
+    }
+  }
+  return { args, options };
+}
+
+// ============================================
+// BACKENDS
+// ============================================
+
+// Both backends offer the same methods, so commands don't care which one
+// they're given
+
+function readSession() {
+  try {
+    return JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8')).token || null;
+  } catch {
+    return null;
+  }
+}
+
+function httpBackend(url) {
+  const token = process.env.HACKNOTE_TOKEN || readSession();
+
+  async function send(method, route, body) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    let response;
+    try {
+      response = await fetch(url + route, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    } catch (err) {
+      throw new CliError(`Can't reach the server at ${url} (${err.cause?.code || err.message})`);
+    }
+    if (response.status === 401) {
+      throw new CliError(`Not signed in to the server at ${url}; run \`hacknote login <username>\` or set HACKNOTE_TOKEN`);
+    }
+    return response;
+  }
+
+  async function request(method, route, body) {
+    const response = await send(method, route, body);
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+    if (!response.ok) throw new CliError(data?.error || `Request failed with status ${response.status}`);
+    return data;
+  }
+
+  return {
+    url,
+    workspaces: () => request('GET', '/api/workspaces'),
+    pages: (workspaceId) => request('GET', `/api/workspaces/${encodeURIComponent(workspaceId)}/pages`),
+    page: (id) => request('GET', `/api/pages/${encodeURIComponent(id)}`),
+    addTodo: (pageId, text) => request('POST', `/api/pages/${encodeURIComponent(pageId)}/todos`, { text }),
+    updateCard: (pageId, cardId, fields) => {
+      return request('PATCH', `/api/pages/${encodeURIComponent(pageId)}/cards/${encodeURIComponent(cardId)}`, fields);
+    },
+    load: () => request('GET', '/api/data'),
+    import: (data, options) => request('POST', '/api/import', { data, ...options }),
+
+    async markdown(pageId) {
+      const response = await send('GET', `/api/pages/${encodeURIComponent(pageId)}/markdown`);
+      if (!response.ok) throw new CliError((await response.json().catch(() => null))?.error || 'Failed to load page');
+      return response.text();
+    },
+
+    async site(workspaceId) {
+      const response = await send('GET', `/api/workspaces/${encodeURIComponent(workspaceId)}/site`);
+      if (!response.ok) throw new CliError((await response.json().catch(() => null))?.error || 'Failed to publish workspace');
+      return new Uint8Array(await response.arrayBuffer());
+    },
+
+    async asset(hash) {
+      const response = await send('GET', `/api/assets/${hash}`);
+      if (!response.ok) return null;
+      return { mime: response.headers.get('Content-Type'), data: Buffer.from(await response.arrayBuffer()) };
+    },
+
+    async login(username, password) {
+      const response = await send('POST', '/api/auth/login', { username, password });
+      const data = await response.json().catch(() => null);
+      if (!response.ok) throw new CliError(data?.error || `Request failed with status ${response.status}`);
+      const cookie = response.headers.getSetCookie().find(c => c.startsWith('hacknote_session='));
+      return cookie.split(';')[0].slice('hacknote_session='.length);
+    },
+
+    async logout() {
+      if (token) await send('POST', '/api/auth/logout');
+    }
+  };
+}
+
+// Working on the database file is only safe while no server has it open, and
+// nobody else would hear about the changes anyway
+function directBackend(username) {
+  // Startup notes from db.js (migrations and the like) mustn't end up in
+  // output that's being piped somewhere
+  const log = console.log;
+  console.log = console.error;
+  const db = require('../db');
+  console.log = log;
+
+  const { validate } = require('../lib/validate');
+  const merge = require('../lib/merge');
+  const vault = require('../lib/vault');
+  const publish = require('../lib/publish');
+
+  const account = username ? db.getUserCredentials(username) : db.listUsers().find(u => u.isAdmin);
+  if (!account) {
+    throw new CliError(username ? `No user named ${username}` : 'There are no accounts yet; open the app once to create one');
+  }
+  const { passwordHash, ...user } = account;
+
+  // The same access rules as the API: only workspaces the user can see
+  const visible = (workspaceId) => db.accessibleWorkspaces(user).has(workspaceId);
+  const pageFor = (id) => {
+    const page = db.getPage(id);
+    if (!page || !visible(page.workspaceId)) throw new CliError('Page not found');
+    return page;
+  };
+
+  return {
+    user,
+    workspaces: async () => db.listWorkspaces().filter(ws => visible(ws.id)),
+    pages: async (workspaceId) => (visible(workspaceId) ? db.listPages(workspaceId) : []),
+    page: async (id) => pageFor(id),
+    markdown: async (id) => vault.pageMarkdown(pageFor(id)),
+
+    async site(workspaceId) {
+      if (!visible(workspaceId)) throw new CliError('Workspace not found');
+      const pages = db.listPages(workspaceId).map(page => db.getPage(page.id));
+      return publish.publishZip(db.getWorkspace(workspaceId), pages);
+    },
+
+    async addTodo(pageId, text) {
+      pageFor(pageId);
+      return db.addTodo(pageId, validate({ text }, 'todo'));
+    },
+
+    async updateCard(pageId, cardId, fields) {
+      pageFor(pageId);
+      return db.updateCard(pageId, cardId, validate(fields, 'card', { partial: true, omit: ['id', 'createdAt'] }));
+    },
+
+    load: async () => db.load(user),
+    asset: async (hash) => db.getAsset(hash),
+
+    async import(data, options) {
+      const { written, ...report } = merge.mergeImport(data, user, options);
+      return report;
+    }
+  };
+}
+
+function connect(options) {
+  if (process.env.HACKNOTE_URL) return httpBackend(process.env.HACKNOTE_URL.replace(/\/+$/, ''));
+  const server = instance.runningServer();
+  if (server) {
+    if (options.user) throw new CliError('--user only applies while the server is stopped; log in as that user instead');
+    return httpBackend(server.url);
+  }
+  return directBackend(options.user);
+}
+
+// ============================================
+// LOOKUPS
+// ============================================
+
+function matches(item, name, label) {
+  return item.id === name || (item[label] || '').toLowerCase() === name.toLowerCase();
+}
+
+function pickOne(items, name, what, describe) {
+  const exact = items.find(item => item.id === name);
+  if (exact) return exact;
+  if (items.length === 0) throw new CliError(`No ${what} named "${name}"`);
+  if (items.length > 1) {
+    throw new CliError(`${items.length} ${what}s are named "${name}"; use an id:\n` +
+      items.map(item => `  ${item.id}  ${describe(item)}`).join('\n'));
+  }
+  return items[0];
+}
+
+async function findWorkspace(backend, name) {
+  const workspaces = await backend.workspaces();
+  return pickOne(workspaces.filter(ws => matches(ws, name, 'name')), name, 'workspace', ws => ws.name);
+}
+
+// A page by id or title, searching every workspace unless --workspace names one
+async function findPage(backend, name, options) {
+  const workspaces = options.workspace ? [await findWorkspace(backend, options.workspace)] : await backend.workspaces();
+  const names = new Map(workspaces.map(ws => [ws.id, ws.name]));
+  const pages = (await Promise.all(workspaces.map(ws => backend.pages(ws.id)))).flat();
+  const page = pickOne(pages.filter(p => matches(p, name, 'title')), name, 'page',
+    p => `${names.get(p.workspaceId)} / ${p.title}`);
+  return backend.page(page.id);
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+
+function print(options, data, text) {
+  console.log(options.json ? JSON.stringify(data, null, 2) : text);
+}
+
+const commands = {
+  async workspaces(backend, args, options) {
+    const workspaces = await backend.workspaces();
+    print(options, workspaces, workspaces.map(ws => `${ws.id}  ${ws.name}`).join('\n'));
+  },
+
+  async pages(backend, [name], options) {
+    const workspaces = name ? [await findWorkspace(backend, name)] : await backend.workspaces();
+    const pages = [];
+    for (const ws of workspaces) {
+      for (const page of await backend.pages(ws.id)) pages.push({ ...page, workspace: ws.name });
+    }
+    print(options, pages, pages.map(p => `${p.id}  ${p.type.padEnd(6)}  ${p.workspace} / ${p.title}`).join('\n'));
+  },
+
+  async todo(backend, [name, ...words], options) {
+    const text = words.join(' ').trim();
+    if (!name || !text) throw new CliError('Usage: hacknote todo <page> <text...>');
+    const page = await findPage(backend, name, options);
+    if (page.type !== 'todo') throw new CliError(`"${page.title}" is a ${page.type} page, not a todo list`);
+    const todo = await backend.addTodo(page.id, text);
+    print(options, todo, `Added ${todo.id} to ${page.title}`);
+  },
+
+  async move(backend, [name, cardName, statusName], options) {
+    if (!name || !cardName || !statusName) throw new CliError('Usage: hacknote move <page> <card> <status>');
+    // "In Progress" as well as "in-progress"
+    const status = statusName.trim().toLowerCase().replace(/\s+/g, '-');
+    if (!CARD_STATUSES.includes(status)) throw new CliError(`Status must be one of ${CARD_STATUSES.join(', ')}`);
+
+    const page = await findPage(backend, name, options);
+    if (page.type !== 'board') throw new CliError(`"${page.title}" is a ${page.type} page, not a board`);
+    const card = pickOne(page.cards.filter(c => matches(c, cardName, 'title')), cardName, 'card', c => `${c.title} (${c.status})`);
+    const moved = await backend.updateCard(page.id, card.id, { status });
+    print(options, moved, `Moved "${moved.title}" to ${moved.status}`);
+  },
+
+  async show(backend, [name], options) {
+    if (!name) throw new CliError('Usage: hacknote show <page>');
+    const page = await findPage(backend, name, options);
+    if (options.json) {
+      print(options, page);
+    } else {
+      process.stdout.write(await backend.markdown(page.id));
+    }
+  },
+
+  // The same file the app's Export button makes, images included
+  async export(backend, [file]) {
+    const data = await backend.load();
+    const cache = new Map();
+    const inline = async (text) => {
+      if (typeof text !== 'string') return text;
+      for (const [, hash] of text.matchAll(ASSET_PATTERN)) {
+        if (cache.has(hash)) continue;
+        const asset = await backend.asset(hash);
+        cache.set(hash, asset ? `data:${asset.mime};base64,${Buffer.from(asset.data).toString('base64')}` : null);
+      }
+      return text.replace(ASSET_PATTERN, (url, hash) => cache.get(hash) || url);
+    };
+
+    const pages = [];
+    for (const page of data.pages) {
+      pages.push({ ...page, content: await inline(page.content), markdownContent: await inline(page.markdownContent) });
+    }
+    const json = JSON.stringify({
+      schemaVersion: migrations.CURRENT_VERSION,
+      exportedAt: Date.now(),
+      workspaces: data.workspaces,
+      pages,
+      settings: data.settings
+    }, null, 2);
+
+    if (!file || file === '-') {
+      console.log(json);
+    } else {
+      fs.writeFileSync(file, json + '\n');
+      console.error(`Exported ${data.workspaces.length} workspaces and ${pages.length} pages to ${file}`);
+    }
+  },
+
+  // Conflicts are all resolved the same way; the app can resolve them one by one
+  async import(backend, [file], options) {
+    if (!file) throw new CliError('Usage: hacknote import <file> [--conflicts skip|copy|overwrite] [--dry-run]');
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file === '-' ? 0 : file, 'utf8'));
+    } catch (err) {
+      throw new CliError(`Can't read ${file}: ${err.message}`);
+    }
+
+    const choice = options.conflicts || 'skip';
+    if (!['skip', 'copy', 'overwrite'].includes(choice)) throw new CliError('--conflicts must be skip, copy or overwrite');
+
+    const plan = await backend.import(data, { dryRun: true });
+    const resolutions = {};
+    for (const [kind, entries] of [['workspace', plan.workspaces], ['page', plan.pages]]) {
+      for (const entry of entries) {
+        if (entry.status === 'conflict' && entry.choices.includes(choice)) resolutions[`${kind}:${entry.id}`] = choice;
+      }
+    }
+    const report = await backend.import(data, { resolutions, dryRun: !!options['dry-run'] });
+
+    const { added, changed, skipped, invalid } = report.summary;
+    const problems = [...report.workspaces, ...report.pages]
+      .filter(entry => entry.status === 'invalid')
+      .map(entry => `  ${entry.name || entry.title || entry.id}: ${entry.error}`);
+    print(options, report, [
+      `${report.dryRun ? 'Would add' : 'Added'} ${added}, ${report.dryRun ? 'change' : 'changed'} ${changed}, skipped ${skipped}, invalid ${invalid}`,
+      ...problems
+    ].join('\n'));
+  },
+
+  // The site the app's Publish Site button downloads, zipped or unpacked
+  async publish(backend, [name, target], options) {
+    if (!name || !target) throw new CliError('Usage: hacknote publish <workspace> <folder|file.zip>');
+    const workspace = await findWorkspace(backend, name);
+    const bytes = await backend.site(workspace.id);
+
+    if (/\.zip$/i.test(target)) {
+      fs.writeFileSync(target, bytes);
+      print(options, { workspace: workspace.id, target }, `Published ${workspace.name} to ${target}`);
+      return;
+    }
+
+    const root = path.resolve(target);
+    // Read within the same limits as an uploaded archive (vault.readArchive
+    // uses this too, but loading lib/vault opens the database)
+    const files = archive.readArchive(bytes);
+    for (const file of files) {
+      const destination = path.resolve(root, file.name);
+      if (!destination.startsWith(root + path.sep)) continue;
+      fs.mkdirSync(path.dirname(destination), { recursive: true });
+      fs.writeFileSync(destination, file.data);
+    }
+    print(options, { workspace: workspace.id, target: root, files: files.map(file => file.name) },
+      `Published ${workspace.name} to ${root} (${files.length} files)`);
+  },
+
+  async login(backend, [username]) {
+    if (!backend.login) throw new CliError('The server isn\'t running; there is nothing to log in to');
+    if (!username) throw new CliError('Usage: hacknote login <username>');
+    const password = process.env.HACKNOTE_PASSWORD ?? await readPassword('Password: ');
+    const token = await backend.login(username, password);
+    fs.writeFileSync(SESSION_FILE, JSON.stringify({ url: backend.url, token }) + '\n', { mode: 0o600 });
+    console.log(`Signed in to ${backend.url} as ${username}`);
+  },
+
+  async logout(backend) {
+    if (backend.logout) await backend.logout();
+    fs.rmSync(SESSION_FILE, { force: true });
+    console.log('Signed out');
+  }
+};
+
+// Read a password without echoing it, or the first line of piped input
+function readPassword(prompt) {
+  const stdin = process.stdin;
+  if (!stdin.isTTY) {
+    return new Promise((resolve) => {
+      let input = '';
+      stdin.setEncoding('utf8');
+      stdin.on('data', chunk => { input += chunk; });
+      stdin.on('end', () => resolve(input.split(/\r?\n/)[0]));
+    });
+  }
+
+  process.stderr.write(prompt);
+  return new Promise((resolve, reject) => {
+    let password = '';
+    const finish = () => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.off('data', onData);
+      process.stderr.write('\n');
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') {
+          finish();
+          resolve(password);
+          return;
+        }
+        if (char === '\u0003') {
+          finish();
+          reject(new CliError('Cancelled'));
+          return;
+        }
+        password = char === '\u007f' || char === '\b' ? password.slice(0, -1) : password + char;
+      }
+    };
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.on('data', onData);
+    stdin.resume();
+  });
+}
+
+async function main(argv) {
+  const { args: [command, ...args], options } = parseArgs(argv);
+  if (!command || options.help || command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+  if (!commands[command]) throw new CliError(`Unknown command "${command}"; see hacknote --help`);
+  await commands[command](connect(options), args, options);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  if (err instanceof CliError || err instanceof HttpError || err instanceof ZipError) {
+    console.error(`hacknote: ${err.message}`);
+  } else {
+    console.error('[HACKNOTE] Command failed:', err);
+  }
+  process.exitCode = 1;
+});
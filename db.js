@@ -1,38 +1,2058 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const crypto = require('crypto');
+const migrations = require('./js/migrations');
 
-// Store database in the project directory
-const dbPath = path.join(__dirname, 'hacknote.db');
+// Store database in the project directory, unless HACKNOTE_DB names another file
+const dbPath = process.env.HACKNOTE_DB ? path.resolve(process.env.HACKNOTE_DB) : path.join(__dirname, 'hacknote.db');
 const db = new Database(dbPath);
 
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
 // Initialize schema
 db.exec(`
-  CREATE TABLE IF NOT EXISTS app_data (
-    id INTEGER PRIMARY KEY CHECK (id = 1),
+  CREATE TABLE IF NOT EXISTS workspaces (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    icon TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER,
+    extra TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS pages (
+    id TEXT PRIMARY KEY,
+    workspace_id TEXT,
+    title TEXT NOT NULL DEFAULT '',
+    type TEXT NOT NULL DEFAULT 'notes',
+    icon TEXT,
+    content TEXT,
+    markdown_content TEXT,
+    markdown_mode INTEGER,
+    canvas_data TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER,
+    updated_at INTEGER,
+    extra TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS pages_workspace ON pages (workspace_id, position);
+
+  CREATE TABLE IF NOT EXISTS todos (
+    page_id TEXT NOT NULL REFERENCES pages (id) ON DELETE CASCADE,
+    id TEXT NOT NULL,
+    text TEXT NOT NULL DEFAULT '',
+    completed INTEGER NOT NULL DEFAULT 0,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER,
+    extra TEXT,
+    PRIMARY KEY (page_id, id)
+  );
+
+  CREATE TABLE IF NOT EXISTS cards (
+    page_id TEXT NOT NULL REFERENCES pages (id) ON DELETE CASCADE,
+    id TEXT NOT NULL,
+    title TEXT NOT NULL DEFAULT '',
+    description TEXT,
+    status TEXT NOT NULL DEFAULT 'backlog',
+    priority TEXT NOT NULL DEFAULT 'medium',
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER,
+    extra TEXT,
+    PRIMARY KEY (page_id, id)
+  );
+
+  CREATE TABLE IF NOT EXISTS page_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id TEXT NOT NULL,
+    workspace_id TEXT,
+    title TEXT,
+    reason TEXT NOT NULL,
+    snapshot TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS page_revisions_page ON page_revisions (page_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS trash (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    page_id TEXT,
+    workspace_id TEXT,
+    title TEXT,
     data TEXT NOT NULL,
-    updated_at INTEGER NOT NULL
-  )
-`);
+    deleted_at INTEGER NOT NULL,
+    deleted_by TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS trash_deleted ON trash (deleted_at);
+
+  CREATE TABLE IF NOT EXISTS assets (
+    hash TEXT PRIMARY KEY,
+    mime TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    data BLOB NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5 (
+    page_id UNINDEXED,
+    title,
+    body,
+    todos,
+    cards,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    is_admin INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS workspace_members (
+    workspace_id TEXT NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'member',
+    PRIMARY KEY (workspace_id, user_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS workspace_members_user ON workspace_members (user_id);
+
+  CREATE TABLE IF NOT EXISTS user_settings (
+    user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (user_id, key)
+  );
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS share_links (
+    id TEXT PRIMARY KEY,
+    token TEXT NOT NULL UNIQUE,
+    page_id TEXT NOT NULL REFERENCES pages (id) ON DELETE CASCADE,
+    created_by TEXT REFERENCES users (id) ON DELETE SET NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS share_links_page ON share_links (page_id);
+
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    events TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at INTEGER NOT NULL
+  );
 
-// Prepare statements for better performance
-const getData = db.prepare('SELECT data FROM app_data WHERE id = 1');
-const upsertData = db.prepare(`
-  INSERT INTO app_data (id, data, updated_at) VALUES (1, ?, ?)
-  ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id TEXT NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    created_at INTEGER NOT NULL,
+    attempted_at INTEGER,
+    next_attempt_at INTEGER
+  );
+
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id);
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
 `);
 
-module.exports = {
-  load() {
-    const row = getData.get();
+// Add a column to a table created by an older version of the schema
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Every row carries a version that increases on each change; clients send it
+// back with their edits so stale writes can be rejected
+for (const table of ['workspaces', 'pages', 'todos', 'cards']) {
+  ensureColumn(table, 'version', 'INTEGER NOT NULL DEFAULT 1');
+}
+
+// ============================================
+// ROW MAPPING
+// ============================================
+
+// Fields stored in their own columns. Anything else a client sends along is
+// kept verbatim in the `extra` JSON column so older/newer clients lose nothing.
+// `version` is managed by the database and ignored on write.
+const WORKSPACE_FIELDS = ['id', 'name', 'icon', 'createdAt', 'version'];
+const PAGE_FIELDS = ['id', 'workspaceId', 'title', 'type', 'icon', 'content', 'markdownContent',
+  'markdownMode', 'canvasData', 'todos', 'cards', 'createdAt', 'updatedAt', 'version'];
+const TODO_FIELDS = ['id', 'text', 'completed', 'createdAt', 'version'];
+const CARD_FIELDS = ['id', 'title', 'description', 'status', 'priority', 'createdAt', 'version'];
+
+function packExtra(obj, knownFields) {
+  const extra = {};
+  let hasExtra = false;
+  for (const key of Object.keys(obj)) {
+    if (!knownFields.includes(key)) {
+      extra[key] = obj[key];
+      hasExtra = true;
+    }
+  }
+  return hasExtra ? JSON.stringify(extra) : null;
+}
+
+function unpackExtra(row) {
+  return row.extra ? JSON.parse(row.extra) : {};
+}
+
+// Only set keys whose column holds a value, so loaded objects have the same
+// shape the client originally saved.
+function assignDefined(target, values) {
+  for (const [key, value] of Object.entries(values)) {
+    if (value !== null && value !== undefined) {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+function orNull(value) {
+  return value === undefined ? null : value;
+}
+
+function workspaceToRow(ws, position) {
+  return {
+    id: ws.id,
+    name: ws.name ?? '',
+    icon: orNull(ws.icon),
+    position,
+    created_at: orNull(ws.createdAt),
+    extra: packExtra(ws, WORKSPACE_FIELDS)
+  };
+}
+
+function rowToWorkspace(row) {
+  return assignDefined({ ...unpackExtra(row) }, {
+    id: row.id,
+    name: row.name,
+    icon: row.icon,
+    createdAt: row.created_at,
+    version: row.version
+  });
+}
+
+function pageToRow(page, position) {
+  return {
+    id: page.id,
+    workspace_id: orNull(page.workspaceId),
+    title: page.title ?? '',
+    type: page.type || 'notes',
+    icon: orNull(page.icon),
+    content: orNull(extractDataUrls(page.content)),
+    markdown_content: orNull(extractDataUrls(page.markdownContent)),
+    markdown_mode: page.markdownMode === undefined ? null : (page.markdownMode ? 1 : 0),
+    canvas_data: page.canvasData === undefined ? null : JSON.stringify(page.canvasData),
+    position,
+    created_at: orNull(page.createdAt),
+    updated_at: orNull(page.updatedAt),
+    extra: packExtra(page, PAGE_FIELDS)
+  };
+}
+
+function rowToPage(row) {
+  return assignDefined({ ...unpackExtra(row) }, {
+    id: row.id,
+    workspaceId: row.workspace_id,
+    title: row.title,
+    type: row.type,
+    icon: row.icon,
+    content: row.content,
+    markdownContent: row.markdown_content,
+    markdownMode: row.markdown_mode === null ? null : row.markdown_mode === 1,
+    canvasData: row.canvas_data === null ? null : JSON.parse(row.canvas_data),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    version: row.version
+  });
+}
+
+function todoToRow(pageId, todo, position) {
+  return {
+    page_id: pageId,
+    id: todo.id,
+    text: todo.text ?? '',
+    completed: todo.completed ? 1 : 0,
+    position,
+    created_at: orNull(todo.createdAt),
+    extra: packExtra(todo, TODO_FIELDS)
+  };
+}
+
+function rowToTodo(row) {
+  return assignDefined({ ...unpackExtra(row) }, {
+    id: row.id,
+    text: row.text,
+    completed: row.completed === 1,
+    createdAt: row.created_at,
+    version: row.version
+  });
+}
+
+function cardToRow(pageId, card, position) {
+  return {
+    page_id: pageId,
+    id: card.id,
+    title: card.title ?? '',
+    description: orNull(card.description),
+    status: card.status || 'backlog',
+    priority: card.priority || 'medium',
+    position,
+    created_at: orNull(card.createdAt),
+    extra: packExtra(card, CARD_FIELDS)
+  };
+}
+
+function rowToCard(row) {
+  return assignDefined({ ...unpackExtra(row) }, {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    status: row.status,
+    priority: row.priority,
+    createdAt: row.created_at,
+    version: row.version
+  });
+}
+
+// ============================================
+// PREPARED STATEMENTS
+// ============================================
+
+// Upserts skip the write entirely when nothing changed, so saving the full
+// document only touches the rows that were actually edited.
+const stmts = {
+  allWorkspaces: db.prepare('SELECT * FROM workspaces ORDER BY position, rowid'),
+  allPages: db.prepare('SELECT * FROM pages ORDER BY position, rowid'),
+  allTodos: db.prepare('SELECT * FROM todos ORDER BY page_id, position'),
+  allCards: db.prepare('SELECT * FROM cards ORDER BY page_id, position'),
+  allSettings: db.prepare('SELECT key, value FROM settings'),
+
+  upsertWorkspace: db.prepare(`
+    INSERT INTO workspaces (id, name, icon, position, created_at, extra)
+    VALUES (@id, @name, @icon, @position, @created_at, @extra)
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name, icon = excluded.icon, position = excluded.position,
+      created_at = excluded.created_at, extra = excluded.extra, version = workspaces.version + 1
+    WHERE workspaces.name IS NOT excluded.name OR workspaces.icon IS NOT excluded.icon
+      OR workspaces.position IS NOT excluded.position OR workspaces.created_at IS NOT excluded.created_at
+      OR workspaces.extra IS NOT excluded.extra
+  `),
+  upsertPage: db.prepare(`
+    INSERT INTO pages (id, workspace_id, title, type, icon, content, markdown_content, markdown_mode,
+      canvas_data, position, created_at, updated_at, extra)
+    VALUES (@id, @workspace_id, @title, @type, @icon, @content, @markdown_content, @markdown_mode,
+      @canvas_data, @position, @created_at, @updated_at, @extra)
+    ON CONFLICT(id) DO UPDATE SET
+      workspace_id = excluded.workspace_id, title = excluded.title, type = excluded.type,
+      icon = excluded.icon, content = excluded.content, markdown_content = excluded.markdown_content,
+      markdown_mode = excluded.markdown_mode, canvas_data = excluded.canvas_data,
+      position = excluded.position, created_at = excluded.created_at,
+      updated_at = excluded.updated_at, extra = excluded.extra, version = pages.version + 1
+    WHERE pages.workspace_id IS NOT excluded.workspace_id OR pages.title IS NOT excluded.title
+      OR pages.type IS NOT excluded.type OR pages.icon IS NOT excluded.icon
+      OR pages.content IS NOT excluded.content OR pages.markdown_content IS NOT excluded.markdown_content
+      OR pages.markdown_mode IS NOT excluded.markdown_mode OR pages.canvas_data IS NOT excluded.canvas_data
+      OR pages.position IS NOT excluded.position OR pages.created_at IS NOT excluded.created_at
+      OR pages.updated_at IS NOT excluded.updated_at OR pages.extra IS NOT excluded.extra
+  `),
+  upsertTodo: db.prepare(`
+    INSERT INTO todos (page_id, id, text, completed, position, created_at, extra)
+    VALUES (@page_id, @id, @text, @completed, @position, @created_at, @extra)
+    ON CONFLICT(page_id, id) DO UPDATE SET
+      text = excluded.text, completed = excluded.completed, position = excluded.position,
+      created_at = excluded.created_at, extra = excluded.extra, version = todos.version + 1
+    WHERE todos.text IS NOT excluded.text OR todos.completed IS NOT excluded.completed
+      OR todos.position IS NOT excluded.position OR todos.created_at IS NOT excluded.created_at
+      OR todos.extra IS NOT excluded.extra
+  `),
+  upsertCard: db.prepare(`
+    INSERT INTO cards (page_id, id, title, description, status, priority, position, created_at, extra)
+    VALUES (@page_id, @id, @title, @description, @status, @priority, @position, @created_at, @extra)
+    ON CONFLICT(page_id, id) DO UPDATE SET
+      title = excluded.title, description = excluded.description, status = excluded.status,
+      priority = excluded.priority, position = excluded.position,
+      created_at = excluded.created_at, extra = excluded.extra, version = cards.version + 1
+    WHERE cards.title IS NOT excluded.title OR cards.description IS NOT excluded.description
+      OR cards.status IS NOT excluded.status OR cards.priority IS NOT excluded.priority
+      OR cards.position IS NOT excluded.position OR cards.created_at IS NOT excluded.created_at
+      OR cards.extra IS NOT excluded.extra
+  `),
+  upsertSetting: db.prepare(`
+    INSERT INTO settings (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value WHERE settings.value IS NOT excluded.value
+  `),
+
+  workspaceIds: db.prepare('SELECT id FROM workspaces'),
+  pageIds: db.prepare('SELECT id FROM pages'),
+  todoIds: db.prepare('SELECT id FROM todos WHERE page_id = ?'),
+  cardIds: db.prepare('SELECT id FROM cards WHERE page_id = ?'),
+  settingKeys: db.prepare('SELECT key FROM settings'),
+
+  deleteWorkspace: db.prepare('DELETE FROM workspaces WHERE id = ?'),
+  deletePage: db.prepare('DELETE FROM pages WHERE id = ?'),
+  deleteTodo: db.prepare('DELETE FROM todos WHERE page_id = ? AND id = ?'),
+  deleteCard: db.prepare('DELETE FROM cards WHERE page_id = ? AND id = ?'),
+  deleteSetting: db.prepare('DELETE FROM settings WHERE key = ?'),
+
+  getWorkspace: db.prepare('SELECT * FROM workspaces WHERE id = ?'),
+  nextWorkspacePosition: db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS position FROM workspaces'),
+  getPage: db.prepare('SELECT * FROM pages WHERE id = ?'),
+  pageWorkspace: db.prepare('SELECT workspace_id FROM pages WHERE id = ?'),
+  pagesInWorkspace: db.prepare('SELECT * FROM pages WHERE workspace_id = ? ORDER BY position, rowid'),
+  nextPagePosition: db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS position FROM pages'),
+  touchPage: db.prepare('UPDATE pages SET updated_at = ? WHERE id = ?'),
+  deletePagesInWorkspace: db.prepare('DELETE FROM pages WHERE workspace_id = ?'),
+  todosForPage: db.prepare('SELECT * FROM todos WHERE page_id = ? ORDER BY position'),
+  getTodo: db.prepare('SELECT * FROM todos WHERE page_id = ? AND id = ?'),
+  nextTodoPosition: db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS position FROM todos WHERE page_id = ?'),
+  deleteCompletedTodos: db.prepare('DELETE FROM todos WHERE page_id = ? AND completed = 1'),
+  completedTodos: db.prepare('SELECT * FROM todos WHERE page_id = ? AND completed = 1 ORDER BY position'),
+  cardsForPage: db.prepare('SELECT * FROM cards WHERE page_id = ? ORDER BY position'),
+  getCard: db.prepare('SELECT * FROM cards WHERE page_id = ? AND id = ?'),
+  nextCardPosition: db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS position FROM cards WHERE page_id = ?'),
+
+  insertRevision: db.prepare(`
+    INSERT INTO page_revisions (page_id, workspace_id, title, reason, snapshot, created_at)
+    VALUES (@page_id, @workspace_id, @title, @reason, @snapshot, @created_at)
+  `),
+  replaceRevision: db.prepare(`
+    UPDATE page_revisions SET workspace_id = @workspace_id, title = @title, snapshot = @snapshot,
+      created_at = @created_at
+    WHERE id = @id
+  `),
+  latestRevision: db.prepare('SELECT * FROM page_revisions WHERE page_id = ? ORDER BY id DESC LIMIT 1'),
+  listRevisions: db.prepare(`
+    SELECT id, page_id, workspace_id, title, reason, created_at, length(snapshot) AS size
+    FROM page_revisions WHERE page_id = ? ORDER BY id DESC
+  `),
+  getRevision: db.prepare('SELECT * FROM page_revisions WHERE page_id = ? AND id = ?'),
+  pruneRevisionsByCount: db.prepare(`
+    DELETE FROM page_revisions WHERE page_id = @page_id AND id NOT IN (
+      SELECT id FROM page_revisions WHERE page_id = @page_id ORDER BY id DESC LIMIT @keep
+    )
+  `),
+  // The newest revision of a live page always survives, since it mirrors the page itself
+  pruneRevisionsByAge: db.prepare(`
+    DELETE FROM page_revisions WHERE created_at < @cutoff AND id NOT IN (
+      SELECT MAX(r.id) FROM page_revisions r JOIN pages p ON p.id = r.page_id GROUP BY r.page_id
+    )
+  `),
+  deletedPageRevisions: db.prepare(`
+    SELECT r.id, r.page_id, r.workspace_id, r.title, r.reason, r.created_at
+    FROM page_revisions r
+    WHERE r.reason = 'delete'
+      AND r.id = (SELECT MAX(id) FROM page_revisions WHERE page_id = r.page_id)
+      AND NOT EXISTS (SELECT 1 FROM pages WHERE id = r.page_id)
+    ORDER BY r.created_at DESC
+  `),
+  pagesWithoutRevisions: db.prepare(`
+    SELECT id FROM pages WHERE NOT EXISTS (SELECT 1 FROM page_revisions WHERE page_id = pages.id)
+  `),
+  pageIdsInWorkspace: db.prepare('SELECT id FROM pages WHERE workspace_id = ?'),
+  deleteTodosForPage: db.prepare('DELETE FROM todos WHERE page_id = ?'),
+  deleteCardsForPage: db.prepare('DELETE FROM cards WHERE page_id = ?'),
+
+  insertAsset: db.prepare(`
+    INSERT OR IGNORE INTO assets (hash, mime, size, data, created_at)
+    VALUES (@hash, @mime, @size, @data, @created_at)
+  `),
+  getAsset: db.prepare('SELECT * FROM assets WHERE hash = ?'),
+  staleAssets: db.prepare('SELECT hash FROM assets WHERE created_at < ?'),
+  deleteAsset: db.prepare('DELETE FROM assets WHERE hash = ?'),
+  // Everywhere an asset URL can appear; revisions count so restoring an old
+  // version never brings back a broken image
+  assetReferences: db.prepare(`
+    SELECT content AS text FROM pages WHERE content LIKE '%/api/assets/%'
+    UNION ALL SELECT markdown_content FROM pages WHERE markdown_content LIKE '%/api/assets/%'
+    UNION ALL SELECT canvas_data FROM pages WHERE canvas_data LIKE '%/api/assets/%'
+    UNION ALL SELECT extra FROM pages WHERE extra LIKE '%/api/assets/%'
+    UNION ALL SELECT description FROM cards WHERE description LIKE '%/api/assets/%'
+    UNION ALL SELECT snapshot FROM page_revisions WHERE snapshot LIKE '%/api/assets/%'
+    UNION ALL SELECT data FROM trash WHERE data LIKE '%/api/assets/%'
+  `),
+  pagesWithDataUrls: db.prepare(`
+    SELECT id, content, markdown_content FROM pages
+    WHERE content LIKE '%data:image/%' OR markdown_content LIKE '%data:image/%'
+  `),
+  setPageText: db.prepare('UPDATE pages SET content = @content, markdown_content = @markdown_content WHERE id = @id'),
+  revisionsWithDataUrls: db.prepare(`SELECT id, snapshot FROM page_revisions WHERE snapshot LIKE '%data:image/%'`),
+  setRevisionSnapshot: db.prepare('UPDATE page_revisions SET snapshot = ? WHERE id = ?'),
+
+  deleteSearchEntry: db.prepare('DELETE FROM search_index WHERE page_id = ?'),
+  insertSearchEntry: db.prepare(`
+    INSERT INTO search_index (page_id, title, body, todos, cards)
+    VALUES (@page_id, @title, @body, @todos, @cards)
+  `),
+  clearSearchIndex: db.prepare('DELETE FROM search_index'),
+  // Title matches weigh most, then todos and cards, then note text. The
+  // snippets are computed per column so the caller knows where the hit is.
+  search: db.prepare(`
+    SELECT s.page_id, p.workspace_id, w.name AS workspace_name, p.title, p.type, p.icon,
+      snippet(search_index, 2, char(1), char(2), '…', 16) AS body_snippet,
+      snippet(search_index, 3, char(1), char(2), '…', 16) AS todos_snippet,
+      snippet(search_index, 4, char(1), char(2), '…', 16) AS cards_snippet,
+      snippet(search_index, 1, char(1), char(2), '…', 16) AS title_snippet
+    FROM search_index s
+    JOIN pages p ON p.id = s.page_id
+    LEFT JOIN workspaces w ON w.id = p.workspace_id
+    WHERE search_index MATCH @query AND (@workspace_id IS NULL OR p.workspace_id = @workspace_id)
+      AND (@workspace_ids IS NULL OR p.workspace_id IN (SELECT value FROM json_each(@workspace_ids)))
+    ORDER BY bm25(search_index, 0, 10.0, 1.0, 2.0, 2.0)
+    LIMIT @limit
+  `),
+
+  insertUser: db.prepare(`
+    INSERT INTO users (id, username, password_hash, is_admin, created_at)
+    VALUES (@id, @username, @password_hash, @is_admin, @created_at)
+  `),
+  getUser: db.prepare('SELECT * FROM users WHERE id = ?'),
+  getUserByName: db.prepare('SELECT * FROM users WHERE username = ?'),
+  allUsers: db.prepare('SELECT * FROM users ORDER BY created_at'),
+  countUsers: db.prepare('SELECT COUNT(*) AS count FROM users'),
+  deleteUser: db.prepare('DELETE FROM users WHERE id = ?'),
+  setPassword: db.prepare('UPDATE users SET password_hash = ? WHERE id = ?'),
+
+  insertSession: db.prepare('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)'),
+  sessionUser: db.prepare(`
+    SELECT u.* FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > ?
+  `),
+  deleteSession: db.prepare('DELETE FROM sessions WHERE token_hash = ?'),
+  deleteUserSessions: db.prepare('DELETE FROM sessions WHERE user_id = ? AND token_hash IS NOT ?'),
+  pruneSessions: db.prepare('DELETE FROM sessions WHERE expires_at <= ?'),
+
+  // A workspace nobody is a member of (created before accounts existed, or
+  // directly in the database) is looked after by the admins
+  accessibleWorkspaces: db.prepare(`
+    SELECT w.id, COALESCE(m.role, 'owner') AS role FROM workspaces w
+    LEFT JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = @user_id
+    WHERE m.user_id IS NOT NULL
+      OR (@is_admin = 1 AND NOT EXISTS (SELECT 1 FROM workspace_members WHERE workspace_id = w.id))
+  `),
+  members: db.prepare(`
+    SELECT u.id, u.username, m.role FROM workspace_members m JOIN users u ON u.id = m.user_id
+    WHERE m.workspace_id = ? ORDER BY m.role DESC, u.username
+  `),
+  upsertMember: db.prepare(`
+    INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, ?)
+    ON CONFLICT(workspace_id, user_id) DO UPDATE SET role = excluded.role
+  `),
+  deleteMember: db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?'),
+  soleOwnerships: db.prepare(`
+    SELECT m.workspace_id FROM workspace_members m
+    WHERE m.user_id = ? AND m.role = 'owner'
+      AND NOT EXISTS (SELECT 1 FROM workspace_members o
+        WHERE o.workspace_id = m.workspace_id AND o.role = 'owner' AND o.user_id != m.user_id)
+  `),
+  firstOtherMember: db.prepare(`
+    SELECT user_id FROM workspace_members WHERE workspace_id = ? AND user_id != ? ORDER BY rowid LIMIT 1
+  `),
+
+  userSettings: db.prepare('SELECT key, value FROM user_settings WHERE user_id = ?'),
+  upsertUserSetting: db.prepare(`
+    INSERT INTO user_settings (user_id, key, value) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, key) DO UPDATE SET value = excluded.value
+  `),
+  deleteUserSetting: db.prepare('DELETE FROM user_settings WHERE user_id = ? AND key = ?'),
+  pageWorkspaces: db.prepare('SELECT id, workspace_id FROM pages'),
+
+  insertTrash: db.prepare(`
+    INSERT INTO trash (kind, item_id, page_id, workspace_id, title, data, deleted_at, deleted_by)
+    VALUES (@kind, @item_id, @page_id, @workspace_id, @title, @data, @deleted_at, @deleted_by)
+  `),
+  // Only trashed workspaces need their data here, to see who may restore them
+  listTrash: db.prepare(`
+    SELECT t.id, t.kind, t.item_id, t.page_id, t.workspace_id, t.title, t.deleted_at,
+      CASE WHEN t.kind = 'workspace' THEN t.data END AS data,
+      p.title AS page_title, w.name AS workspace_name, u.username AS deleted_by
+    FROM trash t
+    LEFT JOIN pages p ON p.id = t.page_id
+    LEFT JOIN workspaces w ON w.id = t.workspace_id
+    LEFT JOIN users u ON u.id = t.deleted_by
+    ORDER BY t.deleted_at DESC, t.id DESC
+  `),
+  getTrash: db.prepare('SELECT * FROM trash WHERE id = ?'),
+  deleteTrash: db.prepare('DELETE FROM trash WHERE id = ?'),
+  deleteTrashedPage: db.prepare("DELETE FROM trash WHERE kind = 'page' AND item_id = ?"),
+  pruneTrash: db.prepare('DELETE FROM trash WHERE deleted_at < ?'),
+  memberRoles: db.prepare('SELECT user_id, role FROM workspace_members WHERE workspace_id = ?'),
+
+  insertShareLink: db.prepare(`
+    INSERT INTO share_links (id, token, page_id, created_by, created_at)
+    VALUES (@id, @token, @page_id, @created_by, @created_at)
+  `),
+  pageShareLinks: db.prepare(`
+    SELECT s.*, u.username FROM share_links s LEFT JOIN users u ON u.id = s.created_by
+    WHERE s.page_id = ? ORDER BY s.created_at
+  `),
+  shareLinkPage: db.prepare('SELECT page_id FROM share_links WHERE token = ?').pluck(),
+  deleteShareLink: db.prepare('DELETE FROM share_links WHERE page_id = ? AND id = ?'),
+
+  allWebhooks: db.prepare('SELECT * FROM webhooks ORDER BY created_at'),
+  activeWebhooks: db.prepare('SELECT * FROM webhooks WHERE active = 1'),
+  getWebhook: db.prepare('SELECT * FROM webhooks WHERE id = ?'),
+  insertWebhook: db.prepare(`
+    INSERT INTO webhooks (id, url, events, secret, active, created_by, created_at)
+    VALUES (@id, @url, @events, @secret, @active, @created_by, @created_at)
+  `),
+  updateWebhook: db.prepare(`
+    UPDATE webhooks SET url = @url, events = @events, secret = @secret, active = @active WHERE id = @id
+  `),
+  deleteWebhook: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+  insertDelivery: db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, event, payload, created_at, next_attempt_at)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  getDelivery: db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?'),
+  webhookDeliveries: db.prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?'),
+  // Deliveries to a paused webhook wait until it's switched back on
+  dueDelivery: db.prepare(`
+    SELECT d.* FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status = 'pending' AND w.active = 1 AND d.next_attempt_at <= ?
+    ORDER BY d.next_attempt_at, d.id LIMIT 1
+  `),
+  nextDueAt: db.prepare(`
+    SELECT MIN(d.next_attempt_at) FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status = 'pending' AND w.active = 1
+  `).pluck(),
+  recordAttempt: db.prepare(`
+    UPDATE webhook_deliveries SET status = @status, attempts = @attempts, response_status = @response_status,
+      error = @error, attempted_at = @attempted_at, next_attempt_at = @next_attempt_at
+    WHERE id = @id
+  `),
+  retryDelivery: db.prepare(`
+    UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ?
+  `),
+  pruneDeliveries: db.prepare(`
+    DELETE FROM webhook_deliveries WHERE webhook_id = @webhook_id AND status != 'pending' AND id <= (
+      SELECT id FROM webhook_deliveries WHERE webhook_id = @webhook_id ORDER BY id DESC LIMIT 1 OFFSET @keep
+    )
+  `),
+
+  getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+  setMeta: db.prepare(`
+    INSERT INTO meta (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `)
+};
+
+// ============================================
+// DOCUMENT READ / WRITE
+// ============================================
+
+function groupByPage(rows, mapRow) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.page_id)) groups.set(row.page_id, []);
+    groups.get(row.page_id).push(mapRow(row));
+  }
+  return groups;
+}
+
+// The whole document, or just the workspaces `user` can see along with
+// their own settings
+function readDocument(user = null) {
+  const allowed = user ? accessibleWorkspaces(user) : null;
+  const visible = (workspaceId) => !allowed || allowed.has(workspaceId);
+
+  const todos = groupByPage(stmts.allTodos.all(), rowToTodo);
+  const cards = groupByPage(stmts.allCards.all(), rowToCard);
+
+  const settings = readSettings(user?.id);
+
+  return {
+    workspaces: stmts.allWorkspaces.all().filter(row => visible(row.id)).map(rowToWorkspace),
+    pages: stmts.allPages.all().filter(row => visible(row.workspace_id)).map(row => {
+      const page = rowToPage(row);
+      page.todos = todos.get(row.id) || [];
+      page.cards = cards.get(row.id) || [];
+      return page;
+    }),
+    settings
+  };
+}
+
+// Remove rows whose ids are no longer present in the incoming list
+function deleteMissing(existingRows, keepIds, remove) {
+  const keep = new Set(keepIds);
+  for (const row of existingRows) {
+    const id = row.id ?? row.key;
+    if (!keep.has(id)) remove(id);
+  }
+}
+
+// Write a page together with its todos and cards, removing children it no longer has
+function writePage(page, position) {
+  stmts.upsertPage.run(pageToRow(page, position));
+
+  const todos = page.todos || [];
+  todos.forEach((todo, j) => stmts.upsertTodo.run(todoToRow(page.id, todo, j)));
+  deleteMissing(stmts.todoIds.all(page.id), todos.map(t => t.id), id => stmts.deleteTodo.run(page.id, id));
+
+  const cards = page.cards || [];
+  cards.forEach((card, j) => stmts.upsertCard.run(cardToRow(page.id, card, j)));
+  deleteMissing(stmts.cardIds.all(page.id), cards.map(c => c.id), id => stmts.deleteCard.run(page.id, id));
+}
+
+// With a `user`, only the workspaces they can see are replaced (callers check
+// permissions first, see checkDocumentAccess in server.js) and new
+// workspaces become theirs
+function writeDocument(data, reason = 'edit', user = null) {
+  const workspaces = data.workspaces || [];
+  const pages = data.pages || [];
+  const settings = data.settings || {};
+  const allowed = user ? accessibleWorkspaces(user) : null;
+  const visible = (workspaceId) => !allowed || allowed.has(workspaceId);
+  const pageIds = new Set(pages.map(p => p.id));
+
+  workspaces.forEach((ws, i) => {
+    const isNew = !stmts.getWorkspace.get(ws.id);
+    stmts.upsertWorkspace.run(workspaceToRow(ws, i));
+    if (user && isNew) stmts.upsertMember.run(ws.id, user.id, 'owner');
+  });
+  // Removed workspaces and pages go to the trash; pages that merely moved to
+  // another workspace stay
+  deleteMissing(stmts.workspaceIds.all().filter(row => visible(row.id)), workspaces.map(w => w.id),
+    id => trashWorkspace(id, user?.id, pageIds));
+
+  const existingPages = stmts.pageWorkspaces.all().filter(row => visible(row.workspace_id));
+  deleteMissing(existingPages, [...pageIds], id => trashPage(id, user?.id));
+  pages.forEach((page, i) => {
+    writePage(page, i);
+    recordRevision(page.id, reason);
+    indexPage(page.id);
+  });
+
+  if (user) {
+    writeUserSettings(user.id, settings, true);
+  } else {
+    for (const [key, value] of Object.entries(settings)) {
+      if (value !== undefined) stmts.upsertSetting.run(key, JSON.stringify(value));
+    }
+    deleteMissing(stmts.settingKeys.all(), Object.keys(settings), key => stmts.deleteSetting.run(key));
+  }
+
+  markUpdated();
+}
+
+const saveDocument = db.transaction(writeDocument);
+
+// Add or overwrite the given workspaces and pages, leaving everything else
+// as it is (see lib/merge.js for how an import decides which). Items carry
+// their final ids; new workspaces become `userId`'s.
+const mergeDocument = db.transaction(({ workspaces, pages }, userId = null) => {
+  for (const ws of workspaces) {
+    const row = stmts.getWorkspace.get(ws.id);
+    stmts.upsertWorkspace.run(workspaceToRow(ws, row ? row.position : stmts.nextWorkspacePosition.get().position));
+    if (!row && userId) stmts.upsertMember.run(ws.id, userId, 'owner');
+  }
+
+  for (const page of pages) {
+    const row = stmts.getPage.get(page.id);
+    writePage(page, row ? row.position : stmts.nextPagePosition.get().position);
+    recordRevision(page.id, 'import');
+    indexPage(page.id);
+  }
+
+  markUpdated();
+  return {
+    workspaces: workspaces.map(ws => rowToWorkspace(stmts.getWorkspace.get(ws.id))),
+    pages: pages.map(page => readPage(page.id))
+  };
+});
+
+// ============================================
+// REVISIONS
+// ============================================
+
+// Every page keeps timestamped snapshots of its content, todos, cards and
+// canvas. The newest revision always mirrors the live page: edits within
+// REVISION_INTERVAL of it update it in place, anything older (or an import,
+// restore or delete) starts a new one. That way the state just before any
+// bulk change is always recoverable.
+const REVISION_INTERVAL = 10 * 60 * 1000;
+const REVISION_LIMIT = parseInt(process.env.HACKNOTE_REVISION_LIMIT) || 50;
+const REVISION_DAYS = parseInt(process.env.HACKNOTE_REVISION_DAYS) || 90;
+
+function pageSnapshot(pageId) {
+  const page = readPage(pageId);
+  if (!page) return null;
+  delete page.updatedAt;
+  delete page.version;
+  return page;
+}
+
+function recordRevision(pageId, reason) {
+  const page = pageSnapshot(pageId);
+  if (!page) return;
+
+  const now = Date.now();
+  const snapshot = JSON.stringify(page);
+  const latest = stmts.latestRevision.get(pageId);
+  const row = {
+    page_id: pageId,
+    workspace_id: orNull(page.workspaceId),
+    title: page.title ?? '',
+    reason,
+    snapshot,
+    created_at: now
+  };
+
+  if (latest && reason !== 'delete') {
+    if (latest.snapshot === snapshot) return;
+
+    if (reason === 'edit' && latest.reason === 'edit' && now - latest.created_at < REVISION_INTERVAL) {
+      stmts.replaceRevision.run({ ...row, id: latest.id });
+      return;
+    }
+  }
+
+  stmts.insertRevision.run(row);
+  stmts.pruneRevisionsByCount.run({ page_id: pageId, keep: REVISION_LIMIT });
+}
+
+function rowToRevision(row) {
+  return assignDefined({}, {
+    id: row.id,
+    pageId: row.page_id,
+    workspaceId: row.workspace_id,
+    title: row.title,
+    reason: row.reason,
+    createdAt: row.created_at,
+    size: row.size
+  });
+}
+
+// Put a page back the way a revision recorded it. Works for deleted pages
+// too; if the page's workspace is gone it lands in `fallbackWorkspaceId`.
+const restoreRevision = db.transaction((pageId, revisionId, fallbackWorkspaceId) => {
+  const revision = stmts.getRevision.get(pageId, revisionId);
+  if (!revision) return null;
+
+  const page = JSON.parse(revision.snapshot);
+  const existing = stmts.getPage.get(pageId);
+
+  if (existing) {
+    page.workspaceId = existing.workspace_id;
+  } else if (!page.workspaceId || !stmts.getWorkspace.get(page.workspaceId)) {
+    if (!fallbackWorkspaceId || !stmts.getWorkspace.get(fallbackWorkspaceId)) return null;
+    page.workspaceId = fallbackWorkspaceId;
+  }
+
+  page.updatedAt = Date.now();
+  writePage(page, existing ? existing.position : stmts.nextPagePosition.get().position);
+  stmts.deleteTrashedPage.run(pageId);
+  recordRevision(pageId, 'restore');
+  indexPage(pageId);
+  markUpdated();
+  return readPage(pageId);
+});
+
+function pruneRevisions() {
+  const cutoff = Date.now() - REVISION_DAYS * 24 * 60 * 60 * 1000;
+  return stmts.pruneRevisionsByAge.run({ cutoff }).changes;
+}
+
+// Pages that predate revision history get a baseline snapshot so their
+// first edit can be undone too. It has its own reason so that edit isn't
+// merged into it.
+const recordBaselineRevisions = db.transaction(() => {
+  for (const { id } of stmts.pagesWithoutRevisions.all()) {
+    recordRevision(id, 'baseline');
+  }
+});
+
+// ============================================
+// TRASH
+// ============================================
+
+// Deleted workspaces, pages, todos and cards are moved into `trash` as JSON
+// copies (a workspace along with its pages and members) and can be put back
+// until they're purged by hand or TRASH_DAYS after deletion.
+const TRASH_DAYS = parseInt(process.env.HACKNOTE_TRASH_DAYS) || 30;
+
+function addToTrash(kind, { itemId, pageId = null, workspaceId = null, title, data }, userId) {
+  stmts.insertTrash.run({
+    kind,
+    item_id: itemId,
+    page_id: pageId,
+    workspace_id: workspaceId,
+    title: title ?? '',
+    data: JSON.stringify(data),
+    deleted_at: Date.now(),
+    deleted_by: orNull(userId)
+  });
+}
+
+function trashPage(id, userId) {
+  const page = readPage(id);
+  if (!page) return false;
+
+  addToTrash('page', { itemId: id, workspaceId: page.workspaceId, title: page.title, data: page }, userId);
+  recordRevision(id, 'delete');
+  stmts.deletePage.run(id);
+  indexPage(id);
+  return true;
+}
+
+// `keepPageIds` are left out (a full save may move pages elsewhere first)
+function trashWorkspace(id, userId, keepPageIds = new Set()) {
+  const row = stmts.getWorkspace.get(id);
+  if (!row) return false;
+
+  const pageIds = stmts.pageIdsInWorkspace.all(id).map(p => p.id).filter(pageId => !keepPageIds.has(pageId));
+  addToTrash('workspace', {
+    itemId: id,
+    workspaceId: id,
+    title: row.name,
+    data: {
+      workspace: rowToWorkspace(row),
+      pages: pageIds.map(readPage),
+      members: stmts.memberRoles.all(id)
+    }
+  }, userId);
+
+  for (const pageId of pageIds) {
+    recordRevision(pageId, 'delete');
+    stmts.deletePage.run(pageId);
+    indexPage(pageId);
+  }
+  stmts.deleteWorkspace.run(id);
+  return true;
+}
+
+function trashChild(kind, pageId, item, userId) {
+  const page = stmts.getPage.get(pageId);
+  addToTrash(kind, {
+    itemId: item.id,
+    pageId,
+    workspaceId: page?.workspace_id,
+    title: kind === 'todo' ? item.text : item.title,
+    data: item
+  }, userId);
+}
+
+function rowToTrashItem(row, user = null) {
+  return assignDefined({}, {
+    id: row.id,
+    kind: row.kind,
+    itemId: row.item_id,
+    pageId: row.page_id,
+    pageTitle: row.page_title,
+    workspaceId: row.workspace_id,
+    workspaceName: row.workspace_name,
+    title: row.title,
+    deletedAt: row.deleted_at,
+    deletedBy: row.deleted_by,
+    purgeAt: row.deleted_at + TRASH_DAYS * 24 * 60 * 60 * 1000,
+    manageable: canManageTrash(user, row)
+  });
+}
+
+// Former members of a trashed workspace, or null for any other item
+function trashedMembers(row) {
+  return row.kind === 'workspace' ? JSON.parse(row.data).members : null;
+}
+
+// A trashed workspace is visible to its former members (admins for one that
+// had none); anything else follows access to its workspace, and admins also
+// see items whose workspace is gone
+function canSeeTrash(user, row, allowed) {
+  if (!user) return true;
+  const members = trashedMembers(row);
+  if (members) {
+    return members.length > 0 ? members.some(m => m.user_id === user.id) : user.isAdmin;
+  }
+  return allowed.has(row.workspace_id) || (user.isAdmin && !stmts.getWorkspace.get(row.workspace_id));
+}
+
+// Restoring or purging a workspace is left to its former owners
+function canManageTrash(user, row) {
+  const members = trashedMembers(row);
+  if (!user || !members) return true;
+  return members.length > 0 ? members.some(m => m.user_id === user.id && m.role === 'owner') : user.isAdmin;
+}
+
+function listTrash(user = null) {
+  const allowed = user ? accessibleWorkspaces(user) : null;
+  return stmts.listTrash.all()
+    .filter(row => canSeeTrash(user, row, allowed))
+    .map(row => rowToTrashItem(row, user));
+}
+
+// The trashed item with its full data, or null if it's not there (or `user`
+// can't see it)
+function getTrashItem(id, user = null) {
+  const row = stmts.getTrash.get(id);
+  if (!row || !canSeeTrash(user, row, user ? accessibleWorkspaces(user) : null)) return null;
+  return { ...rowToTrashItem(row, user), data: JSON.parse(row.data) };
+}
+
+// Put a trashed item back. A page can be sent to `workspaceId` instead of
+// the one it came from. The caller checks that nothing is in the way (the
+// item's id is free, its page or workspace exists). Returns what was restored:
+// { workspace, pages } for a workspace, { page } for a page, or { pageId,
+// todo } / { pageId, card }.
+const restoreTrashItem = db.transaction((id, { workspaceId = null, userId = null } = {}) => {
+  const row = stmts.getTrash.get(id);
+  if (!row) return null;
+  const data = JSON.parse(row.data);
+  let restored;
+
+  const restorePage = (page) => {
+    page.updatedAt = Date.now();
+    writePage(page, stmts.nextPagePosition.get().position);
+    recordRevision(page.id, 'restore');
+    indexPage(page.id);
+  };
+
+  switch (row.kind) {
+    case 'workspace': {
+      stmts.upsertWorkspace.run(workspaceToRow(data.workspace, stmts.nextWorkspacePosition.get().position));
+      const members = data.members.filter(m => stmts.getUser.get(m.user_id));
+      members.forEach(m => stmts.upsertMember.run(row.item_id, m.user_id, m.role));
+      if (members.length === 0 && userId) stmts.upsertMember.run(row.item_id, userId, 'owner');
+
+      // Pages brought back another way in the meantime stay as they are
+      const pages = data.pages.filter(page => !stmts.getPage.get(page.id));
+      pages.forEach(restorePage);
+      markUpdated();
+      restored = { workspace: rowToWorkspace(stmts.getWorkspace.get(row.item_id)), pages: pages.map(p => readPage(p.id)) };
+      break;
+    }
+
+    case 'page':
+      restorePage({ ...data, workspaceId: workspaceId || data.workspaceId });
+      markUpdated();
+      restored = { page: readPage(row.item_id) };
+      break;
+
+    case 'todo':
+      stmts.upsertTodo.run(todoToRow(row.page_id, data, stmts.nextTodoPosition.get(row.page_id).position));
+      touchPage(row.page_id);
+      restored = { pageId: row.page_id, todo: rowToTodo(stmts.getTodo.get(row.page_id, row.item_id)) };
+      break;
+
+    case 'card':
+      stmts.upsertCard.run(cardToRow(row.page_id, data, stmts.nextCardPosition.get(row.page_id).position));
+      touchPage(row.page_id);
+      restored = { pageId: row.page_id, card: rowToCard(stmts.getCard.get(row.page_id, row.item_id)) };
+      break;
+  }
+
+  stmts.deleteTrash.run(id);
+  return restored;
+});
+
+function purgeTrashItem(id) {
+  return stmts.deleteTrash.run(id).changes > 0;
+}
+
+// Purge everything in the trash `user` may purge. Returns the number removed.
+const emptyTrash = db.transaction((user = null) => {
+  const items = listTrash(user).filter(item => item.manageable);
+  items.forEach(item => stmts.deleteTrash.run(item.id));
+  return items.length;
+});
+
+// Purge items older than TRASH_DAYS. Returns the number removed.
+function pruneTrash() {
+  return stmts.pruneTrash.run(Date.now() - TRASH_DAYS * 24 * 60 * 60 * 1000).changes;
+}
+
+// ============================================
+// ASSETS
+// ============================================
+
+// Images are stored once per distinct content, keyed by SHA-256, and notes
+// refer to them as /api/assets/<hash>. Unreferenced assets are kept for
+// ASSET_GRACE_PERIOD so an upload isn't collected before the page that
+// uses it has been saved.
+const ASSET_URL_PREFIX = '/api/assets/';
+const ASSET_GRACE_PERIOD = 24 * 60 * 60 * 1000;
+const DATA_URL_PATTERN = /data:(image\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=]+)/gi;
+const ASSET_REF_PATTERN = /\/api\/assets\/([a-f0-9]{64})/g;
+
+function storeAsset(data, mime) {
+  const hash = crypto.createHash('sha256').update(data).digest('hex');
+  stmts.insertAsset.run({ hash, mime, size: data.length, data, created_at: Date.now() });
+  return { hash, mime, size: data.length, url: ASSET_URL_PREFIX + hash };
+}
+
+function readAsset(hash) {
+  return stmts.getAsset.get(hash) || null;
+}
+
+// Move inline base64 images (pasted by older clients or carried in imports)
+// into the asset store and return the text with URLs in their place
+function extractDataUrls(text) {
+  if (typeof text !== 'string' || !text.includes('data:image/')) return text;
+  return text.replace(DATA_URL_PATTERN, (match, mime, base64) => {
+    return storeAsset(Buffer.from(base64, 'base64'), mime.toLowerCase()).url;
+  });
+}
+
+// One-time cleanup for databases from before the asset store. Only the
+// representation changes, so versions and revisions aren't touched.
+const extractInlineAssets = db.transaction(() => {
+  let count = 0;
+  for (const row of stmts.pagesWithDataUrls.all()) {
+    stmts.setPageText.run({
+      id: row.id,
+      content: extractDataUrls(row.content),
+      markdown_content: extractDataUrls(row.markdown_content)
+    });
+    count++;
+  }
+  for (const row of stmts.revisionsWithDataUrls.all()) {
+    stmts.setRevisionSnapshot.run(extractDataUrls(row.snapshot), row.id);
+  }
+  if (count > 0) {
+    console.log(`\x1b[32m[DB]\x1b[0m Moved inline images from ${count} page(s) into the asset store`);
+  }
+});
+
+// Delete assets that nothing refers to any more. Returns the number removed.
+function collectAssets() {
+  const candidates = stmts.staleAssets.all(Date.now() - ASSET_GRACE_PERIOD);
+  if (candidates.length === 0) return 0;
+
+  const referenced = new Set();
+  for (const { text } of stmts.assetReferences.iterate()) {
+    for (const match of text.matchAll(ASSET_REF_PATTERN)) {
+      referenced.add(match[1]);
+    }
+  }
+
+  const orphans = candidates.filter(({ hash }) => !referenced.has(hash));
+  db.transaction(() => {
+    for (const { hash } of orphans) stmts.deleteAsset.run(hash);
+  })();
+  return orphans.length;
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+// Every page has one row in the FTS5 `search_index` table holding its plain
+// text. The row is rewritten whenever the page or its todos/cards change.
+// Bump SEARCH_INDEX_VERSION when the indexed text changes shape; the index
+// is then rebuilt on the next start.
+const SEARCH_INDEX_VERSION = '1';
+const SEARCH_LIMIT = 50;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function stripHtml(html) {
+  if (!html) return '';
+  const text = html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<(br|\/?(p|div|li|h[1-6]|tr|td|th|pre|blockquote))\b[^>]*>/gi, '\n')
+    .replace(/<[^>]*>/g, '');
+  return decodeEntities(text).replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+}
+
+// Link and image targets aren't worth finding; keep their text only
+function stripMarkdown(markdown) {
+  if (!markdown) return '';
+  return markdown.replace(/(!?\[[^\]]*\])\([^)]*\)/g, '$1');
+}
+
+// Rewrite (or remove, if the page is gone) a page's search entry
+function indexPage(pageId) {
+  stmts.deleteSearchEntry.run(pageId);
+  const page = readPage(pageId);
+  if (!page) return;
+
+  stmts.insertSearchEntry.run({
+    page_id: pageId,
+    title: page.title || '',
+    body: [stripHtml(page.content), stripMarkdown(page.markdownContent)].filter(Boolean).join('\n'),
+    todos: page.todos.map(t => t.text).join('\n'),
+    cards: page.cards.map(c => [c.title, c.description].filter(Boolean).join('\n')).join('\n')
+  });
+}
+
+const rebuildSearchIndex = db.transaction(() => {
+  stmts.clearSearchIndex.run();
+  for (const { id } of stmts.pageIds.all()) indexPage(id);
+  stmts.setMeta.run('search_index', SEARCH_INDEX_VERSION);
+});
+
+function ensureSearchIndex() {
+  if (stmts.getMeta.get('search_index')?.value !== SEARCH_INDEX_VERSION) {
+    rebuildSearchIndex();
+  }
+}
+
+// Turn free text into an FTS5 query: every word must match, and the last
+// one also matches as a prefix so results update while typing
+function toMatchQuery(text) {
+  const terms = String(text).match(/[\p{L}\p{N}_]+/gu);
+  if (!terms) return null;
+  return terms.map((term, i) => `"${term}"${i === terms.length - 1 ? '*' : ''}`).join(' ');
+}
+
+// Snippets come back with \x01/\x02 around matches; escape the text and
+// turn those into <mark> so the result is safe to insert as HTML
+function snippetToHtml(snippet) {
+  return snippet
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    .replace(/\x01/g, '<mark>').replace(/\x02/g, '</mark>')
+    .replace(/\n/g, ' ');
+}
+
+/**
+ * Ranked full-text search across all pages (the ones `user` can see, if given). Each result says which part of
+ * the page matched (`field`: body, todos, cards or title) and carries an
+ * HTML `snippet` with the matched words in <mark>.
+ */
+function searchPages(text, { workspaceId = null, limit = 20, user = null } = {}) {
+  const query = toMatchQuery(text);
+  if (!query) return [];
+
+  const rows = stmts.search.all({
+    query,
+    workspace_id: workspaceId,
+    workspace_ids: user ? JSON.stringify([...accessibleWorkspaces(user).keys()]) : null,
+    limit: Math.min(Math.max(limit, 1), SEARCH_LIMIT)
+  });
+
+  return rows.map(row => {
+    const field = ['body', 'todos', 'cards', 'title'].find(f => row[`${f}_snippet`].includes('\x01')) || 'title';
+    return {
+      pageId: row.page_id,
+      workspaceId: row.workspace_id,
+      workspaceName: row.workspace_name,
+      title: row.title,
+      type: row.type,
+      icon: row.icon,
+      field,
+      snippet: snippetToHtml(row[`${field}_snippet`])
+    };
+  });
+}
+
+// ============================================
+// GRANULAR ACCESS
+// ============================================
+
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+// Called once per write transaction. `data_version` counts writes across the
+// whole database and guards full-document saves against stale clients.
+function markUpdated() {
+  stmts.setMeta.run('updated_at', String(Date.now()));
+  stmts.setMeta.run('data_version', String(getDataVersion() + 1));
+}
+
+function getDataVersion() {
+  const row = stmts.getMeta.get('data_version');
+  return row ? parseInt(row.value, 10) : 0;
+}
+
+function readPage(id) {
+  const row = stmts.getPage.get(id);
+  if (!row) return null;
+  const page = rowToPage(row);
+  page.todos = stmts.todosForPage.all(id).map(rowToTodo);
+  page.cards = stmts.cardsForPage.all(id).map(rowToCard);
+  return page;
+}
+
+// Page listings leave out the heavy fields; fetch a single page for those
+function summarizePage(row) {
+  const { content, markdownContent, canvasData, ...summary } = rowToPage(row);
+  return summary;
+}
+
+const createWorkspace = db.transaction((workspace, ownerId = null) => {
+  const ws = { id: generateId(), createdAt: Date.now(), ...workspace };
+  stmts.upsertWorkspace.run(workspaceToRow(ws, stmts.nextWorkspacePosition.get().position));
+  if (ownerId) stmts.upsertMember.run(ws.id, ownerId, 'owner');
+  markUpdated();
+  return rowToWorkspace(stmts.getWorkspace.get(ws.id));
+});
+
+const updateWorkspace = db.transaction((id, fields) => {
+  const row = stmts.getWorkspace.get(id);
+  if (!row) return null;
+  stmts.upsertWorkspace.run(workspaceToRow({ ...rowToWorkspace(row), ...fields, id }, row.position));
+  markUpdated();
+  return rowToWorkspace(stmts.getWorkspace.get(id));
+});
+
+const deleteWorkspace = db.transaction((id, userId = null) => {
+  if (!trashWorkspace(id, userId)) return false;
+  markUpdated();
+  return true;
+});
+
+// What a new todo or card gets unless the request says otherwise
+function todoDefaults(todo) {
+  return { id: generateId(), completed: false, createdAt: Date.now(), ...todo };
+}
+
+function cardDefaults(card) {
+  return { id: generateId(), description: '', priority: 'medium', createdAt: Date.now(), ...card };
+}
+
+const createPage = db.transaction((page) => {
+  const now = Date.now();
+  const { todos = [], cards = [], ...fields } = page;
+  const newPage = { id: generateId(), title: 'Untitled', type: 'notes', createdAt: now, updatedAt: now, ...fields };
+
+  stmts.upsertPage.run(pageToRow(newPage, stmts.nextPagePosition.get().position));
+  todos.forEach((todo, i) => stmts.upsertTodo.run(todoToRow(newPage.id, todoDefaults(todo), i)));
+  cards.forEach((card, i) => stmts.upsertCard.run(cardToRow(newPage.id, cardDefaults(card), i)));
+  recordRevision(newPage.id, 'edit');
+  indexPage(newPage.id);
+  markUpdated();
+  return readPage(newPage.id);
+});
+
+const updatePage = db.transaction((id, fields) => {
+  const row = stmts.getPage.get(id);
+  if (!row) return null;
+  const page = { ...rowToPage(row), ...fields, id, updatedAt: Date.now() };
+  stmts.upsertPage.run(pageToRow(page, row.position));
+  recordRevision(id, 'edit');
+  indexPage(id);
+  markUpdated();
+  return readPage(id);
+});
+
+const deletePage = db.transaction((id, userId = null) => {
+  const deleted = trashPage(id, userId);
+  if (deleted) markUpdated();
+  return deleted;
+});
+
+// Todos and cards are children of a page; changing one bumps the page's updatedAt
+function touchPage(pageId) {
+  stmts.touchPage.run(Date.now(), pageId);
+  recordRevision(pageId, 'edit');
+  indexPage(pageId);
+  markUpdated();
+}
+
+const addTodo = db.transaction((pageId, todo) => {
+  if (!stmts.getPage.get(pageId)) return null;
+  const newTodo = todoDefaults(todo);
+  stmts.upsertTodo.run(todoToRow(pageId, newTodo, stmts.nextTodoPosition.get(pageId).position));
+  touchPage(pageId);
+  return rowToTodo(stmts.getTodo.get(pageId, newTodo.id));
+});
+
+const updateTodo = db.transaction((pageId, id, fields) => {
+  const row = stmts.getTodo.get(pageId, id);
+  if (!row) return null;
+  stmts.upsertTodo.run(todoToRow(pageId, { ...rowToTodo(row), ...fields, id }, row.position));
+  touchPage(pageId);
+  return rowToTodo(stmts.getTodo.get(pageId, id));
+});
+
+const deleteTodo = db.transaction((pageId, id, userId = null) => {
+  const row = stmts.getTodo.get(pageId, id);
+  if (!row) return false;
+  trashChild('todo', pageId, rowToTodo(row), userId);
+  stmts.deleteTodo.run(pageId, id);
+  touchPage(pageId);
+  return true;
+});
+
+const clearCompletedTodos = db.transaction((pageId, userId = null) => {
+  const rows = stmts.completedTodos.all(pageId);
+  for (const row of rows) {
+    trashChild('todo', pageId, rowToTodo(row), userId);
+  }
+  stmts.deleteCompletedTodos.run(pageId);
+  if (rows.length > 0) touchPage(pageId);
+  return rows.length;
+});
+
+const addCard = db.transaction((pageId, card) => {
+  if (!stmts.getPage.get(pageId)) return null;
+  const newCard = cardDefaults(card);
+  stmts.upsertCard.run(cardToRow(pageId, newCard, stmts.nextCardPosition.get(pageId).position));
+  touchPage(pageId);
+  return rowToCard(stmts.getCard.get(pageId, newCard.id));
+});
+
+const updateCard = db.transaction((pageId, id, fields) => {
+  const row = stmts.getCard.get(pageId, id);
+  if (!row) return null;
+  stmts.upsertCard.run(cardToRow(pageId, { ...rowToCard(row), ...fields, id }, row.position));
+  touchPage(pageId);
+  return rowToCard(stmts.getCard.get(pageId, id));
+});
+
+const deleteCard = db.transaction((pageId, id, userId = null) => {
+  const row = stmts.getCard.get(pageId, id);
+  if (!row) return false;
+  trashChild('card', pageId, rowToCard(row), userId);
+  stmts.deleteCard.run(pageId, id);
+  touchPage(pageId);
+  return true;
+});
+
+// Settings belong to a user; without one the shared settings (used before
+// accounts existed, and copied to the first account) are read and written
+const updateSettings = db.transaction((fields, userId = null) => {
+  if (userId) {
+    writeUserSettings(userId, fields, false);
+  } else {
+    for (const [key, value] of Object.entries(fields)) {
+      stmts.upsertSetting.run(key, JSON.stringify(value));
+    }
+  }
+  markUpdated();
+  return readSettings(userId);
+});
+
+function readSettings(userId = null) {
+  const settings = {};
+  const rows = userId ? stmts.userSettings.all(userId) : stmts.allSettings.all();
+  for (const row of rows) {
+    settings[row.key] = JSON.parse(row.value);
+  }
+  return settings;
+}
+
+function writeUserSettings(userId, settings, replace) {
+  for (const [key, value] of Object.entries(settings)) {
+    if (value !== undefined) stmts.upsertUserSetting.run(userId, key, JSON.stringify(value));
+  }
+  if (replace) {
+    const keys = new Set(Object.keys(settings));
+    for (const { key } of stmts.userSettings.all(userId)) {
+      if (!keys.has(key)) stmts.deleteUserSetting.run(userId, key);
+    }
+  }
+}
+
+// ============================================
+// USERS & ACCESS
+// ============================================
+
+function rowToUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    isAdmin: row.is_admin === 1,
+    createdAt: row.created_at
+  };
+}
+
+// The first account becomes an admin and inherits everything created before
+// accounts existed: all workspaces (as owner) and the shared settings
+const createUser = db.transaction(({ username, passwordHash, isAdmin = false }) => {
+  const first = stmts.countUsers.get().count === 0;
+  const user = {
+    id: generateId(),
+    username,
+    password_hash: passwordHash,
+    is_admin: first || isAdmin ? 1 : 0,
+    created_at: Date.now()
+  };
+  stmts.insertUser.run(user);
+
+  if (first) {
+    for (const { id } of stmts.workspaceIds.all()) {
+      stmts.upsertMember.run(id, user.id, 'owner');
+    }
+    writeUserSettings(user.id, readSettings(), false);
+  }
+  return rowToUser(user);
+});
+
+// Workspaces the user would leave without an owner are handed to another member
+const deleteUser = db.transaction((id) => {
+  for (const { workspace_id } of stmts.soleOwnerships.all(id)) {
+    const heir = stmts.firstOtherMember.get(workspace_id, id);
+    if (heir) stmts.upsertMember.run(workspace_id, heir.user_id, 'owner');
+  }
+  return stmts.deleteUser.run(id).changes > 0;
+});
+
+const SESSION_DAYS = parseInt(process.env.HACKNOTE_SESSION_DAYS) || 30;
+
+function createSession(userId, tokenHash) {
+  const now = Date.now();
+  stmts.insertSession.run(tokenHash, userId, now, now + SESSION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function readSessionUser(tokenHash) {
+  const row = stmts.sessionUser.get(tokenHash, Date.now());
+  return row ? rowToUser(row) : null;
+}
+
+// Map of workspace id -> role ('owner' or 'member') for everything `user` can see
+function accessibleWorkspaces(user) {
+  const rows = stmts.accessibleWorkspaces.all({ user_id: user.id, is_admin: user.isAdmin ? 1 : 0 });
+  return new Map(rows.map(row => [row.id, row.role]));
+}
+
+function workspaceRole(user, workspaceId) {
+  return accessibleWorkspaces(user).get(workspaceId) || null;
+}
+
+// ============================================
+// SHARE LINKS
+// ============================================
+
+// A share link lets anyone holding its token read one page, without an
+// account. Deleting the page (or the link) revokes it.
+function rowToShareLink(row) {
+  return {
+    id: row.id,
+    token: row.token,
+    pageId: row.page_id,
+    createdBy: row.username ?? null,
+    createdAt: row.created_at
+  };
+}
+
+function createShareLink(pageId, userId) {
+  const link = {
+    id: generateId(),
+    token: crypto.randomBytes(24).toString('base64url'),
+    page_id: pageId,
+    created_by: userId,
+    created_at: Date.now()
+  };
+  stmts.insertShareLink.run(link);
+  return rowToShareLink(stmts.pageShareLinks.all(pageId).find(row => row.id === link.id));
+}
+
+// The page a link shares, with its todos and cards, or null for a token
+// that doesn't exist (any more)
+function readSharedPage(token) {
+  const pageId = stmts.shareLinkPage.get(token);
+  return pageId ? readPage(pageId) : null;
+}
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+// Webhooks describe the server rather than its data, so changing them doesn't
+// bump data_version and restoring a snapshot leaves them alone. Each keeps a
+// log of its last DELIVERY_LOG_SIZE deliveries.
+const DELIVERY_LOG_SIZE = 100;
+
+function rowToWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    secret: row.secret,
+    active: row.active === 1,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+function webhookToRow(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: JSON.stringify(webhook.events),
+    secret: webhook.secret,
+    active: webhook.active ? 1 : 0,
+    created_by: webhook.createdBy ?? null,
+    created_at: webhook.createdAt
+  };
+}
+
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    createdAt: row.created_at,
+    attemptedAt: row.attempted_at,
+    nextAttemptAt: row.next_attempt_at
+  };
+}
+
+function createWebhook(fields, userId) {
+  const webhook = { id: generateId(), active: true, ...fields, createdBy: userId, createdAt: Date.now() };
+  stmts.insertWebhook.run(webhookToRow(webhook));
+  return webhook;
+}
+
+// Apply the given fields; returns the updated webhook, or null if it's gone
+function updateWebhook(id, fields) {
+  const row = stmts.getWebhook.get(id);
+  if (!row) return null;
+  const webhook = assignDefined(rowToWebhook(row), fields);
+  stmts.updateWebhook.run(webhookToRow(webhook));
+  return webhook;
+}
+
+// Queue a delivery to be sent as soon as possible, and let the log forget
+// the oldest finished one
+const queueDelivery = db.transaction((webhookId, event, payload) => {
+  const now = Date.now();
+  const { lastInsertRowid } = stmts.insertDelivery.run(webhookId, event, payload, now, now);
+  stmts.pruneDeliveries.run({ webhook_id: webhookId, keep: DELIVERY_LOG_SIZE });
+  return rowToDelivery(stmts.getDelivery.get(lastInsertRowid));
+});
+
+// ============================================
+// LEGACY MIGRATION
+// ============================================
+
+// Older versions kept the whole app in a single `app_data` JSON row. Move it
+// into the normalized tables once, then keep the old table around renamed as
+// `app_data_legacy` so nothing is lost if the migration ever needs revisiting.
+function migrateLegacyBlob() {
+  const legacyTable = db.prepare(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'app_data'"
+  ).get();
+  if (!legacyTable) return;
+
+  db.transaction(() => {
+    const row = db.prepare('SELECT data FROM app_data WHERE id = 1').get();
     if (row) {
-      return JSON.parse(row.data);
+      writeDocument(migrations.migrate(JSON.parse(row.data)));
+      console.log('\x1b[32m[DB]\x1b[0m Migrated legacy app_data blob to normalized tables');
+    }
+    db.exec('ALTER TABLE app_data RENAME TO app_data_legacy');
+  })();
+}
+
+// ============================================
+// SCHEMA MIGRATIONS
+// ============================================
+
+// The schema version of the stored data is kept in meta; databases from
+// before it was recorded are version 1. Older data is upgraded through the
+// same migrations imports use (js/migrations.js), and data written by a
+// newer version is refused rather than risk mangling it.
+function migrateDocument() {
+  const stored = Number(stmts.getMeta.get('schema_version')?.value) || 1;
+  const current = migrations.CURRENT_VERSION;
+
+  if (stored > current) {
+    throw new Error(`hacknote.db uses schema ${stored} but this version of HackNote only understands up to ${current}; update HackNote to open it`);
+  }
+
+  if (stored === current) return;
+
+  // A new database has nothing to upgrade
+  const empty = !db.prepare('SELECT 1 FROM workspaces UNION ALL SELECT 1 FROM pages LIMIT 1').get();
+  db.transaction(() => {
+    if (!empty) {
+      writeDocument(migrations.migrate({ ...readDocument(), schemaVersion: stored }), 'migration');
     }
-    return null;
+    stmts.setMeta.run('schema_version', String(current));
+  })();
+  if (!empty) {
+    console.log(`\x1b[32m[DB]\x1b[0m Migrated data from schema ${stored} to ${current}`);
+  }
+}
+
+// ============================================
+// BACKUPS
+// ============================================
+
+// A consistent copy of the live database, made with SQLite's online backup
+// so it can run while the server keeps serving requests. Returns a promise.
+function backupTo(file) {
+  return db.backup(file);
+}
+
+// Tables a restore leaves alone: sessions, so nobody is signed out by it,
+// webhooks and their deliveries, which belong to the server, and the search
+// index, which is rebuilt from the restored pages instead
+function restoredTables() {
+  return db.prepare(`
+    SELECT name FROM main.sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite%' AND name NOT LIKE 'search_index%'
+      AND name NOT IN ('sessions', 'webhooks', 'webhook_deliveries')
+  `).pluck().all();
+}
+
+/**
+ * Replace the data in the live database with the contents of a snapshot
+ * file, in a single transaction: if anything fails, nothing changes.
+ * Snapshots from older versions are fine; columns they lack get their
+ * defaults and the data is migrated afterwards. Sessions of users that don't
+ * exist in the snapshot are ended.
+ */
+function restoreSnapshot(file) {
+  const snapshot = new Database(file, { readonly: true, fileMustExist: true });
+  let snapshotTables;
+  try {
+    const check = snapshot.pragma('quick_check', { simple: true });
+    if (check !== 'ok') throw new Error(`Snapshot is damaged: ${check}`);
+    snapshotTables = snapshot.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").pluck().all();
+  } finally {
+    snapshot.close();
+  }
+  if (!snapshotTables.includes('workspaces') || !snapshotTables.includes('pages')) {
+    throw new Error('Snapshot is not a HackNote database');
+  }
+
+  const dataVersion = getDataVersion();
+  db.prepare('ATTACH DATABASE ? AS snapshot').run(file);
+  // Rows are copied in any order, so foreign keys are checked once at the end
+  // instead of cascading along the way
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      for (const table of restoredTables()) {
+        db.exec(`DELETE FROM main.${table}`);
+        if (!snapshotTables.includes(table)) continue;
+
+        const available = new Set(db.prepare(`PRAGMA snapshot.table_info(${table})`).all().map(c => c.name));
+        const columns = db.prepare(`PRAGMA main.table_info(${table})`).all()
+          .map(c => c.name)
+          .filter(name => available.has(name))
+          .join(', ');
+        db.exec(`INSERT INTO main.${table} (${columns}) SELECT ${columns} FROM snapshot.${table}`);
+      }
+
+      db.exec('DELETE FROM sessions WHERE user_id NOT IN (SELECT id FROM users)');
+      const problems = db.pragma('foreign_key_check');
+      if (problems.length > 0) {
+        throw new Error(`Snapshot has ${problems.length} broken reference(s), starting in ${problems[0].table}`);
+      }
+
+      // Keep counting up from the live value so clients don't mistake the
+      // restored data for a state they've already seen
+      stmts.setMeta.run('data_version', String(dataVersion));
+    })();
+  } finally {
+    db.pragma('foreign_keys = ON');
+    db.exec('DETACH DATABASE snapshot');
+  }
+
+  migrateDocument();
+  recordBaselineRevisions();
+  rebuildSearchIndex();
+  markUpdated();
+}
+
+migrateLegacyBlob();
+migrateDocument();
+extractInlineAssets();
+recordBaselineRevisions();
+pruneRevisions();
+pruneTrash();
+collectAssets();
+ensureSearchIndex();
+stmts.pruneSessions.run(Date.now());
+
+module.exports = {
+  load(user) {
+    return readDocument(user);
+  },
+
+  getDataVersion,
+
+  // `reason` is recorded on the page revisions this save creates; pass
+  // 'import' so a bulk replace always starts fresh revisions
+  save(data, reason, user) {
+    saveDocument(data, reason, user);
+  },
+
+  mergeDocument,
+
+  // Workspaces
+  listWorkspaces() {
+    return stmts.allWorkspaces.all().map(rowToWorkspace);
+  },
+
+  getWorkspace(id) {
+    const row = stmts.getWorkspace.get(id);
+    return row ? rowToWorkspace(row) : null;
+  },
+
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+
+  // Pages
+  listPages(workspaceId) {
+    return stmts.pagesInWorkspace.all(workspaceId).map(summarizePage);
+  },
+
+  getPage: readPage,
+
+  // Cheap lookup for permission checks
+  getPageWorkspaceId(id) {
+    return stmts.pageWorkspace.get(id)?.workspace_id ?? null;
+  },
+
+  createPage,
+  updatePage,
+  deletePage,
+
+  // Todos
+  listTodos(pageId) {
+    return stmts.todosForPage.all(pageId).map(rowToTodo);
+  },
+
+  getTodo(pageId, id) {
+    const row = stmts.getTodo.get(pageId, id);
+    return row ? rowToTodo(row) : null;
+  },
+
+  addTodo,
+  updateTodo,
+  deleteTodo,
+  clearCompletedTodos,
+
+  // Cards
+  listCards(pageId) {
+    return stmts.cardsForPage.all(pageId).map(rowToCard);
+  },
+
+  getCard(pageId, id) {
+    const row = stmts.getCard.get(pageId, id);
+    return row ? rowToCard(row) : null;
+  },
+
+  addCard,
+  updateCard,
+  deleteCard,
+
+  // Revisions
+  listRevisions(pageId) {
+    return stmts.listRevisions.all(pageId).map(rowToRevision);
+  },
+
+  getRevision(pageId, revisionId) {
+    const row = stmts.getRevision.get(pageId, revisionId);
+    if (!row) return null;
+    return { ...rowToRevision(row), page: JSON.parse(row.snapshot) };
+  },
+
+  listDeletedPages(user) {
+    const rows = stmts.deletedPageRevisions.all();
+    if (!user) return rows.map(rowToRevision);
+
+    // Pages from deleted workspaces only show up for admins
+    const allowed = accessibleWorkspaces(user);
+    return rows
+      .filter(row => allowed.has(row.workspace_id) || (user.isAdmin && !stmts.getWorkspace.get(row.workspace_id)))
+      .map(rowToRevision);
+  },
+
+  restoreRevision,
+  pruneRevisions,
+
+  // Trash
+  listTrash,
+  getTrashItem,
+  restoreTrashItem,
+  purgeTrashItem,
+  emptyTrash,
+  pruneTrash,
+
+  // Backups
+  backupTo,
+  restoreSnapshot,
+
+  // Search
+  search: searchPages,
+
+  // Assets
+  storeAsset,
+  getAsset: readAsset,
+  collectAssets,
+
+  // Settings
+  getSettings: readSettings,
+  updateSettings,
+
+  // Users
+  countUsers() {
+    return stmts.countUsers.get().count;
+  },
+
+  listUsers() {
+    return stmts.allUsers.all().map(rowToUser);
+  },
+
+  getUser(id) {
+    const row = stmts.getUser.get(id);
+    return row ? rowToUser(row) : null;
+  },
+
+  // Includes `passwordHash`, for checking a login
+  getUserCredentials(username) {
+    const row = stmts.getUserByName.get(username);
+    return row ? { ...rowToUser(row), passwordHash: row.password_hash } : null;
+  },
+
+  createUser,
+  deleteUser,
+
+  setPassword(id, passwordHash) {
+    stmts.setPassword.run(passwordHash, id);
+  },
+
+  // Sessions are looked up by a hash of their token, never the token itself
+  createSession,
+  getSessionUser: readSessionUser,
+
+  deleteSession(tokenHash) {
+    stmts.deleteSession.run(tokenHash);
+  },
+
+  // Sign a user out everywhere, optionally keeping one session
+  deleteUserSessions(userId, keepTokenHash = null) {
+    stmts.deleteUserSessions.run(userId, keepTokenHash);
+  },
+
+  pruneSessions() {
+    return stmts.pruneSessions.run(Date.now()).changes;
+  },
+
+  // Workspace access
+  accessibleWorkspaces,
+  workspaceRole,
+
+  listMembers(workspaceId) {
+    return stmts.members.all(workspaceId);
+  },
+
+  setMember(workspaceId, userId, role) {
+    stmts.upsertMember.run(workspaceId, userId, role);
+  },
+
+  removeMember(workspaceId, userId) {
+    return stmts.deleteMember.run(workspaceId, userId).changes > 0;
+  },
+
+  // Share links
+  listShareLinks(pageId) {
+    return stmts.pageShareLinks.all(pageId).map(rowToShareLink);
+  },
+
+  createShareLink,
+
+  deleteShareLink(pageId, id) {
+    return stmts.deleteShareLink.run(pageId, id).changes > 0;
+  },
+
+  getSharedPage: readSharedPage,
+
+  // Webhooks
+  listWebhooks() {
+    return stmts.allWebhooks.all().map(rowToWebhook);
+  },
+
+  activeWebhooks() {
+    return stmts.activeWebhooks.all().map(rowToWebhook);
+  },
+
+  getWebhook(id) {
+    const row = stmts.getWebhook.get(id);
+    return row ? rowToWebhook(row) : null;
+  },
+
+  createWebhook,
+  updateWebhook,
+
+  deleteWebhook(id) {
+    return stmts.deleteWebhook.run(id).changes > 0;
+  },
+
+  queueDelivery,
+
+  getDelivery(id) {
+    const row = stmts.getDelivery.get(id);
+    return row ? rowToDelivery(row) : null;
+  },
+
+  // Newest first
+  listDeliveries(webhookId, limit = DELIVERY_LOG_SIZE) {
+    return stmts.webhookDeliveries.all(webhookId, limit).map(rowToDelivery);
+  },
+
+  // The pending delivery whose next attempt is due, oldest first
+  dueDelivery() {
+    const row = stmts.dueDelivery.get(Date.now());
+    return row ? rowToDelivery(row) : null;
+  },
+
+  // When the next pending delivery is due, or null when none is waiting
+  nextDeliveryAt() {
+    return stmts.nextDueAt.get();
+  },
+
+  // `status` is 'delivered', 'failed' or (to try again at `nextAttemptAt`) 'pending'
+  recordAttempt(id, { status, attempts, responseStatus = null, error = null, nextAttemptAt = null }) {
+    stmts.recordAttempt.run({
+      id,
+      status,
+      attempts,
+      response_status: responseStatus,
+      error,
+      attempted_at: Date.now(),
+      next_attempt_at: nextAttemptAt
+    });
   },
 
-  save(data) {
-    const jsonData = JSON.stringify(data);
-    upsertData.run(jsonData, Date.now());
+  // Send a delivery again from its first attempt
+  retryDelivery(id) {
+    stmts.retryDelivery.run(Date.now(), id);
   },
 
   close() {
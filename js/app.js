@@ -22,16 +22,71 @@ class HackNote {
     this.editingCard = null;
     this.draggedCard = null;
 
+    // Persistence
+    this._pendingPageSaves = new Map();
+    this._writeQueue = Promise.resolve();
+    this.outbox = [];
+    this.rejectedWrites = [];
+    this.syncState = 'saved';
+    this._localStore = null;
+    this._snapshotTimeout = null;
+    this._retryTimeout = null;
+    this._retryDelay = 0;
+    this._replayVersions = new Map();
+    this._shadows = new WeakMap();
+    this._inFlightPageSaves = new Map();
+
+    // Search
+    this._searchTimeout = null;
+    this._searchSeq = 0;
+    this.searchResults = [];
+    this.searchIndex = -1;
+
+    // Import
+    this.pendingImport = null;
+    this.importPlan = null;
+    this.importResolutions = {};
+    // Workspace a markdown or other app's import goes into
+    this.markdownWorkspaceId = null;
+
+    // Trash
+    this.trash = [];
+    this.trashOpen = false;
+
+    // Live sync
+    this.clientId = this.generateId();
+    this._events = null;
+
+    // Account
+    this.user = null;
+    this.authMode = 'login';
+    this._signIn = null;
+    this.backups = [];
+    this.webhooks = [];
+    this.deliveriesWebhookId = null;
+    this.sharePageId = null;
+    this.shareLinks = [];
+
     // Initialize
     this.init();
   }
 
   async init() {
+    this.registerServiceWorker();
+    this.bindAuthEvents();
+    await this.authenticate();
+    await this.loadOutbox();
     await this.loadData();
     this.bindEvents();
     this.renderSidebar();
     this.updateStats();
     this.applySettings();
+    this.connectEvents();
+
+    // Send edits left over from a session that ended before they got through
+    if (this.outbox.length > 0) {
+      this.resync();
+    }
 
     console.log('%c[HACKNOTE] System initialized', 'color: #00ff9d');
   }
@@ -42,23 +97,32 @@ class HackNote {
 
   async loadData() {
     try {
-      const response = await fetch('/api/data');
-      if (response.ok) {
-        const data = await response.json();
-        this.workspaces = data.workspaces || [];
-        this.pages = data.pages || [];
-        this.settings = { ...this.settings, ...data.settings };
+      const snapshot = await this.localStore('snapshots', 'get', this.user.id);
+
+      if (snapshot && this.outbox.length > 0) {
+        // Show unsynced edits as they were left until they have been sent
+        this.applyData(snapshot);
+      } else {
+        try {
+          this.applyData(await this.api('GET', '/api/data'));
+          this.saveSnapshot();
+        } catch (err) {
+          if (!err.offline || !snapshot) throw err;
+          this.applyData(snapshot);
+          this.setSyncState('offline');
+        }
       }
 
       // Create default workspace if none exists
       if (this.workspaces.length === 0) {
-        this.workspaces.push({
+        const workspace = {
           id: this.generateId(),
           name: 'My Workspace',
           icon: '\u2302',
           createdAt: Date.now()
-        });
-        this.saveData();
+        };
+        this.workspaces.push(workspace);
+        this.persist('POST', '/api/workspaces', workspace, workspace);
       }
 
       this.currentWorkspace = this.workspaces[0];
@@ -67,1002 +131,3063 @@ class HackNote {
     }
   }
 
-  saveData() {
-    const data = {
-      workspaces: this.workspaces,
-      pages: this.pages,
-      settings: this.settings,
-      savedAt: Date.now()
-    };
+  applyData(data) {
+    this.workspaces = data.workspaces || [];
+    this.pages = data.pages || [];
+    this.settings = { ...this.settings, ...data.settings };
 
-    // Debounce saves to avoid excessive API calls
-    if (this._saveTimeout) {
-      clearTimeout(this._saveTimeout);
-    }
-    this._saveTimeout = setTimeout(() => {
-      fetch('/api/data', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(data)
-      }).catch(err => {
-        console.error('[HACKNOTE] Failed to save data:', err);
-      });
-    }, 300);
+    this.workspaces.forEach(ws => this.remember(ws, ws));
+    this.pages.forEach(page => this.remember(page, page));
   }
 
-  generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  // Replace local state with the server's copy, keeping the current selection
+  async reloadData() {
+    const data = await this.api('GET', '/api/data');
+    const workspaceId = this.currentWorkspace?.id;
+    const pageId = this.currentPage?.id;
+
+    this.applyData(data);
+    this.currentWorkspace = this.workspaces.find(w => w.id === workspaceId) || this.workspaces[0];
+    this.currentPage = this.pages.find(p => p.id === pageId) || null;
+
+    if (this.currentPage) {
+      this.selectPage(this.currentPage.id);
+    } else {
+      this.showWelcome();
+    }
+    this.renderSidebar();
+    this.applySettings();
+    this.saveSnapshot();
   }
 
-  // ============================================
-  // EVENT BINDINGS
-  // ============================================
+  // Send a request to the REST API and return the parsed JSON response.
+  // Errors carry `offline` when the server couldn't be reached at all.
+  async api(method, url, body, headers = {}) {
+    const options = { method, headers: { 'X-Client-Id': this.clientId, ...headers } };
+    if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
 
-  bindEvents() {
-    // Sidebar toggle
-    document.getElementById('sidebarToggle').addEventListener('click', () => {
-      document.getElementById('sidebar').classList.toggle('collapsed');
-    });
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (err) {
+      err.offline = true;
+      throw err;
+    }
 
-    // Canvas expand toggle
-    document.getElementById('canvasExpandBtn').addEventListener('click', () => {
-      this.toggleCanvasFullscreen();
-    });
+    // The session ran out: sign in again, then repeat the request
+    if (response.status === 401 && !url.startsWith('/api/auth/')) {
+      await this.signIn();
+      return this.api(method, url, body, headers);
+    }
 
-    // Add workspace
-    document.getElementById('addWorkspace').addEventListener('click', () => {
-      this.createWorkspace();
-    });
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
 
-    // Add page
-    document.getElementById('addPage').addEventListener('click', () => {
-      this.createPage();
-    });
+    if (!response.ok) {
+      const err = new Error(data?.error || `Request failed with status ${response.status}`);
+      err.status = response.status;
+      err.data = data;
+      // A proxy answering for a server that is down
+      err.offline = [502, 503, 504].includes(response.status);
+      throw err;
+    }
+    return data;
+  }
 
-    // Welcome new page button
-    document.getElementById('welcomeNewPage').addEventListener('click', () => {
-      this.createPage();
-    });
+  // Queue a write. Writes run one at a time so the server sees them in the
+  // same order they happened here (e.g. a page is created before it is edited).
+  // `target` is the local object being written; its version is sent along so
+  // the server can refuse changes based on a stale copy.
+  // Queued writes are also kept in IndexedDB until the server has them, so
+  // nothing is lost while it's unreachable or when the tab is closed.
+  // Resolves once the write has been sent.
+  persist(method, url, body, target = null) {
+    // Copy the body now: the object may change again before its turn comes
+    if (body !== undefined) body = JSON.parse(JSON.stringify(body));
+
+    // What is stored: enough to send the write again after a reload, including
+    // the version and copy it was based on for conflict checks
+    const record = {
+      userId: this.user.id,
+      method,
+      url,
+      body,
+      version: target?.version,
+      base: target ? this._shadows.get(target) : undefined,
+      queuedAt: Date.now()
+    };
+    const entry = { record, target };
+    const done = new Promise(resolve => { entry.resolve = resolve; });
 
-    // Page type buttons
-    document.querySelectorAll('.type-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        if (this.currentPage) {
-          this.setPageType(btn.dataset.type);
-        }
-      });
+    this.outbox.push(entry);
+    entry.stored = this.localStore('outbox', 'add', record).catch(err => {
+      console.error('[HACKNOTE] Failed to store queued change:', err);
     });
+    this.saveSnapshot();
+    this.flushOutbox();
+    return done;
+  }
 
-    // Page title
-    document.getElementById('pageTitle').addEventListener('input', (e) => {
-      if (this.currentPage) {
-        this.currentPage.title = e.target.value;
-        this.saveData();
-        this.renderSidebar();
-      }
-    });
+  async sendWrite(method, url, body, target) {
+    const headers = target?.version !== undefined ? { 'If-Match': String(target.version) } : {};
 
-    // Delete page
-    document.getElementById('deletePageBtn').addEventListener('click', () => {
-      if (this.currentPage) {
-        this.deletePage(this.currentPage.id);
+    try {
+      const result = await this.api(method, url, body, headers);
+      if (target && result?.version !== undefined) {
+        this.remember(target, result);
       }
-    });
-
-    // Rich text editor content
-    document.getElementById('notesContent').addEventListener('input', (e) => {
-      if (this.currentPage) {
-        this.currentPage.content = e.target.innerHTML;
-        this.saveData();
+      return result;
+    } catch (err) {
+      if (err.status === 409 && target && method !== 'POST') {
+        return this.resolveConflict(method, url, body, target, err.data?.current);
       }
-    });
+      // Not allowed (e.g. a member deleting a workspace): show the server's copy again
+      if (err.status === 403) {
+        alert(err.message);
+        return this.reloadData();
+      }
+      throw err;
+    }
+  }
 
-    // Markdown editor content
-    document.getElementById('markdownContent').addEventListener('input', (e) => {
-      if (this.currentPage) {
-        this.currentPage.markdownContent = e.target.value;
-        this.saveData();
+  // Record the server's copy of an object: its version for the next write and
+  // a snapshot to tell our edits apart from someone else's on a conflict
+  remember(target, serverCopy) {
+    target.version = serverCopy.version;
+    this._shadows.set(target, JSON.parse(JSON.stringify(serverCopy)));
+
+    // Pages come back with their todos and cards
+    for (const key of ['todos', 'cards']) {
+      if (!Array.isArray(target[key]) || !Array.isArray(serverCopy[key])) continue;
+      for (const item of target[key]) {
+        const copy = serverCopy[key].find(c => c.id === item.id);
+        if (copy) this.remember(item, copy);
       }
-    });
+    }
+  }
 
-    // Toolbar buttons
-    document.querySelectorAll('.toolbar-btn[data-command]').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.executeCommand(btn.dataset.command, btn.dataset.value);
-      });
-    });
+  // Collect changed page fields and send them as one PATCH once typing pauses
+  savePage(page, fields) {
+    const pending = this._pendingPageSaves.get(page.id) || { fields: {}, timeout: null };
+    Object.assign(pending.fields, fields);
+    clearTimeout(pending.timeout);
+    pending.timeout = setTimeout(() => this.flushPageSave(page.id), 300);
+    this._pendingPageSaves.set(page.id, pending);
+  }
 
-    // Markdown toggle
-    document.getElementById('markdownToggle').addEventListener('click', () => {
-      this.toggleMarkdownMode();
-    });
+  flushPageSave(pageId) {
+    const pending = this._pendingPageSaves.get(pageId);
+    if (!pending) return;
 
-    // Image upload
-    document.getElementById('insertImageBtn').addEventListener('click', () => {
-      document.getElementById('imageUpload').click();
-    });
+    clearTimeout(pending.timeout);
+    this._pendingPageSaves.delete(pageId);
 
-    document.getElementById('imageUpload').addEventListener('change', (e) => {
-      this.handleImageUpload(e);
-    });
+    // Page was deleted while the edit was waiting
+    if (!this.pages.some(p => p.id === pageId)) return;
 
-    // Support drag and drop images into notes
-    document.getElementById('notesContent').addEventListener('drop', (e) => {
-      e.preventDefault();
-      const files = e.dataTransfer.files;
-      if (files.length > 0 && files[0].type.startsWith('image/')) {
-        this.insertImage(files[0]);
+    const sent = this._inFlightPageSaves.get(pageId) || new Set();
+    sent.add(pending.fields);
+    this._inFlightPageSaves.set(pageId, sent);
+
+    this.persist('PATCH', `/api/pages/${pageId}`, pending.fields, this.pages.find(p => p.id === pageId))
+      .then(() => sent.delete(pending.fields));
+  }
+
+  // Send any edits still waiting on the debounce
+  saveData() {
+    for (const pageId of [...this._pendingPageSaves.keys()]) {
+      this.flushPageSave(pageId);
+    }
+  }
+
+  generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  // ============================================
+  // CONFLICTS
+  // ============================================
+
+  // Another tab or machine changed the item since we last saw it. Changes to
+  // fields we didn't touch are taken silently; if both sides changed the same
+  // field the user picks between merging, keeping theirs or keeping ours.
+  async resolveConflict(method, url, body, target, current) {
+    if (!current || method === 'DELETE') {
+      if (current && confirm('This item was changed in another tab or window. Delete it anyway?')) {
+        return this.api(method, url);
       }
-    });
+      await this.reloadData();
+      return null;
+    }
 
-    document.getElementById('notesContent').addEventListener('dragover', (e) => {
-      e.preventDefault();
-      e.target.closest('.notes-editor')?.classList.add('drag-over');
-    });
+    const base = this._shadows.get(target) || {};
+    const fields = Object.keys(body);
 
-    document.getElementById('notesContent').addEventListener('dragleave', (e) => {
-      e.target.closest('.notes-editor')?.classList.remove('drag-over');
-    });
+    for (const [key, value] of Object.entries(current)) {
+      if (!fields.includes(key) && key !== 'todos' && key !== 'cards') {
+        target[key] = value;
+      }
+    }
 
-    document.getElementById('notesContent').addEventListener('drop', (e) => {
-      e.target.closest('.notes-editor')?.classList.remove('drag-over');
-    }, true);
+    const conflicts = fields.filter(key =>
+      !this.sameValue(current[key], base[key]) && !this.sameValue(current[key], body[key])
+    );
 
-    // Support paste images into notes
-    document.getElementById('notesContent').addEventListener('paste', (e) => {
-      const items = e.clipboardData?.items;
-      if (items) {
-        for (let item of items) {
-          if (item.type.startsWith('image/')) {
-            e.preventDefault();
-            const file = item.getAsFile();
-            this.insertImage(file);
-            break;
+    let resolved = body;
+    if (conflicts.length > 0) {
+      const choice = await this.askConflict(target, conflicts);
+
+      if (choice === 'theirs') {
+        fields.forEach(key => { target[key] = current[key]; });
+        this.remember(target, current);
+        this.refreshView();
+        return current;
+      }
+
+      if (choice === 'merge') {
+        resolved = { ...body };
+        for (const key of conflicts) {
+          if (typeof body[key] === 'string' && typeof current[key] === 'string') {
+            resolved[key] = this.mergeText(base[key] || '', body[key], current[key], key === 'content');
+            target[key] = resolved[key];
           }
         }
       }
+    }
+
+    // Retry on top of their version (this can conflict again if a third client wrote meanwhile)
+    target.version = current.version;
+    const result = await this.sendWrite(method, url, resolved, target);
+    this.refreshView();
+    return result;
+  }
+
+  askConflict(target, fields) {
+    const name = target.title || target.name || target.text || 'This item';
+    document.getElementById('conflictMessage').innerHTML =
+      `<strong>${this.escapeHtml(name)}</strong> was changed in another tab or window while you were editing ` +
+      `(${fields.map(f => this.escapeHtml(f)).join(', ')}).`;
+
+    this.showModal('conflictModal');
+
+    return new Promise(resolve => {
+      this._resolveConflictChoice = (choice) => {
+        this._resolveConflictChoice = null;
+        this.hideModal('conflictModal');
+        resolve(choice);
+      };
     });
+  }
 
-    // Keyboard shortcuts for formatting
-    document.getElementById('notesContent').addEventListener('keydown', (e) => {
-      if (e.ctrlKey || e.metaKey) {
-        switch (e.key.toLowerCase()) {
-          case 'b':
-            e.preventDefault();
-            this.executeCommand('bold');
-            break;
-          case 'i':
-            e.preventDefault();
-            this.executeCommand('italic');
-            break;
-          case 'u':
-            e.preventDefault();
-            this.executeCommand('underline');
-            break;
+  // Merge two edited copies of a text field against the version both started from
+  mergeText(base, mine, theirs, isHtml) {
+    const split = isHtml
+      ? (text) => text.split(/(?<=<\/(?:p|div|h[1-6]|li|ul|ol|pre|blockquote)>|<br\s*\/?>)/i)
+      : (text) => text.split('\n');
+    const merged = this.merge3(split(base), split(mine), split(theirs));
+    return merged.join(isHtml ? '' : '\n');
+  }
+
+  // Three-way line merge: lines removed on either side are dropped and lines
+  // added on either side are kept. Where both sides inserted different text at
+  // the same spot, ours comes first, then theirs.
+  merge3(base, mine, theirs) {
+    const edits = (lines) => {
+      const kept = new Array(base.length).fill(false);
+      const inserted = Array.from({ length: base.length + 1 }, () => []);
+      let i = 0;
+      for (const line of this.diffLines(base, lines)) {
+        if (line.type === 'same') {
+          kept[i++] = true;
+        } else if (line.type === 'remove') {
+          i++;
+        } else {
+          inserted[i].push(line.text);
         }
       }
-    });
+      return { kept, inserted };
+    };
 
-    // Todo input
-    document.getElementById('todoInput').addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' && e.target.value.trim()) {
-        this.addTodo(e.target.value.trim());
-        e.target.value = '';
-      }
-    });
+    const ours = edits(mine);
+    const other = edits(theirs);
+    const result = [];
 
-    document.getElementById('todoAddBtn').addEventListener('click', () => {
-      const input = document.getElementById('todoInput');
-      if (input.value.trim()) {
-        this.addTodo(input.value.trim());
-        input.value = '';
+    for (let i = 0; i <= base.length; i++) {
+      result.push(...ours.inserted[i]);
+      if (other.inserted[i].join('\n') !== ours.inserted[i].join('\n')) {
+        result.push(...other.inserted[i]);
       }
-    });
+      if (i < base.length && ours.kept[i] && other.kept[i]) {
+        result.push(base[i]);
+      }
+    }
+    return result;
+  }
 
-    // Todo filters
-    document.querySelectorAll('.filter-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        this.renderTodos();
-      });
-    });
+  sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
 
-    // Clear completed
-    document.getElementById('clearCompleted').addEventListener('click', () => {
-      if (this.currentPage && this.currentPage.todos) {
-        this.currentPage.todos = this.currentPage.todos.filter(t => !t.completed);
-        this.saveData();
-        this.renderTodos();
+  // Re-render whatever is on screen after data changed underneath it
+  refreshView() {
+    this.renderSidebar();
+    this.updateStats();
+    if (this.currentPage) {
+      document.getElementById('pageTitle').value = this.currentPage.title;
+      this.loadPageContent();
+    }
+  }
+
+  // ============================================
+  // LIVE SYNC
+  // ============================================
+
+  // Listen for changes other clients make and apply them as they happen
+  connectEvents() {
+    if (typeof EventSource === 'undefined') return;
+
+    const source = new EventSource(`/api/events?clientId=${encodeURIComponent(this.clientId)}`);
+    let connected = false;
+
+    source.addEventListener('open', () => {
+      // Anything that happened while we were disconnected was missed, so
+      // send our own pending edits and then catch up with the server
+      if (connected || this.syncState === 'offline') {
+        this.resync();
       }
+      connected = true;
     });
 
-    // Add card buttons
-    document.querySelectorAll('.add-card-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        this.createCard(btn.dataset.status);
-      });
+    source.addEventListener('change', (e) => {
+      try {
+        this.applyRemoteChange(JSON.parse(e.data));
+      } catch (err) {
+        console.error('[HACKNOTE] Failed to apply remote change:', err);
+      }
     });
 
-    // Settings
-    document.getElementById('settingsBtn').addEventListener('click', () => {
-      this.showModal('settingsModal');
+    // The browser retries dropped connections by itself, but not refused
+    // ones (e.g. after the session expired), so sign in again and start over
+    source.addEventListener('error', () => {
+      if (source.readyState !== EventSource.CLOSED) return;
+      setTimeout(() => {
+        this.authenticate()
+          .then(() => this.reloadData())
+          .then(() => this.connectEvents())
+          .catch(err => console.error('[HACKNOTE] Failed to reconnect:', err));
+      }, 3000);
     });
 
-    // Color options
-    document.querySelectorAll('.color-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        document.querySelectorAll('.color-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        this.settings.accentColor = btn.dataset.color;
+    this._events = source;
+  }
+
+  applyRemoteChange(event) {
+    if (event.source === this.clientId) return;
+    if (event.type.endsWith('.deleted') || event.type === 'todos.cleared') this.refreshTrash();
+
+    switch (event.type) {
+      case 'workspace.created':
+      case 'workspace.updated':
+        this.mergeRemote(this.workspaces, event.workspace);
+        this.renderSidebar();
+        break;
+
+      case 'workspace.deleted':
+        this.workspaces = this.workspaces.filter(w => w.id !== event.id);
+        this.pages = this.pages.filter(p => p.workspaceId !== event.id);
+        if (this.currentWorkspace?.id === event.id) {
+          this.currentWorkspace = this.workspaces[0] || null;
+        }
+        if (this.currentPage?.workspaceId === event.id) {
+          this.currentPage = null;
+          this.showWelcome();
+        }
+        this.renderSidebar();
+        break;
+
+      case 'page.created':
+      case 'page.updated':
+        this.applyRemotePage(event.page);
+        break;
+
+      case 'page.deleted':
+        this.pages = this.pages.filter(p => p.id !== event.id);
+        if (this.currentPage?.id === event.id) {
+          this.currentPage = null;
+          this.showWelcome();
+        }
+        this.renderSidebar();
+        this.updateStats();
+        this.renderBacklinks();
+        break;
+
+      case 'todo.created':
+      case 'todo.updated':
+      case 'todo.deleted':
+      case 'todos.cleared':
+        this.applyRemoteItem(event, 'todos');
+        break;
+
+      case 'card.created':
+      case 'card.updated':
+      case 'card.deleted':
+        this.applyRemoteItem(event, 'cards');
+        break;
+
+      case 'settings.updated':
+        this.settings = { ...this.settings, ...event.settings };
         this.applySettings();
-        this.saveData();
-      });
-    });
+        break;
 
-    // Glow toggle
-    document.getElementById('enableGlow').addEventListener('change', (e) => {
-      this.settings.enableGlow = e.target.checked;
-      this.applySettings();
-      this.saveData();
-    });
+      case 'trash.changed':
+        this.refreshTrash();
+        break;
 
-    // Light mode toggle
-    document.getElementById('enableLightMode').addEventListener('change', (e) => {
-      this.settings.theme = e.target.checked ? 'light' : 'dark';
-      this.applySettings();
-      this.saveData();
-    });
+      // Data was replaced, or we gained or lost access to a workspace
+      case 'data.replaced':
+      case 'access.changed':
+        this.reloadData().catch(err => {
+          console.error('[HACKNOTE] Failed to reload data:', err);
+        });
+        break;
+    }
+  }
 
-    // Export
-    document.getElementById('exportBtn').addEventListener('click', () => {
-      this.exportData();
-    });
+  // Update an item in place (so open views keep their reference) or add it
+  mergeRemote(list, item) {
+    const existing = list.find(i => i.id === item.id);
+    if (existing) {
+      Object.assign(existing, item);
+      this.remember(existing, item);
+      return existing;
+    }
+    list.push(item);
+    this.remember(item, item);
+    return item;
+  }
 
-    // Import
-    document.getElementById('importBtn').addEventListener('click', () => {
-      document.getElementById('importInput').click();
-    });
+  applyRemotePage(page) {
+    const local = this.pages.find(p => p.id === page.id);
+    if (!local) {
+      this.mergeRemote(this.pages, page);
+      this.renderSidebar();
+      this.updateStats();
+      this.renderBacklinks();
+      return;
+    }
 
-    document.getElementById('importInput').addEventListener('change', (e) => {
-      this.importData(e);
-    });
+    // Fields we've edited but the server hasn't confirmed yet stay as they
+    // are. The version isn't advanced either, so our save runs into the
+    // usual conflict check instead of silently overwriting their change.
+    const unsaved = this.unsavedFields(page.id);
+    const before = { ...local };
+    for (const [key, value] of Object.entries(page)) {
+      if (!unsaved.has(key)) local[key] = value;
+    }
+    if (unsaved.size === 0) {
+      this.remember(local, page);
+    }
 
-    // Modal close buttons
-    document.querySelectorAll('[data-close]').forEach(btn => {
-      btn.addEventListener('click', () => {
-        this.hideModal(btn.dataset.close);
-      });
-    });
+    this.renderSidebar();
+    this.updateStats();
+    if (local === this.currentPage) {
+      this.refreshCurrentPage(before);
+    }
+    this.renderBacklinks();
+  }
 
-    // Modal overlay click to close
-    document.getElementById('modal-overlay').addEventListener('click', (e) => {
-      if (e.target.id === 'modal-overlay') {
-        this.hideAllModals();
+  applyRemoteItem(event, key) {
+    const page = this.pages.find(p => p.id === event.pageId);
+    if (!page) return;
+    page[key] = page[key] || [];
+
+    const item = event.todo || event.card;
+    if (event.type === 'todos.cleared') {
+      page.todos = page.todos.filter(t => !t.completed);
+    } else if (item) {
+      this.mergeRemote(page[key], item);
+    } else {
+      page[key] = page[key].filter(i => i.id !== event.id);
+      if (this.editingCard?.id === event.id) {
+        this.editingCard = null;
+        this.hideModal('cardModal');
       }
-    });
+    }
 
-    // Card modal buttons
-    document.getElementById('saveCardBtn').addEventListener('click', () => {
-      this.saveCard();
-    });
+    this.updateStats();
+    if (page !== this.currentPage) return;
+    if (key === 'todos' && page.type === 'todo') {
+      this.keepFocus(document.getElementById('todoList'), () => this.renderTodos());
+    } else if (key === 'cards' && page.type === 'board' && !this.draggedCard) {
+      this.renderBoard();
+    }
+  }
 
-    document.getElementById('deleteCardBtn').addEventListener('click', () => {
-      this.deleteCard();
-    });
+  // Page fields with local edits still waiting to be saved or in flight
+  unsavedFields(pageId) {
+    const fields = new Set(Object.keys(this._pendingPageSaves.get(pageId)?.fields || {}));
+    for (const sent of this._inFlightPageSaves.get(pageId) || []) {
+      Object.keys(sent).forEach(key => fields.add(key));
+    }
+    return fields;
+  }
 
-    // Priority buttons
-    document.querySelectorAll('.priority-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        document.querySelectorAll('.priority-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-      });
-    });
+  // Re-render only the parts of the open page that changed remotely,
+  // keeping the caret where it was in the title and editor
+  refreshCurrentPage(before) {
+    const page = this.currentPage;
+
+    if (page.title !== before.title) {
+      const titleInput = document.getElementById('pageTitle');
+      const { selectionStart, selectionEnd } = titleInput;
+      titleInput.value = page.title;
+      if (document.activeElement === titleInput) {
+        titleInput.setSelectionRange(selectionStart, selectionEnd);
+      }
+    }
 
-    // Context menu
-    document.addEventListener('contextmenu', (e) => {
-      const navItem = e.target.closest('.nav-item');
-      if (navItem) {
-        e.preventDefault();
-        this.showContextMenu(e.clientX, e.clientY, navItem);
+    if (page.type !== before.type || page.markdownMode !== before.markdownMode) {
+      this.setPageType(page.type, false);
+      return;
+    }
+
+    switch (page.type) {
+      case 'notes':
+        if (page.markdownMode && page.markdownContent !== before.markdownContent) {
+          const textarea = document.getElementById('markdownContent');
+          const { selectionStart, selectionEnd } = textarea;
+          textarea.value = page.markdownContent || '';
+          if (document.activeElement === textarea) {
+            textarea.setSelectionRange(selectionStart, selectionEnd);
+          }
+        } else if (!page.markdownMode && page.content !== before.content) {
+          const editor = document.getElementById('notesContent');
+          const caret = document.activeElement === editor ? this.getCaretOffset(editor) : null;
+          editor.innerHTML = this.sanitizeHtml(page.content || '');
+          if (caret !== null) this.setCaretOffset(editor, caret);
+          this.highlightCode();
+        }
+        break;
+      case 'todo':
+        this.keepFocus(document.getElementById('todoList'), () => this.renderTodos());
+        break;
+      case 'board':
+        if (!this.draggedCard) this.renderBoard();
+        break;
+      case 'canvas':
+        if (!this.sameValue(page.canvasData, before.canvasData)) {
+          this.initCanvasEditor();
+        }
+        break;
+    }
+  }
+
+  // Re-render a list without losing a half-typed value in one of its inputs
+  keepFocus(container, render) {
+    const active = document.activeElement;
+    if (!container.contains(active) || !active.dataset?.id) {
+      render();
+      return;
+    }
+
+    const { value, selectionStart, selectionEnd } = active;
+    const selector = `${active.tagName.toLowerCase()}.${active.classList[0]}[data-id="${active.dataset.id}"]`;
+    render();
+
+    const replacement = container.querySelector(selector);
+    if (replacement) {
+      replacement.value = value;
+      replacement.focus();
+      replacement.setSelectionRange?.(selectionStart, selectionEnd);
+    }
+  }
+
+  // Caret position in a contenteditable element, counted in characters
+  getCaretOffset(el) {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return null;
+
+    const range = selection.getRangeAt(0).cloneRange();
+    range.selectNodeContents(el);
+    range.setEnd(selection.getRangeAt(0).endContainer, selection.getRangeAt(0).endOffset);
+    return range.toString().length;
+  }
+
+  setCaretOffset(el, offset) {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      if (offset <= node.length) {
+        const range = document.createRange();
+        range.setStart(node, offset);
+        range.collapse(true);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        return;
       }
-    });
+      offset -= node.length;
+    }
+  }
 
-    document.addEventListener('click', () => {
-      this.hideContextMenu();
+  // ============================================
+  // OFFLINE
+  // ============================================
+
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+      console.error('[HACKNOTE] Failed to register service worker:', err);
     });
+  }
 
-    document.querySelectorAll('.context-item').forEach(item => {
-      item.addEventListener('click', () => {
-        this.handleContextAction(item.dataset.action);
+  // The browser database holding queued writes ('outbox') and the last copy
+  // of each user's data ('snapshots'). Resolves to null where IndexedDB is
+  // unavailable; everything then works as before, just without the safety net.
+  openLocalStore() {
+    if (!this._localStore) {
+      this._localStore = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+        const request = indexedDB.open('hacknote', 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+          request.result.createObjectStore('snapshots');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(err => {
+        console.error('[HACKNOTE] Failed to open local storage:', err);
+        return null;
       });
+    }
+    return this._localStore;
+  }
+
+  // Run one request (get, getAll, add, put, delete) against an object store
+  async localStore(storeName, method, ...args) {
+    const db = await this.openLocalStore();
+    if (!db) return undefined;
+
+    const mode = method.startsWith('get') ? 'readonly' : 'readwrite';
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(storeName, mode).objectStore(storeName)[method](...args);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
     });
+  }
 
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        // Exit canvas fullscreen first, then modals
-        if (document.getElementById('app').classList.contains('canvas-fullscreen')) {
-          this.toggleCanvasFullscreen();
+  // Pick up this user's writes that were still queued when the last session ended
+  async loadOutbox() {
+    try {
+      const records = await this.localStore('outbox', 'getAll') || [];
+      this.outbox = records
+        .filter(record => record.userId === this.user.id)
+        .map(record => ({ record, target: null, stored: Promise.resolve(record.id) }));
+    } catch (err) {
+      console.error('[HACKNOTE] Failed to load queued changes:', err);
+    }
+    this.setSyncState(this.outbox.length > 0 ? 'offline' : 'saved');
+  }
+
+  // Keep a copy of the current data so the app can start without the server
+  saveSnapshot() {
+    clearTimeout(this._snapshotTimeout);
+    this._snapshotTimeout = setTimeout(() => {
+      const snapshot = { workspaces: this.workspaces, pages: this.pages, settings: this.settings };
+      this.localStore('snapshots', 'put', snapshot, this.user.id).catch(err => {
+        console.error('[HACKNOTE] Failed to store local copy:', err);
+      });
+    }, 1000);
+  }
+
+  flushOutbox() {
+    clearTimeout(this._retryTimeout);
+    this._writeQueue = this._writeQueue.then(() => this.sendOutbox());
+    return this._writeQueue;
+  }
+
+  // Send queued writes in order. Stops at the first one that can't reach the
+  // server, or that fails on the server's side (5xx, or 429 when it's too
+  // busy), and tries again later. A write the server refuses outright takes
+  // it off the queue, but is kept in `rejectedWrites` and shown in the header
+  // until the user reloads the server's copy.
+  async sendOutbox() {
+    while (this.outbox.length > 0) {
+      const entry = this.outbox[0];
+      const { method, url, body } = entry.record;
+      const target = entry.target || this.detachedTarget(entry.record);
+      this.setSyncState('syncing');
+
+      try {
+        await this.sendWrite(method, url, body, target);
+        if (!entry.target && target) {
+          this._replayVersions.set(url, target.version);
+        }
+        // Deleted items land in the trash
+        if (method === 'DELETE') this.refreshTrash();
+      } catch (err) {
+        if (err.offline || err.status >= 500 || err.status === 429) {
+          this.setSyncState(err.offline ? 'offline' : 'retrying');
+          this.scheduleRetry();
           return;
         }
-        this.hideAllModals();
-        this.hideContextMenu();
+        console.error('[HACKNOTE] Failed to save data:', err);
+        this.rejectedWrites.push({ record: entry.record, error: err.message });
       }
 
-      // F: Toggle canvas fullscreen (when canvas is active and not typing)
-      if (e.key === 'f' && !e.ctrlKey && !e.metaKey && !e.altKey) {
-        const tag = document.activeElement.tagName;
-        const isTyping = tag === 'INPUT' || tag === 'TEXTAREA' || document.activeElement.isContentEditable;
-        if (!isTyping && this.currentPage && this.currentPage.type === 'canvas') {
-          this.toggleCanvasFullscreen();
-        }
-      }
+      this.outbox.shift();
+      entry.stored.then(id => id !== undefined && this.localStore('outbox', 'delete', id)).catch(err => {
+        console.error('[HACKNOTE] Failed to remove sent change:', err);
+      });
+      entry.resolve?.();
+    }
 
-      // Ctrl/Cmd + N: New page
-      if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
-        e.preventDefault();
-        this.createPage();
-      }
+    this._retryDelay = 0;
+    this.setSyncState(this.rejectedWrites.length > 0 ? 'failed' : 'saved');
+  }
 
-      // Ctrl/Cmd + S: Save (prevents default)
-      if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-        e.preventDefault();
-        this.saveData();
-      }
+  // The user has seen that changes were refused: show the server's copy again
+  dismissRejectedWrites() {
+    if (this.syncState !== 'failed') return;
+
+    this.rejectedWrites = [];
+    this.setSyncState('saved');
+    this.reloadData().catch(err => {
+      console.error('[HACKNOTE] Failed to reload data:', err);
     });
   }
 
-  // ============================================
-  // WORKSPACE MANAGEMENT
-  // ============================================
-
-  createWorkspace() {
-    const workspace = {
-      id: this.generateId(),
-      name: 'New Workspace',
-      icon: '\u2302',
-      createdAt: Date.now()
+  // A write queued in an earlier session no longer has the object it was made
+  // to, so rebuild one from the stored copy: that keeps version checks and
+  // conflict merges working. Later writes to the same URL build on the
+  // version the previous one produced.
+  detachedTarget(record) {
+    if (record.version === undefined) return null;
+
+    const target = {
+      ...record.base,
+      ...record.body,
+      version: this._replayVersions.get(record.url) ?? record.version
     };
+    if (record.base) {
+      this._shadows.set(target, record.base);
+    }
+    return target;
+  }
 
-    this.workspaces.push(workspace);
-    this.currentWorkspace = workspace;
+  // Retry after 2s, doubling up to a minute; coming back online retries at once
+  scheduleRetry() {
+    this._retryDelay = Math.min((this._retryDelay || 1000) * 2, 60 * 1000);
+    clearTimeout(this._retryTimeout);
+    this._retryTimeout = setTimeout(() => this.resync(), this._retryDelay);
+  }
+
+  // Send everything queued, then catch up with the server. Local data is only
+  // replaced once nothing is left waiting, so queued edits stay on screen.
+  resync() {
     this.saveData();
-    this.renderSidebar();
+    return this.flushOutbox().then(() => {
+      if (this.outbox.length === 0) return this.reloadData();
+    }).catch(err => {
+      console.error('[HACKNOTE] Failed to resync data:', err);
+    });
   }
 
-  selectWorkspace(id) {
-    this.currentWorkspace = this.workspaces.find(w => w.id === id);
-    this.currentPage = null;
-    this.renderSidebar();
-    this.showWelcome();
+  setSyncState(state) {
+    this.syncState = state;
+
+    const el = document.getElementById('syncStatus');
+    const count = this.outbox.length;
+    const rejected = this.rejectedWrites.length;
+    const labels = {
+      saved: ['SAVED', 'All changes are saved'],
+      syncing: ['SAVING', 'Sending changes to the server'],
+      offline: [`OFFLINE · ${count}`, `Server unreachable: ${count} change${count === 1 ? '' : 's'} will be sent when it's back`],
+      retrying: [`RETRYING · ${count}`, `Server error: ${count} change${count === 1 ? '' : 's'} will be sent again shortly`],
+      failed: [`FAILED · ${rejected}`, `${rejected} change${rejected === 1 ? ' was' : 's were'} refused by the server (${this.rejectedWrites[rejected - 1]?.error}). Click to reload the saved copy.`]
+    };
+    el.dataset.state = state;
+    el.querySelector('.sync-label').textContent = labels[state][0];
+    el.title = labels[state][1];
   }
 
   // ============================================
-  // PAGE MANAGEMENT
+  // EVENT BINDINGS
   // ============================================
 
-  createPage() {
-    if (!this.currentWorkspace) return;
+  bindEvents() {
+    // Sidebar toggle
+    document.getElementById('sidebarToggle').addEventListener('click', () => {
+      document.getElementById('sidebar').classList.toggle('collapsed');
+    });
 
-    const page = {
-      id: this.generateId(),
-      workspaceId: this.currentWorkspace.id,
-      title: 'Untitled',
-      type: 'notes',
-      icon: '\u25A2',
-      content: '',
-      todos: [],
-      cards: [],
-      createdAt: Date.now(),
-      updatedAt: Date.now()
-    };
+    // Canvas expand toggle
+    document.getElementById('canvasExpandBtn').addEventListener('click', () => {
+      this.toggleCanvasFullscreen();
+    });
+
+    // Add workspace
+    document.getElementById('addWorkspace').addEventListener('click', () => {
+      this.createWorkspace();
+    });
+
+    // Add page
+    document.getElementById('addPage').addEventListener('click', () => {
+      this.createPage();
+    });
+
+    // Welcome new page button
+    document.getElementById('welcomeNewPage').addEventListener('click', () => {
+      this.createPage();
+    });
+
+    // Page type buttons
+    document.querySelectorAll('.type-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (this.currentPage) {
+          this.setPageType(btn.dataset.type);
+        }
+      });
+    });
+
+    // Page title
+    document.getElementById('pageTitle').addEventListener('input', (e) => {
+      if (this.currentPage) {
+        this.currentPage.title = e.target.value;
+        this.savePage(this.currentPage, { title: this.currentPage.title });
+        this.renderSidebar();
+      }
+    });
+
+    // Links to the page follow the new title once it's settled, not per key
+    document.getElementById('pageTitle').addEventListener('focus', () => {
+      this.titleBeforeEdit = this.currentPage?.title;
+    });
+    document.getElementById('pageTitle').addEventListener('change', () => {
+      if (this.currentPage && this.titleBeforeEdit !== undefined && this.titleBeforeEdit !== this.currentPage.title) {
+        this.renamePageLinks(this.currentPage, this.titleBeforeEdit);
+      }
+      this.titleBeforeEdit = this.currentPage?.title;
+    });
+
+    // Search
+    const searchInput = document.getElementById('searchInput');
+    searchInput.addEventListener('input', () => {
+      clearTimeout(this._searchTimeout);
+      this._searchTimeout = setTimeout(() => this.search(searchInput.value), 200);
+    });
+    searchInput.addEventListener('keydown', (e) => this.handleSearchKey(e));
+    searchInput.addEventListener('blur', () => {
+      // Let a click on a result land before the list disappears
+      setTimeout(() => document.getElementById('searchResults').classList.add('hidden'), 150);
+    });
+    searchInput.addEventListener('focus', () => {
+      if (this.searchResults.length > 0) {
+        document.getElementById('searchResults').classList.remove('hidden');
+      }
+    });
+
+    // Page history
+    document.getElementById('historyBtn').addEventListener('click', () => {
+      this.showHistory();
+    });
+
+    document.getElementById('restoreRevisionBtn').addEventListener('click', () => {
+      this.restoreSelectedRevision();
+    });
+
+    // Delete page
+    document.getElementById('deletePageBtn').addEventListener('click', () => {
+      if (this.currentPage) {
+        this.deletePage(this.currentPage.id);
+      }
+    });
+
+    // Rich text editor content
+    document.getElementById('notesContent').addEventListener('input', (e) => {
+      // A checklist box's own input event; its click saves it
+      if (e.target !== e.currentTarget) return;
+      this.clearSearchHighlight();
+      this.handlePageLinkInput(e);
+      this.handleSlashInput(e);
+      if (e.inputType === 'insertParagraph') this.continueChecklist();
+      this.highlightCode();
+      this.updateCodeBar();
+      this.updateTableBar();
+      if (this.currentPage) {
+        this.currentPage.content = e.target.innerHTML;
+        this.savePage(this.currentPage, { content: this.currentPage.content });
+      }
+    });
+
+    // Markdown editor content
+    document.getElementById('markdownContent').addEventListener('input', (e) => {
+      this.handlePageLinkInput(e);
+      if (this.currentPage) {
+        this.currentPage.markdownContent = e.target.value;
+        this.savePage(this.currentPage, { markdownContent: this.currentPage.markdownContent });
+      }
+    });
+
+    // Toolbar buttons
+    document.querySelectorAll('.toolbar-btn[data-command]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.executeCommand(btn.dataset.command, btn.dataset.value);
+      });
+    });
+
+    // Markdown toggle
+    document.getElementById('markdownToggle').addEventListener('click', () => {
+      this.toggleMarkdownMode();
+    });
+
+    // Image upload
+    document.getElementById('insertImageBtn').addEventListener('click', () => {
+      document.getElementById('imageUpload').click();
+    });
+
+    document.getElementById('imageUpload').addEventListener('change', (e) => {
+      this.handleImageUpload(e);
+    });
+
+    // Support drag and drop images into notes
+    document.getElementById('notesContent').addEventListener('drop', (e) => {
+      e.preventDefault();
+      const files = e.dataTransfer.files;
+      if (files.length > 0 && files[0].type.startsWith('image/')) {
+        this.insertImage(files[0]);
+      }
+    });
+
+    document.getElementById('notesContent').addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.target.closest('.notes-editor')?.classList.add('drag-over');
+    });
+
+    document.getElementById('notesContent').addEventListener('dragleave', (e) => {
+      e.target.closest('.notes-editor')?.classList.remove('drag-over');
+    });
+
+    document.getElementById('notesContent').addEventListener('drop', (e) => {
+      e.target.closest('.notes-editor')?.classList.remove('drag-over');
+    }, true);
+
+    // Support paste images into notes
+    document.getElementById('notesContent').addEventListener('paste', (e) => {
+      const items = e.clipboardData?.items;
+      if (items) {
+        for (let item of items) {
+          if (item.type.startsWith('image/')) {
+            e.preventDefault();
+            const file = item.getAsFile();
+            this.insertImage(file);
+            return;
+          }
+        }
+      }
+
+      // Pasted HTML comes from other sites, so only its allowed markup goes in
+      const html = e.clipboardData?.getData('text/html');
+      if (html) {
+        e.preventDefault();
+        document.execCommand('insertHTML', false, this.sanitizeHtml(html));
+      }
+    });
+
+    // Checklist boxes keep their state in the markup, so it's saved
+    document.getElementById('notesContent').addEventListener('click', (e) => {
+      if (e.target.matches('.task-list-item > input[type="checkbox"]')) {
+        this.toggleChecklistItem(e.target);
+      }
+      if (this.slashMenu) this.updateSlashMenu();
+      if (this.pageLinkMenu) this.updatePageLinkMenu();
+    });
+
+    // Page links open the page they name
+    document.getElementById('notesContent').addEventListener('click', (e) => {
+      const link = e.target.closest('a.wiki-link');
+      if (link) {
+        e.preventDefault();
+        this.openPageLink(link.dataset.page);
+      }
+    });
+
+    // Slash command menu (see handleSlashInput)
+    document.getElementById('notesContent').addEventListener('keydown', (e) => this.handleSlashKey(e));
+    document.getElementById('notesContent').addEventListener('blur', () => this.hideSlashMenu());
+
+    const slashMenu = document.getElementById('slashMenu');
+    // Keep the editor focused, and the caret where the command goes
+    slashMenu.addEventListener('mousedown', (e) => e.preventDefault());
+    slashMenu.querySelectorAll('.slash-item').forEach(item => {
+      item.addEventListener('click', () => this.runSlashCommand(item));
+    });
+
+    // Page link suggestions (see handlePageLinkInput)
+    ['notesContent', 'markdownContent'].forEach(id => {
+      const editor = document.getElementById(id);
+      editor.addEventListener('keydown', (e) => this.handlePageLinkKey(e));
+      editor.addEventListener('blur', () => this.hidePageLinkMenu());
+    });
+    document.getElementById('markdownContent').addEventListener('click', () => {
+      if (this.pageLinkMenu) this.updatePageLinkMenu();
+    });
+
+    const pageLinkMenu = document.getElementById('pageLinkMenu');
+    pageLinkMenu.addEventListener('mousedown', (e) => e.preventDefault());
+    pageLinkMenu.addEventListener('click', (e) => {
+      const item = e.target.closest('.slash-item');
+      if (item) this.choosePageLink(parseInt(item.dataset.index, 10));
+    });
+
+    // Code blocks: language picker, copy button and indentation
+    const codeLanguage = document.getElementById('codeLanguage');
+    HackNoteHighlight.languages().forEach(({ id, name }) => codeLanguage.appendChild(new Option(name, id)));
+    codeLanguage.addEventListener('change', () => {
+      if (this.codeBarBlock) this.setCodeLanguage(this.codeBarBlock, codeLanguage.value);
+    });
+    document.getElementById('codeCopyBtn').addEventListener('click', () => this.copyCodeBlock());
+
+    const codeBlockBar = document.getElementById('codeBlockBar');
+    const notesContent = document.getElementById('notesContent');
+    notesContent.addEventListener('keydown', (e) => this.handleCodeKey(e));
+    notesContent.addEventListener('mouseover', (e) => {
+      this.hoveredCodeBlock = e.target.closest('pre');
+      this.updateCodeBar();
+    });
+    [notesContent, codeBlockBar].forEach(element => {
+      element.addEventListener('mouseleave', (e) => {
+        if (codeBlockBar.contains(e.relatedTarget) || this.hoveredCodeBlock?.contains(e.relatedTarget)) return;
+        this.hoveredCodeBlock = null;
+        this.updateCodeBar();
+      });
+    });
+    document.addEventListener('selectionchange', () => {
+      this.updateCodeBar();
+      this.updateTableBar();
+    });
+
+    // Tables: cell navigation and the row, column and alignment controls
+    notesContent.addEventListener('keydown', (e) => this.handleTableKey(e));
+    const tableBar = document.getElementById('tableBar');
+    // Keep the caret in the cell the controls act on
+    tableBar.addEventListener('mousedown', (e) => e.preventDefault());
+    tableBar.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => this.runTableAction(button.dataset.action, button.dataset.align));
+    });
+
+    // Keyboard shortcuts for formatting
+    document.getElementById('notesContent').addEventListener('keydown', (e) => {
+      if (e.ctrlKey || e.metaKey) {
+        switch (e.key.toLowerCase()) {
+          case 'b':
+            e.preventDefault();
+            this.executeCommand('bold');
+            break;
+          case 'i':
+            e.preventDefault();
+            this.executeCommand('italic');
+            break;
+          case 'u':
+            e.preventDefault();
+            this.executeCommand('underline');
+            break;
+        }
+      }
+    });
+
+    // Todo input
+    document.getElementById('todoInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.value.trim()) {
+        this.addTodo(e.target.value.trim());
+        e.target.value = '';
+      }
+    });
+
+    document.getElementById('todoAddBtn').addEventListener('click', () => {
+      const input = document.getElementById('todoInput');
+      if (input.value.trim()) {
+        this.addTodo(input.value.trim());
+        input.value = '';
+      }
+    });
+
+    // Todo filters
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        this.renderTodos();
+      });
+    });
+
+    // Clear completed
+    document.getElementById('clearCompleted').addEventListener('click', () => {
+      if (this.currentPage && this.currentPage.todos) {
+        this.currentPage.todos = this.currentPage.todos.filter(t => !t.completed);
+        this.persist('DELETE', `/api/pages/${this.currentPage.id}/todos?completed=true`);
+        this.renderTodos();
+      }
+    });
+
+    // Add card buttons
+    document.querySelectorAll('.add-card-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.createCard(btn.dataset.status);
+      });
+    });
+
+    // Trash
+    document.getElementById('trashToggle').addEventListener('click', () => this.toggleTrash());
+    document.getElementById('emptyTrashBtn').addEventListener('click', () => this.emptyTrash());
+
+    // Settings
+    document.getElementById('settingsBtn').addEventListener('click', () => {
+      this.showModal('settingsModal');
+      this.renderAccount();
+    });
+
+    // Account
+    document.getElementById('signOutBtn').addEventListener('click', () => {
+      this.signOut();
+    });
+
+    document.getElementById('passwordForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.changePassword();
+    });
+
+    document.getElementById('addUserForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addUser();
+    });
+
+    document.getElementById('userList').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-user]');
+      if (btn) this.deleteUser(btn.dataset.user);
+    });
+
+    // Backups
+    document.getElementById('backupNowBtn').addEventListener('click', () => this.createBackup());
+
+    document.getElementById('backupList').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-backup]');
+      if (btn) this.restoreBackup(btn.dataset.backup);
+    });
+
+    // Webhooks
+    document.getElementById('addWebhookForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addWebhook();
+    });
+
+    document.getElementById('webhookList').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-webhook-action]');
+      if (btn) this.webhookAction(btn.closest('[data-webhook]').dataset.webhook, btn.dataset.webhookAction);
+    });
+
+    document.getElementById('webhookDeliveries').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-delivery]');
+      if (btn) this.retryDelivery(Number(btn.dataset.delivery));
+    });
+
+    // Share links
+    document.getElementById('createShareBtn').addEventListener('click', () => this.createShareLink());
+
+    document.getElementById('shareList').addEventListener('click', (e) => {
+      const copy = e.target.closest('[data-share-copy]');
+      if (copy) this.copyShareLink(copy.dataset.shareCopy);
+      const revoke = e.target.closest('[data-share-revoke]');
+      if (revoke) this.revokeShareLink(revoke.dataset.shareRevoke);
+    });
+
+    // Workspace members
+    document.getElementById('addMemberForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addMember();
+    });
+
+    document.getElementById('memberList').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-member]');
+      if (btn) this.removeMember(btn.dataset.member);
+    });
+
+    // Color options
+    document.querySelectorAll('.color-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('.color-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        this.settings.accentColor = btn.dataset.color;
+        this.applySettings();
+        this.persist('PATCH', '/api/settings', { accentColor: this.settings.accentColor });
+      });
+    });
+
+    // Glow toggle
+    document.getElementById('enableGlow').addEventListener('change', (e) => {
+      this.settings.enableGlow = e.target.checked;
+      this.applySettings();
+      this.persist('PATCH', '/api/settings', { enableGlow: this.settings.enableGlow });
+    });
+
+    // Light mode toggle
+    document.getElementById('enableLightMode').addEventListener('change', (e) => {
+      this.settings.theme = e.target.checked ? 'light' : 'dark';
+      this.applySettings();
+      this.persist('PATCH', '/api/settings', { theme: this.settings.theme });
+    });
+
+    // Export
+    document.getElementById('exportBtn').addEventListener('click', () => {
+      this.exportData();
+    });
+
+    // Import
+    document.getElementById('importBtn').addEventListener('click', () => {
+      document.getElementById('importInput').click();
+    });
+
+    document.getElementById('importInput').addEventListener('change', (e) => {
+      this.importData(e);
+    });
+
+    // Markdown and other apps' imports, started from a workspace's context menu
+    document.getElementById('markdownInput').addEventListener('change', (e) => this.importMarkdown(e));
+    document.getElementById('markdownFolderInput').addEventListener('change', (e) => this.importMarkdown(e));
+    document.getElementById('appImportInput').addEventListener('change', (e) => this.importFromApp(e));
+
+    document.getElementById('importMergeBtn').addEventListener('click', () => this.mergeImport());
+    document.getElementById('importReplaceBtn').addEventListener('click', () => this.replaceAllData());
+
+    document.getElementById('importList').addEventListener('change', (e) => {
+      if (e.target.dataset.resolution) {
+        this.importResolutions[e.target.dataset.resolution] = e.target.value;
+        document.getElementById('importBulkChoice').value = '';
+        this.planImport();
+      }
+    });
+
+    document.getElementById('importBulkChoice').addEventListener('change', (e) => {
+      if (!e.target.value) return;
+      for (const entry of this.importEntries(this.importPlan)) {
+        if (entry.choices?.includes(e.target.value)) {
+          this.importResolutions[`${entry.kind}:${entry.id}`] = e.target.value;
+        }
+      }
+      this.planImport();
+    });
+
+    // Modal close buttons
+    document.querySelectorAll('[data-close]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.hideModal(btn.dataset.close);
+      });
+    });
+
+    // Modal overlay click to close
+    document.getElementById('modal-overlay').addEventListener('click', (e) => {
+      if (e.target.id === 'modal-overlay') {
+        this.hideAllModals();
+      }
+    });
+
+    // Conflict modal buttons
+    document.querySelectorAll('[data-conflict]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this._resolveConflictChoice?.(btn.dataset.conflict);
+      });
+    });
+
+    // Card modal buttons
+    document.getElementById('saveCardBtn').addEventListener('click', () => {
+      this.saveCard();
+    });
+
+    document.getElementById('deleteCardBtn').addEventListener('click', () => {
+      this.deleteCard();
+    });
+
+    // Priority buttons
+    document.querySelectorAll('.priority-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('.priority-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+      });
+    });
+
+    // Context menu
+    document.addEventListener('contextmenu', (e) => {
+      const navItem = e.target.closest('.nav-item');
+      if (navItem) {
+        e.preventDefault();
+        this.showContextMenu(e.clientX, e.clientY, navItem);
+      }
+    });
+
+    document.addEventListener('click', () => {
+      this.hideContextMenu();
+    });
+
+    document.querySelectorAll('.context-item').forEach(item => {
+      item.addEventListener('click', () => {
+        this.handleContextAction(item.dataset.action);
+      });
+    });
+
+    // Offline queue
+    window.addEventListener('online', () => this.resync());
+
+    document.getElementById('syncStatus').addEventListener('click', () => {
+      this.dismissRejectedWrites();
+    });
+    window.addEventListener('beforeunload', () => this.saveData());
+
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        // Exit canvas fullscreen first, then modals
+        if (document.getElementById('app').classList.contains('canvas-fullscreen')) {
+          this.toggleCanvasFullscreen();
+          return;
+        }
+        this.hideAllModals();
+        this.hideContextMenu();
+      }
+
+      // F: Toggle canvas fullscreen (when canvas is active and not typing)
+      if (e.key === 'f' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        const tag = document.activeElement.tagName;
+        const isTyping = tag === 'INPUT' || tag === 'TEXTAREA' || document.activeElement.isContentEditable;
+        if (!isTyping && this.currentPage && this.currentPage.type === 'canvas') {
+          this.toggleCanvasFullscreen();
+        }
+      }
+
+      // Ctrl/Cmd + K: Search
+      if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
+        e.preventDefault();
+        const input = document.getElementById('searchInput');
+        input.focus();
+        input.select();
+      }
+
+      // Ctrl/Cmd + N: New page
+      if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
+        e.preventDefault();
+        this.createPage();
+      }
+
+      // Ctrl/Cmd + S: Save (prevents default)
+      if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+        e.preventDefault();
+        this.saveData();
+      }
+    });
+  }
+
+  // ============================================
+  // WORKSPACE MANAGEMENT
+  // ============================================
+
+  createWorkspace() {
+    const workspace = {
+      id: this.generateId(),
+      name: 'New Workspace',
+      icon: '\u2302',
+      createdAt: Date.now()
+    };
+
+    this.workspaces.push(workspace);
+    this.currentWorkspace = workspace;
+    this.persist('POST', '/api/workspaces', workspace, workspace);
+    this.renderSidebar();
+  }
+
+  selectWorkspace(id) {
+    this.currentWorkspace = this.workspaces.find(w => w.id === id);
+    this.currentPage = null;
+    this.renderSidebar();
+    this.showWelcome();
+  }
+
+  // ============================================
+  // PAGE MANAGEMENT
+  // ============================================
+
+  createPage() {
+    if (!this.currentWorkspace) return;
+
+    const page = {
+      id: this.generateId(),
+      workspaceId: this.currentWorkspace.id,
+      title: 'Untitled',
+      type: 'notes',
+      icon: '\u25A2',
+      content: '',
+      todos: [],
+      cards: [],
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    this.pages.push(page);
+    this.persist('POST', '/api/pages', page, page);
+    this.renderSidebar();
+    this.selectPage(page.id);
+  }
+
+  selectPage(id) {
+    this.currentPage = this.pages.find(p => p.id === id);
+    if (!this.currentPage) return;
+
+    this.clearSearchHighlight();
+
+    // Update sidebar selection
+    document.querySelectorAll('.nav-item').forEach(item => {
+      item.classList.toggle('active', item.dataset.id === id);
+    });
+
+    // Update breadcrumb
+    document.getElementById('breadcrumb').innerHTML = `
+      <span class="breadcrumb-item">${this.escapeHtml(this.currentWorkspace?.name || 'HACKNOTE')}</span>
+      <span class="breadcrumb-item">${this.escapeHtml(this.currentPage.title)}</span>
+    `;
+
+    // Show editor
+    document.getElementById('welcome-screen').classList.add('hidden');
+    document.getElementById('page-editor').classList.remove('hidden');
+
+    // Set page title
+    document.getElementById('pageTitle').value = this.currentPage.title;
+    document.getElementById('pageIcon').textContent = this.currentPage.icon;
+
+    // Set page type
+    this.setPageType(this.currentPage.type, false);
+
+    // Load content
+    this.loadPageContent();
+    this.renderBacklinks();
+  }
+
+  setPageType(type, save = true) {
+    if (!this.currentPage) return;
+
+    // Exit canvas fullscreen when switching away from canvas
+    if (type !== 'canvas') {
+      document.getElementById('app').classList.remove('canvas-fullscreen');
+    }
+
+    // Update type buttons
+    document.querySelectorAll('.type-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.type === type);
+    });
+
+    // Show correct view
+    document.getElementById('notesView').classList.toggle('hidden', type !== 'notes');
+    document.getElementById('todoView').classList.toggle('hidden', type !== 'todo');
+    document.getElementById('boardView').classList.toggle('hidden', type !== 'board');
+    document.getElementById('canvasView').classList.toggle('hidden', type !== 'canvas');
+
+    // Update page icon
+    const icons = {
+      notes: '\u270E',
+      todo: '\u2611',
+      board: '\u25A6',
+      canvas: '\u25B3'
+    };
+    this.currentPage.icon = icons[type] || '\u25A2';
+    document.getElementById('pageIcon').textContent = this.currentPage.icon;
+
+    if (save) {
+      this.currentPage.type = type;
+      this.savePage(this.currentPage, { type, icon: this.currentPage.icon });
+      this.renderSidebar();
+    }
+
+    // Load content for the view
+    this.loadPageContent();
+  }
+
+  loadPageContent() {
+    if (!this.currentPage) return;
+
+    switch (this.currentPage.type) {
+      case 'notes':
+        const notesContent = document.getElementById('notesContent');
+        const markdownContent = document.getElementById('markdownContent');
+        const markdownToggle = document.getElementById('markdownToggle');
+
+        // Check if we're in markdown mode
+        if (this.currentPage.markdownMode) {
+          notesContent.classList.add('hidden');
+          markdownContent.classList.remove('hidden');
+          markdownToggle.classList.add('active');
+          markdownContent.value = this.currentPage.markdownContent || '';
+        } else {
+          notesContent.classList.remove('hidden');
+          markdownContent.classList.add('hidden');
+          markdownToggle.classList.remove('active');
+          notesContent.innerHTML = this.sanitizeHtml(this.currentPage.content || '');
+          this.highlightCode();
+        }
+        this.hoveredCodeBlock = null;
+        this.updateCodeBar();
+        this.updateTableBar();
+        break;
+      case 'todo':
+        this.renderTodos();
+        break;
+      case 'board':
+        this.renderBoard();
+        break;
+      case 'canvas':
+        this.initCanvasEditor();
+        break;
+    }
+  }
+
+  deletePage(id) {
+    if (!confirm('Move this page to the trash?')) return;
+
+    // Add deletion animation to nav item
+    const navItem = document.querySelector(`.nav-item[data-id="${id}"]`);
+    if (navItem) {
+      navItem.classList.add('deleting');
+    }
+
+    setTimeout(() => {
+      const page = this.pages.find(p => p.id === id);
+      this.pages = this.pages.filter(p => p.id !== id);
+      this.persist('DELETE', `/api/pages/${id}`, undefined, page);
+
+      if (this.currentPage?.id === id) {
+        this.currentPage = null;
+        this.showWelcome();
+      }
+
+      this.renderSidebar();
+      this.updateStats();
+      this.renderBacklinks();
+    }, navItem ? 500 : 0);
+  }
+
+  showWelcome() {
+    document.getElementById('welcome-screen').classList.remove('hidden');
+    document.getElementById('page-editor').classList.add('hidden');
+    document.getElementById('breadcrumb').innerHTML = '<span class="breadcrumb-item">HACKNOTE</span>';
+    this.updateStats();
+  }
+
+  // ============================================
+  // TODO MANAGEMENT
+  // ============================================
+
+  addTodo(text) {
+    if (!this.currentPage) return;
+
+    if (!this.currentPage.todos) {
+      this.currentPage.todos = [];
+    }
+
+    const todo = {
+      id: this.generateId(),
+      text: text,
+      completed: false,
+      createdAt: Date.now()
+    };
+
+    this.currentPage.todos.push(todo);
+    this.persist('POST', `/api/pages/${this.currentPage.id}/todos`, todo, todo);
+    this.renderTodos();
+    this.updateStats();
+  }
+
+  toggleTodo(id) {
+    if (!this.currentPage?.todos) return;
+
+    const todo = this.currentPage.todos.find(t => t.id === id);
+    if (todo) {
+      todo.completed = !todo.completed;
+      this.persist('PATCH', `/api/pages/${this.currentPage.id}/todos/${id}`, { completed: todo.completed }, todo);
+      this.renderTodos();
+      this.updateStats();
+    }
+  }
+
+  deleteTodo(id) {
+    if (!this.currentPage?.todos) return;
+
+    const page = this.currentPage;
+    const todo = page.todos.find(t => t.id === id);
+    this.persist('DELETE', `/api/pages/${page.id}/todos/${id}`, undefined, todo);
+
+    // Add deletion animation
+    const todoEl = document.querySelector(`.todo-item[data-id="${id}"]`);
+    if (todoEl) {
+      todoEl.classList.add('deleting');
+      setTimeout(() => {
+        page.todos = page.todos.filter(t => t.id !== id);
+        this.renderTodos();
+        this.updateStats();
+      }, 400);
+    } else {
+      page.todos = page.todos.filter(t => t.id !== id);
+      this.renderTodos();
+      this.updateStats();
+    }
+  }
+
+  updateTodoText(id, text) {
+    if (!this.currentPage?.todos) return;
+
+    const todo = this.currentPage.todos.find(t => t.id === id);
+    if (todo && todo.text !== text) {
+      todo.text = text;
+      this.persist('PATCH', `/api/pages/${this.currentPage.id}/todos/${id}`, { text }, todo);
+    }
+  }
+
+  renderTodos() {
+    if (!this.currentPage) return;
+
+    const todos = this.currentPage.todos || [];
+    const filter = document.querySelector('.filter-btn.active')?.dataset.filter || 'all';
+    const list = document.getElementById('todoList');
+
+    let filtered = todos;
+    if (filter === 'active') {
+      filtered = todos.filter(t => !t.completed);
+    } else if (filter === 'completed') {
+      filtered = todos.filter(t => t.completed);
+    }
+
+    if (filtered.length === 0) {
+      list.innerHTML = '<div class="todo-empty">No tasks yet. Add one above!</div>';
+    } else {
+      list.innerHTML = filtered.map(todo => `
+        <div class="todo-item ${todo.completed ? 'completed' : ''}" data-id="${this.escapeHtml(todo.id)}">
+          <div class="todo-checkbox ${todo.completed ? 'checked' : ''}" data-id="${this.escapeHtml(todo.id)}"></div>
+          <input type="text" class="todo-text-input" value="${this.escapeHtml(todo.text)}" data-id="${this.escapeHtml(todo.id)}">
+          <button class="todo-delete" data-id="${this.escapeHtml(todo.id)}">\u2715</button>
+        </div>
+      `).join('');
+
+      // Bind events
+      list.querySelectorAll('.todo-checkbox').forEach(cb => {
+        cb.addEventListener('click', () => this.toggleTodo(cb.dataset.id));
+      });
+
+      list.querySelectorAll('.todo-delete').forEach(btn => {
+        btn.addEventListener('click', () => this.deleteTodo(btn.dataset.id));
+      });
+
+      list.querySelectorAll('.todo-text-input').forEach(input => {
+        input.addEventListener('blur', () => this.updateTodoText(input.dataset.id, input.value));
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') {
+            input.blur();
+          }
+        });
+      });
+    }
+
+    // Update count
+    const activeCount = todos.filter(t => !t.completed).length;
+    document.getElementById('todoCount').textContent = `${activeCount} task${activeCount !== 1 ? 's' : ''} remaining`;
+  }
+
+  // ============================================
+  // BOARD (KANBAN) MANAGEMENT
+  // ============================================
+
+  createCard(status) {
+    if (!this.currentPage) return;
+
+    if (!this.currentPage.cards) {
+      this.currentPage.cards = [];
+    }
+
+    const card = {
+      id: this.generateId(),
+      title: 'New Card',
+      description: '',
+      status: status,
+      priority: 'medium',
+      createdAt: Date.now()
+    };
+
+    this.currentPage.cards.push(card);
+    this.persist('POST', `/api/pages/${this.currentPage.id}/cards`, card, card);
+    this.renderBoard();
+
+    // Open card for editing
+    this.editCard(card.id);
+  }
+
+  editCard(id) {
+    if (!this.currentPage?.cards) return;
+
+    const card = this.currentPage.cards.find(c => c.id === id);
+    if (!card) return;
+
+    this.editingCard = card;
+
+    document.getElementById('cardTitle').value = card.title;
+    document.getElementById('cardDescription').value = card.description || '';
+
+    document.querySelectorAll('.priority-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.priority === card.priority);
+    });
+
+    this.showModal('cardModal');
+  }
+
+  saveCard() {
+    if (!this.editingCard) return;
+
+    this.editingCard.title = document.getElementById('cardTitle').value || 'Untitled';
+    this.editingCard.description = document.getElementById('cardDescription').value;
+    this.editingCard.priority = document.querySelector('.priority-btn.active')?.dataset.priority || 'medium';
+
+    const { id, title, description, priority } = this.editingCard;
+    this.persist('PATCH', `/api/pages/${this.currentPage.id}/cards/${id}`, { title, description, priority }, this.editingCard);
+    this.renderBoard();
+    this.hideModal('cardModal');
+    this.editingCard = null;
+  }
+
+  deleteCard() {
+    if (!this.editingCard || !this.currentPage?.cards) return;
+
+    if (!confirm('Move this card to the trash?')) return;
+
+    const cardId = this.editingCard.id;
+    const page = this.currentPage;
+    this.hideModal('cardModal');
+    this.persist('DELETE', `/api/pages/${page.id}/cards/${cardId}`, undefined, this.editingCard);
+
+    // Add deletion animation
+    const cardEl = document.querySelector(`.board-card[data-id="${cardId}"]`);
+    if (cardEl) {
+      cardEl.classList.add('deleting');
+      setTimeout(() => {
+        page.cards = page.cards.filter(c => c.id !== cardId);
+        this.renderBoard();
+      }, 400);
+    } else {
+      page.cards = page.cards.filter(c => c.id !== cardId);
+      this.renderBoard();
+    }
+
+    this.editingCard = null;
+  }
+
+  moveCard(cardId, newStatus) {
+    if (!this.currentPage?.cards) return;
+
+    const card = this.currentPage.cards.find(c => c.id === cardId);
+    if (card && card.status !== newStatus) {
+      card.status = newStatus;
+      this.persist('PATCH', `/api/pages/${this.currentPage.id}/cards/${cardId}`, { status: newStatus }, card);
+      this.renderBoard();
+    }
+  }
+
+  renderBoard() {
+    if (!this.currentPage) return;
+
+    const cards = this.currentPage.cards || [];
+    const statuses = ['backlog', 'in-progress', 'review', 'done'];
+
+    statuses.forEach(status => {
+      const column = document.querySelector(`.column-cards[data-status="${status}"]`);
+      const statusCards = cards.filter(c => c.status === status);
+
+      // Update count
+      const countEl = column.closest('.board-column').querySelector('.column-count');
+      countEl.textContent = statusCards.length;
+
+      // Render cards
+      column.innerHTML = statusCards.map(card => `
+        <div class="board-card" data-id="${this.escapeHtml(card.id)}" draggable="true">
+          <div class="card-priority ${this.escapeHtml(card.priority)}"></div>
+          <div class="card-title">${this.escapeHtml(card.title)}</div>
+          ${card.description ? `<div class="card-description">${this.escapeHtml(card.description)}</div>` : ''}
+        </div>
+      `).join('');
+
+      // Bind click events
+      column.querySelectorAll('.board-card').forEach(cardEl => {
+        cardEl.addEventListener('click', () => this.editCard(cardEl.dataset.id));
+
+        // Drag events
+        cardEl.addEventListener('dragstart', (e) => {
+          this.draggedCard = cardEl.dataset.id;
+          cardEl.classList.add('dragging');
+          e.dataTransfer.effectAllowed = 'move';
+        });
+
+        cardEl.addEventListener('dragend', () => {
+          cardEl.classList.remove('dragging');
+          this.draggedCard = null;
+        });
+      });
+
+      // Drop events on columns
+      column.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        column.classList.add('drag-over');
+      });
+
+      column.addEventListener('dragleave', () => {
+        column.classList.remove('drag-over');
+      });
+
+      column.addEventListener('drop', (e) => {
+        e.preventDefault();
+        column.classList.remove('drag-over');
+        if (this.draggedCard) {
+          this.moveCard(this.draggedCard, status);
+        }
+      });
+    });
+  }
+
+  // ============================================
+  // SIDEBAR
+  // ============================================
+
+  renderSidebar() {
+    // Render workspaces
+    const workspaceList = document.getElementById('workspaceList');
+    workspaceList.innerHTML = this.workspaces.map(ws => `
+      <div class="nav-item ${ws.id === this.currentWorkspace?.id ? 'active' : ''}" data-id="${this.escapeHtml(ws.id)}" data-type="workspace">
+        <span class="nav-item-icon">${this.escapeHtml(ws.icon)}</span>
+        <span class="nav-item-text">${this.escapeHtml(ws.name)}</span>
+      </div>
+    `).join('');
+
+    workspaceList.querySelectorAll('.nav-item').forEach(item => {
+      item.addEventListener('click', () => this.selectWorkspace(item.dataset.id));
+    });
+
+    // Render pages for current workspace
+    const pageList = document.getElementById('pageList');
+    const workspacePages = this.pages.filter(p => p.workspaceId === this.currentWorkspace?.id);
+
+    if (workspacePages.length === 0) {
+      pageList.innerHTML = '<div class="nav-item empty-pages-hint"><span class="nav-item-icon">&#x25CC;</span><span class="nav-item-text">No pages yet</span></div>';
+      const hint = pageList.querySelector('.empty-pages-hint');
+      const hintText = hint.querySelector('.nav-item-text');
+      const hintIcon = hint.querySelector('.nav-item-icon');
+      hint.addEventListener('click', () => this.createPage());
+      hint.addEventListener('mouseenter', () => { hintText.textContent = '+ Create new page'; hintIcon.textContent = '\u2726'; });
+      hint.addEventListener('mouseleave', () => { hintText.textContent = 'No pages yet'; hintIcon.textContent = '\u25CC'; });
+    } else {
+      pageList.innerHTML = workspacePages.map(page => `
+        <div class="nav-item ${page.id === this.currentPage?.id ? 'active' : ''}" data-id="${this.escapeHtml(page.id)}" data-type="page">
+          <span class="nav-item-icon">${this.escapeHtml(page.icon)}</span>
+          <span class="nav-item-text">${this.escapeHtml(page.title)}</span>
+          <span class="nav-item-count">${this.getPageItemCount(page)}</span>
+        </div>
+      `).join('');
+
+      pageList.querySelectorAll('.nav-item').forEach(item => {
+        item.addEventListener('click', () => this.selectPage(item.dataset.id));
+      });
+    }
+  }
+
+  getPageItemCount(page) {
+    switch (page.type) {
+      case 'todo':
+        return page.todos?.filter(t => !t.completed).length || 0;
+      case 'board':
+        return page.cards?.length || 0;
+      default:
+        return '';
+    }
+  }
+
+  // ============================================
+  // SEARCH
+  // ============================================
+
+  async search(query) {
+    const seq = ++this._searchSeq;
+    const results = document.getElementById('searchResults');
+
+    if (!query.trim()) {
+      this.searchResults = [];
+      results.classList.add('hidden');
+      return;
+    }
+
+    try {
+      const found = await this.api('GET', `/api/search?q=${encodeURIComponent(query)}`);
+      // A newer search was started while this one was in flight
+      if (seq !== this._searchSeq) return;
+      this.searchResults = found;
+      this.searchIndex = found.length > 0 ? 0 : -1;
+      this.renderSearchResults();
+    } catch (err) {
+      console.error('[HACKNOTE] Search failed:', err);
+    }
+  }
+
+  renderSearchResults() {
+    const results = document.getElementById('searchResults');
+
+    if (this.searchResults.length === 0) {
+      results.innerHTML = '<div class="search-empty">No matches</div>';
+    } else {
+      // Snippets arrive as escaped HTML with <mark> around the matched words
+      results.innerHTML = this.searchResults.map((result, i) => `
+        <div class="search-result ${i === this.searchIndex ? 'active' : ''}" data-index="${i}">
+          <div class="search-result-title">
+            <span class="nav-item-icon">${this.escapeHtml(result.icon || '\u25A2')}</span>
+            <span class="search-result-name">${this.escapeHtml(result.title || 'Untitled')}</span>
+            <span class="search-result-workspace">${this.escapeHtml(result.workspaceName || '')}</span>
+          </div>
+          ${result.field !== 'title' ? `<div class="search-result-snippet">${result.snippet}</div>` : ''}
+        </div>
+      `).join('');
+
+      results.querySelectorAll('.search-result').forEach(item => {
+        item.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          this.openSearchResult(parseInt(item.dataset.index, 10));
+        });
+      });
+    }
+
+    results.classList.remove('hidden');
+  }
+
+  handleSearchKey(e) {
+    const count = this.searchResults.length;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (count === 0) return;
+      this.searchIndex = (this.searchIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+      this.renderSearchResults();
+      document.querySelector('.search-result.active')?.scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (this.searchIndex >= 0) this.openSearchResult(this.searchIndex);
+    } else if (e.key === 'Escape') {
+      e.target.value = '';
+      this.search('');
+      e.target.blur();
+    }
+  }
+
+  openSearchResult(index) {
+    const result = this.searchResults[index];
+    if (!result || !this.pages.some(p => p.id === result.pageId)) return;
+
+    if (result.workspaceId !== this.currentWorkspace?.id) {
+      this.selectWorkspace(result.workspaceId);
+    }
+    this.selectPage(result.pageId);
+
+    const query = document.getElementById('searchInput').value;
+    document.getElementById('searchResults').classList.add('hidden');
+    document.getElementById('searchInput').blur();
+    this.highlightSearchHit(query, result.field);
+  }
+
+  // Point out where the match is on the opened page. Rich-text notes use the
+  // CSS Custom Highlight API where available so the saved HTML is never touched.
+  highlightSearchHit(query, field) {
+    const terms = (query.match(/[\p{L}\p{N}_]+/gu) || []).map(t => t.toLowerCase());
+    if (terms.length === 0 || !this.currentPage) return;
+    const matches = (text) => terms.some(term => text.toLowerCase().includes(term));
+
+    if (field === 'todos' && this.currentPage.type === 'todo') {
+      const hits = [...document.querySelectorAll('.todo-item')].filter(item => matches(item.querySelector('.todo-text-input').value));
+      hits.forEach(item => item.classList.add('search-hit'));
+      hits[0]?.scrollIntoView({ block: 'center' });
+      return;
+    }
+
+    if (field === 'cards' && this.currentPage.type === 'board') {
+      const hits = [...document.querySelectorAll('.board-card')].filter(card => matches(card.textContent));
+      hits.forEach(card => card.classList.add('search-hit'));
+      hits[0]?.scrollIntoView({ block: 'center' });
+      return;
+    }
+
+    if (field !== 'body' || this.currentPage.type !== 'notes') return;
+
+    if (this.currentPage.markdownMode) {
+      const textarea = document.getElementById('markdownContent');
+      const lower = textarea.value.toLowerCase();
+      const index = terms.map(term => lower.indexOf(term)).filter(i => i >= 0).sort((a, b) => a - b)[0];
+      if (index !== undefined) {
+        textarea.focus();
+        textarea.setSelectionRange(index, index + terms.find(term => lower.startsWith(term, index)).length);
+      }
+      return;
+    }
+
+    const editor = document.getElementById('notesContent');
+    const ranges = [];
+    const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      const lower = node.textContent.toLowerCase();
+      for (const term of terms) {
+        let index = lower.indexOf(term);
+        while (index >= 0) {
+          const range = document.createRange();
+          range.setStart(node, index);
+          range.setEnd(node, index + term.length);
+          ranges.push(range);
+          index = lower.indexOf(term, index + term.length);
+        }
+      }
+    }
+    if (ranges.length === 0) return;
+
+    ranges[0].startContainer.parentElement.scrollIntoView({ block: 'center' });
+    if (window.CSS?.highlights && typeof Highlight !== 'undefined') {
+      CSS.highlights.set('search-hit', new Highlight(...ranges));
+    } else {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(ranges[0]);
+    }
+  }
+
+  clearSearchHighlight() {
+    if (window.CSS?.highlights) {
+      CSS.highlights.delete('search-hit');
+    }
+  }
+
+  // ============================================
+  // CONTEXT MENU
+  // ============================================
+
+  showContextMenu(x, y, target) {
+    this.contextMenuTarget = target;
+    const menu = document.getElementById('contextMenu');
+    menu.style.left = x + 'px';
+    menu.style.top = y + 'px';
+    for (const action of ['members', 'export-markdown', 'publish-site', 'import-markdown', 'import-folder', 'import-app']) {
+      menu.querySelector(`[data-action="${action}"]`).classList.toggle('hidden', target.dataset.type !== 'workspace');
+    }
+    menu.querySelector('[data-action="share"]').classList.toggle('hidden', target.dataset.type !== 'page');
+    menu.classList.remove('hidden');
+  }
+
+  hideContextMenu() {
+    document.getElementById('contextMenu').classList.add('hidden');
+    this.contextMenuTarget = null;
+  }
+
+  handleContextAction(action) {
+    if (!this.contextMenuTarget) return;
+
+    const id = this.contextMenuTarget.dataset.id;
+    const type = this.contextMenuTarget.dataset.type;
+
+    switch (action) {
+      case 'rename':
+        const name = prompt('Enter new name:');
+        if (name) {
+          if (type === 'workspace') {
+            const ws = this.workspaces.find(w => w.id === id);
+            if (ws) {
+              ws.name = name;
+              this.persist('PATCH', `/api/workspaces/${id}`, { name }, ws);
+            }
+          } else {
+            const page = this.pages.find(p => p.id === id);
+            if (page) {
+              const oldTitle = page.title;
+              page.title = name;
+              this.savePage(page, { title: name });
+              this.renamePageLinks(page, oldTitle);
+            }
+          }
+          this.renderSidebar();
+        }
+        break;
+
+      case 'duplicate':
+        if (type === 'page') {
+          const page = this.pages.find(p => p.id === id);
+          if (page) {
+            const copy = {
+              ...JSON.parse(JSON.stringify(page)),
+              id: this.generateId(),
+              title: page.title + ' (Copy)',
+              createdAt: Date.now()
+            };
+            this.pages.push(copy);
+            this.persist('POST', '/api/pages', copy, copy);
+            this.renderSidebar();
+          }
+        }
+        break;
+
+      case 'members':
+        if (type === 'workspace') {
+          this.showMembers(id);
+        }
+        break;
+
+      case 'share':
+        if (type === 'page') {
+          this.showShareLinks(id);
+        }
+        break;
+
+      case 'export-markdown':
+        if (type === 'workspace') {
+          this.exportMarkdown(id);
+        }
+        break;
+
+      case 'publish-site':
+        if (type === 'workspace') {
+          this.publishSite(id);
+        }
+        break;
+
+      case 'import-markdown':
+      case 'import-folder':
+      case 'import-app':
+        if (type === 'workspace') {
+          const inputs = { 'import-markdown': 'markdownInput', 'import-folder': 'markdownFolderInput', 'import-app': 'appImportInput' };
+          this.markdownWorkspaceId = id;
+          document.getElementById(inputs[action]).click();
+        }
+        break;
+
+      case 'delete':
+        if (type === 'workspace' && this.workspaces.length > 1) {
+          if (confirm('Move this workspace and all its pages to the trash?')) {
+            const workspace = this.workspaces.find(w => w.id === id);
+            this.pages = this.pages.filter(p => p.workspaceId !== id);
+            this.workspaces = this.workspaces.filter(w => w.id !== id);
+            if (this.currentWorkspace?.id === id) {
+              this.currentWorkspace = this.workspaces[0];
+              this.currentPage = null;
+              this.showWelcome();
+            }
+            this.persist('DELETE', `/api/workspaces/${id}`, undefined, workspace);
+            this.renderSidebar();
+          }
+        } else if (type === 'page') {
+          this.deletePage(id);
+        }
+        break;
+    }
 
-    this.pages.push(page);
-    this.saveData();
-    this.renderSidebar();
-    this.selectPage(page.id);
+    this.hideContextMenu();
   }
 
-  selectPage(id) {
-    this.currentPage = this.pages.find(p => p.id === id);
+  // ============================================
+  // PAGE HISTORY
+  // ============================================
+
+  async showHistory() {
     if (!this.currentPage) return;
+    const page = this.currentPage;
 
-    // Update sidebar selection
-    document.querySelectorAll('.nav-item').forEach(item => {
-      item.classList.toggle('active', item.dataset.id === id);
-    });
+    this.selectedRevision = null;
+    document.getElementById('historyList').innerHTML = '<div class="history-empty">Loading...</div>';
+    document.getElementById('historyMeta').textContent = 'Select a version to compare it with the current page.';
+    document.getElementById('historyDiff').innerHTML = '';
+    document.getElementById('restoreRevisionBtn').disabled = true;
+    this.showModal('historyModal');
 
-    // Update breadcrumb
-    document.getElementById('breadcrumb').innerHTML = `
-      <span class="breadcrumb-item">${this.currentWorkspace?.name || 'HACKNOTE'}</span>
-      <span class="breadcrumb-item">${this.currentPage.title}</span>
-    `;
+    // Make sure the latest edits are part of the history we're about to show
+    this.flushPageSave(page.id);
+    await this._writeQueue;
 
-    // Show editor
-    document.getElementById('welcome-screen').classList.add('hidden');
-    document.getElementById('page-editor').classList.remove('hidden');
+    try {
+      const revisions = await this.api('GET', `/api/pages/${page.id}/revisions`);
+      this.renderHistoryList(page, revisions);
+    } catch (err) {
+      console.error('[HACKNOTE] Failed to load history:', err);
+      document.getElementById('historyList').innerHTML = '<div class="history-empty">Failed to load history</div>';
+    }
+  }
 
-    // Set page title
-    document.getElementById('pageTitle').value = this.currentPage.title;
-    document.getElementById('pageIcon').textContent = this.currentPage.icon;
+  renderHistoryList(page, revisions) {
+    const list = document.getElementById('historyList');
+    const labels = { edit: 'EDIT', import: 'IMPORT', restore: 'RESTORE', delete: 'DELETED', migration: 'UPGRADE', baseline: 'ORIGINAL' };
 
-    // Set page type
-    this.setPageType(this.currentPage.type, false);
+    if (revisions.length === 0) {
+      list.innerHTML = '<div class="history-empty">No history yet</div>';
+      return;
+    }
 
-    // Load content
-    this.loadPageContent();
+    list.innerHTML = revisions.map((rev, i) => `
+      <div class="history-item" data-id="${rev.id}">
+        <div class="history-item-date">${this.formatDate(rev.createdAt)}${i === 0 ? ' <span class="history-current">CURRENT</span>' : ''}</div>
+        <div class="history-item-info">
+          <span class="history-reason ${rev.reason}">${labels[rev.reason] || rev.reason.toUpperCase()}</span>
+          <span class="history-item-title">${this.escapeHtml(rev.title || 'Untitled')}</span>
+        </div>
+      </div>
+    `).join('');
+
+    list.querySelectorAll('.history-item').forEach(item => {
+      item.addEventListener('click', () => this.selectRevision(page, parseInt(item.dataset.id, 10)));
+    });
   }
 
-  setPageType(type, save = true) {
-    if (!this.currentPage) return;
+  async selectRevision(page, revisionId) {
+    document.querySelectorAll('.history-item').forEach(item => {
+      item.classList.toggle('active', parseInt(item.dataset.id, 10) === revisionId);
+    });
 
-    // Exit canvas fullscreen when switching away from canvas
-    if (type !== 'canvas') {
-      document.getElementById('app').classList.remove('canvas-fullscreen');
+    try {
+      const revision = await this.api('GET', `/api/pages/${page.id}/revisions/${revisionId}`);
+      this.selectedRevision = revision;
+
+      const meta = document.getElementById('historyMeta');
+      const titleNote = revision.page.title !== page.title
+        ? ` &mdash; titled &ldquo;${this.escapeHtml(revision.page.title || 'Untitled')}&rdquo;`
+        : '';
+      meta.innerHTML = `Version from ${this.formatDate(revision.createdAt)}${titleNote}. ` +
+        '<span class="diff-legend remove">- only in this version</span> ' +
+        '<span class="diff-legend add">+ only in current page</span>';
+
+      const diff = this.diffLines(this.pageToText(revision.page), this.pageToText(page));
+      document.getElementById('historyDiff').innerHTML = diff.map(line => {
+        const prefix = { add: '+', remove: '-', same: ' ' }[line.type];
+        return `<div class="diff-line diff-${line.type}">${prefix} ${this.escapeHtml(line.text) || '&nbsp;'}</div>`;
+      }).join('');
+
+      document.getElementById('restoreRevisionBtn').disabled = false;
+    } catch (err) {
+      console.error('[HACKNOTE] Failed to load revision:', err);
+      document.getElementById('historyMeta').textContent = 'Failed to load this version.';
     }
+  }
 
-    // Update type buttons
-    document.querySelectorAll('.type-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.type === type);
-    });
+  async restoreSelectedRevision() {
+    const revision = this.selectedRevision;
+    if (!revision) return;
+    if (!confirm(`Restore the version from ${this.formatDate(revision.createdAt)}? The current state stays in history.`)) return;
 
-    // Show correct view
-    document.getElementById('notesView').classList.toggle('hidden', type !== 'notes');
-    document.getElementById('todoView').classList.toggle('hidden', type !== 'todo');
-    document.getElementById('boardView').classList.toggle('hidden', type !== 'board');
-    document.getElementById('canvasView').classList.toggle('hidden', type !== 'canvas');
+    try {
+      const page = await this.api('POST', `/api/pages/${revision.pageId}/revisions/${revision.id}/restore`, {
+        workspaceId: this.currentWorkspace?.id
+      });
 
-    // Update page icon
-    const icons = {
-      notes: '\u270E',
-      todo: '\u2611',
-      board: '\u25A6',
-      canvas: '\u25B3'
-    };
-    this.currentPage.icon = icons[type] || '\u25A2';
-    document.getElementById('pageIcon').textContent = this.currentPage.icon;
+      const index = this.pages.findIndex(p => p.id === page.id);
+      if (index >= 0) {
+        this.pages[index] = page;
+      } else {
+        this.pages.push(page);
+      }
+      this.remember(page, page);
 
-    if (save) {
-      this.currentPage.type = type;
-      this.saveData();
+      this.hideModal('historyModal');
       this.renderSidebar();
+      this.selectPage(page.id);
+      this.updateStats();
+    } catch (err) {
+      console.error('[HACKNOTE] Failed to restore revision:', err);
+      alert(`Failed to restore: ${err.message}`);
     }
-
-    // Load content for the view
-    this.loadPageContent();
   }
 
-  loadPageContent() {
-    if (!this.currentPage) return;
-
-    switch (this.currentPage.type) {
-      case 'notes':
-        const notesContent = document.getElementById('notesContent');
-        const markdownContent = document.getElementById('markdownContent');
-        const markdownToggle = document.getElementById('markdownToggle');
-
-        // Check if we're in markdown mode
-        if (this.currentPage.markdownMode) {
-          notesContent.classList.add('hidden');
-          markdownContent.classList.remove('hidden');
-          markdownToggle.classList.add('active');
-          markdownContent.value = this.currentPage.markdownContent || '';
-        } else {
-          notesContent.classList.remove('hidden');
-          markdownContent.classList.add('hidden');
-          markdownToggle.classList.remove('active');
-          notesContent.innerHTML = this.currentPage.content || '';
-        }
-        break;
+  // Plain-text lines representing a page, used for diffing revisions
+  pageToText(page) {
+    switch (page.type) {
       case 'todo':
-        this.renderTodos();
-        break;
+        return (page.todos || []).map(t => `[${t.completed ? 'x' : ' '}] ${t.text}`);
       case 'board':
-        this.renderBoard();
-        break;
-      case 'canvas':
-        this.initCanvasEditor();
-        break;
+        return (page.cards || []).map(c => `[${c.status}] ${c.title}${c.description ? ` \u2014 ${c.description}` : ''}`);
+      case 'canvas': {
+        const objects = Array.isArray(page.canvasData) ? page.canvasData : page.canvasData?.objects || [];
+        return [`${objects.length} canvas object${objects.length !== 1 ? 's' : ''}`];
+      }
+      default:
+        if (page.markdownMode) {
+          return (page.markdownContent || '').split('\n');
+        }
+        return this.htmlToText(page.content || '').split('\n');
     }
   }
 
-  deletePage(id) {
-    if (!confirm('Delete this page?')) return;
+  htmlToText(html) {
+    // DOMParser gives an inert document, so images in old revisions aren't fetched
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const blocks = /^(P|DIV|H[1-6]|LI|PRE|BLOCKQUOTE|TR|HR)$/;
+    let text = '';
 
-    // Add deletion animation to nav item
-    const navItem = document.querySelector(`.nav-item[data-id="${id}"]`);
-    if (navItem) {
-      navItem.classList.add('deleting');
-    }
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        text += node.textContent;
+        return;
+      }
+      if (node.nodeName === 'BR') {
+        text += '\n';
+        return;
+      }
+      const isBlock = blocks.test(node.nodeName);
+      if (isBlock && text && !text.endsWith('\n')) text += '\n';
+      node.childNodes.forEach(walk);
+      if (isBlock && !text.endsWith('\n')) text += '\n';
+    };
+    walk(doc.body);
 
-    setTimeout(() => {
-      this.pages = this.pages.filter(p => p.id !== id);
-      this.saveData();
+    return text.replace(/\n+$/, '');
+  }
 
-      if (this.currentPage?.id === id) {
-        this.currentPage = null;
-        this.showWelcome();
+  // Line diff via longest common subsequence
+  diffLines(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+
+    // Very large pages: skip the quadratic table and show a plain replacement
+    if (n * m > 4000000) {
+      return [
+        ...oldLines.map(text => ({ type: 'remove', text })),
+        ...newLines.map(text => ({ type: 'add', text }))
+      ];
+    }
+
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = oldLines[i] === newLines[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
       }
+    }
 
-      this.renderSidebar();
-      this.updateStats();
-    }, navItem ? 500 : 0);
-  }
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (oldLines[i] === newLines[j]) {
+        result.push({ type: 'same', text: oldLines[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        result.push({ type: 'remove', text: oldLines[i++] });
+      } else {
+        result.push({ type: 'add', text: newLines[j++] });
+      }
+    }
+    while (i < n) result.push({ type: 'remove', text: oldLines[i++] });
+    while (j < m) result.push({ type: 'add', text: newLines[j++] });
 
-  showWelcome() {
-    document.getElementById('welcome-screen').classList.remove('hidden');
-    document.getElementById('page-editor').classList.add('hidden');
-    document.getElementById('breadcrumb').innerHTML = '<span class="breadcrumb-item">HACKNOTE</span>';
-    this.updateStats();
+    return result;
   }
 
   // ============================================
-  // TODO MANAGEMENT
+  // TRASH
   // ============================================
 
-  addTodo(text) {
-    if (!this.currentPage) return;
-
-    if (!this.currentPage.todos) {
-      this.currentPage.todos = [];
-    }
+  toggleTrash() {
+    this.trashOpen = !this.trashOpen;
+    document.getElementById('trashList').classList.toggle('hidden', !this.trashOpen);
+    document.getElementById('trashToggle').classList.toggle('open', this.trashOpen);
+    if (this.trashOpen) this.loadTrash();
+  }
 
-    this.currentPage.todos.push({
-      id: this.generateId(),
-      text: text,
-      completed: false,
-      createdAt: Date.now()
-    });
+  // Only fetched while the list is open; a closed list refreshes when opened
+  refreshTrash() {
+    if (this.trashOpen) this.loadTrash();
+  }
 
-    this.saveData();
-    this.renderTodos();
-    this.updateStats();
+  async loadTrash() {
+    try {
+      this.trash = await this.api('GET', '/api/trash');
+    } catch (err) {
+      console.error('[HACKNOTE] Failed to load trash:', err);
+      this.trash = [];
+    }
+    this.renderTrash();
   }
 
-  toggleTodo(id) {
-    if (!this.currentPage?.todos) return;
+  renderTrash() {
+    const list = document.getElementById('trashList');
+    document.getElementById('trashCount').textContent = this.trash.length || '';
+    document.getElementById('emptyTrashBtn').classList.toggle('hidden', !this.trash.some(item => item.manageable));
 
-    const todo = this.currentPage.todos.find(t => t.id === id);
-    if (todo) {
-      todo.completed = !todo.completed;
-      this.saveData();
-      this.renderTodos();
-      this.updateStats();
+    if (this.trash.length === 0) {
+      list.innerHTML = '<div class="trash-empty">Trash is empty</div>';
+      return;
     }
+
+    const icons = { workspace: '\u2302', page: '\u25A4', todo: '\u2610', card: '\u25A3' };
+    list.innerHTML = this.trash.map(item => {
+      const where = item.kind === 'workspace' ? '' : item.pageTitle || item.workspaceName;
+      const daysLeft = Math.max(0, Math.ceil((item.purgeAt - Date.now()) / 86400000));
+      return `
+        <div class="trash-item" data-id="${this.escapeHtml(item.id)}" title="Deleted ${this.escapeHtml(this.formatDate(item.deletedAt))}${item.deletedBy ? ` by ${this.escapeHtml(item.deletedBy)}` : ''}">
+          <span class="nav-item-icon">${icons[item.kind]}</span>
+          <div class="trash-item-info">
+            <div class="trash-item-title">${this.escapeHtml(item.title || 'Untitled')}</div>
+            <div class="trash-item-meta">${item.kind.toUpperCase()}${where ? ` \u00B7 ${this.escapeHtml(where)}` : ''} \u00B7 ${daysLeft}d left</div>
+          </div>
+          ${item.manageable ? `
+            <button class="trash-btn" data-action="restore" title="Restore">&#x21BA;</button>
+            <button class="trash-btn danger" data-action="purge" title="Delete forever">&#x2715;</button>
+          ` : ''}
+        </div>
+      `;
+    }).join('');
+
+    list.querySelectorAll('.trash-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const item = this.trash.find(i => i.id === Number(btn.closest('.trash-item').dataset.id));
+        if (!item) return;
+        if (btn.dataset.action === 'restore') {
+          this.restoreTrashItem(item);
+        } else {
+          this.purgeTrashItem(item);
+        }
+      });
+    });
   }
 
-  deleteTodo(id) {
-    if (!this.currentPage?.todos) return;
+  async restoreTrashItem(item, workspaceId) {
+    let restored;
+    try {
+      restored = await this.api('POST', `/api/trash/${item.id}/restore`, workspaceId ? { workspaceId } : {});
+    } catch (err) {
+      // A page whose workspace is gone too can go into the current one
+      if (err.status === 409 && item.kind === 'page' && !workspaceId && this.currentWorkspace &&
+          !this.workspaces.some(w => w.id === item.workspaceId)) {
+        if (confirm(`The workspace this page was in is gone. Restore it into "${this.currentWorkspace.name}"?`)) {
+          return this.restoreTrashItem(item, this.currentWorkspace.id);
+        }
+        return;
+      }
+      console.error('[HACKNOTE] Failed to restore from trash:', err);
+      alert(`Failed to restore: ${err.message}`);
+      return;
+    }
 
-    // Add deletion animation
-    const todoEl = document.querySelector(`.todo-item[data-id="${id}"]`);
-    if (todoEl) {
-      todoEl.classList.add('deleting');
-      setTimeout(() => {
-        this.currentPage.todos = this.currentPage.todos.filter(t => t.id !== id);
-        this.saveData();
-        this.renderTodos();
-        this.updateStats();
-      }, 400);
-    } else {
-      this.currentPage.todos = this.currentPage.todos.filter(t => t.id !== id);
-      this.saveData();
-      this.renderTodos();
-      this.updateStats();
+    // The server skips sending these back to us, so apply them the same way
+    if (restored.workspace) {
+      this.applyRemoteChange({ type: 'workspace.created', workspace: restored.workspace });
+    }
+    for (const page of restored.pages || [restored.page].filter(Boolean)) {
+      this.applyRemoteChange({ type: 'page.created', page });
+    }
+    if (restored.todo) {
+      this.applyRemoteChange({ type: 'todo.created', pageId: restored.pageId, todo: restored.todo });
+    }
+    if (restored.card) {
+      this.applyRemoteChange({ type: 'card.created', pageId: restored.pageId, card: restored.card });
     }
+    this.updateStats();
+    this.loadTrash();
   }
 
-  updateTodoText(id, text) {
-    if (!this.currentPage?.todos) return;
+  async purgeTrashItem(item) {
+    if (!confirm(`Permanently delete "${item.title || 'Untitled'}"? This can't be undone.`)) return;
 
-    const todo = this.currentPage.todos.find(t => t.id === id);
-    if (todo) {
-      todo.text = text;
-      this.saveData();
+    try {
+      await this.api('DELETE', `/api/trash/${item.id}`);
+    } catch (err) {
+      console.error('[HACKNOTE] Failed to purge trash item:', err);
+      alert(`Failed to delete: ${err.message}`);
     }
+    this.loadTrash();
   }
 
-  renderTodos() {
-    if (!this.currentPage) return;
-
-    const todos = this.currentPage.todos || [];
-    const filter = document.querySelector('.filter-btn.active')?.dataset.filter || 'all';
-    const list = document.getElementById('todoList');
+  async emptyTrash() {
+    if (!confirm('Permanently delete everything in the trash? This can\'t be undone.')) return;
 
-    let filtered = todos;
-    if (filter === 'active') {
-      filtered = todos.filter(t => !t.completed);
-    } else if (filter === 'completed') {
-      filtered = todos.filter(t => t.completed);
+    try {
+      await this.api('DELETE', '/api/trash');
+    } catch (err) {
+      console.error('[HACKNOTE] Failed to empty trash:', err);
+      alert(`Failed to empty trash: ${err.message}`);
     }
+    this.loadTrash();
+  }
 
-    if (filtered.length === 0) {
-      list.innerHTML = '<div class="todo-empty">No tasks yet. Add one above!</div>';
-    } else {
-      list.innerHTML = filtered.map(todo => `
-        <div class="todo-item ${todo.completed ? 'completed' : ''}" data-id="${todo.id}">
-          <div class="todo-checkbox ${todo.completed ? 'checked' : ''}" data-id="${todo.id}"></div>
-          <input type="text" class="todo-text-input" value="${this.escapeHtml(todo.text)}" data-id="${todo.id}">
-          <button class="todo-delete" data-id="${todo.id}">\u2715</button>
-        </div>
-      `).join('');
+  // ============================================
+  // MODALS
+  // ============================================
 
-      // Bind events
-      list.querySelectorAll('.todo-checkbox').forEach(cb => {
-        cb.addEventListener('click', () => this.toggleTodo(cb.dataset.id));
-      });
+  showModal(id) {
+    document.getElementById('modal-overlay').classList.add('visible');
+    document.getElementById(id).classList.remove('hidden');
+  }
 
-      list.querySelectorAll('.todo-delete').forEach(btn => {
-        btn.addEventListener('click', () => this.deleteTodo(btn.dataset.id));
-      });
+  hideModal(id) {
+    document.getElementById(id).classList.add('hidden');
+    if (!document.querySelector('.modal:not(.hidden)')) {
+      document.getElementById('modal-overlay').classList.remove('visible');
+    }
+  }
 
-      list.querySelectorAll('.todo-text-input').forEach(input => {
-        input.addEventListener('blur', () => this.updateTodoText(input.dataset.id, input.value));
-        input.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter') {
-            input.blur();
-          }
-        });
-      });
+  hideAllModals() {
+    // A dismissed conflict prompt keeps both sides' changes
+    if (this._resolveConflictChoice) {
+      this._resolveConflictChoice('merge');
     }
 
-    // Update count
-    const activeCount = todos.filter(t => !t.completed).length;
-    document.getElementById('todoCount').textContent = `${activeCount} task${activeCount !== 1 ? 's' : ''} remaining`;
+    document.querySelectorAll('.modal').forEach(m => m.classList.add('hidden'));
+    document.getElementById('modal-overlay').classList.remove('visible');
   }
 
   // ============================================
-  // BOARD (KANBAN) MANAGEMENT
+  // SETTINGS
   // ============================================
 
-  createCard(status) {
-    if (!this.currentPage) return;
-
-    if (!this.currentPage.cards) {
-      this.currentPage.cards = [];
-    }
+  applySettings() {
+    // Apply accent color
+    document.documentElement.style.setProperty('--accent', this.settings.accentColor);
+    document.documentElement.style.setProperty('--accent-dim', this.settings.accentColor + '40');
+    document.documentElement.style.setProperty('--accent-glow',
+      `0 0 10px ${this.settings.accentColor}, 0 0 20px ${this.settings.accentColor}40`);
 
-    const card = {
-      id: this.generateId(),
-      title: 'New Card',
-      description: '',
-      status: status,
-      priority: 'medium',
-      createdAt: Date.now()
-    };
+    // Update color button
+    document.querySelectorAll('.color-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.color === this.settings.accentColor);
+    });
 
-    this.currentPage.cards.push(card);
-    this.saveData();
-    this.renderBoard();
+    // Glow
+    document.getElementById('enableGlow').checked = this.settings.enableGlow;
 
-    // Open card for editing
-    this.editCard(card.id);
+    // Theme
+    this.applyTheme();
   }
 
-  editCard(id) {
-    if (!this.currentPage?.cards) return;
+  applyTheme() {
+    const theme = this.settings.theme || 'dark';
+    document.documentElement.setAttribute('data-theme', theme);
 
-    const card = this.currentPage.cards.find(c => c.id === id);
-    if (!card) return;
+    // Update checkbox in settings modal
+    const themeCheckbox = document.getElementById('enableLightMode');
+    if (themeCheckbox) {
+      themeCheckbox.checked = theme === 'light';
+    }
 
-    this.editingCard = card;
+    // Forward to canvas iframe
+    if (this.canvasEditor) {
+      this.canvasEditor.setTheme(theme);
+    }
+  }
 
-    document.getElementById('cardTitle').value = card.title;
-    document.getElementById('cardDescription').value = card.description || '';
+  // ============================================
+  // ACCOUNTS
+  // ============================================
 
-    document.querySelectorAll('.priority-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.priority === card.priority);
+  bindAuthEvents() {
+    document.getElementById('authForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitAuth();
     });
 
-    this.showModal('cardModal');
+    document.getElementById('authSwitch').addEventListener('click', () => {
+      this.authMode = this.authMode === 'login' ? 'register' : 'login';
+      this.renderAuthScreen();
+    });
   }
 
-  saveCard() {
-    if (!this.editingCard) return;
+  // Resolve once someone is signed in, asking for credentials if needed
+  async authenticate() {
+    let session;
+    try {
+      session = await this.api('GET', '/api/auth/session');
+    } catch (err) {
+      // Offline: carry on as whoever last signed in on this browser
+      const user = err.offline && await this.localStore('snapshots', 'get', 'user');
+      if (!user) throw err;
+      this.user = user;
+      return user;
+    }
 
-    this.editingCard.title = document.getElementById('cardTitle').value || 'Untitled';
-    this.editingCard.description = document.getElementById('cardDescription').value;
-    this.editingCard.priority = document.querySelector('.priority-btn.active')?.dataset.priority || 'medium';
+    if (session.user) {
+      this.setUser(session.user);
+      return this.user;
+    }
 
-    this.saveData();
-    this.renderBoard();
-    this.hideModal('cardModal');
-    this.editingCard = null;
+    this.authMode = session.setupRequired ? 'setup' : 'login';
+    this.signupOpen = session.signup;
+    return this.signIn();
   }
 
-  deleteCard() {
-    if (!this.editingCard || !this.currentPage?.cards) return;
-
-    if (!confirm('Delete this card?')) return;
-
-    const cardId = this.editingCard.id;
-    this.hideModal('cardModal');
-
-    // Add deletion animation
-    const cardEl = document.querySelector(`.board-card[data-id="${cardId}"]`);
-    if (cardEl) {
-      cardEl.classList.add('deleting');
-      setTimeout(() => {
-        this.currentPage.cards = this.currentPage.cards.filter(c => c.id !== cardId);
-        this.saveData();
-        this.renderBoard();
-      }, 400);
-    } else {
-      this.currentPage.cards = this.currentPage.cards.filter(c => c.id !== cardId);
-      this.saveData();
-      this.renderBoard();
+  // Show the sign-in screen until a login or sign-up succeeds. Requests that
+  // hit an expired session all wait on the same prompt.
+  signIn() {
+    if (!this._signIn) {
+      this._signIn = new Promise(resolve => {
+        this._resolveSignIn = resolve;
+      });
+      this.renderAuthScreen();
+      document.getElementById('authScreen').classList.remove('hidden');
+      document.getElementById('authUsername').focus();
     }
+    return this._signIn;
+  }
 
-    this.editingCard = null;
+  renderAuthScreen() {
+    const labels = {
+      login: ['SIGN IN', 'SIGN IN', 'Need an account? Sign up'],
+      register: ['CREATE ACCOUNT', 'SIGN UP', 'Have an account? Sign in'],
+      setup: ['CREATE THE ADMIN ACCOUNT', 'CREATE', '']
+    };
+    const [subtitle, submit, other] = labels[this.authMode];
+
+    document.getElementById('authSubtitle').textContent = subtitle;
+    document.getElementById('authSubmit').textContent = submit;
+    document.getElementById('authSwitch').textContent = other;
+    document.getElementById('authSwitch').classList.toggle('hidden', this.authMode === 'setup' || !this.signupOpen);
+    document.getElementById('authPassword').autocomplete = this.authMode === 'login' ? 'current-password' : 'new-password';
+    document.getElementById('authError').textContent = '';
   }
 
-  moveCard(cardId, newStatus) {
-    if (!this.currentPage?.cards) return;
+  async submitAuth() {
+    const username = document.getElementById('authUsername').value.trim();
+    const password = document.getElementById('authPassword').value;
+    const url = this.authMode === 'login' ? '/api/auth/login' : '/api/auth/register';
 
-    const card = this.currentPage.cards.find(c => c.id === cardId);
-    if (card) {
-      card.status = newStatus;
-      this.saveData();
-      this.renderBoard();
+    let user;
+    try {
+      ({ user } = await this.api('POST', url, { username, password }));
+    } catch (err) {
+      document.getElementById('authError').textContent = err.message;
+      return;
     }
-  }
 
-  renderBoard() {
-    if (!this.currentPage) return;
+    // Someone else signed in: everything on screen belongs to the previous user
+    if (this.user && this.user.id !== user.id) {
+      location.reload();
+      return;
+    }
 
-    const cards = this.currentPage.cards || [];
-    const statuses = ['backlog', 'in-progress', 'review', 'done'];
+    document.getElementById('authPassword').value = '';
+    document.getElementById('authScreen').classList.add('hidden');
+    this.authMode = 'login';
+    this.setUser(user);
+    this._signIn = null;
+    this._resolveSignIn(user);
+  }
 
-    statuses.forEach(status => {
-      const column = document.querySelector(`.column-cards[data-status="${status}"]`);
-      const statusCards = cards.filter(c => c.status === status);
+  // Remembered so the app can still start for this user without the server
+  setUser(user) {
+    this.user = user;
+    this.localStore('snapshots', 'put', user, 'user').catch(err => {
+      console.error('[HACKNOTE] Failed to store local copy:', err);
+    });
+  }
 
-      // Update count
-      const countEl = column.closest('.board-column').querySelector('.column-count');
-      countEl.textContent = statusCards.length;
+  async signOut() {
+    this.saveData();
+    await this.flushOutbox();
+    if (this.outbox.length > 0 &&
+        !confirm('Some changes haven\'t reached the server yet. They will be sent the next time you sign in on this browser. Sign out anyway?')) {
+      return;
+    }
 
-      // Render cards
-      column.innerHTML = statusCards.map(card => `
-        <div class="board-card" data-id="${card.id}" draggable="true">
-          <div class="card-priority ${card.priority}"></div>
-          <div class="card-title">${this.escapeHtml(card.title)}</div>
-          ${card.description ? `<div class="card-description">${this.escapeHtml(card.description)}</div>` : ''}
-        </div>
-      `).join('');
+    await this.localStore('snapshots', 'delete', 'user');
+    try {
+      await this.api('POST', '/api/auth/logout');
+    } catch (err) {
+      console.error('[API] Failed to log out:', err);
+    }
+    location.reload();
+  }
 
-      // Bind click events
-      column.querySelectorAll('.board-card').forEach(cardEl => {
-        cardEl.addEventListener('click', () => this.editCard(cardEl.dataset.id));
+  renderAccount() {
+    document.getElementById('accountName').textContent =
+      `Signed in as ${this.user.username}${this.user.isAdmin ? ' (admin)' : ''}`;
+    document.getElementById('passwordStatus').textContent = '';
+    document.getElementById('usersSection').classList.toggle('hidden', !this.user.isAdmin);
+    document.getElementById('backupsSection').classList.toggle('hidden', !this.user.isAdmin);
+    document.getElementById('webhooksSection').classList.toggle('hidden', !this.user.isAdmin);
+    if (this.user.isAdmin) {
+      this.loadUsers();
+      this.loadBackups();
+      this.loadWebhooks();
+    }
+  }
 
-        // Drag events
-        cardEl.addEventListener('dragstart', (e) => {
-          this.draggedCard = cardEl.dataset.id;
-          cardEl.classList.add('dragging');
-          e.dataTransfer.effectAllowed = 'move';
-        });
+  async changePassword() {
+    const current = document.getElementById('currentPassword');
+    const next = document.getElementById('newPassword');
+    const status = document.getElementById('passwordStatus');
 
-        cardEl.addEventListener('dragend', () => {
-          cardEl.classList.remove('dragging');
-          this.draggedCard = null;
-        });
+    try {
+      await this.api('POST', '/api/auth/password', {
+        currentPassword: current.value,
+        newPassword: next.value
       });
+      current.value = '';
+      next.value = '';
+      this.setStatus(status, 'Password changed; other sessions were signed out.');
+    } catch (err) {
+      this.setStatus(status, err.message, true);
+    }
+  }
 
-      // Drop events on columns
-      column.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        column.classList.add('drag-over');
-      });
+  async loadUsers() {
+    const status = document.getElementById('usersStatus');
+    try {
+      const users = await this.api('GET', '/api/users');
+      document.getElementById('userList').innerHTML = users.map(user => `
+        <div class="member-item">
+          <span class="member-name">${this.escapeHtml(user.username)}</span>
+          <span class="member-role">${user.isAdmin ? 'ADMIN' : 'USER'}</span>
+          ${user.id === this.user.id ? '' : `<button class="member-remove" data-user="${user.id}" title="Delete account">&times;</button>`}
+        </div>
+      `).join('');
+      this.setStatus(status, '');
+    } catch (err) {
+      this.setStatus(status, err.message, true);
+    }
+  }
 
-      column.addEventListener('dragleave', () => {
-        column.classList.remove('drag-over');
-      });
+  async addUser() {
+    const name = document.getElementById('newUserName');
+    const password = document.getElementById('newUserPassword');
+    const status = document.getElementById('usersStatus');
 
-      column.addEventListener('drop', (e) => {
-        e.preventDefault();
-        column.classList.remove('drag-over');
-        if (this.draggedCard) {
-          this.moveCard(this.draggedCard, status);
-        }
-      });
-    });
+    try {
+      await this.api('POST', '/api/users', { username: name.value.trim(), password: password.value });
+      name.value = '';
+      password.value = '';
+      await this.loadUsers();
+    } catch (err) {
+      this.setStatus(status, err.message, true);
+    }
   }
 
-  // ============================================
-  // SIDEBAR
-  // ============================================
-
-  renderSidebar() {
-    // Render workspaces
-    const workspaceList = document.getElementById('workspaceList');
-    workspaceList.innerHTML = this.workspaces.map(ws => `
-      <div class="nav-item ${ws.id === this.currentWorkspace?.id ? 'active' : ''}" data-id="${ws.id}" data-type="workspace">
-        <span class="nav-item-icon">${ws.icon}</span>
-        <span class="nav-item-text">${this.escapeHtml(ws.name)}</span>
-      </div>
-    `).join('');
+  async deleteUser(id) {
+    if (!confirm('Delete this account? Workspaces it owns alone are handed to another member.')) return;
+    try {
+      await this.api('DELETE', `/api/users/${id}`);
+      await this.loadUsers();
+    } catch (err) {
+      this.setStatus(document.getElementById('usersStatus'), err.message, true);
+    }
+  }
 
-    workspaceList.querySelectorAll('.nav-item').forEach(item => {
-      item.addEventListener('click', () => this.selectWorkspace(item.dataset.id));
-    });
+  async loadBackups() {
+    const status = document.getElementById('backupsStatus');
+    try {
+      this.backups = await this.api('GET', '/api/backups');
+      document.getElementById('backupList').innerHTML = this.backups.map(backup => `
+        <div class="member-item">
+          <span class="member-name">${this.escapeHtml(this.formatDate(backup.createdAt))}</span>
+          <span class="member-role">${backup.reason.toUpperCase()} \u00B7 ${Math.ceil(backup.size / 1024)} KB</span>
+          <button class="member-remove backup-restore" data-backup="${this.escapeHtml(backup.name)}" title="Restore this snapshot">&#x21BA;</button>
+        </div>
+      `).join('') || '<div class="member-empty">No snapshots yet.</div>';
+      this.setStatus(status, '');
+    } catch (err) {
+      this.setStatus(status, err.message, true);
+    }
+  }
 
-    // Render pages for current workspace
-    const pageList = document.getElementById('pageList');
-    const workspacePages = this.pages.filter(p => p.workspaceId === this.currentWorkspace?.id);
+  async createBackup() {
+    const status = document.getElementById('backupsStatus');
+    this.setStatus(status, 'Saving snapshot...');
+    try {
+      await this.api('POST', '/api/backups');
+      await this.loadBackups();
+    } catch (err) {
+      this.setStatus(status, err.message, true);
+    }
+  }
 
-    if (workspacePages.length === 0) {
-      pageList.innerHTML = '<div class="nav-item empty-pages-hint"><span class="nav-item-icon">&#x25CC;</span><span class="nav-item-text">No pages yet</span></div>';
-      const hint = pageList.querySelector('.empty-pages-hint');
-      const hintText = hint.querySelector('.nav-item-text');
-      const hintIcon = hint.querySelector('.nav-item-icon');
-      hint.addEventListener('click', () => this.createPage());
-      hint.addEventListener('mouseenter', () => { hintText.textContent = '+ Create new page'; hintIcon.textContent = '\u2726'; });
-      hint.addEventListener('mouseleave', () => { hintText.textContent = 'No pages yet'; hintIcon.textContent = '\u25CC'; });
-    } else {
-      pageList.innerHTML = workspacePages.map(page => `
-        <div class="nav-item ${page.id === this.currentPage?.id ? 'active' : ''}" data-id="${page.id}" data-type="page">
-          <span class="nav-item-icon">${page.icon}</span>
-          <span class="nav-item-text">${this.escapeHtml(page.title)}</span>
-          <span class="nav-item-count">${this.getPageItemCount(page)}</span>
-        </div>
-      `).join('');
+  async restoreBackup(name) {
+    const backup = this.backups.find(b => b.name === name);
+    if (!backup) return;
+    if (!confirm(`Restore the snapshot from ${this.formatDate(backup.createdAt)}? This replaces all data for every user; the current state is saved as a snapshot first.`)) return;
 
-      pageList.querySelectorAll('.nav-item').forEach(item => {
-        item.addEventListener('click', () => this.selectPage(item.dataset.id));
-      });
+    const status = document.getElementById('backupsStatus');
+    this.setStatus(status, 'Restoring...');
+    try {
+      await this.api('POST', `/api/backups/${encodeURIComponent(name)}/restore`);
+      await this.reloadData();
+      await this.loadBackups();
+      this.setStatus(status, 'Snapshot restored.');
+    } catch (err) {
+      this.setStatus(status, err.message, true);
     }
   }
 
-  getPageItemCount(page) {
-    switch (page.type) {
-      case 'todo':
-        return page.todos?.filter(t => !t.completed).length || 0;
-      case 'board':
-        return page.cards?.length || 0;
-      default:
-        return '';
+  async loadWebhooks() {
+    const status = document.getElementById('webhooksStatus');
+    try {
+      this.webhooks = await this.api('GET', '/api/webhooks');
+      this.renderWebhooks();
+      this.setStatus(status, '');
+    } catch (err) {
+      this.setStatus(status, err.message, true);
     }
   }
 
-  // ============================================
-  // CONTEXT MENU
-  // ============================================
+  renderWebhooks() {
+    document.getElementById('webhookList').innerHTML = this.webhooks.map(webhook => `
+      <div class="member-item webhook-item ${webhook.active ? '' : 'paused'}" data-webhook="${webhook.id}">
+        <span class="member-name webhook-url" title="${this.escapeHtml(webhook.url)}">${this.escapeHtml(webhook.url)}</span>
+        <span class="member-role">${this.escapeHtml(webhook.events.join(', ').toUpperCase())}</span>
+        <button class="member-remove webhook-action" data-webhook-action="toggle" title="${webhook.active ? 'Pause' : 'Resume'}">${webhook.active ? '&#x23F8;' : '&#x25B6;'}</button>
+        <button class="member-remove webhook-action" data-webhook-action="test" title="Send a test ping">&#x26A1;</button>
+        <button class="member-remove webhook-action" data-webhook-action="log" title="Delivery log">&#x2630;</button>
+        <button class="member-remove webhook-action" data-webhook-action="secret" title="Signing secret">&#x1F511;</button>
+        <button class="member-remove" data-webhook-action="delete" title="Delete webhook">&times;</button>
+      </div>
+    `).join('') || '<div class="member-empty">No webhooks yet.</div>';
+  }
 
-  showContextMenu(x, y, target) {
-    this.contextMenuTarget = target;
-    const menu = document.getElementById('contextMenu');
-    menu.style.left = x + 'px';
-    menu.style.top = y + 'px';
-    menu.classList.remove('hidden');
+  async addWebhook() {
+    const url = document.getElementById('newWebhookUrl');
+    const eventList = document.getElementById('newWebhookEvents');
+    const status = document.getElementById('webhooksStatus');
+
+    try {
+      const webhook = await this.api('POST', '/api/webhooks', {
+        url: url.value.trim(),
+        events: eventList.value.split(',').map(name => name.trim()).filter(Boolean)
+      });
+      url.value = '';
+      eventList.value = '';
+      await this.loadWebhooks();
+      this.setStatus(status, `Added. Requests are signed with the secret ${webhook.secret}`);
+    } catch (err) {
+      this.setStatus(status, err.message, true);
+    }
   }
 
-  hideContextMenu() {
-    document.getElementById('contextMenu').classList.add('hidden');
-    this.contextMenuTarget = null;
+  async webhookAction(id, action) {
+    const webhook = this.webhooks.find(w => w.id === id);
+    if (!webhook) return;
+    const status = document.getElementById('webhooksStatus');
+
+    try {
+      switch (action) {
+        case 'toggle':
+          await this.api('PATCH', `/api/webhooks/${id}`, { active: !webhook.active });
+          await this.loadWebhooks();
+          break;
+        case 'test':
+          await this.api('POST', `/api/webhooks/${id}/test`);
+          this.setStatus(status, 'Test ping queued.');
+          setTimeout(() => this.showDeliveries(id), 1000);
+          break;
+        case 'log':
+          await this.showDeliveries(id);
+          break;
+        case 'secret':
+          this.setStatus(status, `Signing secret: ${webhook.secret}`);
+          break;
+        case 'delete':
+          if (!confirm(`Delete the webhook to ${webhook.url}? Its delivery log goes with it.`)) return;
+          await this.api('DELETE', `/api/webhooks/${id}`);
+          if (this.deliveriesWebhookId === id) this.hideDeliveries();
+          await this.loadWebhooks();
+          break;
+      }
+    } catch (err) {
+      this.setStatus(status, err.message, true);
+    }
   }
 
-  handleContextAction(action) {
-    if (!this.contextMenuTarget) return;
+  async showDeliveries(webhookId) {
+    const webhook = this.webhooks.find(w => w.id === webhookId);
+    const log = document.getElementById('webhookDeliveries');
+    this.deliveriesWebhookId = webhookId;
 
-    const id = this.contextMenuTarget.dataset.id;
-    const type = this.contextMenuTarget.dataset.type;
+    const deliveries = await this.api('GET', `/api/webhooks/${webhookId}/deliveries`);
+    const outcome = (delivery) => {
+      if (delivery.status === 'delivered') return `DELIVERED \u00B7 ${delivery.responseStatus}`;
+      const tries = `${delivery.attempts} ${delivery.attempts === 1 ? 'TRY' : 'TRIES'}`;
+      return `${delivery.status.toUpperCase()} \u00B7 ${tries}${delivery.error ? ` \u00B7 ${delivery.error}` : ''}`;
+    };
 
-    switch (action) {
-      case 'rename':
-        const name = prompt('Enter new name:');
-        if (name) {
-          if (type === 'workspace') {
-            const ws = this.workspaces.find(w => w.id === id);
-            if (ws) ws.name = name;
-          } else {
-            const page = this.pages.find(p => p.id === id);
-            if (page) page.title = name;
-          }
-          this.saveData();
-          this.renderSidebar();
-        }
-        break;
+    log.innerHTML = `
+      <div class="webhook-log-title">
+        <span>DELIVERIES TO ${this.escapeHtml(webhook ? webhook.url : webhookId)}</span>
+      </div>
+      <div class="member-list">
+        ${deliveries.map(delivery => `
+          <div class="member-item">
+            <span class="member-name">${this.escapeHtml(delivery.event)} \u00B7 ${this.escapeHtml(this.formatDate(delivery.createdAt))}</span>
+            <span class="member-role webhook-delivery-${delivery.status}">${this.escapeHtml(outcome(delivery))}</span>
+            ${delivery.status === 'failed' ? `<button class="member-remove webhook-action" data-delivery="${delivery.id}" title="Send again">&#x21BA;</button>` : ''}
+          </div>
+        `).join('') || '<div class="member-empty">Nothing sent yet.</div>'}
+      </div>
+    `;
+    log.classList.remove('hidden');
+  }
 
-      case 'duplicate':
-        if (type === 'page') {
-          const page = this.pages.find(p => p.id === id);
-          if (page) {
-            const copy = {
-              ...JSON.parse(JSON.stringify(page)),
-              id: this.generateId(),
-              title: page.title + ' (Copy)',
-              createdAt: Date.now()
-            };
-            this.pages.push(copy);
-            this.saveData();
-            this.renderSidebar();
-          }
-        }
-        break;
+  hideDeliveries() {
+    this.deliveriesWebhookId = null;
+    document.getElementById('webhookDeliveries').classList.add('hidden');
+  }
 
-      case 'delete':
-        if (type === 'workspace' && this.workspaces.length > 1) {
-          if (confirm('Delete this workspace and all its pages?')) {
-            this.pages = this.pages.filter(p => p.workspaceId !== id);
-            this.workspaces = this.workspaces.filter(w => w.id !== id);
-            if (this.currentWorkspace?.id === id) {
-              this.currentWorkspace = this.workspaces[0];
-              this.currentPage = null;
-              this.showWelcome();
-            }
-            this.saveData();
-            this.renderSidebar();
-          }
-        } else if (type === 'page') {
-          this.deletePage(id);
-        }
-        break;
+  async retryDelivery(deliveryId) {
+    try {
+      await this.api('POST', `/api/webhooks/${this.deliveriesWebhookId}/deliveries/${deliveryId}/retry`);
+      await this.showDeliveries(this.deliveriesWebhookId);
+    } catch (err) {
+      this.setStatus(document.getElementById('webhooksStatus'), err.message, true);
     }
+  }
 
-    this.hideContextMenu();
+  async showMembers(workspaceId) {
+    this.membersWorkspaceId = workspaceId;
+    document.getElementById('memberList').innerHTML = '';
+    this.setStatus(document.getElementById('membersStatus'), '');
+    this.showModal('membersModal');
+    await this.loadMembers();
   }
 
-  // ============================================
-  // MODALS
-  // ============================================
+  async loadMembers(members) {
+    const status = document.getElementById('membersStatus');
+    try {
+      members = members || await this.api('GET', `/api/workspaces/${this.membersWorkspaceId}/members`);
+    } catch (err) {
+      this.setStatus(status, err.message, true);
+      return;
+    }
 
-  showModal(id) {
-    document.getElementById('modal-overlay').classList.add('visible');
-    document.getElementById(id).classList.remove('hidden');
+    // Owners manage the list and anyone can leave. A workspace without
+    // members is left to admins.
+    const isOwner = members.length > 0
+      ? members.some(m => m.id === this.user.id && m.role === 'owner')
+      : this.user.isAdmin;
+    document.getElementById('addMemberForm').classList.toggle('hidden', !isOwner);
+    document.getElementById('memberList').innerHTML = members.map(member => {
+      const canRemove = isOwner || member.id === this.user.id;
+      const title = member.id === this.user.id ? 'Leave workspace' : 'Remove member';
+      return `
+        <div class="member-item">
+          <span class="member-name">${this.escapeHtml(member.username)}</span>
+          <span class="member-role">${member.role.toUpperCase()}</span>
+          ${canRemove ? `<button class="member-remove" data-member="${member.id}" title="${title}">&times;</button>` : ''}
+        </div>
+      `;
+    }).join('') || '<div class="member-empty">No members yet; only admins can see this workspace.</div>';
   }
 
-  hideModal(id) {
-    document.getElementById(id).classList.add('hidden');
-    if (!document.querySelector('.modal:not(.hidden)')) {
-      document.getElementById('modal-overlay').classList.remove('visible');
+  async addMember() {
+    const name = document.getElementById('memberName');
+    const role = document.getElementById('memberRole').value;
+    const status = document.getElementById('membersStatus');
+
+    try {
+      const members = await this.api('POST', `/api/workspaces/${this.membersWorkspaceId}/members`, {
+        username: name.value.trim(),
+        role
+      });
+      name.value = '';
+      this.setStatus(status, '');
+      await this.loadMembers(members);
+    } catch (err) {
+      this.setStatus(status, err.message, true);
     }
   }
 
-  hideAllModals() {
-    document.querySelectorAll('.modal').forEach(m => m.classList.add('hidden'));
-    document.getElementById('modal-overlay').classList.remove('visible');
-  }
+  async removeMember(userId) {
+    const leaving = userId === this.user.id;
+    if (leaving && !confirm('Leave this workspace? You will lose access to its pages.')) return;
 
-  // ============================================
-  // SETTINGS
-  // ============================================
+    try {
+      const members = await this.api('DELETE', `/api/workspaces/${this.membersWorkspaceId}/members/${userId}`);
+      if (leaving) {
+        this.hideModal('membersModal');
+        await this.reloadData();
+      } else {
+        await this.loadMembers(members);
+      }
+    } catch (err) {
+      this.setStatus(document.getElementById('membersStatus'), err.message, true);
+    }
+  }
 
-  applySettings() {
-    // Apply accent color
-    document.documentElement.style.setProperty('--accent', this.settings.accentColor);
-    document.documentElement.style.setProperty('--accent-dim', this.settings.accentColor + '40');
-    document.documentElement.style.setProperty('--accent-glow',
-      `0 0 10px ${this.settings.accentColor}, 0 0 20px ${this.settings.accentColor}40`);
+  async showShareLinks(pageId) {
+    this.sharePageId = pageId;
+    document.getElementById('shareList').innerHTML = '';
+    this.setStatus(document.getElementById('shareStatus'), '');
+    this.showModal('shareModal');
+    await this.loadShareLinks();
+  }
 
-    // Update color button
-    document.querySelectorAll('.color-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.color === this.settings.accentColor);
-    });
+  shareUrl(link) {
+    return `${location.origin}/share/${link.token}`;
+  }
 
-    // Glow
-    document.getElementById('enableGlow').checked = this.settings.enableGlow;
+  async loadShareLinks() {
+    try {
+      this.shareLinks = await this.api('GET', `/api/pages/${this.sharePageId}/shares`);
+    } catch (err) {
+      this.setStatus(document.getElementById('shareStatus'), err.message, true);
+      return;
+    }
 
-    // Theme
-    this.applyTheme();
+    document.getElementById('shareList').innerHTML = this.shareLinks.map(link => `
+      <div class="member-item">
+        <input class="share-url" type="text" value="${this.escapeHtml(this.shareUrl(link))}" readonly
+          title="Created ${this.escapeHtml(this.formatDate(link.createdAt))}${link.createdBy ? ` by ${this.escapeHtml(link.createdBy)}` : ''}">
+        <button class="member-remove share-copy" data-share-copy="${link.id}" title="Copy link">&#x2398;</button>
+        <button class="member-remove" data-share-revoke="${link.id}" title="Revoke link">&times;</button>
+      </div>
+    `).join('') || '<div class="member-empty">Not shared yet.</div>';
   }
 
-  applyTheme() {
-    const theme = this.settings.theme || 'dark';
-    document.documentElement.setAttribute('data-theme', theme);
+  async createShareLink() {
+    try {
+      const link = await this.api('POST', `/api/pages/${this.sharePageId}/shares`);
+      await this.loadShareLinks();
+      await this.copyShareLink(link.id);
+    } catch (err) {
+      this.setStatus(document.getElementById('shareStatus'), err.message, true);
+    }
+  }
 
-    // Update checkbox in settings modal
-    const themeCheckbox = document.getElementById('enableLightMode');
-    if (themeCheckbox) {
-      themeCheckbox.checked = theme === 'light';
+  async copyShareLink(id) {
+    const link = this.shareLinks.find(l => l.id === id);
+    if (!link) return;
+    const status = document.getElementById('shareStatus');
+    try {
+      await navigator.clipboard.writeText(this.shareUrl(link));
+      this.setStatus(status, 'Link copied to the clipboard.');
+    } catch (err) {
+      // No clipboard access (e.g. over plain http): select it for copying by hand
+      document.querySelector(`[data-share-copy="${id}"]`).previousElementSibling.select();
+      this.setStatus(status, 'Press Ctrl+C to copy the selected link.');
     }
+  }
 
-    // Forward to canvas iframe
-    if (this.canvasEditor) {
-      this.canvasEditor.setTheme(theme);
+  async revokeShareLink(id) {
+    if (!confirm('Revoke this link? Anyone using it loses access.')) return;
+    const status = document.getElementById('shareStatus');
+    try {
+      await this.api('DELETE', `/api/pages/${this.sharePageId}/shares/${id}`);
+      await this.loadShareLinks();
+      this.setStatus(status, 'Link revoked.');
+    } catch (err) {
+      this.setStatus(status, err.message, true);
     }
   }
 
+  setStatus(el, message, isError = false) {
+    el.textContent = message;
+    el.classList.toggle('error', isError);
+  }
+
   // ============================================
   // STATS
   // ============================================
@@ -1092,12 +3217,22 @@ class HackNote {
   // IMPORT/EXPORT
   // ============================================
 
-  exportData() {
+  async exportData() {
+    const cache = new Map();
+    const pages = [];
+    for (const page of this.pages) {
+      pages.push({
+        ...page,
+        content: await this.inlineAssets(page.content, cache),
+        markdownContent: await this.inlineAssets(page.markdownContent, cache)
+      });
+    }
+
     const data = {
-      version: '1.0',
+      schemaVersion: HackNoteMigrations.CURRENT_VERSION,
       exportedAt: Date.now(),
       workspaces: this.workspaces,
-      pages: this.pages,
+      pages,
       settings: this.settings
     };
 
@@ -1119,35 +3254,273 @@ class HackNote {
     const reader = new FileReader();
     reader.onload = (event) => {
       try {
-        const data = JSON.parse(event.target.result);
-
-        if (!data.workspaces || !data.pages) {
-          throw new Error('Invalid data format');
-        }
-
-        if (confirm('This will replace all existing data. Continue?')) {
-          this.workspaces = data.workspaces;
-          this.pages = data.pages;
-          this.settings = { ...this.settings, ...data.settings };
-          this.currentWorkspace = this.workspaces[0];
-          this.currentPage = null;
-
-          this.saveData();
-          this.renderSidebar();
-          this.showWelcome();
-          this.applySettings();
-
-          console.log('%c[IMPORT] Data imported successfully', 'color: #00ff9d');
-        }
+        // Exports from older versions are upgraded; newer ones are refused
+        this.showImport(HackNoteMigrations.migrate(JSON.parse(event.target.result)));
       } catch (err) {
         console.error('Failed to import:', err);
-        alert('Failed to import data. Invalid file format.');
+        alert(err instanceof HackNoteMigrations.MigrationError
+          ? `Failed to import data. ${err.message}`
+          : 'Failed to import data. Invalid file format.');
       }
     };
     reader.readAsText(file);
     e.target.value = '';
   }
 
+  // An import either merges into the existing data by id (checked with a
+  // dry run first, so conflicts can be resolved item by item) or replaces it
+  showImport(data) {
+    this.pendingImport = data;
+    this.importPlan = null;
+    this.importResolutions = {};
+    document.getElementById('importList').innerHTML = '';
+    document.getElementById('importBulkChoice').value = '';
+    document.getElementById('importSummary').textContent = 'Checking the file against your data...';
+    document.getElementById('importCloseBtn').textContent = 'CANCEL';
+    document.getElementById('importReplaceBtn').classList.remove('hidden');
+    document.getElementById('importMergeBtn').classList.remove('hidden');
+    this.showModal('importModal');
+    this.planImport();
+  }
+
+  async planImport() {
+    const status = document.getElementById('importStatus');
+    const mergeBtn = document.getElementById('importMergeBtn');
+    mergeBtn.disabled = true;
+
+    try {
+      const plan = await this.api('POST', '/api/import', {
+        data: this.pendingImport,
+        resolutions: this.importResolutions,
+        dryRun: true
+      });
+      this.renderImport(plan);
+      mergeBtn.disabled = false;
+      this.setStatus(status, '');
+    } catch (err) {
+      document.getElementById('importSummary').textContent = '';
+      this.setStatus(status, err.offline ? 'Merging needs a connection to the server; replacing all data works offline.' : err.message, true);
+    }
+  }
+
+  async mergeImport() {
+    const status = document.getElementById('importStatus');
+    document.getElementById('importMergeBtn').disabled = true;
+
+    try {
+      const result = await this.api('POST', '/api/import', {
+        data: this.pendingImport,
+        resolutions: this.importResolutions
+      });
+      this.pendingImport = null;
+      this.renderImport(result);
+      document.getElementById('importCloseBtn').textContent = 'CLOSE';
+      document.getElementById('importReplaceBtn').classList.add('hidden');
+      document.getElementById('importMergeBtn').classList.add('hidden');
+      this.setStatus(status, '');
+      await this.reloadData();
+      this.updateStats();
+
+      console.log('%c[IMPORT] Data merged successfully', 'color: #00ff9d');
+    } catch (err) {
+      document.getElementById('importMergeBtn').disabled = false;
+      this.setStatus(status, err.message, true);
+    }
+  }
+
+  replaceAllData() {
+    if (!this.pendingImport) return;
+
+    // Everything in the file is checked against the same rules as the server
+    // uses, which refuses the whole save if anything fails them
+    let data;
+    try {
+      data = HackNoteSchemas.validateDocument(this.pendingImport);
+    } catch (err) {
+      if (!(err instanceof HackNoteSchemas.ValidationError)) throw err;
+      this.setStatus(document.getElementById('importStatus'), `Can't replace all data with this file. ${err.message}`, true);
+      return;
+    }
+    if (!confirm('This will replace all existing data. Continue?')) return;
+
+    this.hideModal('importModal');
+    this.pendingImport = null;
+    this.workspaces = data.workspaces;
+    this.pages = data.pages;
+    this.settings = { ...this.settings, ...data.settings };
+    this.currentWorkspace = this.workspaces[0];
+    this.currentPage = null;
+
+    // Importing replaces everything, so this still goes through the full-state endpoint
+    this.persist('POST', '/api/data?source=import', {
+      schemaVersion: data.schemaVersion,
+      workspaces: this.workspaces,
+      pages: this.pages,
+      settings: this.settings,
+      savedAt: Date.now()
+    }).then(() => this.reloadData()); // pick up the new versions
+    this.renderSidebar();
+    this.showWelcome();
+    this.applySettings();
+
+    console.log('%c[IMPORT] Data imported successfully', 'color: #00ff9d');
+  }
+
+  importEntries(plan) {
+    if (!plan) return [];
+    return [
+      ...plan.workspaces.map(entry => ({ ...entry, kind: 'workspace', label: entry.name })),
+      ...plan.pages.map(entry => ({ ...entry, kind: 'page', label: entry.title }))
+    ];
+  }
+
+  renderImport(plan) {
+    this.importPlan = plan;
+    const { added, changed, skipped, invalid } = plan.summary;
+    const counts = `${added} added, ${changed} overwritten, ${skipped} skipped` +
+      (invalid ? `, ${invalid} invalid (left out)` : '');
+    document.getElementById('importSummary').textContent = plan.dryRun
+      ? `Merging would leave ${counts}.`
+      : `Import finished: ${counts}.`;
+
+    const entries = this.importEntries(plan);
+    const conflicts = entries.filter(entry => entry.status === 'conflict');
+    document.getElementById('importBulk').classList.toggle('hidden', !plan.dryRun || conflicts.length === 0);
+
+    const choiceLabels = { skip: 'KEEP EXISTING', copy: 'IMPORT AS COPY', overwrite: 'OVERWRITE' };
+    const actionLabels = { add: 'NEW', copy: 'COPY', overwrite: 'OVERWRITE', skip: 'SKIP' };
+
+    document.getElementById('importList').innerHTML = entries.map(entry => {
+      let note = '';
+      if (entry.status === 'invalid') {
+        note = entry.error;
+      } else if (entry.reason) {
+        note = entry.reason;
+      } else if (entry.status === 'conflict') {
+        note = entry.existing
+          ? `Same id as your ${entry.kind} "${entry.existing.name || entry.existing.title || 'Untitled'}"`
+          : `Same id as a ${entry.kind} you can't see`;
+      }
+
+      let control;
+      if (entry.status === 'invalid') {
+        control = '<span class="import-badge invalid">INVALID</span>';
+      } else if (plan.dryRun && entry.status === 'conflict') {
+        control = `
+          <select data-resolution="${entry.kind}:${this.escapeHtml(entry.id)}">
+            ${entry.choices.map(choice => `<option value="${choice}" ${choice === entry.action ? 'selected' : ''}>${choiceLabels[choice]}</option>`).join('')}
+          </select>
+        `;
+      } else {
+        control = `<span class="import-badge ${entry.action}">${actionLabels[entry.action]}</span>`;
+      }
+
+      return `
+        <div class="import-item ${entry.status}">
+          <span class="import-kind">${entry.kind === 'workspace' ? '\u2302' : '\u25A4'}</span>
+          <div class="import-item-info">
+            <div class="import-item-title">${this.escapeHtml(entry.label || 'Untitled')}</div>
+            ${note ? `<div class="import-item-note">${this.escapeHtml(note)}</div>` : ''}
+          </div>
+          ${control}
+        </div>
+      `;
+    }).join('') || '<div class="member-empty">The file has no workspaces or pages.</div>';
+  }
+
+  // ============================================
+  // MARKDOWN VAULTS AND OTHER APPS
+  // ============================================
+
+  // A workspace as a zip of markdown files, built by the server
+  exportMarkdown(workspaceId) {
+    const a = document.createElement('a');
+    a.href = `/api/workspaces/${workspaceId}/markdown`;
+    a.download = '';
+    a.click();
+  }
+
+  // A workspace as a static website (HTML pages, a stylesheet and images),
+  // zipped by the server, ready for any web host
+  publishSite(workspaceId) {
+    const a = document.createElement('a');
+    a.href = `/api/workspaces/${workspaceId}/site`;
+    a.download = '';
+    a.click();
+  }
+
+  // A single zip goes up as it is. Loose files and folders are zipped here
+  // first, keeping their paths so relative image links still resolve.
+  async importMarkdown(e) {
+    const files = [...e.target.files].filter(file => !/(^|\/)\./.test(file.webkitRelativePath || file.name));
+    const workspaceId = this.markdownWorkspaceId;
+    e.target.value = '';
+    if (!files.length || !workspaceId) return;
+
+    let body = files[0];
+    if (files.length > 1 || !/\.zip$/i.test(files[0].name)) {
+      const entries = [];
+      for (const file of files) {
+        entries.push({
+          name: file.webkitRelativePath || file.name,
+          data: new Uint8Array(await file.arrayBuffer()),
+          date: new Date(file.lastModified)
+        });
+      }
+      body = new Blob([HackNoteZip.createZip(entries)], { type: 'application/zip' });
+    }
+
+    await this.uploadImport(`/api/workspaces/${workspaceId}/markdown`, body);
+  }
+
+  // Trello boards are JSON and Notion exports are zips; a CSV is Todoist's
+  // if it has Todoist's columns, otherwise a Notion database
+  async importSource(file) {
+    if (/\.json$/i.test(file.name)) return 'trello';
+    if (/\.zip$/i.test(file.name)) return 'notion';
+    const header = await file.slice(0, 200).text();
+    return /^\uFEFF?"?TYPE"?,"?CONTENT"?/.test(header) ? 'todoist' : 'notion';
+  }
+
+  async importFromApp(e) {
+    const file = e.target.files[0];
+    const workspaceId = this.markdownWorkspaceId;
+    e.target.value = '';
+    if (!file || !workspaceId) return;
+
+    const source = await this.importSource(file);
+    const title = encodeURIComponent(file.name.replace(/\.[^.]+$/, ''));
+    await this.uploadImport(`/api/workspaces/${workspaceId}/import/${source}?title=${title}`, file);
+  }
+
+  // Send a file to one of the import routes and add the pages it made
+  async uploadImport(url, body) {
+    let result;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': body.type || 'application/octet-stream', 'X-Client-Id': this.clientId },
+        body
+      });
+      result = await response.json().catch(() => null);
+      if (!response.ok) throw new Error(result?.error || `Request failed with status ${response.status}`);
+    } catch (err) {
+      console.error('[HACKNOTE] Failed to import:', err);
+      alert(`Failed to import: ${err.message}`);
+      return;
+    }
+
+    // The server skips sending these back to us, so apply them the same way
+    for (const page of result.pages) {
+      this.applyRemoteChange({ type: 'page.created', page });
+    }
+    this.updateStats();
+
+    const skipped = result.skipped.map(file => `\n${file.name}: ${file.reason}`).join('');
+    alert(`Imported ${result.pages.length} page${result.pages.length === 1 ? '' : 's'}.` +
+      (skipped ? `\n\nSkipped:${skipped}` : ''));
+  }
+
   // ============================================
   // IMAGE HANDLING
   // ============================================
@@ -1160,64 +3533,110 @@ class HackNote {
     e.target.value = '';
   }
 
-  insertImage(file) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const dataUrl = e.target.result;
-      const img = document.createElement('img');
-      img.src = dataUrl;
-      img.className = 'note-image';
-      img.alt = file.name;
-
-      // Create a wrapper div for the image with controls
-      const wrapper = document.createElement('div');
-      wrapper.className = 'image-wrapper';
-      wrapper.contentEditable = 'false';
-
-      const deleteBtn = document.createElement('button');
-      deleteBtn.className = 'image-delete-btn';
-      deleteBtn.innerHTML = '&times;';
-      deleteBtn.onclick = () => {
-        wrapper.classList.add('deleting');
-        setTimeout(() => wrapper.remove(), 400);
+  async insertImage(file) {
+    const src = await this.uploadImage(file);
+
+    const img = document.createElement('img');
+    img.src = src;
+    img.className = 'note-image';
+    img.alt = file.name;
+
+    // Create a wrapper div for the image with controls
+    const wrapper = document.createElement('div');
+    wrapper.className = 'image-wrapper';
+    wrapper.contentEditable = 'false';
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'image-delete-btn';
+    deleteBtn.innerHTML = '&times;';
+    deleteBtn.onclick = () => {
+      wrapper.classList.add('deleting');
+      setTimeout(() => {
+        wrapper.remove();
         if (this.currentPage) {
           this.currentPage.content = document.getElementById('notesContent').innerHTML;
-          this.saveData();
+          this.savePage(this.currentPage, { content: this.currentPage.content });
         }
-      };
+      }, 400);
+    };
 
-      wrapper.appendChild(img);
-      wrapper.appendChild(deleteBtn);
+    wrapper.appendChild(img);
+    wrapper.appendChild(deleteBtn);
 
-      // Insert at cursor position
-      const editor = document.getElementById('notesContent');
-      const selection = window.getSelection();
+    // Insert at cursor position
+    const editor = document.getElementById('notesContent');
+    const selection = window.getSelection();
+
+    if (selection.rangeCount > 0) {
+      const range = selection.getRangeAt(0);
+      range.deleteContents();
+      range.insertNode(wrapper);
+
+      // Move cursor after the image
+      range.setStartAfter(wrapper);
+      range.collapse(true);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    } else {
+      editor.appendChild(wrapper);
+    }
+
+    // Add line break after image
+    const br = document.createElement('br');
+    wrapper.parentNode.insertBefore(br, wrapper.nextSibling);
+
+    // Save
+    if (this.currentPage) {
+      this.currentPage.content = editor.innerHTML;
+      this.savePage(this.currentPage, { content: this.currentPage.content });
+    }
+  }
 
-      if (selection.rangeCount > 0) {
-        const range = selection.getRangeAt(0);
-        range.deleteContents();
-        range.insertNode(wrapper);
+  // Upload an image to the asset store and return its URL. If the server
+  // can't be reached the image is inlined as a data URL instead; the server
+  // moves it into the asset store when the page is saved.
+  async uploadImage(file) {
+    try {
+      const response = await fetch('/api/assets', {
+        method: 'POST',
+        headers: { 'Content-Type': file.type, 'X-Client-Id': this.clientId },
+        body: file
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      return data.url;
+    } catch (err) {
+      console.error('[HACKNOTE] Failed to upload image:', err);
+      return this.readAsDataUrl(file);
+    }
+  }
 
-        // Move cursor after the image
-        range.setStartAfter(wrapper);
-        range.collapse(true);
-        selection.removeAllRanges();
-        selection.addRange(range);
-      } else {
-        editor.appendChild(wrapper);
-      }
+  readAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
 
-      // Add line break after image
-      const br = document.createElement('br');
-      wrapper.parentNode.insertBefore(br, wrapper.nextSibling);
+  // Exports carry their images inline so the file works on its own
+  async inlineAssets(text, cache) {
+    if (typeof text !== 'string' || !text.includes('/api/assets/')) return text;
 
-      // Save
-      if (this.currentPage) {
-        this.currentPage.content = editor.innerHTML;
-        this.saveData();
+    for (const url of new Set(text.match(/\/api\/assets\/[a-f0-9]{64}/g))) {
+      try {
+        if (!cache.has(url)) {
+          const response = await fetch(url);
+          if (!response.ok) continue;
+          cache.set(url, await this.readAsDataUrl(await response.blob()));
+        }
+        text = text.split(url).join(cache.get(url));
+      } catch (err) {
+        console.error('[HACKNOTE] Failed to inline image:', err);
       }
-    };
-    reader.readAsDataURL(file);
+    }
+    return text;
   }
 
   // ============================================
@@ -1245,7 +3664,7 @@ class HackNote {
         break;
 
       case 'codeBlock':
-        // Insert a code block
+        // Insert a code block, in the language last picked
         const sel = window.getSelection();
         if (sel.rangeCount > 0) {
           const range = sel.getRangeAt(0);
@@ -1254,8 +3673,13 @@ class HackNote {
           const codeEl = document.createElement('code');
           codeEl.textContent = text;
           pre.appendChild(codeEl);
+          if (this.lastCodeLanguage) {
+            codeEl.className = `language-${this.lastCodeLanguage}`;
+            pre.dataset.language = this.lastCodeLanguage;
+          }
           range.deleteContents();
           range.insertNode(pre);
+          sel.selectAllChildren(codeEl);
         }
         break;
 
@@ -1284,14 +3708,36 @@ class HackNote {
         document.execCommand('formatBlock', false, `<${value}>`);
         break;
 
+      case 'checklist':
+        this.insertBlock(this.createChecklist());
+        break;
+
+      case 'table': {
+        const table = this.createTable();
+        this.insertBlock(table);
+        // Leave a line after it to type on
+        if (!table.nextSibling) table.after(this.createEmptyLine());
+        break;
+      }
+
+      case 'callout':
+        this.insertBlock(this.createCallout());
+        break;
+
+      case 'insertImage':
+        document.getElementById('imageUpload').click();
+        break;
+
       default:
         document.execCommand(command, false, value);
     }
 
+    this.highlightCode();
+
     // Save after command
     if (this.currentPage) {
       this.currentPage.content = editor.innerHTML;
-      this.saveData();
+      this.savePage(this.currentPage, { content: this.currentPage.content });
     }
   }
 
@@ -1309,7 +3755,13 @@ class HackNote {
       notesContent.classList.add('hidden');
       markdownContent.classList.remove('hidden');
       markdownToggle.classList.add('active');
-      markdownContent.value = this.currentPage.markdownContent || this.htmlToMarkdown(notesContent.innerHTML);
+      // Keep the markdown as it was written unless the rich text was edited since
+      const stored = this.currentPage.markdownContent;
+      const rendered = document.createElement('div');
+      rendered.innerHTML = stored ? this.markdownToHtml(stored) : '';
+      const unchanged = stored && rendered.innerHTML === notesContent.innerHTML;
+      markdownContent.value = unchanged ? stored : this.htmlToMarkdown(notesContent.innerHTML);
+      this.currentPage.markdownContent = markdownContent.value;
     } else {
       // Switch to rich text mode - convert markdown to HTML
       notesContent.classList.remove('hidden');
@@ -1318,135 +3770,962 @@ class HackNote {
       const html = this.markdownToHtml(markdownContent.value);
       notesContent.innerHTML = html;
       this.currentPage.content = html;
+      this.highlightCode();
     }
+    this.updateCodeBar();
+    this.updateTableBar();
 
-    this.saveData();
+    this.savePage(this.currentPage, {
+      markdownMode: this.currentPage.markdownMode,
+      content: this.currentPage.content || '',
+      markdownContent: this.currentPage.markdownContent || ''
+    });
   }
 
   markdownToHtml(markdown) {
-    if (!markdown) return '';
+    return this.sanitizeHtml(HackNoteMarkdown.markdownToHtml(markdown));
+  }
+
+  htmlToMarkdown(html) {
+    return HackNoteMarkdown.htmlToMarkdown(html);
+  }
 
-    let html = markdown;
+  // Note HTML from anywhere but the editor itself (stored pages, other
+  // clients, markdown, the clipboard) goes through this before it's shown
+  sanitizeHtml(html) {
+    return HackNoteSanitize.sanitizeHtml(html);
+  }
+
+  // ============================================
+  // SLASH COMMANDS
+  // ============================================
 
-    // Code blocks (must be first to avoid conflicts)
-    html = html.replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>');
+  // Typing "/" at the start of a line or after a space opens the block menu.
+  // What's typed after it filters the menu; picking a block replaces the
+  // "/text" with it. A space, Escape or moving the caret away closes it.
+  handleSlashInput(e) {
+    if (this.slashMenu) {
+      this.updateSlashMenu();
+      return;
+    }
+    if (e.inputType !== 'insertText' || e.data !== '/' || this.pageLinkMenu) return;
+
+    const selection = window.getSelection();
+    const node = selection.anchorNode;
+    const offset = selection.anchorOffset;
+    if (!selection.isCollapsed || node?.nodeType !== Node.TEXT_NODE || node.data[offset - 1] !== '/') return;
+    if (/\S$/.test(node.data.slice(0, offset - 1)) || node.parentElement.closest('pre, code')) return;
 
-    // Inline code
-    html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
+    this.slashMenu = { node, start: offset - 1, query: null, active: 0 };
+    this.updateSlashMenu();
+  }
 
-    // Headers
-    html = html.replace(/^### (.+)$/gm, '<h3>$1</h3>');
-    html = html.replace(/^## (.+)$/gm, '<h2>$1</h2>');
-    html = html.replace(/^# (.+)$/gm, '<h1>$1</h1>');
+  // The text typed after the "/", or null once the caret has left it
+  slashQuery() {
+    const { node, start } = this.slashMenu;
+    const selection = window.getSelection();
+    if (!node.isConnected || node.data[start] !== '/') return null;
+    if (!selection.isCollapsed || selection.anchorNode !== node || selection.anchorOffset <= start) return null;
+    return node.data.slice(start + 1, selection.anchorOffset);
+  }
 
-    // Bold and italic
-    html = html.replace(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>');
-    html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-    html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
-    html = html.replace(/___(.+?)___/g, '<strong><em>$1</em></strong>');
-    html = html.replace(/__(.+?)__/g, '<strong>$1</strong>');
-    html = html.replace(/_(.+?)_/g, '<em>$1</em>');
+  visibleSlashItems() {
+    return [...document.querySelectorAll('#slashMenu .slash-item:not(.hidden)')];
+  }
 
-    // Strikethrough
-    html = html.replace(/~~(.+?)~~/g, '<s>$1</s>');
+  updateSlashMenu() {
+    const query = this.slashQuery();
+    if (query === null || /\s/.test(query)) {
+      this.hideSlashMenu();
+      return;
+    }
 
-    // Blockquotes
-    html = html.replace(/^> (.+)$/gm, '<blockquote>$1</blockquote>');
+    // Blocks with a word in their name or keywords starting with the query,
+    // the first one named so highlighted
+    const menu = document.getElementById('slashMenu');
+    const matches = (text) => text.toLowerCase().split(/\s+/).some(word => word.startsWith(query.toLowerCase()));
+    if (query !== this.slashMenu.query) {
+      menu.querySelectorAll('.slash-item').forEach(item => {
+        item.classList.toggle('hidden', !matches(`${item.textContent} ${item.dataset.keywords}`));
+      });
+      this.slashMenu.query = query;
+      this.slashMenu.active = Math.max(this.visibleSlashItems().findIndex(item => matches(item.lastChild.textContent)), 0);
+    }
 
-    // Horizontal rule
-    html = html.replace(/^---$/gm, '<hr>');
-    html = html.replace(/^\*\*\*$/gm, '<hr>');
+    const items = this.visibleSlashItems();
+    if (items.length === 0) {
+      this.hideSlashMenu();
+      return;
+    }
+    items.forEach((item, i) => item.classList.toggle('active', i === this.slashMenu.active));
 
-    // Unordered lists
-    html = html.replace(/^[\*\-] (.+)$/gm, '<li>$1</li>');
-    html = html.replace(/(<li>.*<\/li>\n?)+/g, '<ul>$&</ul>');
+    const range = document.createRange();
+    range.setStart(this.slashMenu.node, this.slashMenu.start);
+    this.showMenuAt(menu, range.getBoundingClientRect());
+  }
 
-    // Ordered lists
-    html = html.replace(/^\d+\. (.+)$/gm, '<li>$1</li>');
+  // Show a popup menu below a spot in the text, or above it when there's no room
+  showMenuAt(menu, rect) {
+    menu.classList.remove('hidden');
+    const below = rect.bottom + 4;
+    menu.style.left = `${Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8)}px`;
+    menu.style.top = `${below + menu.offsetHeight > window.innerHeight ? rect.top - menu.offsetHeight - 4 : below}px`;
+  }
 
-    // Links
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
+  hideSlashMenu() {
+    if (!this.slashMenu) return;
+    this.slashMenu = null;
+    document.getElementById('slashMenu').classList.add('hidden');
+  }
 
-    // Line breaks (preserve double newlines as paragraphs)
-    html = html.replace(/\n\n/g, '</p><p>');
-    html = html.replace(/\n/g, '<br>');
+  handleSlashKey(e) {
+    if (!this.slashMenu) return;
+    const items = this.visibleSlashItems();
 
-    // Wrap in paragraph if not already wrapped
-    if (!html.startsWith('<')) {
-      html = '<p>' + html + '</p>';
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.slashMenu.active = (this.slashMenu.active + step + items.length) % items.length;
+        items.forEach((item, i) => item.classList.toggle('active', i === this.slashMenu.active));
+        items[this.slashMenu.active].scrollIntoView({ block: 'nearest' });
+        break;
+      }
+      case 'Enter':
+      case 'Tab':
+        e.preventDefault();
+        this.runSlashCommand(items[this.slashMenu.active]);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this.hideSlashMenu();
+        break;
+      default:
+        // Keys that move the caret may take it out of the "/text"
+        setTimeout(() => this.slashMenu && this.updateSlashMenu());
     }
+  }
 
-    return html;
+  runSlashCommand(item) {
+    if (!this.slashMenu || !item) return;
+    const { node, start } = this.slashMenu;
+    const end = start + 1 + (this.slashQuery() ?? '').length;
+    this.hideSlashMenu();
+
+    // Remove the "/text", leaving the caret where it was
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, Math.min(end, node.length));
+    range.deleteContents();
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    this.executeCommand(item.dataset.command, item.dataset.value);
   }
 
-  htmlToMarkdown(html) {
-    if (!html) return '';
+  // Put a block where the caret is: in place of the line when it's empty,
+  // otherwise after it. The caret moves to the block's first place to type.
+  insertBlock(block) {
+    const editor = document.getElementById('notesContent');
+    const selection = window.getSelection();
+    let line = selection.rangeCount ? selection.getRangeAt(0).startContainer : null;
+    while (line && line.parentNode !== editor) line = line.parentNode;
+
+    if (!line) {
+      editor.appendChild(block);
+    } else if (!line.textContent.trim() && !(line.nodeType === Node.ELEMENT_NODE && line.querySelector('img, hr, table, input'))) {
+      line.replaceWith(block);
+    } else {
+      editor.insertBefore(block, line.nextSibling);
+    }
+
+    const target = block.querySelector('th, td, li, p') || block;
+    const range = document.createRange();
+    range.selectNodeContents(target);
+    range.collapse(true);
+    if (target.firstChild?.nodeName === 'INPUT') range.setStartAfter(target.firstChild);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
 
-    let markdown = html;
+  createChecklistItem() {
+    const item = document.createElement('li');
+    item.className = 'task-list-item';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    item.append(box, document.createElement('br'));
+    return item;
+  }
+
+  createChecklist() {
+    const list = document.createElement('ul');
+    list.className = 'task-list';
+    list.appendChild(this.createChecklistItem());
+    return list;
+  }
+
+  // Two columns with a header row and one empty row
+  createTable() {
+    const table = document.createElement('table');
+    const head = table.createTHead().insertRow();
+    const body = table.createTBody().insertRow();
+    for (let i = 0; i < 2; i++) {
+      head.appendChild(document.createElement('th')).textContent = `Column ${i + 1}`;
+      body.insertCell().appendChild(document.createElement('br'));
+    }
+    return table;
+  }
+
+  createCallout() {
+    const callout = document.createElement('blockquote');
+    callout.className = 'callout callout-note';
+    callout.appendChild(document.createElement('p')).appendChild(document.createElement('br'));
+    return callout;
+  }
+
+  createEmptyLine() {
+    const line = document.createElement('p');
+    line.appendChild(document.createElement('br'));
+    return line;
+  }
+
+  // Enter in a checklist starts a new item without a box; give it one
+  continueChecklist() {
+    const selection = window.getSelection();
+    const item = selection.anchorNode?.parentElement?.closest('li') ||
+      (selection.anchorNode?.nodeName === 'LI' ? selection.anchorNode : null);
+    if (!item || !item.parentElement.classList.contains('task-list')) return;
+    if (item.querySelector(':scope > input[type="checkbox"]')) return;
+    item.classList.add('task-list-item');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    item.prepend(box);
+    if (selection.anchorNode === item) selection.collapse(item, 1);
+  }
+
+  toggleChecklistItem(box) {
+    box.toggleAttribute('checked', box.checked);
+    if (this.currentPage) {
+      this.currentPage.content = document.getElementById('notesContent').innerHTML;
+      this.savePage(this.currentPage, { content: this.currentPage.content });
+    }
+  }
+
+  // ============================================
+  // PAGE LINKS
+  // ============================================
+
+  // A note links to another page by its title, typed as [[Page Title]]. The
+  // rich editor holds it as <a class="wiki-link" data-page="Page Title">;
+  // markdown keeps the brackets. Titles match without regard to case.
+
+  // The page a link's title names, preferring one in `workspaceId`
+  findPageByTitle(title, workspaceId = this.currentWorkspace?.id) {
+    const key = (title || '').trim().toLowerCase();
+    const matches = this.pages.filter(p => (p.title || '').trim().toLowerCase() === key);
+    return matches.find(p => p.workspaceId === workspaceId) || matches[0];
+  }
+
+  // The titles a notes page links to, lowercased
+  pageLinkTitles(page) {
+    const titles = new Set();
+    if (page.type !== 'notes') return titles;
+
+    if (page.markdownMode) {
+      for (const [, title] of (page.markdownContent || '').matchAll(/\[\[([^[\]\n]+)\]\]/g)) {
+        titles.add(title.trim().toLowerCase());
+      }
+    } else {
+      for (const [, title] of (page.content || '').matchAll(/data-page="([^"]*)"/g)) {
+        titles.add(HackNoteHtml.decodeEntities(title).trim().toLowerCase());
+      }
+    }
+    return titles;
+  }
+
+  openPage(page) {
+    if (page.workspaceId !== this.currentWorkspace?.id) {
+      this.selectWorkspace(page.workspaceId);
+    }
+    this.selectPage(page.id);
+  }
+
+  openPageLink(title) {
+    const page = this.findPageByTitle(title);
+    if (!page) {
+      alert(`No page is titled "${title}".`);
+      return;
+    }
+    this.openPage(page);
+  }
+
+  // The pages whose links lead to the open one
+  renderBacklinks() {
+    const panel = document.getElementById('backlinks');
+    const page = this.currentPage;
+    const title = (page?.title || '').trim().toLowerCase();
+    const linking = !title ? [] : this.pages.filter(p => p !== page &&
+      this.pageLinkTitles(p).has(title) && this.findPageByTitle(title, p.workspaceId) === page);
+
+    panel.classList.toggle('hidden', linking.length === 0);
+    const list = document.getElementById('backlinksList');
+    list.innerHTML = linking.map(p => {
+      const workspace = p.workspaceId !== page.workspaceId && this.workspaces.find(w => w.id === p.workspaceId);
+      return `
+        <button class="backlink" data-id="${this.escapeHtml(p.id)}">
+          <span class="backlink-icon">${this.escapeHtml(p.icon)}</span>
+          <span class="backlink-title">${this.escapeHtml(p.title || 'Untitled')}</span>
+          ${workspace ? `<span class="backlink-workspace">${this.escapeHtml(workspace.name)}</span>` : ''}
+        </button>
+      `;
+    }).join('');
+
+    list.querySelectorAll('.backlink').forEach(item => {
+      item.addEventListener('click', () => {
+        const target = this.pages.find(p => p.id === item.dataset.id);
+        if (target) this.openPage(target);
+      });
+    });
+  }
+
+  // Point links to a renamed page at its new title. Links whose old title
+  // still names another page are left to that page.
+  renamePageLinks(page, oldTitle) {
+    const from = (oldTitle || '').trim().toLowerCase();
+    const to = (page.title || '').trim();
+    // A title with brackets can't be written as [[...]]
+    if (!from || !to || /[[\]]/.test(to) || to === oldTitle.trim()) return;
+
+    const others = this.pages.filter(p => p !== page && (p.title || '').trim().toLowerCase() === from);
+    const linking = this.pages.filter(p => this.pageLinkTitles(p).has(from) && (p.workspaceId === page.workspaceId
+      ? !others.some(other => other.workspaceId === p.workspaceId)
+      : others.length === 0));
+
+    for (const linker of linking) {
+      const fields = {};
+
+      if (linker.content) {
+        const holder = document.createElement('template');
+        holder.innerHTML = linker.content;
+        const links = [...holder.content.querySelectorAll('a[data-page]')]
+          .filter(link => link.dataset.page.trim().toLowerCase() === from);
+        links.forEach(link => {
+          if (link.textContent === link.dataset.page) link.textContent = to;
+          link.dataset.page = to;
+        });
+        if (links.length) fields.content = holder.innerHTML;
+      }
+
+      if (linker.markdownContent) {
+        const markdown = linker.markdownContent.replace(/\[\[([^[\]\n]+)\]\]/g, (link, title) => (
+          title.trim().toLowerCase() === from ? `[[${to}]]` : link
+        ));
+        if (markdown !== linker.markdownContent) fields.markdownContent = markdown;
+      }
+
+      if (Object.keys(fields).length === 0) continue;
+      Object.assign(linker, fields);
+      this.savePage(linker, fields);
+      if (linker === this.currentPage) this.loadPageContent();
+    }
 
-    // Remove extra whitespace
-    markdown = markdown.replace(/\s+/g, ' ').trim();
+    this.renderBacklinks();
+  }
+
+  // Typing "[[" opens a list of pages to link to, narrowed by what's typed
+  // after it. Picking one, or closing the brackets in the rich editor,
+  // makes the link.
+  handlePageLinkInput(e) {
+    if (e.target.id === 'notesContent' && e.data === ']') {
+      const selection = window.getSelection();
+      const node = selection.anchorNode;
+      const match = node?.nodeType === Node.TEXT_NODE && /\[\[([^[\]\n]+)\]\]$/.exec(node.data.slice(0, selection.anchorOffset));
+      if (match && match[1].trim() && !node.parentElement.closest('pre, code, a')) {
+        this.hidePageLinkMenu();
+        this.insertPageLink({ node, start: selection.anchorOffset - match[0].length, end: selection.anchorOffset }, match[1].trim());
+        return;
+      }
+    }
+    this.updatePageLinkMenu();
+  }
+
+  // The open "[[text" before the caret, in whichever editor has it
+  pageLinkContext() {
+    const textarea = document.getElementById('markdownContent');
+    if (document.activeElement === textarea) {
+      const { selectionStart, selectionEnd, value } = textarea;
+      const match = selectionStart === selectionEnd && /\[\[([^[\]\n]*)$/.exec(value.slice(0, selectionStart));
+      return match ? { textarea, start: selectionStart - match[0].length, end: selectionStart, query: match[1] } : null;
+    }
 
-    // Code blocks
-    markdown = markdown.replace(/<pre><code>([\s\S]*?)<\/code><\/pre>/gi, '```\n$1\n```');
+    const selection = window.getSelection();
+    const node = selection.anchorNode;
+    if (!selection.isCollapsed || node?.nodeType !== Node.TEXT_NODE) return null;
+    if (!document.getElementById('notesContent').contains(node) || node.parentElement.closest('pre, code, a')) return null;
+    const match = /\[\[([^[\]\n]*)$/.exec(node.data.slice(0, selection.anchorOffset));
+    return match ? { node, start: selection.anchorOffset - match[0].length, end: selection.anchorOffset, query: match[1] } : null;
+  }
+
+  updatePageLinkMenu() {
+    const context = this.pageLinkContext();
+    const query = context?.query.trim().toLowerCase();
+    // Pages whose title starts with the query first, then the open workspace's
+    const rank = (page) => (page.title.toLowerCase().startsWith(query) ? 0 : 2) +
+      (page.workspaceId === this.currentWorkspace?.id ? 0 : 1);
+    const pages = !context ? [] : this.pages
+      .filter(p => p !== this.currentPage && p.title?.trim() && !/[[\]]/.test(p.title) && p.title.toLowerCase().includes(query))
+      .sort((a, b) => rank(a) - rank(b))
+      .slice(0, 8);
+
+    if (pages.length === 0) {
+      this.hidePageLinkMenu();
+      return;
+    }
 
-    // Inline code
-    markdown = markdown.replace(/<code>([^<]+)<\/code>/gi, '`$1`');
+    const active = this.pageLinkMenu?.query === context.query ? Math.min(this.pageLinkMenu.active, pages.length - 1) : 0;
+    this.pageLinkMenu = { ...context, pages, active };
+
+    const menu = document.getElementById('pageLinkMenu');
+    menu.innerHTML = pages.map((page, i) => {
+      const workspace = page.workspaceId !== this.currentWorkspace?.id && this.workspaces.find(w => w.id === page.workspaceId);
+      return `
+        <button class="slash-item${i === active ? ' active' : ''}" data-index="${i}">
+          <span class="slash-item-icon">${this.escapeHtml(page.icon)}</span>
+          <span class="slash-item-label">${this.escapeHtml(page.title)}</span>
+          ${workspace ? `<span class="slash-item-hint">${this.escapeHtml(workspace.name)}</span>` : ''}
+        </button>
+      `;
+    }).join('');
+
+    let rect;
+    if (context.textarea) {
+      rect = this.textareaCaretRect(context.textarea, context.start);
+    } else {
+      const range = document.createRange();
+      range.setStart(context.node, context.start);
+      rect = range.getBoundingClientRect();
+    }
+    this.showMenuAt(menu, rect);
+  }
 
-    // Headers
-    markdown = markdown.replace(/<h1[^>]*>([^<]+)<\/h1>/gi, '# $1\n');
-    markdown = markdown.replace(/<h2[^>]*>([^<]+)<\/h2>/gi, '## $1\n');
-    markdown = markdown.replace(/<h3[^>]*>([^<]+)<\/h3>/gi, '### $1\n');
+  hidePageLinkMenu() {
+    if (!this.pageLinkMenu) return;
+    this.pageLinkMenu = null;
+    document.getElementById('pageLinkMenu').classList.add('hidden');
+  }
 
-    // Bold and italic
-    markdown = markdown.replace(/<strong><em>([^<]+)<\/em><\/strong>/gi, '***$1***');
-    markdown = markdown.replace(/<strong>([^<]+)<\/strong>/gi, '**$1**');
-    markdown = markdown.replace(/<em>([^<]+)<\/em>/gi, '*$1*');
-    markdown = markdown.replace(/<b>([^<]+)<\/b>/gi, '**$1**');
-    markdown = markdown.replace(/<i>([^<]+)<\/i>/gi, '*$1*');
+  handlePageLinkKey(e) {
+    if (!this.pageLinkMenu) return;
+    const count = this.pageLinkMenu.pages.length;
 
-    // Underline (no markdown equivalent, use HTML)
-    markdown = markdown.replace(/<u>([^<]+)<\/u>/gi, '<u>$1</u>');
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        e.preventDefault();
+        this.pageLinkMenu.active = (this.pageLinkMenu.active + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+        const items = document.querySelectorAll('#pageLinkMenu .slash-item');
+        items.forEach((item, i) => item.classList.toggle('active', i === this.pageLinkMenu.active));
+        items[this.pageLinkMenu.active].scrollIntoView({ block: 'nearest' });
+        break;
+      }
+      case 'Enter':
+      case 'Tab':
+        e.preventDefault();
+        this.choosePageLink(this.pageLinkMenu.active);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this.hidePageLinkMenu();
+        break;
+      default:
+        // Keys that move the caret may take it out of the "[[text"
+        setTimeout(() => this.pageLinkMenu && this.updatePageLinkMenu());
+    }
+  }
 
-    // Strikethrough
-    markdown = markdown.replace(/<s>([^<]+)<\/s>/gi, '~~$1~~');
-    markdown = markdown.replace(/<strike>([^<]+)<\/strike>/gi, '~~$1~~');
+  choosePageLink(index) {
+    const context = this.pageLinkMenu;
+    const page = context?.pages[index];
+    if (!page) return;
+    this.hidePageLinkMenu();
+
+    if (context.textarea) {
+      const { textarea, start, end } = context;
+      // Take in a "]]" already typed after the caret
+      const close = textarea.value.startsWith(']]', end) ? 2 : 0;
+      textarea.setRangeText(`[[${page.title}]]`, start, end + close, 'end');
+      textarea.dispatchEvent(new Event('input'));
+    } else {
+      this.insertPageLink(context, page.title);
+      document.getElementById('notesContent').dispatchEvent(new Event('input'));
+    }
+  }
 
-    // Blockquotes
-    markdown = markdown.replace(/<blockquote>([^<]+)<\/blockquote>/gi, '> $1\n');
+  // Replace the "[[text" (or "[[text]]") in a text node with a link to
+  // `title`, the caret after it
+  insertPageLink({ node, start, end }, title) {
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, Math.min(end, node.length));
+    range.deleteContents();
+
+    const link = document.createElement('a');
+    link.className = 'wiki-link';
+    link.dataset.page = title;
+    link.setAttribute('contenteditable', 'false');
+    link.textContent = title;
+    // A plain trailing space would collapse, leaving the caret nowhere to go
+    const space = document.createTextNode('\u00a0');
+    range.insertNode(space);
+    range.insertNode(link);
+
+    window.getSelection().collapse(space, 1);
+  }
 
-    // Lists
-    markdown = markdown.replace(/<ul[^>]*>([\s\S]*?)<\/ul>/gi, (match, content) => {
-      return content.replace(/<li>([^<]+)<\/li>/gi, '- $1\n');
+  // Where a character of a textarea is on screen, measured on a copy of
+  // the text laid out the same way
+  textareaCaretRect(textarea, position) {
+    const style = getComputedStyle(textarea);
+    const box = textarea.getBoundingClientRect();
+    const mirror = document.createElement('div');
+    [
+      'boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+      'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+      'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize'
+    ].forEach(prop => { mirror.style[prop] = style[prop]; });
+    Object.assign(mirror.style, {
+      position: 'fixed',
+      left: `${box.left}px`,
+      top: `${box.top - textarea.scrollTop}px`,
+      visibility: 'hidden',
+      whiteSpace: 'pre-wrap',
+      overflowWrap: 'break-word'
     });
-    markdown = markdown.replace(/<ol[^>]*>([\s\S]*?)<\/ol>/gi, (match, content) => {
-      let i = 1;
-      return content.replace(/<li>([^<]+)<\/li>/gi, () => `${i++}. $1\n`);
+
+    mirror.textContent = textarea.value.slice(0, position);
+    const marker = mirror.appendChild(document.createElement('span'));
+    marker.textContent = '\u200b';
+    document.body.appendChild(mirror);
+    const rect = marker.getBoundingClientRect();
+    mirror.remove();
+    return rect;
+  }
+
+  // ============================================
+  // CODE BLOCKS
+  // ============================================
+
+  // A code block is <pre><code class="language-x">, the <pre> carrying
+  // data-language too for its label. Highlighting is painted over the text
+  // with the CSS Custom Highlight API, so the note's HTML stays as typed.
+
+  // The code element of a block: <code> when it has one, as blocks from
+  // the editor and markdown do, otherwise the <pre> itself
+  codeElement(pre) {
+    return pre.querySelector(':scope > code') || pre;
+  }
+
+  codeBlockLanguage(pre) {
+    for (const element of [pre, this.codeElement(pre)]) {
+      const match = /(?:^|\s)(?:language|lang)-(\S+)/.exec(element.className);
+      if (match) return match[1];
+      if (element.dataset.language) return element.dataset.language;
+    }
+    return '';
+  }
+
+  // A block's text, with <br> as a line break, and the text nodes it's made of
+  codeText(root) {
+    const pieces = [];
+    let text = '';
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        pieces.push({ node, start: text.length });
+        text += node.data;
+      } else if (node.nodeName === 'BR') {
+        text += '\n';
+      }
+    }
+    return { text, pieces };
+  }
+
+  // Where a point in the DOM is in a block's text
+  codeOffset(pre, node, offset) {
+    const range = document.createRange();
+    range.setStart(pre, 0);
+    range.setEnd(node, offset);
+    return this.codeText(range.cloneContents()).text.length;
+  }
+
+  setCodeLanguage(pre, language) {
+    for (const element of [pre, this.codeElement(pre)]) {
+      [...element.classList].filter(name => /^(language|lang)-/.test(name)).forEach(name => element.classList.remove(name));
+      if (!element.classList.length) element.removeAttribute('class');
+    }
+    if (language) {
+      this.codeElement(pre).classList.add(`language-${language}`);
+      pre.dataset.language = language;
+    } else {
+      delete pre.dataset.language;
+    }
+    this.lastCodeLanguage = language;
+
+    this.highlightCode();
+    if (this.currentPage) {
+      this.currentPage.content = document.getElementById('notesContent').innerHTML;
+      this.savePage(this.currentPage, { content: this.currentPage.content });
+    }
+  }
+
+  // Paint the tokens of every code block in the editor, one highlight per
+  // token type (styled as ::highlight(code-keyword) and so on)
+  highlightCode() {
+    if (!window.CSS?.highlights || typeof Highlight === 'undefined') return;
+
+    const ranges = {};
+    for (const pre of document.querySelectorAll('#notesContent pre')) {
+      const { text, pieces } = this.codeText(pre);
+      for (const token of HackNoteHighlight.tokenize(text, this.codeBlockLanguage(pre))) {
+        // A token may run over several text nodes
+        for (const { node, start } of pieces) {
+          const from = Math.max(token.start, start);
+          const to = Math.min(token.end, start + node.length);
+          if (from >= to) continue;
+          (ranges[token.type] = ranges[token.type] || []).push(new StaticRange({
+            startContainer: node,
+            startOffset: from - start,
+            endContainer: node,
+            endOffset: to - start
+          }));
+        }
+      }
+    }
+
+    for (const name of [...CSS.highlights.keys()]) {
+      if (name.startsWith('code-')) CSS.highlights.delete(name);
+    }
+    for (const [type, list] of Object.entries(ranges)) {
+      CSS.highlights.set(`code-${type}`, new Highlight(...list));
+    }
+  }
+
+  // The code block the caret is in, if any
+  selectionCodeBlock() {
+    const editor = document.getElementById('notesContent');
+    const node = window.getSelection().anchorNode;
+    const pre = (node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement)?.closest('pre');
+    return pre && editor.contains(pre) ? pre : null;
+  }
+
+  // The language picker and copy button sit on the code block under the
+  // mouse, or else the one with the caret
+  updateCodeBar() {
+    const bar = document.getElementById('codeBlockBar');
+    const editor = document.getElementById('notesContent');
+    const pre = (this.hoveredCodeBlock?.isConnected && this.hoveredCodeBlock) || this.selectionCodeBlock();
+
+    if (!pre || editor.classList.contains('hidden')) {
+      this.codeBarBlock = null;
+      bar.classList.add('hidden');
+      return;
+    }
+
+    if (pre !== this.codeBarBlock) {
+      this.codeBarBlock = pre;
+      const select = document.getElementById('codeLanguage');
+      const language = this.codeBlockLanguage(pre);
+      const known = HackNoteHighlight.resolveLanguage(language);
+      // A language there's no grammar for is still offered, to keep it
+      select.querySelector('option[data-unknown]')?.remove();
+      if (language && !known) {
+        const option = new Option(language, language);
+        option.dataset.unknown = '';
+        select.appendChild(option);
+      }
+      select.value = known || language;
+      document.getElementById('codeCopyBtn').textContent = 'COPY';
+    }
+
+    const view = document.getElementById('notesView').getBoundingClientRect();
+    const rect = pre.getBoundingClientRect();
+    bar.classList.remove('hidden');
+    bar.style.top = `${rect.top - view.top}px`;
+    bar.style.right = `${view.right - rect.right}px`;
+  }
+
+  async copyCodeBlock() {
+    const pre = this.codeBarBlock;
+    if (!pre) return;
+    const button = document.getElementById('codeCopyBtn');
+    try {
+      await navigator.clipboard.writeText(this.codeText(pre).text.replace(/\n$/, ''));
+      button.textContent = 'COPIED';
+      setTimeout(() => { button.textContent = 'COPY'; }, 1500);
+    } catch (err) {
+      console.error('[HACKNOTE] Failed to copy code:', err);
+      button.textContent = 'FAILED';
+    }
+  }
+
+  // Tab indents and Shift+Tab outdents, the selected lines or the caret's.
+  // Enter keeps the line's indentation; on an empty last line it leaves the
+  // block for a new paragraph.
+  handleCodeKey(e) {
+    if ((e.key !== 'Tab' && e.key !== 'Enter') || e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return;
+    // Enter and Tab in an open menu pick from it
+    if (e.defaultPrevented) return;
+    const pre = this.selectionCodeBlock();
+    if (!pre) return;
+    e.preventDefault();
+
+    const selection = window.getSelection();
+    const range = selection.getRangeAt(0);
+    const { text } = this.codeText(pre);
+    const start = this.codeOffset(pre, range.startContainer, range.startOffset);
+    const end = this.codeOffset(pre, range.endContainer, range.endOffset);
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+
+    if (e.key === 'Enter') {
+      const line = text.slice(lineStart, start);
+      const atEnd = /^\n?$/.test(text.slice(end));
+      if (atEnd && line === '' && text.trim()) {
+        this.leaveCodeBlock(pre, text.slice(0, lineStart).replace(/\n$/, ''));
+        return;
+      }
+      document.execCommand('insertLineBreak');
+      const indent = /^[ \t]*/.exec(line)[0];
+      if (indent) document.execCommand('insertText', false, indent);
+      return;
+    }
+
+    if (!e.shiftKey && !text.slice(start, end).includes('\n')) {
+      document.execCommand('insertText', false, '  ');
+      return;
+    }
+    this.indentCodeLines(pre, text, lineStart, start, end, e.shiftKey);
+  }
+
+  indentCodeLines(pre, text, lineStart, start, end, outdent) {
+    const lineEnd = text.indexOf('\n', end - (end > start && text[end - 1] === '\n' ? 1 : 0));
+    const block = text.slice(lineStart, lineEnd < 0 ? text.length : lineEnd);
+    const lines = block.split('\n');
+    const changed = lines.map(line => (outdent ? line.replace(/^(?: {1,2}|\t)/, '') : `  ${line}`));
+
+    // How far the selection's ends move with their lines
+    const shift = (offset) => {
+      let position = lineStart;
+      for (let i = 0; i < lines.length; i++) {
+        const lineEndsAt = position + lines[i].length;
+        if (offset <= lineEndsAt) {
+          const removed = lines[i].length - changed[i].length;
+          const before = changed.slice(0, i).reduce((sum, line) => sum + line.length + 1, lineStart);
+          return before + Math.max(offset - position - removed, 0);
+        }
+        position = lineEndsAt + 1;
+      }
+      return offset;
+    };
+
+    const code = this.codeElement(pre);
+    code.textContent = text.slice(0, lineStart) + changed.join('\n') + text.slice(lineStart + block.length);
+    const node = code.firstChild || code;
+    const range = document.createRange();
+    range.setStart(node, shift(start));
+    range.setEnd(node, shift(end));
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    document.getElementById('notesContent').dispatchEvent(new Event('input'));
+  }
+
+  // Drop the block's empty last line and carry on in a paragraph after it
+  leaveCodeBlock(pre, text) {
+    this.codeElement(pre).textContent = text;
+    const paragraph = this.createEmptyLine();
+    pre.after(paragraph);
+    window.getSelection().collapse(paragraph, 0);
+    document.getElementById('notesContent').dispatchEvent(new Event('input'));
+  }
+
+  // ============================================
+  // TABLES
+  // ============================================
+
+  // Tables are edited in place: Tab moves between cells, and the bar over
+  // the table with the caret adds and removes rows and columns and aligns
+  // columns. Alignment is the cells' align attribute, which markdown keeps
+  // as the delimiter row's colons.
+
+  // The cell the caret is in, if it's in a table in the editor
+  selectionTableCell() {
+    const editor = document.getElementById('notesContent');
+    const node = window.getSelection().anchorNode;
+    const cell = (node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement)?.closest('td, th');
+    return cell && editor.contains(cell) ? cell : null;
+  }
+
+  updateTableBar() {
+    const bar = document.getElementById('tableBar');
+    const cell = this.selectionTableCell();
+    if (!cell || document.getElementById('notesContent').classList.contains('hidden')) {
+      bar.classList.add('hidden');
+      return;
+    }
+
+    const align = cell.getAttribute('align') || '';
+    bar.querySelectorAll('[data-align]').forEach(button => {
+      button.classList.toggle('active', button.dataset.align === align);
     });
 
-    // Links
-    markdown = markdown.replace(/<a[^>]+href="([^"]+)"[^>]*>([^<]+)<\/a>/gi, '[$2]($1)');
+    // Just above the table, or over its top edge when it starts the note
+    const view = document.getElementById('notesView').getBoundingClientRect();
+    const rect = cell.closest('table').getBoundingClientRect();
+    bar.classList.remove('hidden');
+    bar.style.left = `${rect.left - view.left}px`;
+    bar.style.top = `${Math.max(rect.top - view.top - bar.offsetHeight - 2, 0)}px`;
+  }
+
+  // Put the caret in a cell, its content selected so typing replaces it
+  focusTableCell(cell) {
+    const range = document.createRange();
+    range.selectNodeContents(cell);
+    if (!cell.textContent) range.collapse(true);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  createTableCell(tag) {
+    const cell = document.createElement(tag);
+    cell.appendChild(document.createElement('br'));
+    return cell;
+  }
+
+  handleTableKey(e) {
+    if (e.key !== 'Tab' || e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+    const cell = this.selectionTableCell();
+    if (!cell) return;
+    e.preventDefault();
+
+    const cells = [...cell.closest('table').querySelectorAll('th, td')];
+    const index = cells.indexOf(cell) + (e.shiftKey ? -1 : 1);
+    if (index < 0) return;
+    if (index < cells.length) {
+      this.focusTableCell(cells[index]);
+    } else {
+      // Tab in the last cell starts a new row
+      this.runTableAction('addRow');
+    }
+  }
+
+  runTableAction(action, value) {
+    const cell = this.selectionTableCell();
+    if (!cell) return;
+    const table = cell.closest('table');
+    const row = cell.parentElement;
+    const column = cell.cellIndex;
+    const rows = [...table.rows];
+    let focus = null;
+
+    switch (action) {
+      case 'addRow': {
+        const body = row.parentElement.tagName === 'THEAD' ? (table.tBodies[0] || table.createTBody()) : row.parentElement;
+        const added = document.createElement('tr');
+        const columns = Math.max(...rows.map(r => r.cells.length));
+        for (let i = 0; i < columns; i++) {
+          const align = rows[0].cells[i]?.getAttribute('align');
+          const newCell = added.appendChild(this.createTableCell('td'));
+          if (align) newCell.setAttribute('align', align);
+        }
+        body.insertBefore(added, row.parentElement === body ? row.nextSibling : body.firstChild);
+        focus = added.cells[0];
+        break;
+      }
+
+      case 'deleteRow': {
+        const index = rows.indexOf(row);
+        if (rows.length === 1) {
+          focus = this.removeTable(table);
+          break;
+        }
+        if (row.parentElement.tagName === 'THEAD') {
+          // The next row becomes the header, as markdown tables need one
+          const next = rows[1];
+          [...next.cells].forEach(old => {
+            const header = document.createElement('th');
+            if (old.getAttribute('align')) header.setAttribute('align', old.getAttribute('align'));
+            header.append(...old.childNodes);
+            old.replaceWith(header);
+          });
+          row.replaceWith(next);
+        } else {
+          row.remove();
+        }
+        [...table.tBodies].filter(body => !body.rows.length).forEach(body => body.remove());
+        const remaining = [...table.rows];
+        const target = remaining[Math.min(index, remaining.length - 1)];
+        focus = target.cells[Math.min(column, target.cells.length - 1)];
+        break;
+      }
 
-    // Horizontal rule
-    markdown = markdown.replace(/<hr\s*\/?>/gi, '\n---\n');
+      case 'addColumn':
+        rows.forEach(r => {
+          const added = this.createTableCell(r.parentElement.tagName === 'THEAD' ? 'th' : 'td');
+          r.insertBefore(added, r.cells[column + 1] || null);
+          if (r === row) focus = added;
+        });
+        break;
 
-    // Mark/highlight
-    markdown = markdown.replace(/<mark>([^<]+)<\/mark>/gi, '==$1==');
+      case 'deleteColumn':
+        if (Math.max(...rows.map(r => r.cells.length)) === 1) {
+          focus = this.removeTable(table);
+          break;
+        }
+        rows.forEach(r => r.cells[column]?.remove());
+        focus = row.cells[Math.min(column, row.cells.length - 1)];
+        break;
 
-    // Line breaks and paragraphs
-    markdown = markdown.replace(/<br\s*\/?>/gi, '\n');
-    markdown = markdown.replace(/<\/p><p>/gi, '\n\n');
-    markdown = markdown.replace(/<\/?p>/gi, '');
+      case 'align': {
+        // Picking the column's alignment again clears it
+        const align = cell.getAttribute('align') === value ? null : value;
+        rows.forEach(r => {
+          const target = r.cells[column];
+          if (!target) return;
+          if (align) {
+            target.setAttribute('align', align);
+          } else {
+            target.removeAttribute('align');
+          }
+        });
+        focus = cell;
+        break;
+      }
 
-    // Remove remaining HTML tags
-    markdown = markdown.replace(/<[^>]+>/g, '');
+      case 'deleteTable':
+        focus = this.removeTable(table);
+        break;
+    }
 
-    // Decode HTML entities
-    const textarea = document.createElement('textarea');
-    textarea.innerHTML = markdown;
-    markdown = textarea.value;
+    if (focus?.matches('td, th')) {
+      this.focusTableCell(focus);
+    } else if (focus) {
+      window.getSelection().collapse(focus, 0);
+    }
+    this.updateTableBar();
+    if (this.currentPage) {
+      this.currentPage.content = document.getElementById('notesContent').innerHTML;
+      this.savePage(this.currentPage, { content: this.currentPage.content });
+    }
+  }
 
-    return markdown.trim();
+  // Remove a table, leaving an empty line where it was for the caret
+  removeTable(table) {
+    const line = this.createEmptyLine();
+    table.replaceWith(line);
+    return line;
   }
 
   // ============================================
@@ -1476,10 +4755,15 @@ class HackNote {
   // UTILITIES
   // ============================================
 
+  formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString();
+  }
+
+  // Also escapes quotes, so the result is safe inside attribute values
   escapeHtml(text) {
     const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    div.textContent = text ?? '';
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 }
 
@@ -1528,7 +4812,7 @@ class IframeCanvasEditor {
         case 'hackerpad:changed':
           if (this.app.currentPage) {
             this.app.currentPage.canvasData = e.data.objects;
-            this.app.saveData();
+            this.app.savePage(this.app.currentPage, { canvasData: e.data.objects });
           }
           break;
       }
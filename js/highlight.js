@@ -0,0 +1,344 @@
+// ============================================
+// HACKNOTE - Syntax highlighting for code blocks
+// A tokenizer per language, simple enough to run on every keystroke.
+// It only finds where tokens are; the editor paints them without
+// touching the note's HTML.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HackNoteHighlight = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const words = (list) => `\\b(?:${list.trim().split(/\s+/).join('|')})\\b`;
+
+  const DOUBLE = /"(?:\\.|[^"\\\n])*"?/.source;
+  const SINGLE = /'(?:\\.|[^'\\\n])*'?/.source;
+  const BACKTICK = /`(?:\\[\s\S]|[^`\\])*`?/.source;
+  const C_COMMENT = /\/\/.*|\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/.source;
+  const HASH_COMMENT = /(?:^|(?<=\s))#.*/.source;
+  const NUMBER = /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/.source;
+  const FUNCTION = /\b[A-Za-z_$][\w$]*(?=\s*\()/.source;
+
+  const JS_KEYWORDS = `
+    async await break case catch class const continue debugger default delete do else export extends
+    finally for from function get if import in instanceof let new of return set static super switch
+    throw try typeof var void while with yield`;
+  const C_KEYWORDS = `
+    auto break case char const continue default do double else enum extern float for goto if inline int
+    long register return short signed sizeof static struct switch typedef union unsigned void volatile while`;
+
+  // Each language is a list of [token type, pattern], tried in order at
+  // every position.
+  const GRAMMARS = {
+    bash: {
+      name: 'Bash',
+      aliases: ['sh', 'shell', 'zsh', 'console'],
+      rules: [
+        ['comment', HASH_COMMENT],
+        ['string', DOUBLE],
+        ['string', /'[^']*'?/.source],
+        ['variable', /\$(?:\{[^}\n]*\}?|\w+|[@#?$!*-])/.source],
+        ['keyword', words(`
+          if then else elif fi for while until do done case esac in function return local export
+          readonly unset shift exit break continue select`)],
+        ['number', NUMBER]
+      ]
+    },
+    c: {
+      name: 'C',
+      aliases: ['h'],
+      rules: [
+        ['comment', C_COMMENT],
+        ['keyword', /^\s*#\s*\w+/.source],
+        ['string', DOUBLE],
+        ['string', /'(?:\\.|[^'\\\n])'/.source],
+        ['keyword', words(C_KEYWORDS)],
+        ['literal', words('true false NULL')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+      ]
+    },
+    cpp: {
+      name: 'C++',
+      aliases: ['c++', 'cc', 'cxx', 'hpp'],
+      rules: [
+        ['comment', C_COMMENT],
+        ['keyword', /^\s*#\s*\w+/.source],
+        ['string', DOUBLE],
+        ['string', /'(?:\\.|[^'\\\n])'/.source],
+        ['keyword', words(`${C_KEYWORDS}
+          bool catch class constexpr delete explicit friend mutable namespace new operator override
+          private protected public template this throw try typename using virtual`)],
+        ['literal', words('true false nullptr NULL')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+      ]
+    },
+    css: {
+      name: 'CSS',
+      aliases: ['scss', 'less'],
+      rules: [
+        ['comment', /\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/.source],
+        ['string', DOUBLE],
+        ['string', SINGLE],
+        ['keyword', /@[\w-]+|!important\b/.source],
+        ['number', /#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:%|[a-zA-Z]+)?/.source],
+        ['function', /[\w-]+(?=\()/.source],
+        ['attribute', /[\w-]+(?=\s*:[^:{\n]*[;}\n])/.source]
+      ]
+    },
+    diff: {
+      name: 'Diff',
+      aliases: ['patch'],
+      rules: [
+        ['keyword', /^(?:@@.*|diff .*|index .*|\+\+\+ .*|--- .*)/.source],
+        ['inserted', /^\+.*/.source],
+        ['deleted', /^-.*/.source]
+      ]
+    },
+    go: {
+      name: 'Go',
+      aliases: ['golang'],
+      rules: [
+        ['comment', C_COMMENT],
+        ['string', DOUBLE],
+        ['string', /`[^`]*`?/.source],
+        ['string', /'(?:\\.|[^'\\\n])+'/.source],
+        ['keyword', words(`
+          break case chan const continue default defer else fallthrough for func go goto if import
+          interface map package range return select struct switch type var`)],
+        ['literal', words('true false nil iota')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+      ]
+    },
+    html: {
+      name: 'HTML',
+      aliases: ['xml', 'svg', 'xhtml'],
+      rules: [
+        ['comment', /<!--[\s\S]*?(?:-->|(?![\s\S]))/.source],
+        ['keyword', /<![A-Za-z][^>]*>?/.source],
+        ['tag', /<\/?[A-Za-z][\w:.-]*|\/?>/.source],
+        ['attribute', /\b[\w:.-]+(?=\s*=\s*["'])/.source],
+        ['string', /(?<==\s*)(?:"[^"]*"?|'[^']*'?)/.source],
+        ['literal', /&(?:#x[\da-fA-F]+|#\d+|\w+);/.source]
+      ]
+    },
+    java: {
+      name: 'Java',
+      aliases: ['kotlin', 'kt'],
+      rules: [
+        ['comment', C_COMMENT],
+        ['string', DOUBLE],
+        ['string', /'(?:\\.|[^'\\\n])'/.source],
+        ['function', /@\w+/.source],
+        ['keyword', words(`
+          abstract assert boolean break byte case catch char class const continue default do double else
+          enum extends final finally float for fun if implements import instanceof int interface long
+          native new package private protected public record return short static super switch
+          synchronized throw throws try val var void volatile when while`)],
+        ['literal', words('true false null this')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+      ]
+    },
+    javascript: {
+      name: 'JavaScript',
+      aliases: ['js', 'jsx', 'mjs', 'cjs', 'node'],
+      rules: [
+        ['comment', C_COMMENT],
+        ['string', DOUBLE],
+        ['string', SINGLE],
+        ['string', BACKTICK],
+        ['keyword', words(JS_KEYWORDS)],
+        ['literal', words('true false null undefined NaN Infinity this')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+      ]
+    },
+    json: {
+      name: 'JSON',
+      aliases: ['jsonc', 'json5'],
+      rules: [
+        ['comment', C_COMMENT],
+        ['attribute', /"(?:\\.|[^"\\\n])*"(?=\s*:)/.source],
+        ['string', DOUBLE],
+        ['literal', words('true false null')],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/.source]
+      ]
+    },
+    php: {
+      name: 'PHP',
+      aliases: [],
+      rules: [
+        ['comment', `${C_COMMENT}|${HASH_COMMENT}`],
+        ['string', DOUBLE],
+        ['string', SINGLE],
+        ['variable', /\$\w+/.source],
+        ['keyword', words(`
+          abstract and array as break case catch class clone const continue declare default do echo
+          else elseif empty extends final finally fn for foreach function global if implements include
+          interface isset list match namespace new or print private protected public require return
+          static switch throw trait try unset use var while yield`)],
+        ['literal', words('true false null TRUE FALSE NULL')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+      ]
+    },
+    python: {
+      name: 'Python',
+      aliases: ['py', 'python3'],
+      rules: [
+        ['comment', /#.*/.source],
+        ['string', /"""[\s\S]*?(?:"""|(?![\s\S]))|'''[\s\S]*?(?:'''|(?![\s\S]))/.source],
+        ['string', DOUBLE],
+        ['string', SINGLE],
+        ['function', /@[\w.]+/.source],
+        ['keyword', words(`
+          and as assert async await break case class continue def del elif else except finally for from
+          global if import in is lambda match nonlocal not or pass raise return try while with yield`)],
+        ['literal', words('True False None self')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+      ]
+    },
+    ruby: {
+      name: 'Ruby',
+      aliases: ['rb'],
+      rules: [
+        ['comment', /#.*/.source],
+        ['string', DOUBLE],
+        ['string', SINGLE],
+        ['literal', /(?<![:\w]):\w+/.source],
+        ['variable', /@{1,2}\w+|\$\w+/.source],
+        ['keyword', words(`
+          alias and begin break case class def defined do else elsif end ensure for if in module next not
+          or redo require rescue retry return super then undef unless until when while yield`)],
+        ['literal', words('true false nil self')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+      ]
+    },
+    rust: {
+      name: 'Rust',
+      aliases: ['rs'],
+      rules: [
+        ['comment', C_COMMENT],
+        ['string', DOUBLE],
+        ['string', /'(?:\\.|[^'\\\n])'/.source],
+        ['function', /\b\w+!/.source],
+        ['keyword', words(`
+          as async await break const continue crate dyn else enum extern fn for if impl in let loop
+          match mod move mut pub ref return static struct super trait type unsafe use where while`)],
+        ['literal', words('true false self Self None Some Ok Err')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+      ]
+    },
+    sql: {
+      name: 'SQL',
+      aliases: ['mysql', 'postgresql', 'postgres', 'sqlite'],
+      flags: 'i',
+      rules: [
+        ['comment', /--.*|\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/.source],
+        ['string', /'(?:''|[^'])*'?/.source],
+        ['attribute', /"[^"\n]*"?/.source],
+        ['keyword', words(`
+          add all alter and as asc begin between by case check column commit constraint create cross
+          default delete desc distinct drop else end exists foreign from full group having if in index
+          inner insert into is join key left like limit not of offset on or order outer primary
+          references returning right rollback select set table then transaction union unique update
+          using values view when where with`)],
+        ['literal', words('null true false')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+      ]
+    },
+    typescript: {
+      name: 'TypeScript',
+      aliases: ['ts', 'tsx'],
+      rules: [
+        ['comment', C_COMMENT],
+        ['string', DOUBLE],
+        ['string', SINGLE],
+        ['string', BACKTICK],
+        ['keyword', words(`${JS_KEYWORDS}
+          abstract as declare enum implements interface keyof namespace private protected public
+          readonly type`)],
+        ['literal', words('true false null undefined NaN Infinity this')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+      ]
+    },
+    yaml: {
+      name: 'YAML',
+      aliases: ['yml'],
+      rules: [
+        ['comment', HASH_COMMENT],
+        ['keyword', /^(?:---|\.\.\.)\s*$/.source],
+        ['attribute', /[\w.-]+(?=\s*:(?:\s|$))/.source],
+        ['string', DOUBLE],
+        ['string', SINGLE],
+        ['literal', words('true false null yes no on off')],
+        ['number', NUMBER]
+      ]
+    }
+  };
+
+  // All of a language's rules as one pattern, its groups in rule order
+  function compile(grammar) {
+    if (!grammar.pattern) {
+      grammar.pattern = new RegExp(grammar.rules.map(([, source]) => `(${source})`).join('|'), `gm${grammar.flags || ''}`);
+    }
+    return grammar.pattern;
+  }
+
+  /**
+   * The language a code block's tag names, by its id or an alias
+   * ('js' is 'javascript'), or '' when there's no grammar for it.
+   */
+  function resolveLanguage(name) {
+    const key = String(name ?? '').trim().toLowerCase();
+    if (Object.hasOwn(GRAMMARS, key)) return key;
+    return Object.keys(GRAMMARS).find(id => GRAMMARS[id].aliases.includes(key)) || '';
+  }
+
+  // The languages with a grammar, as `[{ id, name }]`
+  function languages() {
+    return Object.entries(GRAMMARS).map(([id, grammar]) => ({ id, name: grammar.name }));
+  }
+
+  /**
+   * The tokens of `code` as `[{ type, start, end }]`, in order. Types are
+   * comment, string, keyword, literal, number, function, variable, tag,
+   * attribute, inserted and deleted; text between tokens is plain. An
+   * unknown language has no tokens.
+   */
+  function tokenize(code, language) {
+    const grammar = GRAMMARS[resolveLanguage(language)];
+    if (!grammar) return [];
+
+    const pattern = compile(grammar);
+    const tokens = [];
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(code))) {
+      if (match[0] === '') {
+        pattern.lastIndex++;
+        continue;
+      }
+      const rule = grammar.rules[match.findIndex((group, i) => i > 0 && group !== undefined) - 1];
+      if (rule[0]) tokens.push({ type: rule[0], start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+  }
+
+  return {
+    resolveLanguage,
+    languages,
+    tokenize
+  };
+});
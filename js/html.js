@@ -0,0 +1,261 @@
+// ============================================
+// HACKNOTE - A small HTML parser for note content
+// Shared by the browser and the server, which has no DOM to parse with
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HackNoteHtml = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Elements with no content and no end tag
+  const VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+  // Elements whose content is text up to their end tag
+  const RAW_TEXT = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript']);
+
+  // Starting one of these ends an open paragraph
+  const CLOSES_P = new Set([
+    'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+    'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre',
+    'section', 'table', 'ul'
+  ]);
+
+  // A start tag that closes an open element of the same family, as an
+  // unclosed <li> is closed by the next one. The values are the elements
+  // that scope the search: a nested list's items don't close the outer one's.
+  const IMPLIED_END = {
+    li: { closes: ['li'], scope: ['ul', 'ol'] },
+    dt: { closes: ['dt', 'dd'], scope: ['dl'] },
+    dd: { closes: ['dt', 'dd'], scope: ['dl'] },
+    tr: { closes: ['tr', 'td', 'th'], scope: ['table', 'thead', 'tbody', 'tfoot'] },
+    td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+    th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+    thead: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+    tbody: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+    tfoot: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+    option: { closes: ['option'], scope: ['select'] }
+  };
+
+  const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+    middot: '·', bull: '•', times: '×', divide: '÷', deg: '°', plusmn: '±',
+    euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶',
+    larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔', check: '✓'
+  };
+
+  // Decode character references, without a DOM
+  function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const hex = entity[1] === 'x' || entity[1] === 'X';
+        const code = parseInt(entity.slice(hex ? 2 : 1), hex ? 16 : 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+      }
+      return ENTITIES[entity] ?? ENTITIES[entity.toLowerCase()] ?? match;
+    });
+  }
+
+  function escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
+  // ============================================
+  // PARSING
+  // ============================================
+
+  // Sticky, to match at a position without copying the rest of the source
+  const END_TAG = /<\/([a-zA-Z][a-zA-Z0-9-]*)[^>]*>/y;
+  const START_TAG = /<([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+
+  const ATTRIBUTE = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+  function parseAttributes(source) {
+    const attrs = {};
+    for (const [, name, double, single, bare] of source.matchAll(ATTRIBUTE)) {
+      const key = name.toLowerCase();
+      if (key in attrs) continue;
+      attrs[key] = decodeEntities(double ?? single ?? bare ?? '');
+    }
+    return attrs;
+  }
+
+  function element(tag, attrs = {}, children = []) {
+    return { type: 'element', tag, attrs, children };
+  }
+
+  function text(value) {
+    return { type: 'text', text: value };
+  }
+
+  /**
+   * Parse an HTML fragment into a tree of `{ type: 'element', tag, attrs,
+   * children }` and `{ type: 'text', text }` nodes under a root
+   * `{ type: 'root', children }`. Text and attribute values are decoded.
+   * Comments, doctypes and processing instructions are dropped. Like a
+   * browser, it never fails: stray end tags are ignored and open elements
+   * are closed where the markup implies.
+   */
+  function parseHtml(html) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const source = String(html ?? '');
+
+    const addText = (value) => {
+      if (!value) return;
+      const children = current().children;
+      const last = children[children.length - 1];
+      if (last && last.type === 'text') {
+        last.text += value;
+      } else {
+        children.push(text(value));
+      }
+    };
+
+    // Close up to and including the innermost open `tags` element, unless
+    // one of `scope` comes first
+    const closeOpen = (tags, scope = []) => {
+      for (let i = stack.length - 1; i > 0; i--) {
+        const tag = stack[i].tag;
+        if (tags.includes(tag)) {
+          stack.length = i;
+          return true;
+        }
+        if (scope.includes(tag)) return false;
+      }
+      return false;
+    };
+
+    const matchAt = (pattern) => {
+      pattern.lastIndex = pos;
+      return pattern.exec(source);
+    };
+
+    let pos = 0;
+    while (pos < source.length) {
+      const lt = source.indexOf('<', pos);
+      if (lt < 0) {
+        addText(decodeEntities(source.slice(pos)));
+        break;
+      }
+      addText(decodeEntities(source.slice(pos, lt)));
+      pos = lt;
+
+      if (source.startsWith('<!--', pos)) {
+        const end = source.indexOf('-->', pos + 4);
+        pos = end < 0 ? source.length : end + 3;
+        continue;
+      }
+      if (source[pos + 1] === '!' || source[pos + 1] === '?') {
+        const end = source.indexOf('>', pos);
+        pos = end < 0 ? source.length : end + 1;
+        continue;
+      }
+
+      const endTag = matchAt(END_TAG);
+      if (endTag) {
+        pos += endTag[0].length;
+        const tag = endTag[1].toLowerCase();
+        if (tag === 'br') {
+          // Browsers read </br> as <br>
+          current().children.push(element('br'));
+        } else if (tag === 'p' && !stack.some(node => node.tag === 'p')) {
+          // ...and </p> with nothing open as an empty paragraph
+          current().children.push(element('p'));
+        } else {
+          closeOpen([tag]);
+        }
+        continue;
+      }
+
+      const startTag = matchAt(START_TAG);
+      if (!startTag) {
+        // A lone "<" is text
+        addText('<');
+        pos++;
+        continue;
+      }
+      pos += startTag[0].length;
+
+      const tag = startTag[1].toLowerCase();
+      const selfClosing = /\/\s*$/.test(startTag[2]);
+      const attrs = parseAttributes(startTag[2].replace(/\/\s*$/, ''));
+
+      if (CLOSES_P.has(tag)) closeOpen(['p'], ['button', 'td', 'th', 'li', 'blockquote', 'div', 'table']);
+      if (IMPLIED_END[tag]) closeOpen(IMPLIED_END[tag].closes, IMPLIED_END[tag].scope);
+
+      const node = element(tag, attrs);
+      current().children.push(node);
+
+      if (RAW_TEXT.has(tag)) {
+        const close = new RegExp(`</${tag}\\s*>`, 'gi');
+        close.lastIndex = pos;
+        const match = close.exec(source);
+        const end = match ? match.index : source.length;
+        const content = source.slice(pos, end);
+        if (content) node.children.push(text(tag === 'textarea' || tag === 'title' ? decodeEntities(content) : content));
+        pos = match ? end + match[0].length : source.length;
+      } else if (!VOID.has(tag)) {
+        // "/>" only closes an element inside SVG or MathML; in HTML it's ignored
+        const foreign = tag === 'svg' || tag === 'math' || stack.some(open => open.tag === 'svg' || open.tag === 'math');
+        if (!(selfClosing && foreign)) stack.push(node);
+      }
+    }
+
+    return root;
+  }
+
+  // ============================================
+  // SERIALIZING
+  // ============================================
+
+  function serializeAttributes(attrs) {
+    return Object.entries(attrs)
+      .map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`))
+      .join('');
+  }
+
+  // A node (or a list of them) back to HTML
+  function toHtml(node) {
+    if (Array.isArray(node)) return node.map(toHtml).join('');
+    if (node.type === 'text') return escapeHtml(node.text);
+    if (node.type === 'root') return toHtml(node.children);
+
+    const open = `<${node.tag}${serializeAttributes(node.attrs)}>`;
+    if (VOID.has(node.tag)) return open;
+    if (RAW_TEXT.has(node.tag)) {
+      return `${open}${node.children.map(child => child.text).join('')}</${node.tag}>`;
+    }
+    return `${open}${toHtml(node.children)}</${node.tag}>`;
+  }
+
+  // The text a node holds, as textContent would give it
+  function textContent(node) {
+    if (node.type === 'text') return node.text;
+    return (node.children || []).map(textContent).join('');
+  }
+
+  return {
+    VOID,
+    decodeEntities,
+    escapeHtml,
+    escapeAttribute,
+    element,
+    text,
+    parseHtml,
+    toHtml,
+    textContent
+  };
+});
@@ -0,0 +1,1171 @@
+// ============================================
+// HACKNOTE - Markdown conversion for notes
+// Shared by the browser (markdown mode) and the server (vault export/import)
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./html'));
+  } else {
+    root.HackNoteMarkdown = factory(root.HackNoteHtml);
+  }
+})(typeof self !== 'undefined' ? self : this, function (HackNoteHtml) {
+  const { decodeEntities, escapeHtml, escapeAttribute, parseHtml, textContent } = HackNoteHtml;
+
+  // CommonMark with the GitHub extensions notes need: tables, task lists and
+  // strikethrough, plus ==highlight==. Two departures, both for notes:
+  // a line break in a paragraph is a line break (<br>), as it is in the
+  // editor, and raw HTML is only kept for a few formatting tags with no
+  // markdown of their own (<u>, <sub>, ...). Anything else is shown as text.
+  const INLINE_TAGS = ['b', 'br', 'del', 'em', 'i', 'ins', 'kbd', 'mark', 's', 'small', 'strike', 'strong', 'sub', 'sup', 'u'];
+  const INLINE_TAG = new RegExp(`<(/?)(${INLINE_TAGS.join('|')})\\s*/?>`, 'iy');
+
+  const ASCII_PUNCTUATION = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+  const PUNCTUATION = /[\p{P}\p{S}]/u;
+
+  function isBlank(line) {
+    return /^[ \t]*$/.test(line);
+  }
+
+  function isWhitespace(char) {
+    return char === undefined || /\s/.test(char);
+  }
+
+  function isPunctuation(char) {
+    return char !== undefined && PUNCTUATION.test(char);
+  }
+
+  // Tabs in indentation count to the next multiple of four columns
+  function expandTabs(line) {
+    return line.replace(/^[ \t]+/, (indent) => {
+      let column = 0;
+      for (const char of indent) column += char === '\t' ? 4 - (column % 4) : 1;
+      return ' '.repeat(column);
+    });
+  }
+
+  // Only spaces and tabs: a non-breaking space at either end is content
+  function trimLine(line) {
+    return line.replace(/^[ \t]+|[ \t]+$/g, '');
+  }
+
+  function indentOf(line) {
+    return /^ */.exec(line)[0].length;
+  }
+
+  function removeIndent(line, width) {
+    return line.slice(Math.min(width, indentOf(line)));
+  }
+
+  // Backslash escapes and entities, for link destinations, titles and
+  // code fence info
+  function unescapeMarkdown(text) {
+    return decodeEntities(text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1'));
+  }
+
+  function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  // Links can't run script: javascript: and similar URLs become "#".
+  // Images may use data: URLs.
+  function safeUrl(url, { image = false } = {}) {
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url.replace(/[\u0000-\u0020\u007f]/g, ''));
+    if (!scheme) return url;
+    const name = scheme[1].toLowerCase();
+    if (name === 'data') return image && /^\s*data:image\/(png|gif|jpe?g|webp|bmp|avif);/i.test(url) ? url : '#';
+    return ['javascript', 'vbscript', 'file'].includes(name) ? '#' : url;
+  }
+
+  // ============================================
+  // BLOCKS
+  // ============================================
+
+  const FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+  const ATX_HEADING = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+  const THEMATIC_BREAK = /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+  const BLOCKQUOTE = /^ {0,3}> ?/;
+  const CALLOUT_KINDS = ['note', 'tip', 'important', 'warning', 'caution'];
+  const CALLOUT = new RegExp(`^ {0,3}\\[!(${CALLOUT_KINDS.join('|')})\\][ \\t]*$`, 'i');
+  const LIST_ITEM = /^( {0,3})([-+*]|(\d{1,9})[.)])(?=[ \t]|$)/;
+  const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+  const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+  const REFERENCE = /^ {0,3}\[((?:[^\\[\]]|\\.){1,999})\]:[ \t]*(?:<([^<>\n]*)>|(\S+))(?:[ \t]+(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\(((?:[^()\\]|\\.)*)\)))?[ \t]*$/;
+
+  function isFence(line) {
+    const match = FENCE.exec(line);
+    return !!match && !(match[2][0] === '`' && match[3].includes('`'));
+  }
+
+  function listItemStart(line) {
+    const match = LIST_ITEM.exec(line);
+    if (!match) return null;
+
+    const rest = line.slice(match[0].length);
+    const spaces = indentOf(rest);
+    const blank = isBlank(rest);
+    // Content starting five or more spaces in is indented code; the item's
+    // content then starts one space after the marker
+    const padding = blank || spaces >= 5 ? 1 : spaces;
+    return {
+      ordered: !!match[3],
+      marker: match[3] ? match[2].slice(-1) : match[2],
+      start: match[3] ? parseInt(match[3], 10) : null,
+      contentIndent: match[0].length + padding,
+      first: blank ? '' : rest.slice(padding),
+      blank
+    };
+  }
+
+  // Lines that end a paragraph without a blank line before them
+  function interruptsParagraph(line) {
+    if (isFence(line) || ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || BLOCKQUOTE.test(line)) return true;
+    const item = listItemStart(line);
+    return !!item && !item.blank && (!item.ordered || item.start === 1);
+  }
+
+  function startsBlock(line) {
+    return isFence(line) || ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || BLOCKQUOTE.test(line) || !!listItemStart(line);
+  }
+
+  // A table row's cells. Pipes escaped as \| belong to the cell.
+  function splitRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !/(^|[^\\])(\\\\)*\\\|$/.test(row)) row = row.slice(0, -1);
+
+    const cells = [];
+    let cell = '';
+    for (let i = 0; i < row.length; i++) {
+      if (row[i] === '\\' && row[i + 1] === '|') {
+        cell += '|';
+        i++;
+      } else if (row[i] === '\\' && i + 1 < row.length) {
+        cell += row[i] + row[i + 1];
+        i++;
+      } else if (row[i] === '|') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += row[i];
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  function tableAt(lines, i) {
+    if (i + 1 >= lines.length || !lines[i].includes('|') || !TABLE_DELIMITER.test(lines[i + 1])) return null;
+    const header = splitRow(lines[i]);
+    const delimiters = splitRow(lines[i + 1]);
+    if (header.length !== delimiters.length) return null;
+
+    const align = delimiters.map((cell) => {
+      const left = cell.startsWith(':');
+      const right = cell.endsWith(':');
+      return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+    });
+    const rows = [];
+    let j = i + 2;
+    while (j < lines.length && !isBlank(lines[j]) && !startsBlock(lines[j])) {
+      const cells = splitRow(lines[j]);
+      rows.push(header.map((cell, k) => cells[k] ?? ''));
+      j++;
+    }
+    return { block: { type: 'table', header, align, rows }, next: j };
+  }
+
+  function listAt(lines, i, refs) {
+    const first = listItemStart(lines[i]);
+    const items = [];
+    let loose = false;
+    let j = i;
+
+    while (j < lines.length) {
+      const start = listItemStart(lines[j]);
+      if (!start || THEMATIC_BREAK.test(lines[j]) || start.ordered !== first.ordered || start.marker !== first.marker) break;
+      if (items.length && items[items.length - 1].trailingBlank) loose = true;
+
+      const itemLines = [start.first];
+      j++;
+      // An item that starts with a blank line ends at the next blank line
+      let blankRun = start.blank ? 1 : 0;
+      while (j < lines.length) {
+        const line = lines[j];
+        if (isBlank(line)) {
+          if (start.blank && itemLines.length === 1) break;
+          itemLines.push('');
+          blankRun++;
+          j++;
+          continue;
+        }
+        if (indentOf(line) >= start.contentIndent) {
+          itemLines.push(line.slice(start.contentIndent));
+          blankRun = 0;
+          j++;
+          continue;
+        }
+        // Lazy continuation of the item's paragraph
+        const previous = itemLines[itemLines.length - 1];
+        if (blankRun === 0 && previous.trim() && !startsBlock(line) && !isFence(previous)) {
+          itemLines.push(line.trim());
+          j++;
+          continue;
+        }
+        break;
+      }
+
+      // Blank lines after the item belong to the list, not to it
+      let trailing = 0;
+      while (itemLines.length > 1 && !itemLines[itemLines.length - 1].trim()) {
+        itemLines.pop();
+        trailing++;
+      }
+
+      let checked = null;
+      const task = /^\[([ xX])\](?:[ \t]+|$)/.exec(itemLines[0]);
+      if (task) {
+        checked = task[1] !== ' ';
+        itemLines[0] = itemLines[0].slice(task[0].length);
+      }
+
+      const content = parseBlocks(itemLines, refs);
+      if (content.loose) loose = true;
+      items.push({ blocks: content.blocks, checked, trailingBlank: trailing > 0 });
+    }
+
+    // Blank lines after the last item end the list; they aren't inside it
+    let next = j;
+    while (next > i && isBlank(lines[next - 1])) next--;
+
+    return {
+      block: { type: 'list', ordered: first.ordered, start: first.start, loose, items },
+      next
+    };
+  }
+
+  function blockquoteAt(lines, i, refs) {
+    const inner = [];
+    let j = i;
+    while (j < lines.length) {
+      const line = lines[j];
+      const marker = BLOCKQUOTE.exec(line);
+      if (marker) {
+        inner.push(line.slice(marker[0].length));
+      } else if (!isBlank(line) && inner.length && inner[inner.length - 1].trim() && !startsBlock(line) && !isFence(inner[0])) {
+        // Lazy continuation of a quoted paragraph
+        inner.push(line);
+      } else {
+        break;
+      }
+      j++;
+    }
+    // GitHub's alert syntax: a quote opening with "[!NOTE]" is a callout
+    const callout = CALLOUT.exec(inner[0] || '');
+    return {
+      block: {
+        type: 'blockquote',
+        callout: callout ? callout[1].toLowerCase() : null,
+        blocks: parseBlocks(callout ? inner.slice(1) : inner, refs).blocks
+      },
+      next: j
+    };
+  }
+
+  function fenceAt(lines, i) {
+    const [, indent, fence, info] = FENCE.exec(lines[i]);
+    const closing = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+    const body = [];
+    let j = i + 1;
+    while (j < lines.length && !closing.test(lines[j])) {
+      body.push(removeIndent(lines[j], indent.length));
+      j++;
+    }
+    const language = unescapeMarkdown(info.trim()).split(/\s+/)[0];
+    return { block: { type: 'code', language, text: body.join('\n') }, next: Math.min(j + 1, lines.length) };
+  }
+
+  function indentedCodeAt(lines, i) {
+    const body = [];
+    let j = i;
+    let end = i;
+    while (j < lines.length && (isBlank(lines[j]) || indentOf(lines[j]) >= 4)) {
+      body.push(removeIndent(lines[j], 4));
+      j++;
+      if (!isBlank(lines[j - 1])) end = j;
+    }
+    return { block: { type: 'code', language: '', text: body.slice(0, end - i).join('\n') }, next: end };
+  }
+
+  function paragraphAt(lines, i) {
+    const text = [trimLine(lines[i])];
+    let j = i + 1;
+    while (j < lines.length && !isBlank(lines[j])) {
+      const underline = SETEXT_UNDERLINE.exec(lines[j]);
+      if (underline) {
+        const level = underline[1][0] === '=' ? 1 : 2;
+        return { block: { type: 'heading', level, text: text.join('\n') }, next: j + 1 };
+      }
+      if (interruptsParagraph(lines[j])) break;
+      text.push(trimLine(lines[j]));
+      j++;
+    }
+    return { block: { type: 'paragraph', text: text.join('\n') }, next: j };
+  }
+
+  /**
+   * Split lines into blocks: `{ type: 'paragraph' | 'heading' | 'code' |
+   * 'blockquote' | 'list' | 'table' | 'rule', ... }`. Link reference
+   * definitions go into `refs`. `loose` says whether a blank line separates
+   * two of the blocks, which makes the list item they're in loose.
+   */
+  function parseBlocks(lines, refs = {}) {
+    const blocks = [];
+    let loose = false;
+    let blankBefore = false;
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        if (blocks.length) blankBefore = true;
+        i++;
+        continue;
+      }
+      if (blankBefore) loose = true;
+      blankBefore = false;
+
+      let found;
+      if (isFence(line)) {
+        found = fenceAt(lines, i);
+      } else if (indentOf(line) >= 4) {
+        found = indentedCodeAt(lines, i);
+      } else if (ATX_HEADING.test(line)) {
+        const [, hashes, rest] = ATX_HEADING.exec(line);
+        const text = rest.replace(/(^|[ \t]+)#+[ \t]*$/, '').trim();
+        found = { block: { type: 'heading', level: hashes.length, text }, next: i + 1 };
+      } else if (THEMATIC_BREAK.test(line)) {
+        found = { block: { type: 'rule' }, next: i + 1 };
+      } else if (BLOCKQUOTE.test(line)) {
+        found = blockquoteAt(lines, i, refs);
+      } else if (listItemStart(line)) {
+        found = listAt(lines, i, refs);
+      } else {
+        found = tableAt(lines, i);
+      }
+
+      if (!found) {
+        const reference = REFERENCE.exec(line);
+        if (reference && reference[1].trim()) {
+          const label = normalizeLabel(reference[1]);
+          if (!(label in refs)) {
+            refs[label] = {
+              url: unescapeMarkdown(reference[2] ?? reference[3]),
+              title: reference[4] ?? reference[5] ?? reference[6] ?? null
+            };
+            if (refs[label].title !== null) refs[label].title = unescapeMarkdown(refs[label].title);
+          }
+          i++;
+          continue;
+        }
+        found = paragraphAt(lines, i);
+      }
+
+      blocks.push(found.block);
+      i = found.next;
+    }
+
+    return { blocks, loose };
+  }
+
+  // ============================================
+  // INLINES
+  // ============================================
+
+  // Where a link's "(destination "title")" or "[label]" ends, if it's one
+  function linkTail(source, pos, refs, label) {
+    if (source[pos] === '(') {
+      let p = pos + 1;
+      const skipSpace = () => {
+        while (p < source.length && /[ \t\n]/.test(source[p])) p++;
+      };
+      skipSpace();
+
+      let url = '';
+      if (source[p] === '<') {
+        const end = source.slice(p + 1).search(/(?<!\\)[<>\n]/);
+        if (end < 0 || source[p + 1 + end] !== '>') return null;
+        url = source.slice(p + 1, p + 1 + end);
+        p += end + 2;
+      } else {
+        const start = p;
+        let depth = 0;
+        while (p < source.length && !/[\s\u0000-\u001f]/.test(source[p])) {
+          if (source[p] === '\\' && ASCII_PUNCTUATION.test(source[p + 1] || '')) {
+            p += 2;
+            continue;
+          }
+          if (source[p] === '(') depth++;
+          if (source[p] === ')') {
+            if (depth === 0) break;
+            depth--;
+          }
+          p++;
+        }
+        if (depth !== 0) return null;
+        url = source.slice(start, p);
+      }
+
+      const beforeTitle = p;
+      skipSpace();
+      let title = null;
+      const quote = { '"': '"', "'": "'", '(': ')' }[source[p]];
+      if (quote && p > beforeTitle) {
+        let end = p + 1;
+        while (end < source.length && source[end] !== quote) end += source[end] === '\\' ? 2 : 1;
+        if (end >= source.length) return null;
+        title = unescapeMarkdown(source.slice(p + 1, end));
+        p = end + 1;
+        skipSpace();
+      }
+      if (source[p] !== ')') return null;
+      return { url: unescapeMarkdown(url), title, end: p + 1 };
+    }
+
+    let end = pos;
+    let key = label;
+    if (source[pos] === '[') {
+      const bracket = /(?<!\\)[[\]]/g;
+      bracket.lastIndex = pos + 1;
+      const close = bracket.exec(source);
+      if (!close || close[0] !== ']') return null;
+      const inner = source.slice(pos + 1, close.index);
+      if (inner.trim()) key = inner;
+      end = close.index + 1;
+    }
+    const ref = refs[normalizeLabel(key)];
+    return ref ? { url: ref.url, title: ref.title, end } : null;
+  }
+
+  // Sticky, to match at a position in a paragraph without copying the rest
+  const BACKTICKS = /`+/y;
+  const AUTOLINK = /<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/y;
+  const EMAIL = /<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/y;
+  const ENTITY = /&(?:#x[0-9a-f]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]{1,31});/iy;
+  const PLAIN = /[^\\`*_~=[\]!<&\n]+/y;
+  const WIKI_LINK = /\[\[([^[\]\n]+)\]\]/y;
+  const RUNS = { '*': /\*+/y, '_': /_+/y, '~': /~+/y, '=': /=+/y };
+
+  function renderPieces(pieces) {
+    return pieces.map((piece) => {
+      if (piece.type === 'html') return piece.html;
+      if (piece.type === 'delimiter') {
+        const closing = piece.closes.map(tag => `</${tag}>`).join('');
+        const opening = piece.opens.map(tag => `<${tag}>`).reverse().join('');
+        return closing + escapeHtml(piece.char.repeat(piece.count)) + opening;
+      }
+      return escapeHtml(piece.text);
+    }).join('');
+  }
+
+  // Match up *, _, ~~ and == runs into <em>, <strong>, <s> and <mark>, as
+  // CommonMark's "process emphasis" does. `delimiters` links the runs in
+  // order (`first`, `last`, and `previous`/`next` on each); those after
+  // `bottom` are processed, then dropped from the list.
+  function processEmphasis(delimiters, bottom) {
+    const remove = (delimiter) => {
+      if (delimiter.previous) delimiter.previous.next = delimiter.next;
+      else delimiters.first = delimiter.next;
+      if (delimiter.next) delimiter.next.previous = delimiter.previous;
+      else delimiters.last = delimiter.previous;
+    };
+    // Where the search for an opener can stop, by what the closer could pair with
+    const openersBottom = {};
+
+    let closer = bottom ? bottom.next : delimiters.first;
+    while (closer) {
+      if (!closer.canClose) {
+        closer = closer.next;
+        continue;
+      }
+
+      const key = `${closer.char}${closer.canOpen}${closer.length % 3}`;
+      const floor = key in openersBottom ? openersBottom[key] : bottom;
+      let opener = closer.previous;
+      while (opener && opener !== floor) {
+        // The "rule of three" keeps *a**b* from pairing the wrong runs
+        const sum = opener.length + closer.length;
+        const oddMatch = (opener.canClose || closer.canOpen) && sum % 3 === 0 && !(opener.length % 3 === 0 && closer.length % 3 === 0);
+        if (opener.char === closer.char && opener.canOpen && !oddMatch) break;
+        opener = opener.previous;
+      }
+
+      if (!opener || opener === floor) {
+        openersBottom[key] = closer.previous;
+        const next = closer.next;
+        if (!closer.canOpen) remove(closer);
+        closer = next;
+        continue;
+      }
+
+      const double = closer.char === '~' || closer.char === '=';
+      const used = double || (opener.count >= 2 && closer.count >= 2) ? 2 : 1;
+      const tag = { '~': 's', '=': 'mark' }[closer.char] || (used === 2 ? 'strong' : 'em');
+      opener.count -= used;
+      closer.count -= used;
+      opener.opens.push(tag);
+      closer.closes.push(tag);
+
+      // Runs between the two stay as text
+      opener.next = closer;
+      closer.previous = opener;
+      if (opener.count === 0) remove(opener);
+      if (closer.count === 0) {
+        const next = closer.next;
+        remove(closer);
+        closer = next;
+      }
+    }
+
+    if (bottom) {
+      bottom.next = null;
+      delimiters.last = bottom;
+    } else {
+      delimiters.first = null;
+      delimiters.last = null;
+    }
+  }
+
+  function parseInline(source, refs) {
+    const pieces = [];
+    const brackets = [];
+    const delimiters = { first: null, last: null };
+    let pos = 0;
+
+    const addText = (text) => {
+      const last = pieces[pieces.length - 1];
+      if (last && last.type === 'text' && !last.bracket) {
+        last.text += text;
+      } else {
+        pieces.push({ type: 'text', text });
+      }
+    };
+    const addHtml = (html) => pieces.push({ type: 'html', html });
+    const matchAt = (pattern) => {
+      pattern.lastIndex = pos;
+      return pattern.exec(source);
+    };
+
+    while (pos < source.length) {
+      const char = source[pos];
+
+      if (char === '\\') {
+        const next = source[pos + 1];
+        if (next === '\n') {
+          addHtml('<br>');
+          pos += 2;
+          while (source[pos] === ' ' || source[pos] === '\t') pos++;
+        } else if (next !== undefined && ASCII_PUNCTUATION.test(next)) {
+          addText(next);
+          pos += 2;
+        } else {
+          addText('\\');
+          pos++;
+        }
+        continue;
+      }
+
+      if (char === '`') {
+        const run = matchAt(BACKTICKS)[0];
+        const closing = new RegExp(`(?<!\`)${run}(?!\`)`, 'g');
+        closing.lastIndex = pos + run.length;
+        const end = closing.exec(source);
+        if (end) {
+          let code = source.slice(pos + run.length, end.index).replace(/\n/g, ' ');
+          if (/^ [\s\S]* $/.test(code) && code.trim()) code = code.slice(1, -1);
+          addHtml(`<code>${escapeHtml(code)}</code>`);
+          pos = end.index + run.length;
+        } else {
+          addText(run);
+          pos += run.length;
+        }
+        continue;
+      }
+
+      if (char === '*' || char === '_' || char === '~' || char === '=') {
+        const run = matchAt(RUNS[char])[0];
+        const before = source[pos - 1];
+        const after = source[pos + run.length];
+        pos += run.length;
+        // ~~strikethrough~~ and ==highlight== take exactly two
+        if ((char === '~' || char === '=') && run.length !== 2) {
+          addText(run);
+          continue;
+        }
+        const leftFlanking = !isWhitespace(after) && (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+        const rightFlanking = !isWhitespace(before) && (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+        const underscore = char === '_';
+        const delimiter = {
+          type: 'delimiter',
+          char,
+          count: run.length,
+          length: run.length,
+          canOpen: leftFlanking && (!underscore || !rightFlanking || isPunctuation(before)),
+          canClose: rightFlanking && (!underscore || !leftFlanking || isPunctuation(after)),
+          opens: [],
+          closes: [],
+          previous: delimiters.last,
+          next: null
+        };
+        if (delimiters.last) delimiters.last.next = delimiter;
+        else delimiters.first = delimiter;
+        delimiters.last = delimiter;
+        pieces.push(delimiter);
+        continue;
+      }
+
+      // [[Page Title]] links to another page by its title
+      const wiki = char === '[' && source[pos + 1] === '[' && matchAt(WIKI_LINK);
+      if (wiki && wiki[1].trim()) {
+        const title = wiki[1].trim();
+        addHtml(`<a class="wiki-link" data-page="${escapeAttribute(title)}" contenteditable="false">${escapeHtml(title)}</a>`);
+        pos += wiki[0].length;
+        continue;
+      }
+
+      if (char === '[' || (char === '!' && source[pos + 1] === '[')) {
+        const image = char === '!';
+        const piece = { type: 'text', text: image ? '![' : '[', bracket: true };
+        pieces.push(piece);
+        pos += image ? 2 : 1;
+        brackets.push({ index: pieces.length - 1, image, active: true, labelStart: pos, delimiter: delimiters.last });
+        continue;
+      }
+
+      if (char === ']') {
+        const opener = brackets[brackets.length - 1];
+        const link = opener && opener.active ? linkTail(source, pos + 1, refs, source.slice(opener.labelStart, pos)) : null;
+        if (!link) {
+          if (opener) brackets.pop();
+          addText(']');
+          pos++;
+          continue;
+        }
+
+        processEmphasis(delimiters, opener.delimiter);
+        const content = renderPieces(pieces.splice(opener.index).slice(1));
+        const title = link.title !== null ? ` title="${escapeAttribute(link.title)}"` : '';
+        if (opener.image) {
+          const alt = decodeEntities(content.replace(/<[^>]*>/g, ''));
+          addHtml(`<img src="${escapeAttribute(safeUrl(link.url, { image: true }))}" alt="${escapeAttribute(alt)}"${title} class="note-image">`);
+        } else {
+          addHtml(`<a href="${escapeAttribute(safeUrl(link.url))}"${title}>${content}</a>`);
+          // No links inside links
+          for (const bracket of brackets) {
+            if (!bracket.image) bracket.active = false;
+          }
+        }
+        brackets.pop();
+        pos = link.end;
+        continue;
+      }
+
+      if (char === '<') {
+        const autolink = matchAt(AUTOLINK);
+        const email = !autolink && matchAt(EMAIL);
+        const tag = !autolink && !email && matchAt(INLINE_TAG);
+        if (autolink) {
+          addHtml(`<a href="${escapeAttribute(safeUrl(autolink[1]))}">${escapeHtml(autolink[1])}</a>`);
+          pos += autolink[0].length;
+        } else if (email) {
+          addHtml(`<a href="mailto:${escapeAttribute(email[1])}">${escapeHtml(email[1])}</a>`);
+          pos += email[0].length;
+        } else if (tag) {
+          const name = tag[2].toLowerCase();
+          addHtml(name === 'br' ? '<br>' : `<${tag[1]}${name}>`);
+          pos += tag[0].length;
+        } else {
+          addText('<');
+          pos++;
+        }
+        continue;
+      }
+
+      if (char === '&') {
+        const entity = matchAt(ENTITY);
+        const decoded = entity && decodeEntities(entity[0]);
+        addText(entity && decoded !== entity[0] ? decoded : '&');
+        pos += entity && decoded !== entity[0] ? entity[0].length : 1;
+        continue;
+      }
+
+      if (char === '\n') {
+        // A line break in a note is a line break
+        const last = pieces[pieces.length - 1];
+        if (last && last.type === 'text' && !last.bracket) last.text = last.text.replace(/[ \t]+$/, '');
+        addHtml('<br>');
+        pos++;
+        while (source[pos] === ' ' || source[pos] === '\t') pos++;
+        continue;
+      }
+
+      const plain = matchAt(PLAIN);
+      const text = plain ? plain[0] : char;
+      addText(text);
+      pos += text.length;
+    }
+
+    processEmphasis(delimiters, null);
+    return renderPieces(pieces);
+  }
+
+  // ============================================
+  // MARKDOWN TO HTML
+  // ============================================
+
+  function renderBlocks(blocks, refs, tight = false) {
+    return blocks.map((block) => {
+      switch (block.type) {
+        case 'paragraph': {
+          const html = parseInline(block.text, refs);
+          return tight ? html : `<p>${html}</p>`;
+        }
+        case 'heading':
+          return `<h${block.level}>${parseInline(block.text, refs)}</h${block.level}>`;
+        case 'code': {
+          if (!block.language) return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+          const language = escapeAttribute(block.language);
+          return `<pre data-language="${language}"><code class="language-${language}">${escapeHtml(block.text)}</code></pre>`;
+        }
+        case 'rule':
+          return '<hr>';
+        case 'blockquote':
+          return `<blockquote${block.callout ? ` class="callout callout-${block.callout}"` : ''}>${renderBlocks(block.blocks, refs)}</blockquote>`;
+        case 'list': {
+          const tag = block.ordered ? 'ol' : 'ul';
+          const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+          const tasks = block.items.some(item => item.checked !== null) ? ' class="task-list"' : '';
+          const items = block.items.map((item) => {
+            const content = renderBlocks(item.blocks, refs, !block.loose);
+            if (item.checked === null) return `<li>${content}</li>`;
+            const box = `<input type="checkbox" disabled${item.checked ? ' checked' : ''}>`;
+            return `<li class="task-list-item">${box} ${content}</li>`;
+          });
+          return `<${tag}${start}${tasks}>${items.join('')}</${tag}>`;
+        }
+        case 'table': {
+          const cell = (tag, text, i) => {
+            const align = block.align[i] ? ` align="${block.align[i]}"` : '';
+            return `<${tag}${align}>${parseInline(text, refs)}</${tag}>`;
+          };
+          const head = `<thead><tr>${block.header.map((text, i) => cell('th', text, i)).join('')}</tr></thead>`;
+          const rows = block.rows.map(row => `<tr>${row.map((text, i) => cell('td', text, i)).join('')}</tr>`);
+          return `<table>${head}${rows.length ? `<tbody>${rows.join('')}</tbody>` : ''}</table>`;
+        }
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  function markdownToHtml(markdown) {
+    if (!markdown) return '';
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n').map(expandTabs);
+    const refs = {};
+    const { blocks } = parseBlocks(lines, refs);
+    return renderBlocks(blocks, refs);
+  }
+
+  // ============================================
+  // HTML TO MARKDOWN
+  // ============================================
+
+  const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'caption', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+    'hgroup', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td',
+    'tfoot', 'th', 'thead', 'tr', 'ul'
+  ]);
+
+  // Not content: editor controls, scripts and embedded documents
+  const SKIPPED_TAGS = new Set([
+    'button', 'script', 'style', 'template', 'textarea', 'select', 'input', 'iframe', 'object', 'embed',
+    'noscript', 'head', 'title', 'meta', 'link', 'svg', 'math', 'canvas', 'video', 'audio'
+  ]);
+
+  // Formatting markdown has no syntax for, kept as HTML
+  const HTML_KEPT = new Set(['u', 'ins', 'sub', 'sup', 'kbd', 'small']);
+
+  const EMPHASIS = {
+    strong: '**', b: '**',
+    em: '*', i: '*',
+    s: '~~', strike: '~~', del: '~~',
+    mark: '=='
+  };
+
+  const HEADINGS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+
+  // A page title [[...]] can hold
+  const WIKI_TITLE = /^[^[\]\n]*[^[\]\s][^[\]\n]*$/;
+
+  function isBlockNode(node) {
+    return node.type === 'element' && (BLOCK_TAGS.has(node.tag) || hasClass(node, 'image-wrapper'));
+  }
+
+  function hasClass(node, name) {
+    return (node.attrs.class || '').split(/\s+/).includes(name);
+  }
+
+  function containsBlock(node) {
+    return node.type === 'element' && node.children.some(child => isBlockNode(child) || containsBlock(child));
+  }
+
+  // Characters that would otherwise be read as markdown
+  function escapeText(text) {
+    return text
+      .replace(/[\\`*[\]]/g, '\\$&')
+      .replace(/(?<![\p{L}\p{N}])_|_(?![\p{L}\p{N}])/gu, '\\_')
+      .replace(/~(?=~)|(?<=~)~/g, '\\~')
+      .replace(/=(?==)|(?<==)=/g, '\\=')
+      .replace(/<(?=[a-zA-Z/!?])/g, '\\<')
+      .replace(/&(?=#?[a-zA-Z0-9]+;)/g, '\\&');
+  }
+
+  // ...and what would start a block at the beginning of a line
+  function escapeLineStart(line) {
+    return line
+      .replace(/^(#{1,6})(?=[ \t]|$)/, '\\$1')
+      .replace(/^([>+-])(?=[ \t]|$)/, '\\$1')
+      .replace(/^(\d{1,9})([.)])(?=[ \t]|$)/, '$1\\$2')
+      .replace(/^(=+|-+)[ \t]*$/, '\\$&')
+      .replace(/^([|:-])(?=[|:\- \t]*$)/, '\\$1');
+  }
+
+  function codeSpan(text) {
+    const code = text.replace(/\n/g, ' ');
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    const pad = /^[` ]|[` ]$/.test(code) && code.trim() ? ' ' : '';
+    return `${fence}${pad}${code}${pad}${fence}`;
+  }
+
+  function linkDestination(url) {
+    if (/[\s<>]/.test(url) || (url.match(/\(/g) || []).length !== (url.match(/\)/g) || []).length) {
+      return `<${url.replace(/[<>]/g, encodeURIComponent)}>`;
+    }
+    return url.replace(/\\(?=[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '\\\\');
+  }
+
+  function linkTitle(title) {
+    return title ? ` "${title.replace(/["\\]/g, '\\$&')}"` : '';
+  }
+
+  /**
+   * Inline content as a list of markdown strings and emphasis markers. The
+   * markers are settled by `settleInline` once the text around them is
+   * known: markdown emphasis only works next to some characters, so **x**
+   * falls back to <strong>x</strong> where it wouldn't.
+   */
+  function inlineParts(nodes, parts = [], options = {}) {
+    const lastChar = () => {
+      for (let i = parts.length - 1; i >= 0; i--) {
+        const part = parts[i];
+        const text = typeof part === 'string' ? part : part.delimiter;
+        if (text) return text[text.length - 1];
+      }
+      return undefined;
+    };
+
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        let text = node.text.replace(/[ \t\n\r\f]+/g, ' ');
+        const last = lastChar();
+        if (text.startsWith(' ') && (last === undefined || last === ' ' || last === '\n')) text = text.slice(1);
+        if (text) parts.push(escapeText(text));
+        continue;
+      }
+      if (node.type !== 'element' || SKIPPED_TAGS.has(node.tag)) continue;
+
+      const tag = node.tag;
+      if (tag === 'br') {
+        parts.push('\n');
+      } else if (EMPHASIS[tag]) {
+        const inner = inlineParts(node.children, [], options);
+        const text = settleInline(inner);
+        if (!text.trim()) {
+          if (text) parts.push(' ');
+          continue;
+        }
+        // Spaces go outside the markers: ** bold ** isn't bold
+        const [, lead, core, trail] = /^([ \n]*)([\s\S]*?)([ \n]*)$/.exec(text);
+        if (lead) parts.push(lead);
+        const open = { delimiter: EMPHASIS[tag], tag, open: true };
+        const close = { delimiter: EMPHASIS[tag], tag, open: false, opener: open };
+        parts.push(open, core, close);
+        if (trail) parts.push(trail);
+      } else if (tag === 'code' && !options.pre) {
+        parts.push(codeSpan(textContent(node)));
+      } else if (tag === 'a' && WIKI_TITLE.test(node.attrs['data-page'] || '')) {
+        parts.push(`[[${node.attrs['data-page'].trim()}]]`);
+      } else if (tag === 'a') {
+        const href = node.attrs.href || '';
+        const text = settleInline(inlineParts(node.children, [], options)).trim();
+        // Without an href it's only text (as is a page link [[...]] can't hold)
+        if (!href) {
+          if (text) parts.push(text);
+          continue;
+        }
+        if (text === escapeText(href) && /^[a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*$/.test(href)) {
+          parts.push(`<${href}>`);
+        } else {
+          parts.push(`[${text.replace(/\n/g, '<br>')}](${linkDestination(href)}${linkTitle(node.attrs.title)})`);
+        }
+      } else if (tag === 'img') {
+        if (!node.attrs.src) continue;
+        parts.push(`![${escapeText(node.attrs.alt || '')}](${linkDestination(node.attrs.src)}${linkTitle(node.attrs.title)})`);
+      } else if (HTML_KEPT.has(tag)) {
+        parts.push(`<${tag}>`, ...inlineParts(node.children, [], options), `</${tag}>`);
+      } else if (isBlockNode(node)) {
+        // Blocks inside a line (a heading, a table cell) become lines of it
+        if (lastChar() !== undefined && lastChar() !== '\n') parts.push('\n');
+        inlineParts(node.children, parts, options);
+        if (lastChar() !== '\n') parts.push('\n');
+      } else {
+        inlineParts(node.children, parts, options);
+      }
+    }
+    return parts;
+  }
+
+  function settleInline(parts) {
+    const text = (i) => {
+      const part = parts[i];
+      return typeof part === 'string' ? part : part.delimiter;
+    };
+    const charBefore = (i) => {
+      for (let k = i - 1; k >= 0; k--) {
+        const value = text(k);
+        if (value) return value[value.length - 1];
+      }
+      return undefined;
+    };
+    const charAfter = (i) => {
+      for (let k = i + 1; k < parts.length; k++) {
+        const value = text(k);
+        if (value) return value[0];
+      }
+      return undefined;
+    };
+    const flanks = (inside, outside) => !isWhitespace(inside) && (!isPunctuation(inside) || isWhitespace(outside) || isPunctuation(outside));
+
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+      if (typeof part === 'string' || part.open) continue;
+      const opener = parts.indexOf(part.opener);
+      // Markers right next to the same character would run into them
+      const clashes = charBefore(opener) === part.delimiter[0] || charAfter(i) === part.delimiter[0];
+      const valid = !clashes && flanks(charAfter(opener), charBefore(opener)) && flanks(charBefore(i), charAfter(i));
+      if (!valid) {
+        parts[opener] = `<${part.tag}>`;
+        parts[i] = `</${part.tag}>`;
+      }
+    }
+    return parts.map((part, i) => text(i)).join('');
+  }
+
+  function inlineMarkdown(nodes, options) {
+    return settleInline(inlineParts(nodes, [], options));
+  }
+
+  function preText(node) {
+    if (node.type === 'text') return node.text;
+    if (node.tag === 'br') return '\n';
+    return node.children.map(preText).join('');
+  }
+
+  function codeLanguage(node) {
+    for (const element of [node, ...node.children.filter(child => child.type === 'element')]) {
+      const match = /(?:^|\s)(?:language|lang)-(\S+)/.exec(element.attrs.class || '');
+      if (match) return match[1];
+      if (element.attrs['data-language']) return element.attrs['data-language'];
+    }
+    return '';
+  }
+
+  function codeBlock(node) {
+    const text = preText(node).replace(/\n$/, '');
+    const longest = Math.max(0, ...(text.match(/^ {0,3}`+/gm) || []).map(run => run.trim().length));
+    const fence = '`'.repeat(Math.max(3, longest + 1));
+    const language = codeLanguage(node).replace(/`/g, '');
+    return `${fence}${language}\n${text ? `${text}\n` : ''}${fence}`;
+  }
+
+  function listBlock(node, previous) {
+    const ordered = node.tag === 'ol';
+    let number = ordered ? parseInt(node.attrs.start, 10) || 1 : 0;
+    // Two lists in a row need different markers to stay two lists
+    const alternate = !!previous && previous.ordered === ordered && !previous.alternate;
+    const bullet = alternate ? '*' : '-';
+    const delimiter = alternate ? ')' : '.';
+
+    // Lists nested straight inside a list (which the editor makes when
+    // indenting) belong to the item before them
+    const items = [];
+    for (const child of node.children) {
+      if (child.type === 'element' && child.tag === 'li') {
+        items.push({ node: child, extra: [] });
+      } else if (child.type === 'element' && (child.tag === 'ul' || child.tag === 'ol')) {
+        if (!items.length) items.push({ node: { type: 'element', tag: 'li', attrs: {}, children: [] }, extra: [] });
+        items[items.length - 1].extra.push(child);
+      } else if (child.type === 'element' || textContent(child).trim()) {
+        items.push({ node: { type: 'element', tag: 'li', attrs: {}, children: [child] }, extra: [] });
+      }
+    }
+
+    const loose = items.some(item => item.node.children.some(child => child.type === 'element' && child.tag === 'p'));
+    const rendered = items.map((item) => {
+      const marker = ordered ? `${number++}${delimiter}` : bullet;
+      const children = [...item.node.children, ...item.extra];
+
+      let task = '';
+      const box = children.findIndex(child => child.type === 'element' && child.tag === 'input');
+      if (box >= 0 && children[box].attrs.type === 'checkbox' && children.slice(0, box).every(child => !textContent(child).trim())) {
+        task = 'checked' in children[box].attrs ? '[x] ' : '[ ] ';
+      }
+
+      // In a tight list only what can follow a line directly goes on the
+      // next line; anything else needs a blank line (and loosens the list)
+      const body = blocksFrom(children)
+        .map((block, i) => (i === 0 ? '' : loose || !['list', 'code'].includes(block.kind) ? '\n\n' : '\n') + block.text)
+        .join('');
+      const indent = ' '.repeat(marker.length + 1);
+      const lines = `${task}${body}`.split('\n');
+      return lines.map((line, i) => (i === 0 ? `${marker}${line ? ` ${line}` : ''}` : line ? indent + line : '')).join('\n');
+    });
+
+    return { text: rendered.join(loose ? '\n\n' : '\n'), list: { ordered, alternate } };
+  }
+
+  function tableBlock(node) {
+    const rows = [];
+    const collect = (element) => {
+      for (const child of element.children) {
+        if (child.type !== 'element') continue;
+        if (child.tag === 'tr') {
+          rows.push(child.children.filter(cell => cell.type === 'element' && (cell.tag === 'td' || cell.tag === 'th')));
+        } else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) {
+          collect(child);
+        }
+      }
+    };
+    collect(node);
+    if (!rows.length) return null;
+
+    const columns = Math.max(...rows.map(row => row.length));
+    if (!columns) return null;
+    const cellText = cell => (cell ? inlineMarkdown(cell.children).trim().replace(/\n/g, '<br>').replace(/\|/g, '\\|') : '');
+    const align = rows[0].map((cell) => {
+      const value = (cell.attrs.align || /text-align:\s*(left|right|center)/i.exec(cell.attrs.style || '')?.[1] || '').toLowerCase();
+      return ['left', 'right', 'center'].includes(value) ? value : null;
+    });
+
+    const line = cells => `| ${cells.join(' | ')} |`;
+    const header = line(Array.from({ length: columns }, (_, i) => cellText(rows[0][i])));
+    const delimiters = line(Array.from({ length: columns }, (_, i) => {
+      const value = align[i];
+      return value === 'center' ? ':---:' : value === 'right' ? '---:' : value === 'left' ? ':---' : '---';
+    }));
+    const body = rows.slice(1).map(row => line(Array.from({ length: columns }, (_, i) => cellText(row[i]))));
+    return [header, delimiters, ...body].join('\n');
+  }
+
+  // What kind of callout a quote is ("callout callout-warning"), or null
+  function calloutKind(node) {
+    const classes = (node.attrs.class || '').split(/\s+/);
+    if (!classes.includes('callout')) return null;
+    return CALLOUT_KINDS.find(kind => classes.includes(`callout-${kind}`)) || 'note';
+  }
+
+  /**
+   * Block content as markdown blocks (`{ text }`, joined by blank lines).
+   * Inline content and <div>s of it make up paragraphs line by line, the
+   * way the editor writes them; an empty line (<div><br></div>) ends one.
+   */
+  function blocksFrom(nodes) {
+    const blocks = [];
+    let parts = [];
+    let previousList = null;
+
+    const push = (text, kind = 'paragraph', list = null) => {
+      if (text === null || text === undefined) return;
+      blocks.push({ text, kind });
+      previousList = list;
+    };
+
+    const flush = () => {
+      const text = settleInline(parts);
+      parts = [];
+      const lines = text.split('\n').map(trimLine);
+      while (lines.length && !lines[0]) lines.shift();
+      while (lines.length && !lines[lines.length - 1]) lines.pop();
+      if (!lines.length) return;
+      // An empty line inside a paragraph is a hard break on its own
+      push(lines.map(line => (line ? escapeLineStart(line) : '\\')).join('\n'));
+    };
+
+    for (const node of nodes) {
+      if (node.type !== 'element' || !isBlockNode(node)) {
+        inlineParts([node], parts);
+        continue;
+      }
+
+      const tag = node.tag;
+      if (tag === 'div' && !containsBlock(node) && !hasClass(node, 'image-wrapper')) {
+        const line = inlineParts(node.children, []);
+        if (!settleInline([...line]).trim()) {
+          flush();
+        } else {
+          if (parts.length) parts.push('\n');
+          parts.push(...line, '\n');
+        }
+        continue;
+      }
+
+      flush();
+      if (HEADINGS[tag]) {
+        const text = inlineMarkdown(node.children).trim().replace(/\n/g, '<br>');
+        push(`${'#'.repeat(HEADINGS[tag])}${text ? ` ${text.replace(/#$/, '\\#')}` : ''}`);
+      } else if (tag === 'pre') {
+        push(codeBlock(node), 'code');
+      } else if (tag === 'hr') {
+        push('---');
+      } else if (tag === 'blockquote') {
+        const inner = blocksFrom(node.children).map(block => block.text).join('\n\n');
+        const lines = inner ? inner.split('\n') : [];
+        const callout = calloutKind(node);
+        if (callout) lines.unshift(`[!${callout.toUpperCase()}]`);
+        push(lines.length ? lines.map(line => (line ? `> ${line}` : '>')).join('\n') : null);
+      } else if (tag === 'ul' || tag === 'ol') {
+        const list = listBlock(node, previousList);
+        push(list.text, 'list', list.list);
+      } else if (tag === 'table') {
+        push(tableBlock(node));
+      } else {
+        for (const block of blocksFrom(node.children)) push(block.text, block.kind);
+      }
+    }
+    flush();
+    return blocks;
+  }
+
+  function htmlToMarkdown(html) {
+    if (!html) return '';
+    return blocksFrom(parseHtml(html).children).map(block => block.text).join('\n\n');
+  }
+
+  return {
+    markdownToHtml,
+    htmlToMarkdown,
+    decodeEntities
+  };
+});
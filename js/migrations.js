@@ -0,0 +1,105 @@
+// ============================================
+// HACKNOTE - Document schema migrations
+// Shared by the server (db.js) and the browser (imports)
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HackNoteMigrations = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // A document is { schemaVersion, workspaces, pages, settings }. Documents
+  // from before schemaVersion existed (including exports that only carry
+  // `version: '1.0'`) count as version 1.
+  //
+  // To change the shape of stored data, add a step here with the next
+  // version number. Each step receives a document of the previous version,
+  // changes it in place and must cope with data that already has the new
+  // shape, since old clients keep sending whatever they have.
+  const migrations = [
+    {
+      version: 2,
+      description: 'Fill in fields that older pages, todos and cards may lack',
+      up(doc) {
+        for (const workspace of doc.workspaces) {
+          if (workspace.icon === undefined) workspace.icon = '\u2302';
+        }
+
+        for (const page of doc.pages) {
+          if (typeof page.title !== 'string') page.title = 'Untitled';
+          if (!page.type) page.type = 'notes';
+          if (page.content === undefined || page.content === null) page.content = '';
+          if (page.markdownContent === undefined || page.markdownContent === null) page.markdownContent = '';
+          if (typeof page.markdownMode !== 'boolean') page.markdownMode = false;
+          if (!Array.isArray(page.todos)) page.todos = [];
+          if (!Array.isArray(page.cards)) page.cards = [];
+
+          for (const todo of page.todos) {
+            todo.completed = Boolean(todo.completed);
+          }
+          for (const card of page.cards) {
+            if (!card.priority) card.priority = 'medium';
+            if (card.description === undefined || card.description === null) card.description = '';
+          }
+        }
+
+        if (!doc.settings || typeof doc.settings !== 'object') doc.settings = {};
+      }
+    },
+    {
+      version: 3,
+      description: 'Store canvas data as { version, objects } instead of a bare array',
+      up(doc) {
+        for (const page of doc.pages) {
+          if (Array.isArray(page.canvasData)) {
+            page.canvasData = { version: '1.0', objects: page.canvasData };
+          }
+        }
+      }
+    }
+  ];
+
+  const CURRENT_VERSION = migrations[migrations.length - 1].version;
+
+  class MigrationError extends Error {}
+
+  function documentVersion(doc) {
+    return Number.isInteger(doc.schemaVersion) ? doc.schemaVersion : 1;
+  }
+
+  /**
+   * Upgrade a document to CURRENT_VERSION, one step at a time. Returns a
+   * migrated copy; the argument is left alone. Throws a MigrationError for
+   * documents written by a newer version, which this code can't know how
+   * to read without losing data.
+   */
+  function migrate(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.workspaces) || !Array.isArray(data.pages)) {
+      throw new MigrationError('Not a HackNote document: workspaces and pages are missing');
+    }
+
+    const from = documentVersion(data);
+    if (from > CURRENT_VERSION) {
+      throw new MigrationError(
+        `This data is from a newer version of HackNote (schema ${from}, this one understands up to ${CURRENT_VERSION}). Update HackNote first.`
+      );
+    }
+
+    const doc = JSON.parse(JSON.stringify(data));
+    for (const step of migrations) {
+      if (step.version > from) step.up(doc);
+    }
+    doc.schemaVersion = CURRENT_VERSION;
+    return doc;
+  }
+
+  return {
+    CURRENT_VERSION,
+    MigrationError,
+    migrations,
+    documentVersion,
+    migrate
+  };
+});
@@ -0,0 +1,145 @@
+// ============================================
+// HACKNOTE - Allow-list sanitizer for note HTML
+// Shared by the browser, before HTML reaches the editor, and the server,
+// before it's stored or rendered
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./html'));
+  } else {
+    root.HackNoteSanitize = factory(root.HackNoteHtml);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Html) {
+  // The elements notes may contain, each with the attributes it may carry
+  // besides `class`. Anything else is unwrapped: its content stays, the tag
+  // goes.
+  const TAGS = {
+    p: [], div: ['contenteditable'], span: [], br: [], hr: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    b: [], strong: [], i: [], em: [], u: [], s: [], strike: [], del: [], ins: [],
+    mark: [], sub: [], sup: [], small: [], kbd: [], code: [], pre: ['data-language'],
+    blockquote: [], ul: [], ol: ['start'], li: [], dl: [], dt: [], dd: [],
+    a: ['href', 'title', 'data-page', 'contenteditable'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+    th: ['align', 'colspan', 'rowspan'], td: ['align', 'colspan', 'rowspan'],
+    input: ['type', 'checked', 'disabled']
+  };
+
+  // Elements dropped along with everything in them: their content is code,
+  // styling or form controls rather than text
+  const DROPPED = new Set([
+    'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'noscript', 'noembed', 'noframes', 'xmp', 'title', 'head', 'meta', 'link', 'base',
+    'svg', 'math', 'textarea', 'select', 'button', 'audio', 'video', 'canvas', 'portal'
+  ]);
+
+  // Classes of the app's own note markup. Others are dropped so a note
+  // can't borrow the app's styles to dress up as its interface.
+  const CLASSES = new Set([
+    'image-wrapper', 'note-image', 'highlight', 'task-list', 'task-list-item', 'wiki-link',
+    'callout', 'callout-note', 'callout-tip', 'callout-important', 'callout-warning', 'callout-caution'
+  ]);
+  const LANGUAGE_CLASS = /^(language|lang)-[\w+#.-]+$/;
+
+  const NUMBER = /^\d{1,5}$/;
+
+  const LINK_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+  const IMAGE_DATA = /^data:image\/(png|gif|jpeg|jpg|webp|bmp|avif)[;,]/i;
+
+  /**
+   * Whether a URL is safe to follow (`kind` 'link') or to load as an image
+   * ('image'). Relative URLs are; otherwise only web, mail and phone links,
+   * and images over http(s) or as raster data URLs. Browsers ignore
+   * whitespace and control characters in a scheme, so this does too.
+   */
+  function isSafeUrl(url, kind = 'link') {
+    const compact = String(url ?? '').replace(/[\u0000-\u0020\u007f]/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact)?.[1].toLowerCase();
+    if (!scheme) return true;
+    if (kind === 'image') return scheme === 'http' || scheme === 'https' || IMAGE_DATA.test(compact);
+    return LINK_SCHEMES.includes(scheme);
+  }
+
+  // The attributes of an allowed element that pass their checks, or null
+  // when the element itself has to go
+  function cleanAttributes(tag, attrs) {
+    const allowed = TAGS[tag];
+    const result = {};
+
+    for (const [name, value] of Object.entries(attrs)) {
+      if (name === 'class') {
+        const classes = value.split(/\s+/).filter(name => CLASSES.has(name) || LANGUAGE_CLASS.test(name));
+        if (classes.length) result.class = classes.join(' ');
+        continue;
+      }
+      if (!allowed.includes(name)) continue;
+
+      switch (name) {
+        case 'href':
+          if (isSafeUrl(value, 'link')) result.href = value;
+          break;
+        case 'src':
+          if (isSafeUrl(value, 'image')) result.src = value;
+          break;
+        case 'start':
+        case 'width':
+        case 'height':
+        case 'colspan':
+        case 'rowspan':
+          if (NUMBER.test(value)) result[name] = value;
+          break;
+        case 'align':
+          if (['left', 'center', 'right'].includes(value.toLowerCase())) result.align = value.toLowerCase();
+          break;
+        case 'contenteditable':
+          if (value === 'false') result.contenteditable = value;
+          break;
+        case 'checked':
+        case 'disabled':
+          result[name] = '';
+          break;
+        default:
+          result[name] = value;
+      }
+    }
+
+    // The only input a note holds is a task list's checkbox
+    if (tag === 'input' && (attrs.type || '').toLowerCase() !== 'checkbox') return null;
+    if (tag === 'input') result.type = 'checkbox';
+    if (tag === 'img' && !result.src) return null;
+    return result;
+  }
+
+  function cleanNodes(nodes, out = []) {
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        out.push(node);
+      } else if (DROPPED.has(node.tag)) {
+        continue;
+      } else if (!Object.hasOwn(TAGS, node.tag)) {
+        cleanNodes(node.children, out);
+      } else {
+        const attrs = cleanAttributes(node.tag, node.attrs);
+        if (attrs) out.push(Html.element(node.tag, attrs, cleanNodes(node.children)));
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Note HTML reduced to the elements and attributes in the allow-list
+   * above: no scripts, event handlers, styles, frames, forms or unsafe URLs.
+   * The result is re-serialized from a parsed tree, so text and attribute
+   * values are always escaped, and sanitizing it again changes nothing.
+   */
+  function sanitizeHtml(html) {
+    return Html.toHtml(cleanNodes(Html.parseHtml(html).children));
+  }
+
+  return {
+    sanitizeHtml,
+    isSafeUrl
+  };
+});
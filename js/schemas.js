@@ -0,0 +1,247 @@
+// ============================================
+// HACKNOTE - Field rules for workspaces, pages, todos, cards and the rest
+// of the API. Shared by the server (lib/validate.js) and the browser
+// (checking an import before it replaces all data)
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./sanitize'));
+  } else {
+    root.HackNoteSchemas = factory(root.HackNoteSanitize);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Sanitize) {
+  class ValidationError extends Error {}
+
+  const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+  const PAGE_TYPES = ['notes', 'todo', 'board', 'canvas'];
+  const CARD_STATUSES = ['backlog', 'in-progress', 'review', 'done'];
+  const CARD_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+  const MEMBER_ROLES = ['owner', 'member'];
+
+  // Field rules: { type, required, maxLength, oneOf, nullable, html }
+  // `html` fields hold note markup and are passed through the sanitizer
+  // (js/sanitize.js), so whatever reaches the database is safe to render.
+  // `version` fields are accepted everywhere but only used for conflict checks;
+  // the database assigns the real value.
+  // `type` is one of 'string', 'number', 'boolean', 'object', 'array', 'id' or
+  // 'canvas' (the hackerpad payload, either an array or { version, objects }).
+  const schemas = {
+    workspace: {
+      id: { type: 'id' },
+      name: { type: 'string', required: true, maxLength: 200 },
+      icon: { type: 'string', maxLength: 16 },
+      createdAt: { type: 'number' },
+      version: { type: 'number' }
+    },
+
+    page: {
+      id: { type: 'id' },
+      workspaceId: { type: 'id', required: true },
+      title: { type: 'string', maxLength: 500 },
+      type: { type: 'string', oneOf: PAGE_TYPES },
+      icon: { type: 'string', maxLength: 16 },
+      content: { type: 'string', html: true },
+      markdownContent: { type: 'string' },
+      markdownMode: { type: 'boolean' },
+      canvasData: { type: 'canvas', nullable: true },
+      todos: { type: 'array' },
+      cards: { type: 'array' },
+      createdAt: { type: 'number' },
+      updatedAt: { type: 'number' },
+      version: { type: 'number' }
+    },
+
+    todo: {
+      id: { type: 'id' },
+      text: { type: 'string', required: true, maxLength: 2000 },
+      completed: { type: 'boolean' },
+      createdAt: { type: 'number' },
+      version: { type: 'number' }
+    },
+
+    card: {
+      id: { type: 'id' },
+      title: { type: 'string', required: true, maxLength: 500 },
+      description: { type: 'string', maxLength: 20000 },
+      status: { type: 'string', required: true, oneOf: CARD_STATUSES },
+      priority: { type: 'string', oneOf: CARD_PRIORITIES },
+      createdAt: { type: 'number' },
+      version: { type: 'number' }
+    },
+
+    restore: {
+      workspaceId: { type: 'id' }
+    },
+
+    import: {
+      data: { type: 'object', required: true },
+      resolutions: { type: 'object' },
+      dryRun: { type: 'boolean' }
+    },
+
+    credentials: {
+      username: { type: 'string', required: true, maxLength: 32 },
+      password: { type: 'string', required: true, maxLength: 200 }
+    },
+
+    account: {
+      username: { type: 'string', required: true, maxLength: 32 },
+      password: { type: 'string', required: true, maxLength: 200 },
+      isAdmin: { type: 'boolean' }
+    },
+
+    passwordChange: {
+      currentPassword: { type: 'string', required: true, maxLength: 200 },
+      newPassword: { type: 'string', required: true, maxLength: 200 }
+    },
+
+    member: {
+      username: { type: 'string', required: true, maxLength: 32 },
+      role: { type: 'string', oneOf: MEMBER_ROLES }
+    },
+
+    webhook: {
+      url: { type: 'string', required: true, maxLength: 2000 },
+      events: { type: 'array', required: true },
+      secret: { type: 'string', maxLength: 200 },
+      active: { type: 'boolean' }
+    },
+
+    settings: {
+      accentColor: { type: 'string', maxLength: 32 },
+      enableGlow: { type: 'boolean' },
+      theme: { type: 'string', oneOf: ['dark', 'light'] }
+    }
+  };
+
+  function checkType(value, type) {
+    switch (type) {
+      case 'id':
+        return typeof value === 'string' && ID_PATTERN.test(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'canvas':
+        return Array.isArray(value) || (value !== null && typeof value === 'object');
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Validate a request body against one of the schemas above.
+   * Unknown fields are rejected so typos don't silently vanish. With
+   * `partial` set (PATCH requests) required fields may be omitted, but
+   * at least one known field must be present. With `extra` set (imports),
+   * fields the schema doesn't know are passed through unchecked instead; the
+   * database keeps them in each row's `extra` column.
+   * Returns the subset of the body that was validated, with `html` fields
+   * sanitized. Throws a ValidationError naming the first field that fails.
+   */
+  function validate(body, schemaName, { partial = false, omit = [], extra = false } = {}) {
+    const schema = schemas[schemaName];
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ValidationError('Request body must be a JSON object');
+    }
+
+    for (const key of Object.keys(body)) {
+      if ((!schema[key] && !extra) || omit.includes(key)) {
+        throw new ValidationError(`Unknown field "${key}"`);
+      }
+    }
+
+    const result = {};
+    if (extra) {
+      for (const [key, value] of Object.entries(body)) {
+        if (!schema[key]) result[key] = value;
+      }
+    }
+
+    for (const [key, rule] of Object.entries(schema)) {
+      if (omit.includes(key)) continue;
+      const value = body[key];
+
+      if (value === undefined) {
+        if (rule.required && !partial) {
+          throw new ValidationError(`Missing required field "${key}"`);
+        }
+        continue;
+      }
+
+      if (value === null && rule.nullable) {
+        result[key] = null;
+        continue;
+      }
+
+      if (!checkType(value, rule.type)) {
+        throw new ValidationError(`Field "${key}" must be ${rule.type === 'id' ? 'a valid id' : `of type ${rule.type}`}`);
+      }
+      if (rule.oneOf && !rule.oneOf.includes(value)) {
+        throw new ValidationError(`Field "${key}" must be one of: ${rule.oneOf.join(', ')}`);
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        throw new ValidationError(`Field "${key}" exceeds ${rule.maxLength} characters`);
+      }
+
+      result[key] = rule.html ? Sanitize.sanitizeHtml(value) : value;
+    }
+
+    if (partial && Object.keys(result).length === 0) {
+      throw new ValidationError('No fields to update');
+    }
+
+    return result;
+  }
+
+  // One item of a whole document: validated as an import would be, and it
+  // must carry its own id, since nothing assigns one on the way in
+  function validateItem(item, schemaName, where) {
+    try {
+      const value = validate(item, schemaName, { extra: true });
+      if (value.id === undefined) throw new ValidationError('Missing required field "id"');
+      return value;
+    } catch (err) {
+      if (err instanceof ValidationError) throw new ValidationError(`${where}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Check a whole (migrated) document: every workspace, page, todo and card
+   * against its schema. A document replaces all data at once, so the first
+   * invalid item fails it, with a ValidationError that says where it is
+   * (e.g. `pages[2].cards[0]: Field "priority" must be one of: ...`).
+   * Returns a copy with note HTML sanitized.
+   */
+  function validateDocument(doc) {
+    const workspaces = doc.workspaces.map((workspace, i) => validateItem(workspace, 'workspace', `workspaces[${i}]`));
+    const pages = doc.pages.map((page, i) => {
+      const value = validateItem(page, 'page', `pages[${i}]`);
+      for (const [key, schemaName] of [['todos', 'todo'], ['cards', 'card']]) {
+        if (value[key]) {
+          value[key] = value[key].map((child, j) => validateItem(child, schemaName, `pages[${i}].${key}[${j}]`));
+        }
+      }
+      return value;
+    });
+    return { ...doc, workspaces, pages };
+  }
+
+  return {
+    ValidationError,
+    ID_PATTERN,
+    PAGE_TYPES,
+    CARD_STATUSES,
+    CARD_PRIORITIES,
+    MEMBER_ROLES,
+    schemas,
+    validate,
+    validateDocument
+  };
+});
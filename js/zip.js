@@ -0,0 +1,180 @@
+// ============================================
+// HACKNOTE - Minimal zip archives
+// Shared by the browser (zipping a folder for upload) and the server
+// (markdown vault export/import)
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HackNoteZip = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Archives are written uncompressed: notes are small and images are
+  // compressed already. Reading also handles deflate (what most tools
+  // write), given an inflate function; zip64 and encryption aren't supported.
+  const LOCAL_HEADER = 0x04034b50;
+  const CENTRAL_HEADER = 0x02014b50;
+  const END_OF_DIRECTORY = 0x06054b50;
+  const UTF8_NAMES = 0x0800;
+  const STORED = 0;
+  const DEFLATED = 8;
+
+  class ZipError extends Error {}
+
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // MS-DOS date and time, as zip headers store them
+  function dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Build a zip archive from `[{ name, data, date }]`, where `data` is a
+   * string (written as UTF-8) or a Uint8Array and `name` may contain `/`
+   * for folders. Returns a Uint8Array.
+   */
+  function createZip(entries) {
+    const encoder = new TextEncoder();
+    const files = entries.map(entry => {
+      const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+      return { name: encoder.encode(entry.name), data, crc: crc32(data), ...dosDateTime(entry.date || new Date()) };
+    });
+
+    const localSize = files.reduce((sum, f) => sum + 30 + f.name.length + f.data.length, 0);
+    const centralSize = files.reduce((sum, f) => sum + 46 + f.name.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+    let offset = 0;
+
+    for (const file of files) {
+      file.offset = offset;
+      view.setUint32(offset, LOCAL_HEADER, true);
+      view.setUint16(offset + 4, 20, true);
+      view.setUint16(offset + 6, UTF8_NAMES, true);
+      view.setUint16(offset + 8, STORED, true);
+      view.setUint16(offset + 10, file.time, true);
+      view.setUint16(offset + 12, file.date, true);
+      view.setUint32(offset + 14, file.crc, true);
+      view.setUint32(offset + 18, file.data.length, true);
+      view.setUint32(offset + 22, file.data.length, true);
+      view.setUint16(offset + 26, file.name.length, true);
+      view.setUint16(offset + 28, 0, true);
+      out.set(file.name, offset + 30);
+      out.set(file.data, offset + 30 + file.name.length);
+      offset += 30 + file.name.length + file.data.length;
+    }
+
+    const centralStart = offset;
+    for (const file of files) {
+      view.setUint32(offset, CENTRAL_HEADER, true);
+      view.setUint16(offset + 4, 20, true);
+      view.setUint16(offset + 6, 20, true);
+      view.setUint16(offset + 8, UTF8_NAMES, true);
+      view.setUint16(offset + 10, STORED, true);
+      view.setUint16(offset + 12, file.time, true);
+      view.setUint16(offset + 14, file.date, true);
+      view.setUint32(offset + 16, file.crc, true);
+      view.setUint32(offset + 20, file.data.length, true);
+      view.setUint32(offset + 24, file.data.length, true);
+      view.setUint16(offset + 28, file.name.length, true);
+      // Extra field, comment, disk number and attributes stay zero
+      view.setUint32(offset + 42, file.offset, true);
+      out.set(file.name, offset + 46);
+      offset += 46 + file.name.length;
+    }
+
+    view.setUint32(offset, END_OF_DIRECTORY, true);
+    view.setUint16(offset + 8, files.length, true);
+    view.setUint16(offset + 10, files.length, true);
+    view.setUint32(offset + 12, offset - centralStart, true);
+    view.setUint32(offset + 16, centralStart, true);
+    return out;
+  }
+
+  /**
+   * List the files in a zip archive as `[{ name, data }]` (folders are
+   * left out). `inflateRaw(bytes)` decompresses deflated entries; without
+   * it only uncompressed archives can be read. Throws a ZipError for
+   * anything that isn't a readable zip.
+   */
+  function readZip(bytes, { inflateRaw = null } = {}) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    // The end-of-directory record sits at the end, before an optional comment
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === END_OF_DIRECTORY) {
+        end = i;
+        break;
+      }
+    }
+    if (end < 0) throw new ZipError('Not a zip archive');
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (offset === 0xffffffff) throw new ZipError('Zip64 archives are not supported');
+
+    const files = [];
+    for (let i = 0; i < count; i++) {
+      if (offset + 46 > bytes.length || view.getUint32(offset, true) !== CENTRAL_HEADER) {
+        throw new ZipError('Damaged zip archive');
+      }
+      const flags = view.getUint16(offset + 8, true);
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/')) continue;
+      if (flags & 1) throw new ZipError(`${name} is encrypted`);
+
+      // Sizes come from the central directory; the local header's name and
+      // extra field lengths can differ from it
+      if (view.getUint32(localOffset, true) !== LOCAL_HEADER) throw new ZipError('Damaged zip archive');
+      const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const raw = bytes.subarray(start, start + compressedSize);
+
+      let data;
+      if (method === STORED) {
+        data = raw;
+      } else if (method === DEFLATED && inflateRaw) {
+        data = inflateRaw(raw);
+      } else {
+        throw new ZipError(`${name} uses an unsupported compression method`);
+      }
+      files.push({ name, data });
+    }
+    return files;
+  }
+
+  return {
+    ZipError,
+    crc32,
+    createZip,
+    readZip
+  };
+});
@@ -0,0 +1,42 @@
+// ============================================
+// Zip archives read on the server, within a size limit
+// ============================================
+
+const zlib = require('zlib');
+const { readZip, ZipError } = require('../js/zip');
+
+// Uploads are capped at 50 MB, but deflate packs a run of zeros a
+// thousandfold, so what an archive unpacks to is capped separately
+const MAX_UNPACKED_SIZE = 256 * 1024 * 1024;
+
+/**
+ * The files in a zip as `[{ name, data }]`, like readZip. Throws a ZipError
+ * for a damaged archive, or one that unpacks to more than
+ * MAX_UNPACKED_SIZE bytes in all; nothing past the limit is inflated.
+ */
+function readArchive(bytes) {
+  const tooLarge = () => new ZipError(`The archive unpacks to more than ${MAX_UNPACKED_SIZE / 1024 / 1024} MB`);
+  let inflated = 0;
+
+  const inflateRaw = data => {
+    let result;
+    try {
+      result = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, MAX_UNPACKED_SIZE - inflated) });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+      throw new ZipError('Damaged zip archive');
+    }
+    inflated += result.length;
+    return new Uint8Array(result.buffer, result.byteOffset, result.length);
+  };
+
+  const files = readZip(bytes, { inflateRaw });
+  // Stored entries aren't copied, but several can point at the same bytes
+  if (files.reduce((total, file) => total + file.data.length, 0) > MAX_UNPACKED_SIZE) throw tooLarge();
+  return files;
+}
+
+module.exports = {
+  MAX_UNPACKED_SIZE,
+  readArchive
+};
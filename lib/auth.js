@@ -0,0 +1,141 @@
+// ============================================
+// Passwords, session tokens and cookies
+// ============================================
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'hacknote_session';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{2,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Stored as scrypt$N$r$p$salt$hash so the parameters can be raised later
+// without invalidating existing passwords
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt') return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function newSessionToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Only this hash is stored, so a leaked database doesn't hand out sessions
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // Ignore cookies that aren't valid URI components
+    }
+  }
+  return cookies;
+}
+
+// The session token from the cookie, or an `Authorization: Bearer` header
+// for scripts
+function readSessionToken(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) return header.slice(7).trim();
+  return parseCookies(req.get('Cookie'))[SESSION_COOKIE] || null;
+}
+
+function sessionCookie(token, { maxAge, secure }) {
+  return [
+    `${SESSION_COOKIE}=${token}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${Math.floor(maxAge / 1000)}`,
+    secure ? 'Secure' : null
+  ].filter(Boolean).join('; ');
+}
+
+function clearedSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+// Slow down password guessing: after MAX_FAILURES failed logins for the same
+// name from the same address, further attempts are refused for LOCKOUT ms
+const MAX_FAILURES = 5;
+const LOCKOUT = 60 * 1000;
+const failures = new Map();
+
+function throttleKey(req, username) {
+  return `${req.ip}|${String(username).toLowerCase()}`;
+}
+
+function isLockedOut(key) {
+  const entry = failures.get(key);
+  if (!entry) return false;
+  if (Date.now() - entry.last > LOCKOUT) {
+    failures.delete(key);
+    return false;
+  }
+  return entry.count >= MAX_FAILURES;
+}
+
+function recordFailure(key) {
+  const entry = failures.get(key) || { count: 0, last: 0 };
+  entry.count++;
+  entry.last = Date.now();
+  failures.set(key, entry);
+}
+
+function clearFailures(key) {
+  failures.delete(key);
+}
+
+// Names that are tried once and never again would otherwise stay in
+// `failures` for good, so drop every entry whose lockout has run out
+function sweepFailures() {
+  const cutoff = Date.now() - LOCKOUT;
+  for (const [key, entry] of failures) {
+    if (entry.last < cutoff) failures.delete(key);
+  }
+}
+
+setInterval(sweepFailures, LOCKOUT).unref();
+
+module.exports = {
+  SESSION_COOKIE,
+  USERNAME_PATTERN,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  newSessionToken,
+  hashToken,
+  readSessionToken,
+  sessionCookie,
+  clearedSessionCookie,
+  throttleKey,
+  isLockedOut,
+  recordFailure,
+  clearFailures
+};
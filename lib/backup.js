@@ -0,0 +1,164 @@
+// ============================================
+// Database snapshots: scheduled, on demand, and restoring one
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+
+const BACKUP_DIR = path.resolve(process.env.HACKNOTE_BACKUP_DIR || path.join(__dirname, '..', 'backups'));
+const KEEP_DAILY = parseInt(process.env.HACKNOTE_BACKUP_DAILY) || 7;
+const KEEP_WEEKLY = parseInt(process.env.HACKNOTE_BACKUP_WEEKLY) || 4;
+const KEEP_MANUAL_DAYS = parseInt(process.env.HACKNOTE_BACKUP_MANUAL_DAYS) || 30;
+
+const BACKUP_INTERVAL = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL = 60 * 60 * 1000;
+
+// hacknote-2026-01-31T09-30-00-000Z-scheduled.db: the time it was taken
+// (UTC, with `:` and `.` made filename-safe) and why
+const REASONS = ['scheduled', 'manual', 'pre-restore'];
+const NAME_PATTERN = /^hacknote-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-([a-z-]+)\.db$/;
+
+function backupName(time, reason) {
+  return `hacknote-${new Date(time).toISOString().replace(/[:.]/g, '-')}-${reason}.db`;
+}
+
+function parseName(name) {
+  const match = NAME_PATTERN.exec(name);
+  if (!match || !REASONS.includes(match[6])) return null;
+  const [, date, hours, minutes, seconds, millis, reason] = match;
+  return { name, reason, createdAt: Date.parse(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`) };
+}
+
+// Snapshots in the backup directory, newest first
+function listBackups() {
+  let names;
+  try {
+    names = fs.readdirSync(BACKUP_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  return names
+    .map(parseName)
+    .filter(Boolean)
+    .map(backup => ({ ...backup, size: fs.statSync(path.join(BACKUP_DIR, backup.name)).size }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function findBackup(name) {
+  return listBackups().find(backup => backup.name === name) || null;
+}
+
+// Monday of the backup's week (UTC), so each week has one key
+function weekKey(time) {
+  const date = new Date(time);
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+// How long snapshots that aren't rotated are kept, in days
+const RETENTION_DAYS = {
+  'manual': KEEP_MANUAL_DAYS,
+  'pre-restore': KEEP_DAILY
+};
+
+/**
+ * Keep the newest scheduled snapshot of each of the last KEEP_DAILY days
+ * that have one, and of each of the last KEEP_WEEKLY weeks; delete the rest.
+ * Manual and pre-restore snapshots sit outside that count (so taking one
+ * never removes another snapshot) and are kept for RETENTION_DAYS instead.
+ */
+function rotateBackups() {
+  const keep = new Set();
+  const days = new Set();
+  const weeks = new Set();
+
+  for (const backup of listBackups()) {
+    if (Object.hasOwn(RETENTION_DAYS, backup.reason)) {
+      if (Date.now() - backup.createdAt > RETENTION_DAYS[backup.reason] * BACKUP_INTERVAL) {
+        fs.unlinkSync(path.join(BACKUP_DIR, backup.name));
+      }
+      continue;
+    }
+
+    const day = new Date(backup.createdAt).toISOString().slice(0, 10);
+    if (!days.has(day) && days.size < KEEP_DAILY) {
+      days.add(day);
+      keep.add(backup.name);
+    }
+    const week = weekKey(backup.createdAt);
+    if (!weeks.has(week) && weeks.size < KEEP_WEEKLY) {
+      weeks.add(week);
+      keep.add(backup.name);
+    }
+    if (!keep.has(backup.name)) {
+      fs.unlinkSync(path.join(BACKUP_DIR, backup.name));
+    }
+  }
+}
+
+// Snapshots are taken one at a time
+let queue = Promise.resolve();
+
+/**
+ * Write a snapshot of the database to the backup directory and rotate old
+ * ones. Resolves to the new snapshot's listing entry.
+ */
+function createBackup(reason = 'manual') {
+  const task = queue.then(async () => {
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    const name = backupName(Date.now(), reason);
+    const file = path.join(BACKUP_DIR, name);
+
+    // Written under a temporary name so a half-finished copy is never listed
+    await db.backupTo(`${file}.partial`);
+    fs.renameSync(`${file}.partial`, file);
+    rotateBackups();
+    return findBackup(name);
+  });
+  queue = task.catch(() => {});
+  return task;
+}
+
+/**
+ * Replace the live data with a snapshot. The current state is saved as a
+ * pre-restore snapshot first, so a restore can itself be undone. Resolves
+ * to that snapshot's entry.
+ */
+async function restoreBackup(name) {
+  const backup = findBackup(name);
+  if (!backup) throw new Error(`No backup named ${name}`);
+
+  const saved = await createBackup('pre-restore');
+  db.restoreSnapshot(path.join(BACKUP_DIR, backup.name));
+  return saved;
+}
+
+// Take a scheduled snapshot whenever the newest one is a day old, checking
+// now and then every hour
+function scheduleBackups() {
+  const check = () => {
+    const latest = listBackups().find(backup => backup.reason === 'scheduled');
+    if (latest && Date.now() - latest.createdAt < BACKUP_INTERVAL) return;
+
+    createBackup('scheduled')
+      .then(backup => console.log(`\x1b[32m[BACKUP]\x1b[0m Saved ${backup.name}`))
+      .catch(err => console.error('[BACKUP] Scheduled backup failed:', err));
+  };
+
+  check();
+  setInterval(check, CHECK_INTERVAL).unref();
+}
+
+module.exports = {
+  BACKUP_DIR,
+  listBackups,
+  findBackup,
+  createBackup,
+  restoreBackup,
+  rotateBackups,
+  scheduleBackups
+};
@@ -0,0 +1,73 @@
+// ============================================
+// Change events, pushed to open clients over Server-Sent Events
+// ============================================
+
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+/**
+ * Announce a change made through the API. `type` is e.g. 'page.updated';
+ * `data` carries the affected item (or its id when it was deleted) plus
+ * what decides who may see it: `workspaceId`, `userId`/`audience` for
+ * events meant for particular users, or `broadcast: true` for changes that
+ * concern everyone. Events with none of these reach no one. Updates to todos and cards also carry
+ * `previous`, the fields webhooks report changes of (see lib/webhooks.js).
+ * The X-Client-Id header of the request that made the change is passed
+ * along as `source` so that client can skip its own changes.
+ */
+function publish(req, type, data = {}) {
+  bus.emit('change', {
+    type,
+    ...data,
+    source: req.get('X-Client-Id') || null,
+    at: Date.now()
+  });
+}
+
+// Listen for changes. Returns a function that removes the listener.
+function subscribe(listener) {
+  bus.on('change', listener);
+  return () => bus.off('change', listener);
+}
+
+// GET /api/events — keep the response open and write one SSE message per
+// change that `canReceive(event)` allows. `?clientId=` excludes the caller's
+// own changes.
+function stream(req, res, canReceive = () => true) {
+  const clientId = req.query.clientId || null;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  const unsubscribe = subscribe(event => {
+    if (clientId && event.source === clientId) return;
+    if (!canReceive(event)) return;
+
+    // Who an event is meant for is nobody else's business
+    const { audience, userId, broadcast, ...message } = event;
+    res.write(`event: change\ndata: ${JSON.stringify(message)}\n\n`);
+  });
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  stream
+};
@@ -0,0 +1,301 @@
+// ============================================
+// Importers for other apps' exports: Trello, Todoist and Notion
+// ============================================
+
+const crypto = require('crypto');
+const path = require('path').posix;
+const vault = require('./vault');
+const { HttpError, CARD_PRIORITIES } = require('./validate');
+
+const SOURCES = ['trello', 'todoist', 'notion'];
+
+function newId() {
+  return Date.now().toString(36) + crypto.randomBytes(6).toString('hex');
+}
+
+// ============================================
+// CSV
+// ============================================
+
+// RFC 4180, as Todoist and Notion write it: quoted fields may hold commas,
+// doubled quotes and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// The header row's column names and the other rows as objects keyed by
+// them, leaving out blank lines
+function readCsv(bytes) {
+  const [header = [], ...rows] = parseCsv(new TextDecoder().decode(bytes));
+  const columns = header.map(name => name.trim());
+  const records = rows
+    .filter(row => row.some(value => value.trim()))
+    .map(row => Object.fromEntries(columns.map((name, i) => [name, (row[i] ?? '').trim()])));
+  return { columns, records };
+}
+
+// ============================================
+// TRELLO
+// ============================================
+
+// Lists become columns by name; anything unrecognised is backlog
+const LIST_STATUSES = [
+  [/done|complete|finished|shipped|released|closed/i, 'done'],
+  [/review|qa|test|verif|approv/i, 'review'],
+  [/doing|progress|active|working|wip|current|started/i, 'in-progress']
+];
+
+// Labels named for a priority set it; unnamed labels go by colour, as a
+// traffic light. The highest priority among a card's labels wins.
+const LABEL_PRIORITIES = [
+  [/critical|urgent|blocker|\bp0\b/i, 'critical'],
+  [/high|important|\bp1\b/i, 'high'],
+  [/medium|normal|\bp2\b/i, 'medium'],
+  [/low|minor|trivial|\bp3\b/i, 'low']
+];
+const COLOR_PRIORITIES = { red: 'critical', orange: 'high', yellow: 'medium', green: 'low' };
+
+function listStatus(name) {
+  return LIST_STATUSES.find(([pattern]) => pattern.test(name || ''))?.[1] || 'backlog';
+}
+
+function labelPriority(label) {
+  if (!label.name) return COLOR_PRIORITIES[label.color] || null;
+  return LABEL_PRIORITIES.find(([pattern]) => pattern.test(label.name))?.[1] || null;
+}
+
+// What a card page can't hold as fields goes into the description: other
+// labels, the due date and checklists
+function cardDescription(card, labels, checklists) {
+  const parts = [];
+  if (card.desc) parts.push(card.desc.trim());
+  if (labels.length) parts.push(`Labels: ${labels.join(', ')}`);
+  if (card.due) parts.push(`Due: ${new Date(card.due).toISOString().slice(0, 10)}`);
+
+  for (const checklist of checklists) {
+    const items = [...(checklist.checkItems || [])]
+      .sort((a, b) => (a.pos ?? 0) - (b.pos ?? 0))
+      .map(item => `- [${item.state === 'complete' ? 'x' : ' '}] ${item.name}`);
+    parts.push([`**${checklist.name || 'Checklist'}**`, ...items].join('\n'));
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * A Trello board (Menu → Print, export and share → Export as JSON) as one
+ * board page. Archived lists and cards are left out.
+ */
+function fromTrello(bytes) {
+  let board;
+  try {
+    board = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    board = null;
+  }
+  if (!board || !Array.isArray(board.lists) || !Array.isArray(board.cards)) {
+    throw new HttpError(400, 'Not a Trello board export');
+  }
+
+  const lists = new Map(board.lists.map(list => [list.id, list]));
+  const checklists = Array.isArray(board.checklists) ? board.checklists : [];
+  const order = card => [lists.get(card.idList)?.pos ?? 0, card.pos ?? 0];
+  const skipped = [];
+  const cards = [];
+
+  const sorted = [...board.cards].sort((a, b) => {
+    const [listA, posA] = order(a);
+    const [listB, posB] = order(b);
+    return listA - listB || posA - posB;
+  });
+
+  for (const card of sorted) {
+    const list = lists.get(card.idList);
+    if (card.closed || !list || list.closed) {
+      skipped.push({ name: card.name || card.id, reason: 'Archived in Trello' });
+      continue;
+    }
+
+    let priority = null;
+    const otherLabels = [];
+    for (const label of card.labels || []) {
+      const labelled = labelPriority(label);
+      if (!labelled) {
+        if (label.name) otherLabels.push(label.name);
+      } else if (!priority || CARD_PRIORITIES.indexOf(labelled) > CARD_PRIORITIES.indexOf(priority)) {
+        priority = labelled;
+      }
+    }
+
+    cards.push({
+      id: newId(),
+      title: (card.name || 'Untitled').slice(0, 500),
+      description: cardDescription(card, otherLabels, checklists.filter(c => c.idCard === card.id)).slice(0, 20000),
+      status: listStatus(list.name),
+      priority: priority || 'medium',
+      createdAt: Date.parse(card.dateLastActivity) || Date.now()
+    });
+  }
+
+  return { pages: [{ title: (board.name || 'Trello board').slice(0, 500), type: 'board', cards }], skipped };
+}
+
+// ============================================
+// TODOIST
+// ============================================
+
+/**
+ * A Todoist project exported as CSV (project menu → Export as a template)
+ * as one todo page. Tasks in a section are prefixed with the section's name,
+ * and sub-tasks follow their parent. Todoist only exports open tasks;
+ * comments aren't imported.
+ */
+function fromTodoist(bytes, title) {
+  const { columns, records } = readCsv(bytes);
+  if (!columns.includes('TYPE') || !columns.includes('CONTENT')) {
+    throw new HttpError(400, 'Not a Todoist CSV export');
+  }
+
+  const todos = [];
+  const skipped = [];
+  let section = null;
+
+  for (const record of records) {
+    if (record.TYPE === 'section') {
+      section = record.CONTENT;
+    } else if (record.TYPE === 'task') {
+      const text = section ? `${section}: ${record.CONTENT}` : record.CONTENT;
+      todos.push({ id: newId(), text: text.slice(0, 2000), completed: false, createdAt: Date.now() });
+    } else if (record.TYPE === 'note') {
+      skipped.push({ name: record.CONTENT.slice(0, 80), reason: 'Comments are not imported' });
+    }
+  }
+
+  return { pages: [{ title: title || 'Todoist', type: 'todo', todos }], skipped };
+}
+
+// ============================================
+// NOTION
+// ============================================
+
+// Notion names files and folders `<title> <32 hex digit id>`
+function notionTitle(name) {
+  return path.basename(name).replace(/\.[a-z]+$/i, '').replace(/_all$/, '').replace(/\s+[0-9a-f]{32}$/, '');
+}
+
+// A database exported as CSV becomes a todo page: the first column is the
+// text, and a row is done when a checkbox column is ticked or its status
+// says it is
+function fromNotionCsv(bytes, title) {
+  const { columns, records } = readCsv(bytes);
+  if (!columns.length) return null;
+
+  const checkbox = columns.find(name => /^(done|completed?|finished|checkbox|checked)$/i.test(name));
+  const status = columns.find(name => /^status$/i.test(name));
+  const todos = records.map(record => ({
+    id: newId(),
+    text: (record[columns[0]] || 'Untitled').slice(0, 2000),
+    completed: (checkbox && /^(yes|true|x|✓|1)$/i.test(record[checkbox])) ||
+      (status && /done|complete|finished/i.test(record[status])) || false,
+    createdAt: Date.now()
+  }));
+  return { title, type: 'todo', todos };
+}
+
+// Big exports arrive as a zip of zips
+function unpackNotion(bytes) {
+  return vault.readArchive(bytes).flatMap(file => {
+    return /\.zip$/i.test(file.name) ? unpackNotion(file.data) : [file];
+  });
+}
+
+function isZip(bytes) {
+  return bytes[0] === 0x50 && bytes[1] === 0x4b;
+}
+
+/**
+ * A Notion export (Export → Markdown & CSV): a zip of pages, which become
+ * notes in markdown mode with their images, and databases, which become todo
+ * pages. A single database CSV can be imported on its own.
+ */
+function fromNotion(bytes, title) {
+  if (!isZip(bytes)) {
+    const page = fromNotionCsv(bytes, title || 'Notion');
+    if (!page) throw new HttpError(400, 'Not a Notion export');
+    return { pages: [page], skipped: [] };
+  }
+
+  const files = unpackNotion(bytes);
+  const csvs = files.filter(file => /\.csv$/i.test(file.name));
+  const rest = files.filter(file => !/\.csv$/i.test(file.name));
+
+  // Newer exports write each database twice: the current view and `_all`
+  const databases = csvs.filter(file => {
+    return /_all\.csv$/i.test(file.name) || !csvs.some(other => other.name === file.name.replace(/\.csv$/i, '_all.csv'));
+  });
+
+  const { pages, skipped } = vault.importFiles(rest, { titleFromHeading: true });
+  for (const file of databases) {
+    const page = fromNotionCsv(file.data, notionTitle(file.name));
+    if (page) pages.push(page);
+    else skipped.push({ name: file.name, reason: 'Empty database' });
+  }
+  return { pages, skipped };
+}
+
+/**
+ * Turn another app's export into pages. `source` is one of SOURCES and
+ * `title` names the page for formats that don't carry a name. Returns
+ * `{ pages, skipped }`, as vault.importVault does.
+ */
+function importFrom(source, bytes, title) {
+  switch (source) {
+    case 'trello':
+      return fromTrello(bytes);
+    case 'todoist':
+      return fromTodoist(bytes, title);
+    case 'notion':
+      return fromNotion(bytes, title);
+    default:
+      throw new HttpError(404, `Can't import from ${source}`);
+  }
+}
+
+module.exports = {
+  SOURCES,
+  importFrom
+};
@@ -0,0 +1,55 @@
+// ============================================
+// The running server, as other processes (the CLI) find it
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+
+// Written next to the database while a server is using it
+const INSTANCE_FILE = path.join(__dirname, '..', 'hacknote.server.json');
+
+function readInstance() {
+  try {
+    return JSON.parse(fs.readFileSync(INSTANCE_FILE, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Record where this server listens, and remove the record when it stops
+function announce(port) {
+  fs.writeFileSync(INSTANCE_FILE, JSON.stringify({ pid: process.pid, port, startedAt: Date.now() }));
+
+  process.on('exit', () => {
+    if (readInstance()?.pid !== process.pid) return;
+    try {
+      fs.unlinkSync(INSTANCE_FILE);
+    } catch {
+      // Already gone
+    }
+  });
+  // Exit normally on Ctrl+C and `kill`, so the handler above runs
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => process.exit(0));
+  }
+}
+
+// `{ pid, port, url }` of the server using the database, or null when none
+// is running. A record left behind by a server that crashed is ignored.
+function runningServer() {
+  const info = readInstance();
+  if (!info || !Number.isInteger(info.pid)) return null;
+  try {
+    process.kill(info.pid, 0);
+  } catch (err) {
+    // EPERM: it's running, as another user
+    if (err.code !== 'EPERM') return null;
+  }
+  return { ...info, url: `http://localhost:${info.port}` };
+}
+
+module.exports = {
+  INSTANCE_FILE,
+  announce,
+  runningServer
+};
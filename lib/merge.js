@@ -0,0 +1,218 @@
+// ============================================
+// Merge imports: add an exported document to the existing data by id
+// ============================================
+
+const crypto = require('crypto');
+const db = require('../db');
+const migrations = require('../js/migrations');
+const { HttpError, validate } = require('./validate');
+
+// What can happen to an item whose id is already taken: keep what's there,
+// add the imported one under a new id, or replace what's there with it
+const RESOLUTIONS = ['skip', 'copy', 'overwrite'];
+
+function newId() {
+  return Date.now().toString(36) + crypto.randomBytes(6).toString('hex');
+}
+
+// Validate an imported item, returning it or an error message
+function checkItem(item, schemaName) {
+  try {
+    return { value: validate(item, schemaName, { extra: true }) };
+  } catch (err) {
+    if (err instanceof HttpError) return { error: err.message };
+    throw err;
+  }
+}
+
+function checkPage(page) {
+  const { value, error } = checkItem(page, 'page');
+  if (error) return { error };
+
+  for (const [key, schemaName] of [['todos', 'todo'], ['cards', 'card']]) {
+    const items = value[key] || [];
+    const ids = new Set();
+    for (let i = 0; i < items.length; i++) {
+      const child = checkItem(items[i], schemaName);
+      if (child.error) return { error: `${key}[${i}]: ${child.error}` };
+      if (!child.value.id) child.value.id = newId();
+      if (ids.has(child.value.id)) return { error: `${key}[${i}]: Duplicate id "${child.value.id}"` };
+      ids.add(child.value.id);
+      items[i] = child.value;
+    }
+  }
+  return { value };
+}
+
+// Pick the resolution for a conflicting item: the caller's choice if it's
+// allowed for this item, otherwise leave the existing item alone
+function resolve(resolutions, key, choices) {
+  const choice = resolutions[key];
+  if (choice === undefined) return 'skip';
+  if (!choices.includes(choice)) {
+    throw new HttpError(400, `Can't ${choice} ${key.replace(':', ' ')}`);
+  }
+  return choice;
+}
+
+/**
+ * Work out what importing `data` for `user` would do, without changing
+ * anything. Every workspace and page is validated and gets an entry:
+ *
+ *   { id, name|title, status: 'new' | 'conflict' | 'invalid', action, ... }
+ *
+ * `action` is 'add', 'copy', 'overwrite' or 'skip'. Conflicts list the
+ * `choices` open to the user; items they can't see may only be copied or
+ * skipped. `resolutions` maps 'workspace:<id>' or 'page:<id>' to a choice;
+ * unresolved conflicts are skipped.
+ */
+function planImport(data, user, resolutions = {}) {
+  let doc;
+  try {
+    doc = migrations.migrate(data);
+  } catch (err) {
+    if (err instanceof migrations.MigrationError) throw new HttpError(400, err.message);
+    throw err;
+  }
+
+  const allowed = db.accessibleWorkspaces(user);
+  const workspaces = [];
+  const pages = [];
+  // Imported workspace id -> where its pages go (null when they're skipped)
+  const targets = new Map();
+  const seen = new Set();
+
+  for (const item of doc.workspaces) {
+    const { value, error } = checkItem(item, 'workspace');
+    const entry = { id: item?.id ?? null, name: value?.name ?? item?.name ?? null };
+    workspaces.push(entry);
+
+    if (error || seen.has(entry.id)) {
+      Object.assign(entry, { status: 'invalid', action: 'skip', error: error || 'Duplicate id in this file' });
+      continue;
+    }
+    if (!value.id) value.id = entry.id = newId();
+    seen.add(value.id);
+    entry.item = value;
+
+    const existing = db.getWorkspace(value.id);
+    if (!existing) {
+      Object.assign(entry, { status: 'new', action: 'add' });
+      targets.set(value.id, value.id);
+      continue;
+    }
+
+    const visible = allowed.has(value.id);
+    entry.status = 'conflict';
+    entry.choices = visible ? RESOLUTIONS : ['skip', 'copy'];
+    entry.existing = visible ? { name: existing.name } : null;
+    entry.action = resolve(resolutions, `workspace:${value.id}`, entry.choices);
+
+    if (entry.action === 'copy') {
+      entry.newId = newId();
+      targets.set(value.id, entry.newId);
+    } else {
+      // Skipping keeps the existing workspace, and its imported pages join it
+      // if that's one the user can see
+      targets.set(value.id, visible ? value.id : null);
+    }
+  }
+
+  seen.clear();
+  for (const item of doc.pages) {
+    const { value, error } = checkPage(item);
+    const entry = {
+      id: item?.id ?? null,
+      title: value?.title ?? item?.title ?? null,
+      workspaceId: item?.workspaceId ?? null
+    };
+    pages.push(entry);
+
+    if (error || seen.has(entry.id)) {
+      Object.assign(entry, { status: 'invalid', action: 'skip', error: error || 'Duplicate id in this file' });
+      continue;
+    }
+    if (!value.id) value.id = entry.id = newId();
+    seen.add(value.id);
+
+    let target = value.workspaceId;
+    if (targets.has(target)) {
+      target = targets.get(target);
+    } else if (!allowed.has(target)) {
+      Object.assign(entry, { status: 'invalid', action: 'skip', error: 'Its workspace is neither in this file nor one you can access' });
+      continue;
+    }
+    entry.item = { ...value, workspaceId: target };
+
+    const existingWorkspaceId = db.getPageWorkspaceId(value.id);
+    if (!existingWorkspaceId) {
+      entry.status = 'new';
+      entry.action = 'add';
+    } else {
+      const visible = allowed.has(existingWorkspaceId);
+      entry.status = 'conflict';
+      entry.choices = visible ? RESOLUTIONS : ['skip', 'copy'];
+      entry.existing = visible ? { title: db.getPage(value.id).title, workspaceId: existingWorkspaceId } : null;
+      entry.action = resolve(resolutions, `page:${value.id}`, entry.choices);
+      if (entry.action === 'copy') entry.newId = newId();
+    }
+
+    if (target === null && entry.action !== 'skip') {
+      entry.action = 'skip';
+      entry.reason = 'Its workspace was skipped';
+    }
+  }
+
+  return { workspaces, pages };
+}
+
+function summarize(plan) {
+  const summary = { added: 0, changed: 0, skipped: 0, invalid: 0 };
+  for (const entry of [...plan.workspaces, ...plan.pages]) {
+    if (entry.status === 'invalid') summary.invalid++;
+    else if (entry.action === 'overwrite') summary.changed++;
+    else if (entry.action === 'skip') summary.skipped++;
+    else summary.added++;
+  }
+  return summary;
+}
+
+// The plan as reported to the client, without the validated items
+function report(plan, extra = {}) {
+  const strip = ({ item, ...entry }) => entry;
+  return {
+    ...extra,
+    workspaces: plan.workspaces.map(strip),
+    pages: plan.pages.map(strip),
+    summary: summarize(plan)
+  };
+}
+
+/**
+ * Import `data` for `user` following `resolutions` (see planImport).
+ * With `dryRun` nothing is written. Returns a report of what happened to
+ * each item and a summary, plus the workspaces and pages that were written
+ * as `written`.
+ */
+function mergeImport(data, user, { resolutions = {}, dryRun = false } = {}) {
+  const plan = planImport(data, user, resolutions);
+  if (dryRun) return report(plan, { dryRun: true });
+
+  const finalId = entry => entry.newId || entry.item.id;
+  const written = db.mergeDocument({
+    workspaces: plan.workspaces
+      .filter(entry => entry.item && entry.action !== 'skip')
+      .map(entry => ({ ...entry.item, id: finalId(entry) })),
+    pages: plan.pages
+      .filter(entry => entry.item && entry.action !== 'skip')
+      .map(entry => ({ ...entry.item, id: finalId(entry) }))
+  }, user.id);
+
+  return { ...report(plan, { dryRun: false }), written };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  planImport,
+  mergeImport
+};
@@ -0,0 +1,184 @@
+// ============================================
+// Static websites: a workspace as plain HTML files, for any web host or wiki
+// ============================================
+
+const db = require('../db');
+const zip = require('../js/zip');
+const render = require('./render');
+const { extensionFor } = require('./vault');
+
+// index.html lists the pages, each page is <slug>.html next to it, and
+// images are files in assets/. Every link is relative, so the site works
+// from any folder, from a zip opened locally, or served under a subpath.
+const ASSETS = 'assets';
+
+// Links work without JavaScript, so none is needed, and nothing a note
+// carries runs on whatever host the site ends up on
+const SECURITY_POLICY = "default-src 'none'; img-src 'self' data:; style-src 'self' 'unsafe-inline'";
+
+const SITE_STYLE = `${render.STYLE}
+  body { display: flex; align-items: flex-start; }
+  .sidebar {
+    position: sticky;
+    top: 0;
+    flex: 0 0 240px;
+    height: 100vh;
+    overflow-y: auto;
+    padding: 20px 0;
+    background: #12121a;
+    border-right: 1px solid #2a2a3a;
+  }
+  .nav-label { margin: 16px 16px 6px; font-size: 10px; letter-spacing: 2px; color: #505060; }
+  .nav-item { display: flex; align-items: center; gap: 8px; padding: 6px 16px; color: #808090; text-decoration: none; }
+  .nav-item:hover, .nav-item.active { color: #00ff9d; background: #1a1a25; }
+  .nav-item-text { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .nav-item-count { font-size: 10px; color: #505060; }
+  .site { flex: 1; min-width: 0; }
+  .page-list { list-style: none; padding: 0; }
+  .page-list li { padding: 8px 0; border-bottom: 1px solid #2a2a3a; }
+  .page-list a { color: #e0e0e0; text-decoration: none; }
+  .page-list a:hover { color: #00ff9d; }
+  @media (max-width: 700px) {
+    body { display: block; }
+    .sidebar { position: static; height: auto; border-right: none; border-bottom: 1px solid #2a2a3a; }
+  }
+`;
+
+// A file name safe on every host: lower-case words joined by dashes
+function slugFor(title, taken) {
+  const base = (title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '') || 'page';
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+  taken.add(slug);
+  return slug;
+}
+
+// What the app's sidebar shows next to a page
+function itemCount(page) {
+  switch (page.type) {
+    case 'todo':
+      return page.todos.filter(todo => !todo.completed).length;
+    case 'board':
+      return page.cards.length;
+    default:
+      return '';
+  }
+}
+
+function renderSidebar(workspace, pages, currentId) {
+  const items = pages.map(page => `
+      <a class="nav-item ${page.id === currentId ? 'active' : ''}" href="${page.file}">
+        <span class="nav-item-icon">${render.escapeHtml(page.icon || '')}</span>
+        <span class="nav-item-text">${render.escapeHtml(page.title || 'Untitled')}</span>
+        <span class="nav-item-count">${itemCount(page)}</span>
+      </a>`);
+
+  return `<nav class="sidebar">
+    <div class="nav-label">WORKSPACE</div>
+    <a class="nav-item ${currentId ? '' : 'active'}" href="index.html">
+      <span class="nav-item-icon">${render.escapeHtml(workspace.icon || '')}</span>
+      <span class="nav-item-text">${render.escapeHtml(workspace.name)}</span>
+    </a>
+    <div class="nav-label">PAGES</div>${items.join('')}
+  </nav>`;
+}
+
+function renderSitePage(title, sidebar, body, publishedAt) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="Content-Security-Policy" content="${SECURITY_POLICY}">
+  <title>${render.escapeHtml(title)}</title>
+  <link rel="stylesheet" href="style.css">
+</head>
+<body>
+  ${sidebar}
+  <div class="site">
+    <main>
+      ${body}
+    </main>
+    <footer>Published from HackNote on ${render.formatDate(publishedAt)}</footer>
+  </div>
+</body>
+</html>
+`;
+}
+
+function renderIndex(workspace, pages) {
+  const items = pages.map(page => `
+        <li>
+          <a href="${page.file}">${render.escapeHtml(`${page.icon ? `${page.icon} ` : ''}${page.title || 'Untitled'}`)}</a>
+          <span class="page-meta">&middot; ${page.type.toUpperCase()} &middot; ${render.formatDate(page.updatedAt)}</span>
+        </li>`);
+
+  return `<header class="page-header">
+        <h1>${render.escapeHtml(`${workspace.icon ? `${workspace.icon} ` : ''}${workspace.name}`)}</h1>
+        <div class="page-meta">${pages.length} PAGE${pages.length === 1 ? '' : 'S'}</div>
+      </header>
+      ${pages.length ? `<ul class="page-list">${items.join('')}\n      </ul>` : '<p class="empty">No pages yet.</p>'}`;
+}
+
+/**
+ * A workspace's pages (with their todos and cards) as the files of a static
+ * website: `[{ name, data, date }]`, ready for zip.createZip or for writing
+ * out. Images the pages use are copied from the asset store.
+ */
+function publishSite(workspace, pages) {
+  const publishedAt = Date.now();
+  const slugs = new Set(['index']);
+  const listed = pages.map(page => ({ ...page, file: `${slugFor(page.title, slugs)}.html` }));
+  const assets = new Map();
+
+  const assetUrl = (hash) => {
+    if (!assets.has(hash)) {
+      const asset = db.getAsset(hash);
+      assets.set(hash, asset && { name: `${ASSETS}/${hash}.${extensionFor(asset.mime)}`, data: asset.data });
+    }
+    return assets.get(hash)?.name || `/api/assets/${hash}`;
+  };
+
+  const files = [
+    { name: 'style.css', data: SITE_STYLE.trim() + '\n' },
+    {
+      name: 'index.html',
+      data: renderSitePage(workspace.name, renderSidebar(workspace, listed, null), renderIndex(workspace, listed), publishedAt)
+    }
+  ];
+
+  for (const page of listed) {
+    files.push({
+      name: page.file,
+      data: renderSitePage(
+        `${page.title || 'Untitled'} - ${workspace.name}`,
+        renderSidebar(workspace, listed, page.id),
+        render.renderPage(page, { assetUrl }),
+        publishedAt
+      ),
+      date: new Date(page.updatedAt || publishedAt)
+    });
+  }
+
+  for (const asset of assets.values()) {
+    if (asset) files.push({ name: asset.name, data: new Uint8Array(asset.data) });
+  }
+  return files;
+}
+
+// The site as a zip archive (a Uint8Array)
+function publishZip(workspace, pages) {
+  return zip.createZip(publishSite(workspace, pages));
+}
+
+module.exports = {
+  publishSite,
+  publishZip
+};
@@ -0,0 +1,264 @@
+// ============================================
+// Read-only HTML for shared pages and published sites, rendered on the server
+// ============================================
+
+const { markdownToHtml } = require('../js/markdown');
+const { sanitizeHtml } = require('../js/sanitize');
+const { CARD_STATUSES } = require('./validate');
+
+const COLUMN_LABELS = {
+  'backlog': 'BACKLOG',
+  'in-progress': 'IN PROGRESS',
+  'review': 'REVIEW',
+  'done': 'DONE'
+};
+
+const STYLE = `
+  :root { color-scheme: dark; }
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    background: #0a0a0f;
+    color: #e0e0e0;
+    font: 14px/1.6 'Share Tech Mono', ui-monospace, monospace;
+  }
+  main { max-width: 960px; margin: 0 auto; padding: 32px 20px; }
+  a { color: #00ffff; }
+  img { max-width: 100%; }
+  pre, code { background: #1a1a25; border-radius: 4px; }
+  pre { padding: 12px; overflow-x: auto; }
+  code { padding: 1px 4px; }
+  blockquote { margin: 0; padding-left: 12px; border-left: 2px solid #00ff9d; color: #808090; }
+  blockquote.callout { padding: 8px 12px; border-left-color: #00ffff; background: #12121a; color: #e0e0e0; }
+  .task-list { list-style: none; padding-left: 4px; }
+  table { border-collapse: collapse; }
+  td, th { border: 1px solid #2a2a3a; padding: 4px 8px; }
+  .page-header { border-bottom: 1px solid #2a2a3a; margin-bottom: 24px; padding-bottom: 12px; }
+  .page-header h1 { margin: 0; font-size: 24px; color: #00ff9d; }
+  .page-meta { font-size: 11px; letter-spacing: 1px; color: #505060; }
+  .todos { list-style: none; padding: 0; }
+  .todos li { padding: 6px 0; border-bottom: 1px solid #2a2a3a; }
+  .todos .done { color: #505060; text-decoration: line-through; }
+  .board { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 12px; }
+  .column { background: #12121a; border: 1px solid #2a2a3a; border-radius: 6px; padding: 10px; }
+  .column h2 { margin: 0 0 10px; font-size: 11px; letter-spacing: 2px; color: #808090; }
+  .card { background: #1a1a25; border-radius: 4px; padding: 8px 10px; margin-bottom: 8px; }
+  .card-title { color: #e0e0e0; }
+  .card-description { margin-top: 4px; font-size: 12px; color: #808090; white-space: pre-wrap; }
+  .priority { float: right; font-size: 10px; letter-spacing: 1px; }
+  .priority-low { color: #00ffff; }
+  .priority-medium { color: #ffff00; }
+  .priority-high { color: #ff6b00; }
+  .priority-critical { color: #ff0040; }
+  .canvas { background: #12121a; border: 1px solid #2a2a3a; border-radius: 6px; }
+  .canvas svg { display: block; width: 100%; height: auto; }
+  .empty, footer { color: #505060; font-size: 12px; }
+  footer { text-align: center; padding: 24px; }
+`;
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(time) {
+  return time ? new Date(time).toISOString().slice(0, 10) : '';
+}
+
+// ============================================
+// PAGE TYPES
+// ============================================
+
+function renderNotes(page) {
+  // Pages stored before note HTML was sanitized on save may still need it
+  const html = sanitizeHtml(page.markdownMode ? markdownToHtml(page.markdownContent || '') : page.content || '');
+  return html.trim() ? `<article class="note">${html}</article>` : '<p class="empty">This page is empty.</p>';
+}
+
+function renderTodos(page) {
+  const todos = page.todos || [];
+  if (todos.length === 0) return '<p class="empty">No todos.</p>';
+
+  const done = todos.filter(todo => todo.completed).length;
+  const items = todos.map(todo => `
+      <li class="${todo.completed ? 'done' : ''}">${todo.completed ? '&#x2611;' : '&#x2610;'} ${escapeHtml(todo.text)}</li>`);
+  return `<p class="page-meta">${done} OF ${todos.length} DONE</p>\n    <ul class="todos">${items.join('')}\n    </ul>`;
+}
+
+function renderBoard(page) {
+  const cards = page.cards || [];
+  const columns = CARD_STATUSES.map(status => {
+    const items = cards.filter(card => card.status === status).map(card => `
+          <div class="card">
+            <span class="priority priority-${escapeHtml(card.priority)}">${escapeHtml((card.priority || '').toUpperCase())}</span>
+            <div class="card-title">${escapeHtml(card.title)}</div>${card.description ? `
+            <div class="card-description">${escapeHtml(card.description)}</div>` : ''}
+          </div>`);
+    return `
+      <section class="column">
+        <h2>${COLUMN_LABELS[status]} (${items.length})</h2>${items.join('')}
+      </section>`;
+  });
+  return `<div class="board">${columns.join('')}\n    </div>`;
+}
+
+// ============================================
+// CANVAS
+// ============================================
+
+// Hackerpad objects as SVG: boxes and ellipses by their x/y/width/height,
+// lines, arrows and freehand strokes by their points, and text. Anything
+// else is left out of the snapshot.
+function canvasPoints(object) {
+  const points = Array.isArray(object.points) ? object.points : [];
+  return points
+    .map(point => Array.isArray(point) ? { x: point[0], y: point[1] } : point)
+    .filter(point => Number.isFinite(point?.x) && Number.isFinite(point?.y));
+}
+
+function canvasBox(object) {
+  const x = Number(object.x) || 0;
+  const y = Number(object.y) || 0;
+  const width = Number(object.width) || 0;
+  const height = Number(object.height) || 0;
+  // Shapes drawn up or left have a negative size
+  return {
+    x: Math.min(x, x + width),
+    y: Math.min(y, y + height),
+    width: Math.abs(width),
+    height: Math.abs(height)
+  };
+}
+
+function canvasShape(object) {
+  const stroke = escapeHtml(object.strokeColor || object.stroke || object.color || '#00ff9d');
+  const fill = escapeHtml(object.fillColor || object.fill || object.backgroundColor || 'none');
+  const strokeWidth = Number(object.strokeWidth || object.lineWidth) || 2;
+  const paint = `stroke="${stroke}" stroke-width="${strokeWidth}" fill="${fill === 'transparent' ? 'none' : fill}"`;
+  const type = String(object.type || '').toLowerCase();
+
+  if (['rect', 'rectangle', 'box', 'diamond', 'ellipse', 'circle'].includes(type)) {
+    const box = canvasBox(object);
+    let shape;
+    if (type === 'ellipse' || type === 'circle') {
+      shape = `<ellipse cx="${box.x + box.width / 2}" cy="${box.y + box.height / 2}" rx="${box.width / 2}" ry="${box.height / 2}" ${paint}/>`;
+    } else if (type === 'diamond') {
+      const { x, y, width, height } = box;
+      shape = `<polygon points="${x + width / 2},${y} ${x + width},${y + height / 2} ${x + width / 2},${y + height} ${x},${y + height / 2}" ${paint}/>`;
+    } else {
+      shape = `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" ${paint}/>`;
+    }
+    return { svg: shape, bounds: [box.x, box.y, box.x + box.width, box.y + box.height] };
+  }
+
+  if (type === 'text') {
+    const x = Number(object.x) || 0;
+    const y = Number(object.y) || 0;
+    const size = Number(object.fontSize) || 16;
+    const lines = String(object.text ?? '').split('\n');
+    const tspans = lines.map((line, i) => `<tspan x="${x}" dy="${i === 0 ? size : size * 1.25}">${escapeHtml(line)}</tspan>`);
+    const width = Math.max(...lines.map(line => line.length)) * size * 0.6;
+    return {
+      svg: `<text x="${x}" y="${y}" fill="${stroke}" font-size="${size}" font-family="monospace">${tspans.join('')}</text>`,
+      bounds: [x, y, x + width, y + lines.length * size * 1.25]
+    };
+  }
+
+  const points = canvasPoints(object);
+  if (points.length < 2) return null;
+  const marker = type === 'arrow' ? ` marker-end="url(#arrow)" color="${stroke}"` : '';
+  const path = points.map(point => `${point.x},${point.y}`).join(' ');
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  return {
+    svg: `<polyline points="${path}" stroke="${stroke}" stroke-width="${strokeWidth}" fill="none" stroke-linecap="round" stroke-linejoin="round"${marker}/>`,
+    bounds: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+  };
+}
+
+function renderCanvas(page) {
+  const objects = Array.isArray(page.canvasData) ? page.canvasData : page.canvasData?.objects || [];
+  const shapes = objects.map(object => object && typeof object === 'object' ? canvasShape(object) : null).filter(Boolean);
+  if (shapes.length === 0) return '<p class="empty">This canvas is empty.</p>';
+
+  const margin = 20;
+  const left = Math.min(...shapes.map(shape => shape.bounds[0])) - margin;
+  const top = Math.min(...shapes.map(shape => shape.bounds[1])) - margin;
+  const right = Math.max(...shapes.map(shape => shape.bounds[2])) + margin;
+  const bottom = Math.max(...shapes.map(shape => shape.bounds[3])) + margin;
+  const skipped = objects.length - shapes.length;
+
+  return `<div class="canvas">
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="${left} ${top} ${right - left} ${bottom - top}">
+        <defs><marker id="arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="currentColor"/></marker></defs>
+        ${shapes.map(shape => shape.svg).join('\n        ')}
+      </svg>
+    </div>${skipped ? `\n    <p class="empty">${skipped} object${skipped === 1 ? '' : 's'} can't be shown here.</p>` : ''}`;
+}
+
+// ============================================
+// DOCUMENTS
+// ============================================
+
+function renderDocument(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - HackNote</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+  <main>
+    ${body}
+  </main>
+  <footer>Shared read-only from HackNote</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * A page's title and content as HTML, without a document around them.
+ * Images in the asset store are linked as `assetUrl(hash)` instead of
+ * through the API, which needs a signed-in user.
+ */
+function renderPage(page, { assetUrl }) {
+  const renderers = { todo: renderTodos, board: renderBoard, canvas: renderCanvas };
+  const body = (renderers[page.type] || renderNotes)(page)
+    .replace(/\/api\/assets\/([a-f0-9]{64})/g, (url, hash) => assetUrl(hash));
+
+  return `<header class="page-header">
+      <h1>${page.icon ? `${escapeHtml(page.icon)} ` : ''}${escapeHtml(page.title || 'Untitled')}</h1>
+      <div class="page-meta">UPDATED ${formatDate(page.updatedAt)} &middot; READ-ONLY</div>
+    </header>
+    ${body}`;
+}
+
+// A shared page as a standalone document, its images under `assetBase`
+function renderSharedPage(page, { assetBase }) {
+  return renderDocument(page.title || 'Untitled', renderPage(page, { assetUrl: hash => `${assetBase}/${hash}` }));
+}
+
+// What a revoked or mistyped link shows
+function renderLinkNotFound() {
+  return renderDocument('Link not found', `<header class="page-header">
+      <h1>Link not found</h1>
+    </header>
+    <p class="empty">This share link doesn't exist or has been revoked.</p>`);
+}
+
+module.exports = {
+  STYLE,
+  escapeHtml,
+  formatDate,
+  renderPage,
+  renderSharedPage,
+  renderLinkNotFound
+};
@@ -0,0 +1,45 @@
+// ============================================
+// Request validation for the REST API
+// ============================================
+
+const Schemas = require('../js/schemas');
+
+class HttpError extends Error {
+  // `data` is merged into the JSON error response (e.g. the current item on a 409)
+  constructor(status, message, data = {}) {
+    super(message);
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// Run a check from js/schemas.js, turning what it rejects into a 400
+function badRequestOn(check) {
+  try {
+    return check();
+  } catch (err) {
+    if (err instanceof Schemas.ValidationError) throw new HttpError(400, err.message);
+    throw err;
+  }
+}
+
+// A request body against one of the schemas (see Schemas.validate for the options)
+function validate(body, schemaName, options) {
+  return badRequestOn(() => Schemas.validate(body, schemaName, options));
+}
+
+// A whole document, as POST /api/data saves it (see Schemas.validateDocument)
+function validateDocument(doc) {
+  return badRequestOn(() => Schemas.validateDocument(doc));
+}
+
+module.exports = {
+  HttpError,
+  validate,
+  validateDocument,
+  schemas: Schemas.schemas,
+  PAGE_TYPES: Schemas.PAGE_TYPES,
+  CARD_STATUSES: Schemas.CARD_STATUSES,
+  CARD_PRIORITIES: Schemas.CARD_PRIORITIES,
+  MEMBER_ROLES: Schemas.MEMBER_ROLES
+};
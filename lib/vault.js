@@ -0,0 +1,345 @@
+// ============================================
+// Markdown vaults: a workspace as a zip of .md files and back
+// ============================================
+
+const crypto = require('crypto');
+const path = require('path').posix;
+const db = require('../db');
+const markdown = require('../js/markdown');
+const zip = require('../js/zip');
+const archive = require('./archive');
+const { PAGE_TYPES, CARD_STATUSES, CARD_PRIORITIES } = require('./validate');
+
+// The layout is what Obsidian and most markdown tools expect: one file per
+// page at the top, named after its title, with images in attachments/.
+// Front matter records what markdown can't (page type, icon, dates), so an
+// exported vault imports back into the same kinds of pages.
+const ATTACHMENTS = 'attachments';
+
+const COLUMN_LABELS = {
+  'backlog': 'Backlog',
+  'in-progress': 'In Progress',
+  'review': 'Review',
+  'done': 'Done'
+};
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  bmp: 'image/bmp',
+  avif: 'image/avif'
+};
+
+const ASSET_PATTERN = /\/api\/assets\/([a-f0-9]{64})/g;
+
+function newId() {
+  return Date.now().toString(36) + crypto.randomBytes(6).toString('hex');
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+function extensionFor(mime) {
+  const known = Object.entries(IMAGE_TYPES).find(([, type]) => type === mime);
+  return known ? known[0] : 'bin';
+}
+
+// A file name that works on every OS and in Obsidian links
+function fileNameFor(title, taken) {
+  const base = (title || '').replace(/[\\/:*?"<>|#^[\]\x00-\x1f]/g, '-').replace(/^[.\s]+|[.\s]+$/g, '').slice(0, 100) || 'Untitled';
+  let name = base;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${base} ${n}`;
+  taken.add(name.toLowerCase());
+  return `${name}.md`;
+}
+
+// The title is only written when the file name couldn't carry it as it is
+function frontMatter(page, fileName) {
+  const lines = [];
+  if (page.title && `${page.title}.md` !== fileName) lines.push(`title: ${JSON.stringify(page.title)}`);
+  lines.push(`type: ${page.type}`);
+  if (page.icon) lines.push(`icon: ${JSON.stringify(page.icon)}`);
+  if (page.createdAt) lines.push(`created: ${new Date(page.createdAt).toISOString()}`);
+  if (page.updatedAt) lines.push(`updated: ${new Date(page.updatedAt).toISOString()}`);
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+function oneLine(text) {
+  return String(text || '').replace(/\s*\n\s*/g, ' ').trim();
+}
+
+function pageBody(page) {
+  switch (page.type) {
+    case 'todo':
+      return page.todos.map(todo => `- [${todo.completed ? 'x' : ' '}] ${oneLine(todo.text)}`).join('\n');
+
+    case 'board':
+      return CARD_STATUSES.map(status => {
+        const cards = page.cards.filter(card => card.status === status).map(card => {
+          const priority = card.priority && card.priority !== 'medium' ? ` #priority/${card.priority}` : '';
+          const description = (card.description || '').trim().split('\n').map(line => `  ${line}`).join('\n');
+          return `- ${oneLine(card.title)}${priority}${description.trim() ? `\n${description}` : ''}`;
+        });
+        return [`## ${COLUMN_LABELS[status]}`, ...cards].join('\n\n');
+      }).join('\n\n');
+
+    case 'canvas':
+      return '```json\n' + JSON.stringify(page.canvasData ?? null, null, 2) + '\n```';
+
+    default:
+      return page.markdownMode && page.markdownContent
+        ? page.markdownContent
+        : markdown.htmlToMarkdown(page.content || '');
+  }
+}
+
+/**
+ * Zip a workspace's pages as markdown files, with the images they use as
+ * separate files. Returns the archive as a Uint8Array.
+ */
+function exportVault(pages) {
+  const entries = [];
+  const names = new Set();
+  const assets = new Map();
+
+  for (const page of pages) {
+    const body = pageBody(page).replace(ASSET_PATTERN, (url, hash) => {
+      if (!assets.has(hash)) {
+        const asset = db.getAsset(hash);
+        if (!asset) return url;
+        assets.set(hash, { name: `${ATTACHMENTS}/${hash}.${extensionFor(asset.mime)}`, data: asset.data });
+      }
+      // Spaces aren't allowed in a markdown link target; these names have none
+      return assets.get(hash).name;
+    });
+
+    const name = fileNameFor(page.title, names);
+    entries.push({
+      name,
+      data: frontMatter(page, name) + body.trim() + '\n',
+      date: new Date(page.updatedAt || Date.now())
+    });
+  }
+
+  for (const asset of assets.values()) {
+    entries.push({ name: asset.name, data: new Uint8Array(asset.data) });
+  }
+  return zip.createZip(entries);
+}
+
+// One page as a markdown document: as it appears in an exported vault, but
+// always with its title and with images still pointing at the server
+function pageMarkdown(page) {
+  return frontMatter(page, null) + pageBody(page).trim() + '\n';
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+function parseFrontMatter(text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/.exec(text);
+  if (!match) return { meta: {}, body: text };
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = /^([A-Za-z][\w-]*):\s*(.*)$/.exec(line);
+    if (!field) continue;
+    let value = field[2].trim();
+    if (/^".*"$/.test(value)) {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        value = value.slice(1, -1);
+      }
+    } else if (/^'.*'$/.test(value)) {
+      value = value.slice(1, -1).replace(/''/g, "'");
+    }
+    meta[field[1].toLowerCase()] = value;
+  }
+  return { meta, body: text.slice(match[0].length) };
+}
+
+function parseDate(value) {
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? time : undefined;
+}
+
+function parseTodos(body) {
+  const todos = [];
+  for (const line of body.split(/\r?\n/)) {
+    const item = /^\s*[-*+]\s+\[([ xX])\]\s?(.*)$/.exec(line);
+    if (item) todos.push({ id: newId(), text: item[2].trim().slice(0, 2000), completed: item[1] !== ' ', createdAt: Date.now() });
+  }
+  return todos;
+}
+
+// Columns are `## Heading` sections holding one list item per card, with the
+// card's description indented below it
+function parseCards(body) {
+  const statuses = Object.fromEntries(Object.entries(COLUMN_LABELS).map(([status, label]) => [label.toLowerCase(), status]));
+  const cards = [];
+  let status = 'backlog';
+  let card = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    const heading = /^#{1,6}\s+(.*)$/.exec(line);
+    if (heading) {
+      status = statuses[heading[1].trim().toLowerCase()] || 'backlog';
+      card = null;
+      continue;
+    }
+
+    const item = /^[-*+]\s+(?:\[[ xX]\]\s+)?(.*)$/.exec(line);
+    if (item) {
+      let title = item[1].trim();
+      let priority = 'medium';
+      const tag = /\s*#priority\/([a-z]+)\s*$/.exec(title);
+      if (tag && CARD_PRIORITIES.includes(tag[1])) {
+        priority = tag[1];
+        title = title.slice(0, tag.index).trim();
+      }
+      card = { id: newId(), title: title.slice(0, 500) || 'Untitled', description: '', status, priority, createdAt: Date.now() };
+      cards.push(card);
+      continue;
+    }
+
+    if (card && (/^\s{2,}|\t/.test(line) || (line.trim() === '' && card.description))) {
+      card.description += `${line.replace(/^(\t| {1,4})/, '')}\n`;
+    }
+  }
+
+  for (const c of cards) c.description = c.description.trim().slice(0, 20000);
+  return cards;
+}
+
+function parseCanvas(body) {
+  const fence = /```(?:json)?\s*\n([\s\S]*?)\n```/.exec(body);
+  if (!fence) return undefined;
+  try {
+    const data = JSON.parse(fence[1]);
+    return Array.isArray(data) || (data && typeof data === 'object') ? data : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function isHidden(name) {
+  return name.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+// The files in a zip, leaving out hidden ones such as .obsidian/
+function readArchive(bytes) {
+  return archive.readArchive(bytes).filter(file => !isHidden(file.name));
+}
+
+/**
+ * Turn markdown files (`[{ name, data }]`, as readArchive returns them) into
+ * new pages. Images the notes refer to, by relative path or Obsidian
+ * `![[embed]]`, are moved into the asset store. Returns `{ pages, skipped }`:
+ * page fields ready for db.createPage (without a workspaceId) and the files
+ * that were left out with the reason.
+ *
+ * With `titleFromHeading`, a note that opens with a `# Heading` takes its
+ * title from it (for tools whose file names carry ids).
+ */
+function importFiles(files, { titleFromHeading = false } = {}) {
+  const images = new Map();
+  const imagesByName = new Map();
+  const notes = [];
+  const skipped = [];
+
+  for (const file of files) {
+    const extension = path.extname(file.name).slice(1).toLowerCase();
+    if (extension === 'md' || extension === 'markdown') {
+      notes.push(file);
+    } else if (IMAGE_TYPES[extension]) {
+      const image = { ...file, mime: IMAGE_TYPES[extension], url: null };
+      images.set(path.normalize(file.name), image);
+      imagesByName.set(path.basename(file.name).toLowerCase(), image);
+    } else {
+      skipped.push({ name: file.name, reason: 'Not a markdown file or an image' });
+    }
+  }
+
+  // Images are only stored once something refers to them
+  const imageUrl = (ref, notePath) => {
+    let target;
+    try {
+      target = decodeURI(ref.trim());
+    } catch {
+      target = ref.trim();
+    }
+    const image = images.get(path.normalize(path.join(path.dirname(notePath), target))) ||
+      images.get(path.normalize(target)) ||
+      imagesByName.get(path.basename(target).toLowerCase());
+    if (!image) return null;
+    if (!image.url) image.url = db.storeAsset(Buffer.from(image.data), image.mime).url;
+    return image.url;
+  };
+
+  const decoder = new TextDecoder();
+  const pages = notes.map(file => {
+    let { meta, body } = parseFrontMatter(decoder.decode(file.data));
+    const type = PAGE_TYPES.includes(meta.type) ? meta.type : 'notes';
+    let title = meta.title || path.basename(file.name).replace(/\.(md|markdown)$/i, '');
+    const heading = titleFromHeading && !meta.title && /^\s*# +(.+?)[ \t]*(\r?\n|$)/.exec(body);
+    if (heading) {
+      title = heading[1];
+      body = body.slice(heading[0].length);
+    }
+    title = title.slice(0, 500);
+    const page = { title, type };
+    if (typeof meta.icon === 'string' && meta.icon && meta.icon.length <= 16) page.icon = meta.icon;
+    // Keep the dates a vault recorded; createPage fills in the rest
+    for (const [key, field] of [['createdAt', 'created'], ['updatedAt', 'updated']]) {
+      const time = parseDate(meta[field]);
+      if (time !== undefined) page[key] = time;
+    }
+
+    if (type === 'todo') return { ...page, todos: parseTodos(body) };
+    if (type === 'board') return { ...page, cards: parseCards(body) };
+    if (type === 'canvas') {
+      const canvasData = parseCanvas(body);
+      if (canvasData !== undefined) return { ...page, canvasData };
+      page.type = 'notes';
+    }
+
+    const text = body
+      .replace(/!\[\[([^\]|]+)(?:\|[^\]]*)?\]\]/g, (embed, ref) => {
+        const url = imageUrl(ref, file.name);
+        return url ? `![${path.basename(ref)}](${url})` : embed;
+      })
+      .replace(/!\[([^\]]*)\]\(<?([^)\s>]+)>?(?:\s+"[^"]*")?\)/g, (image, alt, ref) => {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(ref) || ref.startsWith('/')) return image;
+        const url = imageUrl(ref, file.name);
+        return url ? `![${alt}](${url})` : image;
+      })
+      .trim();
+
+    return { ...page, markdownMode: true, markdownContent: text, content: markdown.markdownToHtml(text) };
+  });
+
+  return { pages, skipped };
+}
+
+// A zip of markdown files (a vault exported from here or another tool) as
+// new pages; see importFiles
+function importVault(bytes) {
+  return importFiles(readArchive(bytes));
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  extensionFor,
+  exportVault,
+  pageMarkdown,
+  readArchive,
+  importFiles,
+  importVault
+};
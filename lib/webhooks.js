@@ -0,0 +1,284 @@
+// ============================================
+// Outgoing webhooks: signed JSON POSTs for data changes, with retries
+// ============================================
+
+const crypto = require('crypto');
+const db = require('../db');
+const events = require('./events');
+const { HttpError, CARD_STATUSES } = require('./validate');
+
+// What a webhook can subscribe to. `card.moved` and `todo.completed` are
+// sent alongside the card.updated or todo.updated they come from, for
+// automations that only care about those; `card.moved:done` narrows the
+// former to cards arriving in one column.
+const EVENTS = [
+  'workspace.created', 'workspace.updated', 'workspace.deleted',
+  'page.created', 'page.updated', 'page.deleted',
+  'todo.created', 'todo.updated', 'todo.completed', 'todo.deleted', 'todos.cleared',
+  'card.created', 'card.updated', 'card.moved', 'card.deleted',
+  'data.replaced'
+];
+
+// A failed delivery is tried again after each of these, then given up on
+const RETRY_DELAYS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+const TIMEOUT = 10 * 1000;
+
+// ============================================
+// REGISTRY
+// ============================================
+
+function validFilter(filter) {
+  if (typeof filter !== 'string') return false;
+  if (filter === '*') return true;
+  const [name, qualifier] = filter.split(':');
+  if (qualifier !== undefined) return name === 'card.moved' && CARD_STATUSES.includes(qualifier);
+  if (name.endsWith('.*')) return EVENTS.some(type => type.startsWith(name.slice(0, -1)));
+  return EVENTS.includes(name);
+}
+
+/**
+ * Check a webhook's fields (validated against the `webhook` schema) beyond
+ * their types: an http(s) URL and known event filters. A new webhook gets a
+ * random secret unless one is given.
+ */
+function checkWebhook(fields, { partial = false } = {}) {
+  if (fields.url !== undefined) {
+    let url;
+    try {
+      url = new URL(fields.url);
+    } catch {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new HttpError(400, 'Webhook URL must start with http:// or https://');
+    }
+  }
+
+  if (fields.events !== undefined) {
+    if (fields.events.length === 0) throw new HttpError(400, 'Pick at least one event');
+    const unknown = fields.events.find(filter => !validFilter(filter));
+    if (unknown !== undefined) throw new HttpError(400, `Unknown event "${unknown}"`);
+    fields.events = [...new Set(fields.events)];
+  }
+
+  if (!partial && !fields.secret) {
+    fields.secret = crypto.randomBytes(24).toString('hex');
+  }
+  return fields;
+}
+
+// ============================================
+// EVENTS
+// ============================================
+
+// The webhook events one change makes: its own type, plus the derived ones
+// when an update says what the item was before (`previous`)
+function webhookEvents(event) {
+  const types = [event.type];
+  if (event.type === 'card.updated' && event.previous && event.previous.status !== event.card.status) {
+    types.push('card.moved');
+  }
+  if (event.type === 'todo.updated' && event.previous && !event.previous.completed && event.todo.completed) {
+    types.push('todo.completed');
+  }
+  return types;
+}
+
+function matches(filter, type, event) {
+  const [name, qualifier] = filter.split(':');
+  const typeMatches = name === '*' || name === type || (name.endsWith('.*') && type.startsWith(name.slice(0, -1)));
+  return typeMatches && (!qualifier || event.card?.status === qualifier);
+}
+
+function queue(webhook, type, body) {
+  return db.queueDelivery(webhook.id, type, JSON.stringify({ event: type, ...body }));
+}
+
+// Queue a delivery for every active webhook that wants this change. Who an
+// event is meant for (`audience`, `userId`, `broadcast`) and which client made it stay
+// on the server.
+function dispatch(event) {
+  const webhooks = db.activeWebhooks();
+  if (webhooks.length === 0) return;
+
+  const { type, source, at, audience, userId, broadcast, ...data } = event;
+  let queued = false;
+  for (const name of webhookEvents(event)) {
+    for (const webhook of webhooks) {
+      if (!webhook.events.some(filter => matches(filter, name, event))) continue;
+      queue(webhook, name, { occurredAt: at, data });
+      queued = true;
+    }
+  }
+  if (queued) schedule();
+}
+
+function byId(items) {
+  return new Map((items || []).map(item => [item.id, item]));
+}
+
+// Created, updated and deleted events for one kind of item, matched up by id
+// and compared by version
+function diffItems(kind, before = [], after = [], context = {}, previous = () => undefined) {
+  const changes = [];
+  const old = byId(before);
+  const current = byId(after);
+
+  for (const [id, item] of current) {
+    const was = old.get(id);
+    if (!was) {
+      changes.push({ type: `${kind}.created`, ...context, [kind]: item });
+    } else if (was.version !== item.version) {
+      changes.push({ type: `${kind}.updated`, ...context, [kind]: item, previous: previous(was) });
+    }
+  }
+  for (const [id, item] of old) {
+    if (current.has(id)) continue;
+    changes.push({ type: `${kind}.deleted`, workspaceId: item.workspaceId, ...context, id });
+  }
+  return changes;
+}
+
+/**
+ * A full-document save (what the web app does) only tells clients
+ * data.replaced. Webhooks get the individual changes it made instead, found
+ * by comparing the document `before` and `after` the save, as the user who
+ * made it sees it.
+ */
+function documentSaved(req, before, after) {
+  const oldPages = byId(before.pages);
+  const changes = [
+    ...diffItems('workspace', before.workspaces, after.workspaces)
+      .map(change => ({ ...change, workspaceId: change.workspace?.id ?? change.id })),
+    ...diffItems('page', before.pages, after.pages)
+      .map(change => ({ ...change, workspaceId: change.page?.workspaceId ?? change.workspaceId }))
+  ];
+
+  for (const page of after.pages) {
+    const context = { workspaceId: page.workspaceId, pageId: page.id };
+    const was = oldPages.get(page.id) || {};
+    changes.push(
+      ...diffItems('todo', was.todos, page.todos, context, todo => ({ completed: todo.completed })),
+      ...diffItems('card', was.cards, page.cards, context, card => ({ status: card.status }))
+    );
+  }
+
+  const source = req.get('X-Client-Id') || null;
+  const at = Date.now();
+  for (const change of changes) {
+    dispatch({ ...change, source, at });
+  }
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+// `X-HackNote-Signature: sha256=<hex HMAC of the body with the secret>`
+function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+async function attempt(delivery) {
+  const webhook = db.getWebhook(delivery.webhookId);
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'HackNote-Webhooks',
+        'X-HackNote-Event': delivery.event,
+        'X-HackNote-Delivery': String(delivery.id),
+        'X-HackNote-Signature': sign(webhook.secret, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT)
+    });
+    responseStatus = response.status;
+    await response.body?.cancel();
+    if (!response.ok) error = `Responded with ${response.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError'
+      ? `No response within ${TIMEOUT / 1000} seconds`
+      : err.cause?.message || err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  if (!error) {
+    db.recordAttempt(delivery.id, { status: 'delivered', attempts, responseStatus });
+  } else if (attempts > RETRY_DELAYS.length) {
+    db.recordAttempt(delivery.id, { status: 'failed', attempts, responseStatus, error });
+  } else {
+    const nextAttemptAt = Date.now() + RETRY_DELAYS[attempts - 1];
+    db.recordAttempt(delivery.id, { status: 'pending', attempts, responseStatus, error, nextAttemptAt });
+  }
+}
+
+// Deliveries go out one at a time, oldest first; the timer waits for the
+// next one that's due
+let timer = null;
+let sending = false;
+
+async function send() {
+  sending = true;
+  try {
+    let delivery;
+    while ((delivery = db.dueDelivery())) {
+      await attempt(delivery);
+    }
+  } catch (err) {
+    console.error('[WEBHOOKS] Failed to send deliveries:', err);
+  } finally {
+    sending = false;
+    schedule();
+  }
+}
+
+function schedule() {
+  if (sending) return;
+  clearTimeout(timer);
+  const next = db.nextDeliveryAt();
+  if (next === null) return;
+  timer = setTimeout(send, Math.max(0, next - Date.now()));
+  timer.unref();
+}
+
+// Queue a `ping` to one webhook, whatever it subscribes to. Returns the
+// delivery.
+function ping(webhook) {
+  const delivery = queue(webhook, 'ping', { occurredAt: Date.now(), data: { webhookId: webhook.id } });
+  schedule();
+  return delivery;
+}
+
+// Send a failed delivery again, starting over with its retries
+function redeliver(delivery) {
+  db.retryDelivery(delivery.id);
+  schedule();
+}
+
+// Listen for changes and pick up deliveries left pending by the last run
+function startWebhooks() {
+  events.subscribe(event => {
+    try {
+      dispatch(event);
+    } catch (err) {
+      console.error('[WEBHOOKS] Failed to queue deliveries:', err);
+    }
+  });
+  schedule();
+}
+
+module.exports = {
+  EVENTS,
+  checkWebhook,
+  documentSaved,
+  ping,
+  redeliver,
+  schedule,
+  startWebhooks
+};
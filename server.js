@@ -2,37 +2,974 @@ const express = require('express');
 const path = require('path');
 const net = require('net');
 const db = require('./db');
+const { HttpError, validate, validateDocument } = require('./lib/validate');
+const events = require('./lib/events');
+const auth = require('./lib/auth');
+const migrations = require('./js/migrations');
+const backup = require('./lib/backup');
+const merge = require('./lib/merge');
+const vault = require('./lib/vault');
+const importers = require('./lib/importers');
+const instance = require('./lib/instance');
+const webhooks = require('./lib/webhooks');
+const render = require('./lib/render');
+const publish = require('./lib/publish');
+const { ZipError } = require('./js/zip');
 
 const app = express();
 
-// Parse JSON bodies
-app.use(express.json({ limit: '50mb' }));
+// Parse JSON bodies. Full-document saves and imports may still carry inline
+// images (they're moved into the asset store on save), so they get more room.
+app.use('/api/data', express.json({ limit: '50mb' }));
+app.use('/api/import', express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '10mb' }));
+
+const ASSET_LIMIT_MB = parseInt(process.env.HACKNOTE_ASSET_LIMIT_MB) || 25;
 
 // Serve hackerpad canvas at /canvas
 app.use('/canvas', express.static(path.join(__dirname, 'hackerpad', 'public')));
 
-// Serve static files from current directory
-app.use(express.static(__dirname));
+// Serve the front end. Only these paths are public: the rest of the project
+// directory holds the database and server code.
+app.use('/js', express.static(path.join(__dirname, 'js')));
+app.use('/css', express.static(path.join(__dirname, 'css')));
+app.get('/favicon.svg', (req, res) => {
+  res.sendFile(path.join(__dirname, 'favicon.svg'));
+});
+
+// The service worker must be served from the root to control the whole app,
+// and always revalidated so updates reach clients
+app.get('/sw.js', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.sendFile(path.join(__dirname, 'sw.js'));
+});
+
+// ============================================
+// ACCOUNTS
+// ============================================
+
+// Anyone may create an account while HACKNOTE_SIGNUP=open; otherwise only the
+// very first account (which becomes the admin) and accounts made by admins
+const SIGNUP_OPEN = process.env.HACKNOTE_SIGNUP === 'open';
+const SESSION_MAX_AGE = (parseInt(process.env.HACKNOTE_SESSION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Attach the signed-in user, if any, to every API request
+app.use('/api', (req, res, next) => {
+  const token = auth.readSessionToken(req);
+  req.sessionHash = token ? auth.hashToken(token) : null;
+  req.user = req.sessionHash ? db.getSessionUser(req.sessionHash) : null;
+  next();
+});
+
+function startSession(req, res, user) {
+  const token = auth.newSessionToken();
+  db.createSession(user.id, auth.hashToken(token));
+  res.set('Set-Cookie', auth.sessionCookie(token, { maxAge: SESSION_MAX_AGE, secure: req.secure }));
+}
+
+function checkPassword(password) {
+  if (password.length < auth.MIN_PASSWORD_LENGTH) {
+    throw new HttpError(400, `Password must be at least ${auth.MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+async function createAccount({ username, password, isAdmin = false }) {
+  if (!auth.USERNAME_PATTERN.test(username)) {
+    throw new HttpError(400, 'Username must be 2-32 letters, digits, dots, dashes or underscores');
+  }
+  checkPassword(password);
+  if (db.getUserCredentials(username)) {
+    throw new HttpError(409, 'Username is already taken');
+  }
+  return db.createUser({ username, passwordHash: await auth.hashPassword(password), isAdmin });
+}
+
+app.get('/api/auth/session', route('load session', (req, res) => {
+  res.json({ user: req.user, setupRequired: db.countUsers() === 0, signup: SIGNUP_OPEN });
+}));
+
+app.post('/api/auth/register', route('create account', async (req, res) => {
+  const fields = validate(req.body, 'credentials');
+  if (db.countUsers() > 0 && !SIGNUP_OPEN) {
+    throw new HttpError(403, 'Sign-up is closed; ask an admin for an account');
+  }
+  const user = await createAccount(fields);
+  startSession(req, res, user);
+  res.status(201).json({ user });
+}));
+
+app.post('/api/auth/login', route('log in', async (req, res) => {
+  const { username, password } = validate(req.body, 'credentials');
+  const key = auth.throttleKey(req, username);
+  if (auth.isLockedOut(key)) {
+    throw new HttpError(429, 'Too many failed attempts; try again in a minute');
+  }
+
+  const account = db.getUserCredentials(username);
+  if (!account || !(await auth.verifyPassword(password, account.passwordHash))) {
+    auth.recordFailure(key);
+    throw new HttpError(401, 'Wrong username or password');
+  }
+
+  auth.clearFailures(key);
+  const { passwordHash, ...user } = account;
+  startSession(req, res, user);
+  res.json({ user });
+}));
+
+app.post('/api/auth/logout', route('log out', (req, res) => {
+  if (req.sessionHash) db.deleteSession(req.sessionHash);
+  res.set('Set-Cookie', auth.clearedSessionCookie());
+  res.status(204).end();
+}));
+
+// Everything below requires a signed-in user
+app.use('/api', (req, res, next) => {
+  if (!req.user) {
+    res.status(401).json({ error: 'Sign in required' });
+    return;
+  }
+  next();
+});
+
+// Changing the password signs out every other session
+app.post('/api/auth/password', route('change password', async (req, res) => {
+  const { currentPassword, newPassword } = validate(req.body, 'passwordChange');
+  const account = db.getUserCredentials(req.user.username);
+  if (!(await auth.verifyPassword(currentPassword, account.passwordHash))) {
+    throw new HttpError(403, 'Current password is wrong');
+  }
+  checkPassword(newPassword);
+  db.setPassword(req.user.id, await auth.hashPassword(newPassword));
+  db.deleteUserSessions(req.user.id, req.sessionHash);
+  res.status(204).end();
+}));
+
+// Admins manage accounts
+function requireAdmin(req, what = 'manage accounts') {
+  if (!req.user.isAdmin) throw new HttpError(403, `Only admins can ${what}`);
+}
+
+app.get('/api/users', route('list users', (req, res) => {
+  requireAdmin(req);
+  res.json(db.listUsers());
+}));
+
+app.post('/api/users', route('create user', async (req, res) => {
+  requireAdmin(req);
+  res.status(201).json(await createAccount(validate(req.body, 'account')));
+}));
+
+app.delete('/api/users/:id', route('delete user', (req, res) => {
+  requireAdmin(req);
+  if (req.params.id === req.user.id) {
+    throw new HttpError(400, 'You can\'t delete your own account');
+  }
+  found(db.deleteUser(req.params.id), 'User');
+  res.status(204).end();
+}));
+
+// ============================================
+// ACCESS CONTROL
+// ============================================
+
+// Workspaces and pages a user can't see answer 404, as if they didn't exist
+function workspaceFor(req, id, { owner = false } = {}) {
+  const workspace = found(db.getWorkspace(id), 'Workspace');
+  const role = db.workspaceRole(req.user, id);
+  if (!role) throw new HttpError(404, 'Workspace not found');
+  if (owner && role !== 'owner') {
+    throw new HttpError(403, 'Only the workspace owner can do that');
+  }
+  return workspace;
+}
+
+function pageFor(req, id) {
+  const page = found(db.getPage(id), 'Page');
+  if (!db.workspaceRole(req.user, page.workspaceId)) throw new HttpError(404, 'Page not found');
+  return page;
+}
+
+// History of a page, including one that has been deleted: access follows the
+// workspace it was last in. Pages of deleted workspaces are left to admins.
+function checkHistoryAccess(req, pageId) {
+  const workspaceId = db.getPageWorkspaceId(pageId);
+  if (workspaceId) {
+    if (!db.workspaceRole(req.user, workspaceId)) throw new HttpError(404, 'Page not found');
+    return;
+  }
+
+  const latest = db.listRevisions(pageId)[0];
+  if (!latest) throw new HttpError(404, 'Page not found');
+  const visible = db.workspaceRole(req.user, latest.workspaceId) ||
+    (req.user.isAdmin && !db.getWorkspace(latest.workspaceId));
+  if (!visible) throw new HttpError(404, 'Page not found');
+}
+
+// A full-document save may only touch workspaces the user can see, and only
+// an owner may delete a workspace by leaving it out
+function checkDocumentAccess(user, data) {
+  const allowed = db.accessibleWorkspaces(user);
+  const incoming = new Set((data.workspaces || []).map(ws => ws.id));
+
+  for (const id of incoming) {
+    if (!allowed.has(id) && db.getWorkspace(id)) {
+      throw new HttpError(403, `No access to workspace ${id}`);
+    }
+  }
+  for (const [id, role] of allowed) {
+    if (!incoming.has(id) && role !== 'owner') {
+      throw new HttpError(403, 'Only the workspace owner can delete a workspace');
+    }
+  }
+  for (const page of data.pages || []) {
+    const current = db.getPageWorkspaceId(page.id);
+    const target = page.workspaceId;
+    if ((current && !allowed.has(current)) || (target && !incoming.has(target) && !allowed.has(target))) {
+      throw new HttpError(403, `No access to page ${page.id}`);
+    }
+  }
+}
+
+// Which change events a signed-in client may receive. An event that names
+// nobody reaches nobody, unless it is marked as a broadcast.
+function canReceive(user, event) {
+  if (event.userId) return event.userId === user.id;
+  if (event.audience) return event.audience.includes(user.id);
+  if (event.workspaceId) return Boolean(db.workspaceRole(user, event.workspaceId));
+  return event.broadcast === true;
+}
 
-// API: Get all data
+// API: Get all data. `version` identifies this state for a later save.
 app.get('/api/data', (req, res) => {
   try {
-    const data = db.load();
-    res.json(data || { workspaces: [], pages: [], settings: {} });
+    const data = db.load(req.user);
+    res.json({ ...(data || { workspaces: [], pages: [], settings: {} }), version: db.getDataVersion() });
   } catch (err) {
     console.error('[API] Failed to load data:', err);
     res.status(500).json({ error: 'Failed to load data' });
   }
 });
 
-// API: Save all data
-app.post('/api/data', (req, res) => {
+// API: Save all data (?source=import marks a bulk import in page history).
+// A save that carries the `version` it was based on (If-Match header or body
+// field) is rejected with 409 if anything was written since.
+app.post('/api/data', route('save data', (req, res) => {
+  const expected = expectedVersion(req);
+  const current = db.getDataVersion();
+  if (expected !== undefined && expected !== current) {
+    throw new HttpError(409, 'Data was changed by someone else', { version: current });
+  }
+
+  const { version, ...body } = req.body;
+  const data = validateDocument(migrateDocument(body));
+  checkDocumentAccess(req.user, data);
+  // Webhooks are told what the save changed, so keep the state before it
+  const before = db.activeWebhooks().length > 0 ? db.load(req.user) : null;
+  db.save(data, req.query.source === 'import' ? 'import' : 'edit', req.user);
+  const saved = db.getDataVersion();
+  events.publish(req, 'data.replaced', { version: saved, broadcast: true });
+  if (before) webhooks.documentSaved(req, before, db.load(req.user));
+  res.json({ success: true, version: saved });
+}));
+
+// Bring documents from older clients or exports up to the current schema
+function migrateDocument(data) {
+  try {
+    return migrations.migrate(data);
+  } catch (err) {
+    if (err instanceof migrations.MigrationError) throw new HttpError(400, err.message);
+    throw err;
+  }
+}
+
+// API: Merge an export into the existing data by id (see lib/merge.js).
+// With `dryRun` it only reports what would happen, including each id
+// collision and the choices for it; `resolutions` picks one per item.
+app.post('/api/import', route('import data', (req, res) => {
+  const { data, resolutions = {}, dryRun = false } = validate(req.body, 'import');
+  const { written, ...result } = merge.mergeImport(data, req.user, { resolutions, dryRun });
+
+  if (written) {
+    const overwritten = new Set([...result.workspaces, ...result.pages]
+      .filter(entry => entry.action === 'overwrite')
+      .map(entry => entry.id));
+    const type = (kind, id) => `${kind}.${overwritten.has(id) ? 'updated' : 'created'}`;
+
+    for (const workspace of written.workspaces) {
+      events.publish(req, type('workspace', workspace.id), { workspaceId: workspace.id, workspace });
+    }
+    for (const page of written.pages) {
+      events.publish(req, type('page', page.id), { workspaceId: page.workspaceId, page });
+    }
+  }
+  res.json(result);
+}));
+
+// ============================================
+// REST API
+// ============================================
+
+// Wrap a route handler so thrown HttpErrors become proper status codes and
+// anything else is logged and reported as a 500.
+function route(action, handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      if (err instanceof HttpError) {
+        res.status(err.status).json({ error: err.message, ...err.data });
+        return;
+      }
+      console.error(`[API] Failed to ${action}:`, err);
+      res.status(500).json({ error: `Failed to ${action}` });
+    }
+  };
+}
+
+function found(value, what) {
+  if (!value) throw new HttpError(404, `${what} not found`);
+  return value;
+}
+
+// The version a client based its change on, from an If-Match header or a
+// `version` body field. Undefined when the client didn't send one.
+function expectedVersion(req) {
+  const header = req.get('If-Match');
+  if (header !== undefined && header !== '*') {
+    const version = parseInt(header.replace(/"/g, ''), 10);
+    if (Number.isNaN(version)) throw new HttpError(400, 'If-Match must be a version number');
+    return version;
+  }
+  const version = req.body?.version;
+  return typeof version === 'number' ? version : undefined;
+}
+
+// Reject a write based on an outdated copy. The 409 response includes the
+// current item so the client can merge or reload.
+function checkVersion(req, current, what) {
+  const expected = expectedVersion(req);
+  if (expected !== undefined && expected !== current.version) {
+    throw new HttpError(409, `${what} was changed by someone else`, { current });
+  }
+}
+
+// Workspaces
+app.get('/api/workspaces', route('list workspaces', (req, res) => {
+  const allowed = db.accessibleWorkspaces(req.user);
+  res.json(db.listWorkspaces().filter(ws => allowed.has(ws.id)));
+}));
+
+app.post('/api/workspaces', route('create workspace', (req, res) => {
+  const fields = validate(req.body, 'workspace');
+  if (fields.id && db.getWorkspace(fields.id)) {
+    throw new HttpError(409, 'Workspace id already exists');
+  }
+  const workspace = db.createWorkspace(fields, req.user.id);
+  events.publish(req, 'workspace.created', { workspaceId: workspace.id, workspace });
+  res.status(201).json(workspace);
+}));
+
+app.get('/api/workspaces/:id', route('load workspace', (req, res) => {
+  res.json(workspaceFor(req, req.params.id));
+}));
+
+app.patch('/api/workspaces/:id', route('update workspace', (req, res) => {
+  const fields = validate(req.body, 'workspace', { partial: true, omit: ['id'] });
+  checkVersion(req, workspaceFor(req, req.params.id), 'Workspace');
+  const workspace = db.updateWorkspace(req.params.id, fields);
+  events.publish(req, 'workspace.updated', { workspaceId: workspace.id, workspace });
+  res.json(workspace);
+}));
+
+app.delete('/api/workspaces/:id', route('delete workspace', (req, res) => {
+  checkVersion(req, workspaceFor(req, req.params.id, { owner: true }), 'Workspace');
+  // Members are gone once the workspace is, so note who should hear about it
+  // first; a workspace nobody belonged to only concerns the user deleting it
+  const audience = db.listMembers(req.params.id).map(m => m.id);
+  db.deleteWorkspace(req.params.id, req.user.id);
+  const scope = audience.length > 0 ? { audience } : { userId: req.user.id };
+  events.publish(req, 'workspace.deleted', { id: req.params.id, ...scope });
+  res.status(204).end();
+}));
+
+app.get('/api/workspaces/:id/pages', route('list pages', (req, res) => {
+  workspaceFor(req, req.params.id);
+  res.json(db.listPages(req.params.id));
+}));
+
+// Workspace members: any member can see the list, owners manage it and
+// members can remove themselves
+app.get('/api/workspaces/:id/members', route('list members', (req, res) => {
+  workspaceFor(req, req.params.id);
+  res.json(db.listMembers(req.params.id));
+}));
+
+app.post('/api/workspaces/:id/members', route('add member', (req, res) => {
+  const { username, role = 'member' } = validate(req.body, 'member');
+  workspaceFor(req, req.params.id, { owner: true });
+  const user = found(db.getUserCredentials(username), 'User');
+
+  // An admin sharing a workspace nobody owns becomes its owner, so sharing it
+  // doesn't lock the admin out
+  if (db.listMembers(req.params.id).length === 0) {
+    db.setMember(req.params.id, req.user.id, 'owner');
+  }
+  db.setMember(req.params.id, user.id, role);
+  events.publish(req, 'access.changed', { userId: user.id });
+  res.status(201).json(db.listMembers(req.params.id));
+}));
+
+app.delete('/api/workspaces/:id/members/:userId', route('remove member', (req, res) => {
+  const leaving = req.params.userId === req.user.id;
+  workspaceFor(req, req.params.id, { owner: !leaving });
+
+  const members = db.listMembers(req.params.id);
+  found(members.find(m => m.id === req.params.userId), 'Member');
+  const owners = members.filter(m => m.role === 'owner');
+  if (owners.length === 1 && owners[0].id === req.params.userId) {
+    throw new HttpError(409, 'A workspace needs an owner; make someone else owner first');
+  }
+
+  db.removeMember(req.params.id, req.params.userId);
+  events.publish(req, 'access.changed', { userId: req.params.userId });
+  res.json(db.listMembers(req.params.id));
+}));
+
+// Files uploaded as raw bodies that become pages in a workspace: `convert`
+// turns the bytes into page fields, and each page is then validated and
+// created as POST /api/pages would
+function importUpload(req, convert) {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw new HttpError(400, 'Request body is empty');
+  }
+
+  let result;
+  try {
+    result = convert(new Uint8Array(req.body.buffer, req.body.byteOffset, req.body.length));
+  } catch (err) {
+    if (err instanceof ZipError) throw new HttpError(400, err.message);
+    throw err;
+  }
+
+  const fields = result.pages.map(page => validateChildren(validate({ ...page, workspaceId: req.params.id }, 'page')));
+  const pages = fields.map(page => {
+    const created = db.createPage(page);
+    events.publish(req, 'page.created', { workspaceId: created.workspaceId, page: created });
+    return created;
+  });
+  return { pages, skipped: result.skipped };
+}
+
+// Markdown vaults: a workspace as a zip of .md files, and such a zip (from
+// here, Obsidian or any folder of notes) as new pages
+app.get('/api/workspaces/:id/markdown', route('export markdown', (req, res) => {
+  const workspace = workspaceFor(req, req.params.id);
+  const pages = db.listPages(workspace.id).map(page => db.getPage(page.id));
+  res.attachment(`${workspace.name.replace(/[\\/:*?"<>|]/g, '-').trim() || 'workspace'}.zip`);
+  res.send(Buffer.from(vault.exportVault(pages)));
+}));
+
+app.post('/api/workspaces/:id/markdown', express.raw({ type: () => true, limit: '50mb' }), route('import markdown', (req, res) => {
+  workspaceFor(req, req.params.id);
+  res.status(201).json(importUpload(req, bytes => vault.importVault(bytes)));
+}));
+
+// A workspace as a static website, zipped (see lib/publish.js)
+app.get('/api/workspaces/:id/site', route('publish site', (req, res) => {
+  const workspace = workspaceFor(req, req.params.id);
+  const pages = db.listPages(workspace.id).map(page => db.getPage(page.id));
+  res.attachment(`${workspace.name.replace(/[\\/:*?"<>|]/g, '-').trim() || 'workspace'}-site.zip`);
+  res.send(Buffer.from(publish.publishZip(workspace, pages)));
+}));
+
+// Other apps' exports (see lib/importers.js). `?title=` names the page for
+// formats that don't carry a name, such as a Todoist CSV.
+app.post('/api/workspaces/:id/import/:source', express.raw({ type: () => true, limit: '50mb' }), route('import from another app', (req, res) => {
+  workspaceFor(req, req.params.id);
+  if (!importers.SOURCES.includes(req.params.source)) {
+    throw new HttpError(404, `Can't import from ${req.params.source}`);
+  }
+  const title = typeof req.query.title === 'string' ? req.query.title.slice(0, 500) : '';
+  res.status(201).json(importUpload(req, bytes => importers.importFrom(req.params.source, bytes, title)));
+}));
+
+// Pages
+function validateChildren(fields) {
+  if (fields.todos) fields.todos = fields.todos.map(todo => validate(todo, 'todo'));
+  if (fields.cards) fields.cards = fields.cards.map(card => validate(card, 'card'));
+  return fields;
+}
+
+app.post('/api/pages', route('create page', (req, res) => {
+  const fields = validateChildren(validate(req.body, 'page'));
+  if (fields.id && db.getPage(fields.id)) {
+    throw new HttpError(409, 'Page id already exists');
+  }
+  workspaceFor(req, fields.workspaceId);
+  const page = db.createPage(fields);
+  events.publish(req, 'page.created', { workspaceId: page.workspaceId, page });
+  res.status(201).json(page);
+}));
+
+app.get('/api/pages/:id', route('load page', (req, res) => {
+  res.json(pageFor(req, req.params.id));
+}));
+
+app.get('/api/pages/:id/markdown', route('load page as markdown', (req, res) => {
+  res.type('text/markdown').send(vault.pageMarkdown(pageFor(req, req.params.id)));
+}));
+
+app.patch('/api/pages/:id', route('update page', (req, res) => {
+  const fields = validate(req.body, 'page', { partial: true, omit: ['id', 'todos', 'cards', 'createdAt', 'updatedAt'] });
+  checkVersion(req, pageFor(req, req.params.id), 'Page');
+  if (fields.workspaceId) {
+    workspaceFor(req, fields.workspaceId);
+  }
+  const page = db.updatePage(req.params.id, fields);
+  events.publish(req, 'page.updated', { workspaceId: page.workspaceId, page });
+  res.json(page);
+}));
+
+app.delete('/api/pages/:id', route('delete page', (req, res) => {
+  const page = pageFor(req, req.params.id);
+  checkVersion(req, page, 'Page');
+  db.deletePage(req.params.id, req.user.id);
+  events.publish(req, 'page.deleted', { id: page.id, workspaceId: page.workspaceId });
+  res.status(204).end();
+}));
+
+// Todos
+app.get('/api/pages/:id/todos', route('list todos', (req, res) => {
+  pageFor(req, req.params.id);
+  res.json(db.listTodos(req.params.id));
+}));
+
+app.post('/api/pages/:id/todos', route('add todo', (req, res) => {
+  const fields = validate(req.body, 'todo');
+  const { workspaceId } = pageFor(req, req.params.id);
+  if (fields.id && db.getTodo(req.params.id, fields.id)) {
+    throw new HttpError(409, 'Todo id already exists');
+  }
+  const todo = db.addTodo(req.params.id, fields);
+  events.publish(req, 'todo.created', { workspaceId, pageId: req.params.id, todo });
+  res.status(201).json(todo);
+}));
+
+// DELETE /api/pages/:id/todos?completed=true clears all completed todos
+app.delete('/api/pages/:id/todos', route('clear todos', (req, res) => {
+  if (req.query.completed !== 'true') {
+    throw new HttpError(400, 'Only ?completed=true is supported');
+  }
+  const { workspaceId } = pageFor(req, req.params.id);
+  const removed = db.clearCompletedTodos(req.params.id, req.user.id);
+  events.publish(req, 'todos.cleared', { workspaceId, pageId: req.params.id });
+  res.json({ removed });
+}));
+
+app.patch('/api/pages/:id/todos/:todoId', route('update todo', (req, res) => {
+  const fields = validate(req.body, 'todo', { partial: true, omit: ['id', 'createdAt'] });
+  const { workspaceId } = pageFor(req, req.params.id);
+  const existing = found(db.getTodo(req.params.id, req.params.todoId), 'Todo');
+  checkVersion(req, existing, 'Todo');
+  const todo = db.updateTodo(req.params.id, req.params.todoId, fields);
+  events.publish(req, 'todo.updated', { workspaceId, pageId: req.params.id, todo, previous: { completed: existing.completed } });
+  res.json(todo);
+}));
+
+app.delete('/api/pages/:id/todos/:todoId', route('delete todo', (req, res) => {
+  const { workspaceId } = pageFor(req, req.params.id);
+  checkVersion(req, found(db.getTodo(req.params.id, req.params.todoId), 'Todo'), 'Todo');
+  db.deleteTodo(req.params.id, req.params.todoId, req.user.id);
+  events.publish(req, 'todo.deleted', { workspaceId, pageId: req.params.id, id: req.params.todoId });
+  res.status(204).end();
+}));
+
+// Cards
+app.get('/api/pages/:id/cards', route('list cards', (req, res) => {
+  pageFor(req, req.params.id);
+  res.json(db.listCards(req.params.id));
+}));
+
+app.post('/api/pages/:id/cards', route('add card', (req, res) => {
+  const fields = validate(req.body, 'card');
+  const { workspaceId } = pageFor(req, req.params.id);
+  if (fields.id && db.getCard(req.params.id, fields.id)) {
+    throw new HttpError(409, 'Card id already exists');
+  }
+  const card = db.addCard(req.params.id, fields);
+  events.publish(req, 'card.created', { workspaceId, pageId: req.params.id, card });
+  res.status(201).json(card);
+}));
+
+app.patch('/api/pages/:id/cards/:cardId', route('update card', (req, res) => {
+  const fields = validate(req.body, 'card', { partial: true, omit: ['id', 'createdAt'] });
+  const { workspaceId } = pageFor(req, req.params.id);
+  const existing = found(db.getCard(req.params.id, req.params.cardId), 'Card');
+  checkVersion(req, existing, 'Card');
+  const card = db.updateCard(req.params.id, req.params.cardId, fields);
+  events.publish(req, 'card.updated', { workspaceId, pageId: req.params.id, card, previous: { status: existing.status } });
+  res.json(card);
+}));
+
+app.delete('/api/pages/:id/cards/:cardId', route('delete card', (req, res) => {
+  const { workspaceId } = pageFor(req, req.params.id);
+  checkVersion(req, found(db.getCard(req.params.id, req.params.cardId), 'Card'), 'Card');
+  db.deleteCard(req.params.id, req.params.cardId, req.user.id);
+  events.publish(req, 'card.deleted', { workspaceId, pageId: req.params.id, id: req.params.cardId });
+  res.status(204).end();
+}));
+
+// Share links: read-only access to one page for anyone holding the link,
+// managed by anyone who can see the page
+app.get('/api/pages/:id/shares', route('list share links', (req, res) => {
+  pageFor(req, req.params.id);
+  res.json(db.listShareLinks(req.params.id));
+}));
+
+app.post('/api/pages/:id/shares', route('create share link', (req, res) => {
+  pageFor(req, req.params.id);
+  res.status(201).json(db.createShareLink(req.params.id, req.user.id));
+}));
+
+app.delete('/api/pages/:id/shares/:shareId', route('revoke share link', (req, res) => {
+  pageFor(req, req.params.id);
+  found(db.deleteShareLink(req.params.id, req.params.shareId), 'Share link');
+  res.status(204).end();
+}));
+
+// Revisions
+function parseNumericId(value, what) {
+  const id = parseInt(value, 10);
+  if (!Number.isInteger(id) || String(id) !== value) {
+    throw new HttpError(400, `Invalid ${what} id`);
+  }
+  return id;
+}
+
+// History stays readable after a page is deleted, so these don't require the page to exist
+app.get('/api/pages/:id/revisions', route('list revisions', (req, res) => {
+  checkHistoryAccess(req, req.params.id);
+  res.json(db.listRevisions(req.params.id));
+}));
+
+app.get('/api/pages/:id/revisions/:revisionId', route('load revision', (req, res) => {
+  const revisionId = parseNumericId(req.params.revisionId, 'revision');
+  checkHistoryAccess(req, req.params.id);
+  res.json(found(db.getRevision(req.params.id, revisionId), 'Revision'));
+}));
+
+app.post('/api/pages/:id/revisions/:revisionId/restore', route('restore revision', (req, res) => {
+  const revisionId = parseNumericId(req.params.revisionId, 'revision');
+  const { workspaceId } = validate(req.body || {}, 'restore');
+  checkHistoryAccess(req, req.params.id);
+  found(db.getRevision(req.params.id, revisionId), 'Revision');
+  if (workspaceId) workspaceFor(req, workspaceId);
+
+  const existed = Boolean(db.getPage(req.params.id));
+  const page = db.restoreRevision(req.params.id, revisionId, workspaceId);
+  if (!page) {
+    throw new HttpError(409, 'The page\'s workspace no longer exists; pass a workspaceId to restore into');
+  }
+  events.publish(req, existed ? 'page.updated' : 'page.created', { workspaceId: page.workspaceId, page });
+  res.json(page);
+}));
+
+app.get('/api/revisions/deleted', route('list deleted pages', (req, res) => {
+  res.json(db.listDeletedPages(req.user));
+}));
+
+// Trash: deleted workspaces, pages, todos and cards until they're purged.
+// Anyone who could see an item may restore or purge it, except that a
+// workspace is left to its former owners (see `manageable` in db.js).
+function trashItemFor(req) {
+  const item = found(db.getTrashItem(parseNumericId(req.params.id, 'trash item'), req.user), 'Trash item');
+  if (!item.manageable) throw new HttpError(403, 'Only the workspace owner can do that');
+  return item;
+}
+
+// Make sure a trashed item has somewhere to go back to
+function checkRestore(req, item, workspaceId) {
+  switch (item.kind) {
+    case 'workspace':
+      if (db.getWorkspace(item.itemId)) throw new HttpError(409, 'A workspace with this id already exists');
+      break;
+
+    case 'page': {
+      if (db.getPage(item.itemId)) throw new HttpError(409, 'This page exists again (it was restored from its history)');
+      const target = workspaceId || item.workspaceId;
+      if (!db.getWorkspace(target)) {
+        throw new HttpError(409, 'The page\'s workspace no longer exists; pass a workspaceId to restore into');
+      }
+      workspaceFor(req, target);
+      break;
+    }
+
+    default: {
+      const label = item.kind === 'todo' ? 'Todo' : 'Card';
+      if (!db.getPage(item.pageId)) {
+        throw new HttpError(409, `The page this ${item.kind} was on no longer exists; restore the page first`);
+      }
+      pageFor(req, item.pageId);
+      const existing = item.kind === 'todo' ? db.getTodo(item.pageId, item.itemId) : db.getCard(item.pageId, item.itemId);
+      if (existing) throw new HttpError(409, `${label} id already exists`);
+    }
+  }
+}
+
+// Who hears that a trash item was restored or purged: the members of its
+// workspace, or a trashed workspace's former members. An item whose
+// workspace is gone only concerns the user who acted.
+function trashScope(req, item) {
+  if (item.kind === 'workspace') {
+    const audience = item.data.members.map(m => m.user_id);
+    return audience.length > 0 ? { audience } : { userId: req.user.id };
+  }
+  return db.getWorkspace(item.workspaceId) ? { workspaceId: item.workspaceId } : { userId: req.user.id };
+}
+
+app.get('/api/trash', route('list trash', (req, res) => {
+  res.json(db.listTrash(req.user));
+}));
+
+app.post('/api/trash/:id/restore', route('restore from trash', (req, res) => {
+  const { workspaceId } = validate(req.body || {}, 'restore');
+  const item = trashItemFor(req);
+  checkRestore(req, item, workspaceId);
+
+  const scope = trashScope(req, item);
+  const restored = db.restoreTrashItem(item.id, { workspaceId, userId: req.user.id });
+  if (restored.workspace) {
+    events.publish(req, 'workspace.created', { workspaceId: restored.workspace.id, workspace: restored.workspace });
+  }
+  for (const page of restored.pages || [restored.page].filter(Boolean)) {
+    events.publish(req, 'page.created', { workspaceId: page.workspaceId, page });
+  }
+  if (restored.todo || restored.card) {
+    const { workspaceId: pageWorkspaceId } = db.getPage(restored.pageId);
+    const [type, key] = restored.todo ? ['todo.created', 'todo'] : ['card.created', 'card'];
+    events.publish(req, type, { workspaceId: pageWorkspaceId, pageId: restored.pageId, [key]: restored[key] });
+  }
+  events.publish(req, 'trash.changed', scope);
+  res.json(restored);
+}));
+
+app.delete('/api/trash/:id', route('purge trash item', (req, res) => {
+  const item = trashItemFor(req);
+  const scope = trashScope(req, item);
+  db.purgeTrashItem(item.id);
+  events.publish(req, 'trash.changed', scope);
+  res.status(204).end();
+}));
+
+// Purge everything in the trash the user can see
+app.delete('/api/trash', route('empty trash', (req, res) => {
+  // One event for each distinct set of users the purged items concern
+  const scopes = new Map(db.listTrash(req.user)
+    .filter(item => item.manageable)
+    .map(item => trashScope(req, db.getTrashItem(item.id)))
+    .map(scope => [JSON.stringify(scope), scope]));
+  const removed = db.emptyTrash(req.user);
+  for (const scope of scopes.values()) {
+    events.publish(req, 'trash.changed', scope);
+  }
+  res.json({ removed });
+}));
+
+// Backups: snapshots of the whole database (admins only)
+app.get('/api/backups', route('list backups', (req, res) => {
+  requireAdmin(req, 'manage backups');
+  res.json(backup.listBackups());
+}));
+
+app.post('/api/backups', route('create backup', async (req, res) => {
+  requireAdmin(req, 'manage backups');
+  res.status(201).json(await backup.createBackup('manual'));
+}));
+
+// Replaces everything, for every user; the state before is kept as a
+// pre-restore snapshot
+app.post('/api/backups/:name/restore', route('restore backup', async (req, res) => {
+  requireAdmin(req, 'manage backups');
+  found(backup.findBackup(req.params.name), 'Backup');
+  const saved = await backup.restoreBackup(req.params.name);
+  const version = db.getDataVersion();
+  events.publish(req, 'data.replaced', { version, broadcast: true });
+  res.json({ restored: req.params.name, saved, version });
+}));
+
+// Webhooks: signed POSTs to other services when data changes, wherever the
+// change came from (admins only, see lib/webhooks.js)
+app.get('/api/webhooks', route('list webhooks', (req, res) => {
+  requireAdmin(req, 'manage webhooks');
+  res.json(db.listWebhooks());
+}));
+
+app.post('/api/webhooks', route('create webhook', (req, res) => {
+  requireAdmin(req, 'manage webhooks');
+  const fields = webhooks.checkWebhook(validate(req.body, 'webhook'));
+  res.status(201).json(db.createWebhook(fields, req.user.id));
+}));
+
+app.patch('/api/webhooks/:id', route('update webhook', (req, res) => {
+  requireAdmin(req, 'manage webhooks');
+  const fields = webhooks.checkWebhook(validate(req.body, 'webhook', { partial: true }), { partial: true });
+  const webhook = found(db.updateWebhook(req.params.id, fields), 'Webhook');
+  // Switching one back on sends what queued up while it was off
+  webhooks.schedule();
+  res.json(webhook);
+}));
+
+app.delete('/api/webhooks/:id', route('delete webhook', (req, res) => {
+  requireAdmin(req, 'manage webhooks');
+  found(db.deleteWebhook(req.params.id), 'Webhook');
+  res.status(204).end();
+}));
+
+// The delivery log, newest first
+app.get('/api/webhooks/:id/deliveries', route('list webhook deliveries', (req, res) => {
+  requireAdmin(req, 'manage webhooks');
+  found(db.getWebhook(req.params.id), 'Webhook');
+  res.json(db.listDeliveries(req.params.id));
+}));
+
+app.post('/api/webhooks/:id/test', route('test webhook', (req, res) => {
+  requireAdmin(req, 'manage webhooks');
+  const webhook = found(db.getWebhook(req.params.id), 'Webhook');
+  if (!webhook.active) throw new HttpError(400, 'Switch the webhook on to test it');
+  res.status(202).json(webhooks.ping(webhook));
+}));
+
+app.post('/api/webhooks/:id/deliveries/:deliveryId/retry', route('retry webhook delivery', (req, res) => {
+  requireAdmin(req, 'manage webhooks');
+  const delivery = db.getDelivery(parseNumericId(req.params.deliveryId, 'delivery'));
+  found(delivery && delivery.webhookId === req.params.id, 'Delivery');
+  if (delivery.status !== 'failed') throw new HttpError(400, 'Only failed deliveries can be sent again');
+  webhooks.redeliver(delivery);
+  res.status(202).json(db.getDelivery(delivery.id));
+}));
+
+// Search: ?q= free text, optional ?workspaceId= and ?limit= (max 50)
+app.get('/api/search', route('search', (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q : '';
+  const workspaceId = typeof req.query.workspaceId === 'string' ? req.query.workspaceId : null;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  res.json(db.search(query, { workspaceId, limit, user: req.user }));
+}));
+
+// Assets: images uploaded as raw bodies, stored once per distinct content
+app.post('/api/assets', express.raw({ type: () => true, limit: `${ASSET_LIMIT_MB}mb` }), route('upload asset', (req, res) => {
+  const mime = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  if (!/^image\/[a-z0-9.+-]+$/.test(mime)) {
+    throw new HttpError(415, 'Only images can be uploaded');
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw new HttpError(400, 'Request body is empty');
+  }
+  res.status(201).json(db.storeAsset(req.body, mime));
+}));
+
+function sendAsset(res, asset, cacheControl = 'public, max-age=31536000, immutable') {
+  res.set({
+    'Content-Type': asset.mime,
+    'Cache-Control': cacheControl,
+    'ETag': `"${asset.hash}"`,
+    'X-Content-Type-Options': 'nosniff',
+    // SVGs can carry script; never let one run with the app's origin
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+  });
+  res.send(asset.data);
+}
+
+app.get('/api/assets/:hash', route('load asset', (req, res) => {
+  sendAsset(res, found(/^[a-f0-9]{64}$/.test(req.params.hash) && db.getAsset(req.params.hash), 'Asset'));
+}));
+
+// Settings
+app.get('/api/settings', route('load settings', (req, res) => {
+  res.json(db.getSettings(req.user.id));
+}));
+
+app.patch('/api/settings', route('update settings', (req, res) => {
+  const settings = db.updateSettings(validate(req.body, 'settings', { partial: true }), req.user.id);
+  events.publish(req, 'settings.updated', { userId: req.user.id, settings });
+  res.json(settings);
+}));
+
+// Live updates: one Server-Sent Events stream per open client
+app.get('/api/events', (req, res) => {
+  // Look the session up per event so signing out (or losing an account)
+  // also stops the stream
+  events.stream(req, res, event => {
+    const user = db.getSessionUser(req.sessionHash);
+    return Boolean(user) && canReceive(user, event);
+  });
+});
+
+// Unknown API routes get a JSON 404 instead of falling through to static files
+app.use('/api', (req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+// Report unparseable request bodies as JSON errors
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    res.status(400).json({ error: 'Malformed JSON body' });
+  } else if (err.type === 'entity.too.large') {
+    res.status(413).json({ error: 'Request body too large' });
+  } else {
+    next(err);
+  }
+});
+
+// ============================================
+// SHARED PAGES
+// ============================================
+
+// A share link shows its page as HTML rendered here (see lib/render.js),
+// without signing in and without reaching the API. Nothing on it can run
+// script: it's sandboxed like uploaded SVGs, so stored notes can't act as
+// the visitor. The token is kept out of Referer headers and search engines.
+const SHARE_HEADERS = {
+  'Content-Security-Policy': "default-src 'none'; img-src 'self' data:; style-src 'unsafe-inline'; sandbox",
+  'Referrer-Policy': 'no-referrer',
+  'X-Robots-Tag': 'noindex',
+  'Cache-Control': 'no-store'
+};
+
+app.get('/share/:token', (req, res) => {
+  res.set(SHARE_HEADERS);
   try {
-    db.save(req.body);
-    res.json({ success: true });
+    const page = db.getSharedPage(req.params.token);
+    if (!page) {
+      res.status(404).type('html').send(render.renderLinkNotFound());
+      return;
+    }
+    const assetBase = `/share/${encodeURIComponent(req.params.token)}/assets`;
+    res.type('html').send(render.renderSharedPage(page, { assetBase }));
   } catch (err) {
-    console.error('[API] Failed to save data:', err);
-    res.status(500).json({ error: 'Failed to save data' });
+    console.error('[API] Failed to render shared page:', err);
+    res.status(500).type('text').send('Failed to render shared page');
+  }
+});
+
+// Images, but only those the shared page uses
+app.get('/share/:token/assets/:hash', (req, res) => {
+  try {
+    const page = db.getSharedPage(req.params.token);
+    const hash = req.params.hash;
+    const asset = page && /^[a-f0-9]{64}$/.test(hash) && JSON.stringify(page).includes(`/api/assets/${hash}`)
+      ? db.getAsset(hash)
+      : null;
+    if (!asset) {
+      res.status(404).type('text').send('Not found');
+      return;
+    }
+    // Not kept by shared caches, so revoking the link also stops its images
+    sendAsset(res, asset, 'private, max-age=3600');
+  } catch (err) {
+    console.error('[API] Failed to load shared asset:', err);
+    res.status(500).type('text').send('Failed to load asset');
   }
 });
 
@@ -75,16 +1012,38 @@ function findAvailablePort(basePort, maxAttempts = 100) {
   });
 }
 
-// Start server with dynamic port discovery
+// Start server with dynamic port discovery. Required as a module (by the
+// tests) it only exports the app, without listening or starting timers.
 const BASE_PORT = parseInt(process.env.PORT) || 3000;
 
-findAvailablePort(BASE_PORT)
-  .then(port => {
-    app.listen(port, () => {
-      console.log(`\n\x1b[32m[HACKNOTE]\x1b[0m Server running at \x1b[36mhttp://localhost:${port}\x1b[0m\n`);
+function start() {
+  findAvailablePort(BASE_PORT)
+    .then(port => {
+      app.listen(port, () => {
+        instance.announce(port);
+        console.log(`\n\x1b[32m[HACKNOTE]\x1b[0m Server running at \x1b[36mhttp://localhost:${port}\x1b[0m\n`);
+      });
+
+      // Drop page revisions and trash past their retention window once a day,
+      // then any images only those were using
+      setInterval(() => {
+        db.pruneRevisions();
+        db.pruneTrash();
+        db.collectAssets();
+        db.pruneSessions();
+      }, 24 * 60 * 60 * 1000).unref();
+
+      backup.scheduleBackups();
+      webhooks.startWebhooks();
+    })
+    .catch(err => {
+      console.error('\x1b[31m[ERROR]\x1b[0m Failed to start server:', err.message);
+      process.exit(1);
     });
-  })
-  .catch(err => {
-    console.error('\x1b[31m[ERROR]\x1b[0m Failed to start server:', err.message);
-    process.exit(1);
-  });
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = app;
@@ -0,0 +1,64 @@
+// ============================================
+// HACKNOTE - Service worker
+// Keeps the app shell (and images already seen) available offline
+// ============================================
+
+const CACHE = 'hacknote-v7';
+const SHELL = ['/', '/js/migrations.js', '/js/html.js', '/js/markdown.js', '/js/sanitize.js', '/js/schemas.js', '/js/highlight.js', '/js/zip.js', '/js/app.js', '/css/style.css', '/favicon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches left by older versions of this file
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Assets never change under the same URL, so the cache can answer first
+  if (url.pathname.startsWith('/api/assets/')) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetchAndCache(request))
+    );
+    return;
+  }
+
+  // Other API calls always go to the server; the app queues writes itself.
+  // So do shared pages, so a revoked link stops working.
+  if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/share/')) return;
+
+  // App files: network first so a running server always serves the latest
+  // version, falling back to the cached copy when it can't be reached
+  event.respondWith(
+    fetchAndCache(request).catch(() =>
+      caches.match(request, { ignoreSearch: true }).then(cached => {
+        if (cached) return cached;
+        if (request.mode === 'navigate') return caches.match('/');
+        return Response.error();
+      })
+    )
+  );
+});
+
+function fetchAndCache(request) {
+  return fetch(request).then(response => {
+    if (response.ok) {
+      const copy = response.clone();
+      caches.open(CACHE).then(cache => cache.put(request, copy));
+    }
+    return response;
+  });
+}
@@ -0,0 +1,47 @@
+// ============================================
+// Markdown conversion: each fixture pair in fixtures/markdown is a note in
+// markdown (<name>.md) and the HTML it becomes (<name>.html)
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { markdownToHtml, htmlToMarkdown } = require('../js/markdown');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'markdown');
+
+// The files end with a newline; the converters don't add one
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8').replace(/\n$/, '');
+}
+
+const names = fs.readdirSync(FIXTURES)
+  .filter(file => file.endsWith('.md'))
+  .map(file => path.basename(file, '.md'))
+  .sort();
+
+for (const name of names) {
+  test(`markdown fixture: ${name}`, async (t) => {
+    const markdown = readFixture(`${name}.md`);
+    const html = readFixture(`${name}.html`);
+
+    await t.test('markdown becomes the expected HTML', () => {
+      assert.equal(markdownToHtml(markdown), html);
+    });
+
+    await t.test('the HTML becomes the same markdown again', () => {
+      assert.equal(htmlToMarkdown(html), markdown);
+    });
+
+    await t.test('converting twice changes nothing', () => {
+      assert.equal(markdownToHtml(htmlToMarkdown(markdownToHtml(markdown))), html);
+    });
+  });
+}
+
+test('HTML from the editor becomes markdown', () => {
+  assert.equal(htmlToMarkdown('first line<div>second</div><div><br></div><div>fourth</div>'), 'first line\nsecond\n\nfourth');
+  assert.equal(htmlToMarkdown('<p>5 * 3 = 15 and [x] and a_b</p>'), '5 \\* 3 = 15 and \\[x\\] and a_b');
+  assert.equal(htmlToMarkdown('<ol start="3"><li>x</li></ol>'), '3. x');
+});
@@ -0,0 +1,133 @@
+// ============================================
+// REST routes, against the app on a throwaway database
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hacknote-test-'));
+process.env.HACKNOTE_DB = path.join(dir, 'hacknote.db');
+process.env.HACKNOTE_BACKUP_DIR = path.join(dir, 'backups');
+process.env.HACKNOTE_SIGNUP = 'open';
+
+const app = require('../server');
+const db = require('../db');
+const events = require('../lib/events');
+
+let server;
+let baseUrl;
+
+// A signed-in user: `request(method, url, body)` resolves to { status, body }
+async function session(endpoint, expectedStatus, username) {
+  const response = await fetch(`${baseUrl}${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password: 'password1' })
+  });
+  assert.equal(response.status, expectedStatus);
+  const cookie = response.headers.get('set-cookie').split(';')[0];
+
+  return async function request(method, url, body) {
+    const options = { method, headers: { Cookie: cookie } };
+    if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+    const reply = await fetch(`${baseUrl}${url}`, options);
+    return { status: reply.status, body: reply.status === 204 ? null : await reply.json() };
+  };
+}
+
+const signUp = username => session('/api/auth/register', 201, username);
+const signIn = username => session('/api/auth/login', 200, username);
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('POST /api/pages gives todos and cards sent with the page ids and defaults', async () => {
+  const alice = await signUp('alice');
+  await alice('POST', '/api/workspaces', { id: 'w1', name: 'Work' });
+
+  const created = await alice('POST', '/api/pages', {
+    workspaceId: 'w1',
+    title: 'Plan',
+    type: 'board',
+    todos: [{ text: 'First' }, { id: 'keep-me', text: 'Second', completed: true }],
+    cards: [{ title: 'Card', status: 'backlog' }]
+  });
+  assert.equal(created.status, 201);
+
+  const { todos, cards } = created.body;
+  assert.equal(todos.length, 2);
+  assert.match(todos[0].id, /^[A-Za-z0-9_-]+$/);
+  assert.equal(todos[0].completed, false);
+  assert.equal(typeof todos[0].createdAt, 'number');
+  assert.equal(todos[1].id, 'keep-me');
+  assert.equal(todos[1].completed, true);
+
+  assert.equal(cards.length, 1);
+  assert.match(cards[0].id, /^[A-Za-z0-9_-]+$/);
+  assert.equal(cards[0].priority, 'medium');
+  assert.equal(cards[0].description, '');
+  assert.equal(typeof cards[0].createdAt, 'number');
+
+  const page = await alice('GET', `/api/pages/${created.body.id}`);
+  assert.deepEqual(page.body.todos.map(todo => todo.id), todos.map(todo => todo.id));
+});
+
+test('trash changes are announced to the members of the item\'s workspace', async () => {
+  const carol = await signUp('carol');
+  await carol('POST', '/api/workspaces', { id: 'w2', name: 'Shared' });
+  const page = await carol('POST', '/api/pages', { workspaceId: 'w2', title: 'Gone', type: 'notes' });
+  await carol('DELETE', `/api/pages/${page.body.id}`);
+
+  const published = [];
+  const unsubscribe = events.subscribe(event => published.push(event));
+  try {
+    const trash = await carol('GET', '/api/trash');
+    const item = trash.body.find(entry => entry.itemId === page.body.id);
+    assert.equal((await carol('POST', `/api/trash/${item.id}/restore`, {})).status, 200);
+    await carol('DELETE', `/api/pages/${page.body.id}`);
+    assert.equal((await carol('DELETE', '/api/trash')).status, 200);
+  } finally {
+    unsubscribe();
+  }
+
+  const changes = published.filter(event => event.type === 'trash.changed');
+  assert.equal(changes.length, 2);
+  for (const event of changes) {
+    assert.equal(event.workspaceId, 'w2');
+  }
+});
+
+test('deleting a workspace nobody belongs to is announced only to the user who deleted it', async () => {
+  // alice signed up first, so she is the admin, who can manage such workspaces
+  const alice = await signIn('alice');
+  const { user } = (await alice('GET', '/api/auth/session')).body;
+  await alice('POST', '/api/workspaces', { id: 'w3', name: 'Unowned' });
+  db.removeMember('w3', user.id);
+
+  const published = [];
+  const unsubscribe = events.subscribe(event => published.push(event));
+  try {
+    assert.equal((await alice('DELETE', '/api/workspaces/w3')).status, 204);
+  } finally {
+    unsubscribe();
+  }
+
+  const deleted = published.find(event => event.type === 'workspace.deleted');
+  assert.equal(deleted.id, 'w3');
+  assert.equal(deleted.userId, user.id);
+  assert.equal(deleted.audience, undefined);
+});
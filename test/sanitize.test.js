@@ -0,0 +1,89 @@
+// ============================================
+// Note HTML sanitizer against known XSS vectors
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeHtml, isSafeUrl } = require('../js/sanitize');
+
+// Whatever goes in, none of this may come out in a tag (text is escaped,
+// so it may mention anything)
+function assertInert(html) {
+  const clean = sanitizeHtml(html);
+  const tags = (clean.match(/<[^>]*>/g) || []).join('');
+  assert.doesNotMatch(tags, /<(script|style|svg|math|iframe|object|embed|form|button|textarea)\b/i);
+  assert.doesNotMatch(tags, /\son[a-z]+\s*=/i);
+  assert.doesNotMatch(tags, /\sstyle\s*=/i);
+  assert.doesNotMatch(tags, /(href|src)="\s*(javascript|vbscript|data:text)/i);
+  assert.equal(sanitizeHtml(clean), clean, 'sanitizing again changes nothing');
+  return clean;
+}
+
+test('script elements are dropped with their content', () => {
+  assert.equal(assertInert('<p>a<script>alert(1)</script>b</p>'), '<p>ab</p>');
+  assert.equal(assertInert('<SCRIPT SRC=//example.com/x.js></SCRIPT>'), '');
+  assert.equal(assertInert('<noscript><script>alert(1)</script></noscript>ok'), 'ok');
+  assert.equal(assertInert('<!-- <script>alert(1)</script> -->ok'), 'ok');
+});
+
+test('event handler attributes are removed', () => {
+  assert.equal(assertInert('<img src=x onerror=alert(1)>'), '<img src="x">');
+  assert.equal(assertInert('<p onclick="alert(1)" onmouseover=alert(2)>t</p>'), '<p>t</p>');
+  assert.equal(assertInert('<input type=checkbox checked onclick=alert(1)>'), '<input type="checkbox" checked>');
+  assert.equal(assertInert('<input type="text" onfocus=alert(1) autofocus>'), '');
+  assertInert('<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>');
+  assert.equal(assertInert('<img src=x onerror=alert(1)//'), '&lt;img src=x onerror=alert(1)//');
+});
+
+test('javascript: and other unsafe URLs are removed', () => {
+  assert.equal(assertInert('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(assertInert('<a href="  JaVa\tScRiPt:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(assertInert('<a href="&#106;avascript:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(assertInert('<a href="vbscript:msgbox(1)">x</a>'), '<a>x</a>');
+  assert.equal(assertInert('<a href="data:text/html,<script>alert(1)</script>">x</a>'), '<a>x</a>');
+  assert.equal(assertInert('<img src="javascript:alert(1)">'), '');
+  assert.equal(assertInert('<iframe src="javascript:alert(1)"></iframe>'), '');
+});
+
+test('SVG and MathML are dropped, including SVG images as data URLs', () => {
+  assert.equal(assertInert('<svg onload=alert(1)><script>alert(1)</script></svg>'), '');
+  assert.equal(assertInert('<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>'), '');
+  assert.equal(assertInert('<math><mtext><script>alert(1)</script></mtext></math>'), '');
+  assert.equal(assertInert('<img src="data:image/svg+xml;base64,PHN2Zz4=">'), '');
+});
+
+test('style elements and attributes are dropped', () => {
+  assert.equal(assertInert('<style>body { display: none }</style><p>t</p>'), '<p>t</p>');
+  assert.equal(assertInert('<p style="background: url(javascript:alert(1))">t</p>'), '<p>t</p>');
+  assert.equal(assertInert('<div class="modal-overlay image-wrapper">t</div>'), '<div class="image-wrapper">t</div>');
+});
+
+test('forms, frames and plugins are dropped', () => {
+  assert.equal(assertInert('<form action="javascript:alert(1)"><button>b</button></form>'), '');
+  assert.equal(assertInert('<object data="javascript:alert(1)"></object><embed src=x>'), '');
+  assert.equal(assertInert('<div contenteditable="true">x</div>'), '<div>x</div>');
+});
+
+test("the app's own note markup is kept", () => {
+  const notes = [
+    '<a href="https://example.com" title="T">link</a>',
+    '<a href="mailto:a@example.com">mail</a>',
+    '<img src="data:image/png;base64,AAA=">',
+    '<pre data-language="js"><code class="language-js">x</code></pre>',
+    '<a class="wiki-link" data-page="Other page" contenteditable="false">Other page</a>',
+    '<ul class="task-list"><li class="task-list-item"><input type="checkbox" disabled checked> done</li></ul>',
+    '<table><thead><tr><th align="center">A</th></tr></thead><tbody><tr><td align="center">1</td></tr></tbody></table>'
+  ];
+  for (const html of notes) {
+    assert.equal(sanitizeHtml(html), html);
+  }
+});
+
+test('isSafeUrl', () => {
+  assert.equal(isSafeUrl('/api/assets/abc'), true);
+  assert.equal(isSafeUrl('https://example.com'), true);
+  assert.equal(isSafeUrl('java\nscript:alert(1)'), false);
+  assert.equal(isSafeUrl('data:image/png;base64,AAA=', 'image'), true);
+  assert.equal(isSafeUrl('data:image/png;base64,AAA=', 'link'), false);
+  assert.equal(isSafeUrl('data:image/svg+xml,<svg/>', 'image'), false);
+});
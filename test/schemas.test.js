@@ -0,0 +1,36 @@
+// ============================================
+// Whole-document checks, as POST /api/data and replacing all data use them
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDocument, ValidationError } = require('../js/schemas');
+
+function documentWith(page) {
+  return {
+    schemaVersion: 3,
+    workspaces: [{ id: 'w1', name: 'Workspace' }],
+    pages: [{ id: 'p1', workspaceId: 'w1', title: 'Page', type: 'board', ...page }],
+    settings: {}
+  };
+}
+
+test('markup in fields that are rendered as attributes is refused', () => {
+  const card = { id: 'c1', title: 'Card', status: 'done', priority: '"><img src=x onerror=alert(2)>' };
+  assert.throws(() => validateDocument(documentWith({ cards: [card] })),
+    new ValidationError('pages[0].cards[0]: Field "priority" must be one of: low, medium, high, critical'));
+});
+
+test('ids must be present and plain', () => {
+  assert.throws(() => validateDocument({ workspaces: [{ id: 'w"1', name: 'W' }], pages: [] }),
+    new ValidationError('workspaces[0]: Field "id" must be a valid id'));
+  assert.throws(() => validateDocument(documentWith({ type: 'todo', todos: [{ text: 'Todo' }] })),
+    new ValidationError('pages[0].todos[0]: Missing required field "id"'));
+});
+
+test('a valid document comes back with its note HTML sanitized and unknown fields kept', () => {
+  const doc = validateDocument(documentWith({ type: 'notes', content: '<p onclick="alert(1)">Hi</p>', position: 3 }));
+  assert.equal(doc.pages[0].content, '<p>Hi</p>');
+  assert.equal(doc.pages[0].position, 3);
+  assert.deepEqual(doc.workspaces, [{ id: 'w1', name: 'Workspace' }]);
+});